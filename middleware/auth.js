@@ -1,6 +1,15 @@
 // backend/middleware/auth.js
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+
+/**
+ * Whether the device session an access token belongs to is still signed in.
+ * Signing a device out or resetting the password revokes its refresh tokens,
+ * which ends its access tokens too. Tokens without a `sid` predate device sessions.
+ */
+export const isTokenSessionActive = (decoded) => !decoded.sid ||
+  RefreshToken.isSessionActive(decoded.userId, decoded.sid);
 
 /**
  * Authenticate user using JWT token
@@ -13,6 +22,8 @@ export const authenticateToken = async (req, res, next) => {
     if (!token) return res.status(401).json({ message: 'Access token required', code: 'TOKEN_MISSING' });
 
     const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    if (!await isTokenSessionActive(decoded)) return res.status(401).json({ message: 'Session has been signed out', code: 'SESSION_REVOKED' });
+
     const user = await User.findById(decoded.userId).select('-password');
 
     if (!user) return res.status(401).json({ message: 'User not found', code: 'USER_NOT_FOUND' });
@@ -48,6 +59,8 @@ export const optionalAuth = async (req, res, next) => {
     if (!token) return next();
 
     const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    if (!await isTokenSessionActive(decoded)) return next();
+
     const user = await User.findById(decoded.userId).select('-password');
     if (user && user.is_active) req.user = user;
 
@@ -66,6 +79,14 @@ export const requireVerified = (req, res, next) => {
   next();
 };
 
+/**
+ * Require verified email for teacher actions, only when REQUIRE_VERIFIED_TEACHERS=true
+ */
+export const requireVerifiedTeacher = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_TEACHERS !== 'true') return next();
+  return requireVerified(req, res, next);
+};
+
 /**
  * Require ownership
  */
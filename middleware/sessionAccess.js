@@ -0,0 +1,65 @@
+// backend/middleware/sessionAccess.js
+import Session from '../models/Session.js';
+import Room from '../models/Room.js';
+
+/**
+ * Load the study session addressed by the request and check the caller may use it.
+ * The session id is read from `req.params.sessionId` or `req.body.session_id`.
+ *
+ * Students must own the session. With `allowTeacher`, the teacher of the
+ * session's room is also let through (read-only endpoints).
+ * The session is attached as `req.studySession`.
+ */
+export const requireSessionAccess = ({ allowTeacher = false } = {}) => async (req, res, next) => {
+  try {
+    const sessionId = req.params.sessionId || req.body?.session_id;
+    if (!sessionId) {
+      return res.status(400).json({ success: false, message: 'session_id is required' });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    const userId = req.user._id.toString();
+    let allowed = session.student_id === userId;
+
+    if (!allowed && allowTeacher && req.user.role === 'teacher' && session.room_id) {
+      allowed = await Room.exists({ _id: session.room_id, teacher_id: userId });
+    }
+
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    req.studySession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check that every session referenced by a batch payload belongs to the caller
+ * @returns {Promise<boolean>}
+ */
+export const ownsAllSessions = async (userId, sessionIds) => {
+  if (sessionIds.length === 0 || sessionIds.some(id => !id)) return false;
+
+  const ids = [...new Set(sessionIds.map(id => id.toString()))];
+  const owned = await Session.countDocuments({ _id: { $in: ids }, student_id: userId.toString() });
+  return owned === ids.length;
+};
+
+/**
+ * The material of each session, keyed by session id. Highlights and annotations
+ * take their material from here rather than from the client, because they keep
+ * a material from being deleted.
+ * @returns {Promise<Map<string, object|null>>}
+ */
+export const getSessionMaterials = async (sessionIds) => {
+  const ids = [...new Set(sessionIds.map(id => id.toString()))];
+  const sessions = await Session.find({ _id: { $in: ids } }).select('material_id').lean();
+  return new Map(sessions.map(s => [s._id.toString(), s.material_id || null]));
+};
@@ -0,0 +1,88 @@
+// backend/models/Alert.js
+import mongoose from 'mongoose';
+
+// Alerts raised by the real-time alert engine (services/alertService.js)
+const alertSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  session_id: {
+    type: String,
+    ref: 'Session',
+    required: true,
+    index: true
+  },
+  room_id: {
+    type: String,
+    ref: 'Room',
+    default: null
+  },
+  metric_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Metric',
+    default: null
+  },
+
+  // Classification (mirrors Metric.prototype.getAlerts)
+  type: {
+    type: String,
+    enum: ['absence', 'distraction', 'posture', 'health', 'break'],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+
+  // Delivery
+  notified_student: {
+    type: Boolean,
+    default: false
+  },
+  suppressed_reason: {
+    type: String,
+    enum: ['notifications_disabled', 'quiet_hours', 'category_disabled', null],
+    default: null
+  },
+  notified_teacher: {
+    type: Boolean,
+    default: false
+  },
+  acknowledged: {
+    type: Boolean,
+    default: false
+  },
+  acknowledged_at: Date,
+
+  raised_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+alertSchema.index({ session_id: 1, raised_at: 1 });
+alertSchema.index({ user_id: 1, raised_at: -1 });
+
+alertSchema.methods.acknowledge = function() {
+  this.acknowledged = true;
+  this.acknowledged_at = new Date();
+  return this.save();
+};
+
+alertSchema.statics.getSessionHistory = function(sessionId, userId) {
+  return this.find({ session_id: sessionId, user_id: userId })
+    .sort({ raised_at: 1 })
+    .lean();
+};
+
+export default mongoose.model('Alert', alertSchema);
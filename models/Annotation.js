@@ -9,7 +9,7 @@ const annotationSchema = new mongoose.Schema({
     index: true
   },
   session_id: {
-    type: mongoose.Schema.Types.ObjectId,
+    type: String,
     ref: 'Session',
     required: true,
     index: true
@@ -17,7 +17,7 @@ const annotationSchema = new mongoose.Schema({
   material_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Material',
-    required: true
+    default: null
   },
 
   // Location Information
@@ -0,0 +1,93 @@
+// backend/models/Conversation.js
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  },
+  // Rough token count (services/chatService.js estimateTokens), used for history trimming
+  tokens: {
+    type: Number,
+    default: 0
+  },
+  // Assistant reply cut short (client disconnected or provider error mid-stream)
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A chat thread with the study assistant (POST /api/ai/chat). When session_id is
+// set, replies are grounded in that session's document, highlights and metrics.
+const conversationSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: 'New conversation'
+  },
+  session_id: {
+    type: String,
+    ref: 'Session',
+    default: null
+  },
+  material_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    default: null
+  },
+  messages: [messageSchema],
+  message_count: {
+    type: Number,
+    default: 0
+  },
+  last_message_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ user_id: 1, last_message_at: -1 });
+conversationSchema.index({ user_id: 1, session_id: 1 });
+
+conversationSchema.methods.addMessage = function(message) {
+  this.messages.push(message);
+  this.message_count = this.messages.length;
+  this.last_message_at = new Date();
+  return this.messages[this.messages.length - 1];
+};
+
+// List view without the message bodies
+conversationSchema.methods.toSummary = function() {
+  const last = this.messages?.[this.messages.length - 1];
+  return {
+    _id: this._id,
+    title: this.title,
+    session_id: this.session_id,
+    material_id: this.material_id,
+    message_count: this.message_count,
+    last_message_at: this.last_message_at,
+    preview: last ? last.content.slice(0, 160) : null,
+    createdAt: this.createdAt
+  };
+};
+
+export default mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,130 @@
+// backend/models/Flashcard.js
+import mongoose from 'mongoose';
+
+// A review card, made by hand or from a highlight / annotation
+// (services/reviewService.js). Reviews are scheduled with SM-2: the card is
+// due again after interval_days, which grows with ease_factor while the
+// student keeps answering correctly.
+const flashcardSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Where the card came from
+  source: {
+    type: {
+      type: String,
+      enum: ['manual', 'highlight', 'annotation'],
+      default: 'manual'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+  material_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    default: null
+  },
+  session_id: {
+    type: String,
+    ref: 'Session',
+    default: null
+  },
+  page_number: {
+    type: Number,
+    default: null
+  },
+
+  front: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  back: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  generated_by: {
+    type: String,
+    enum: ['manual', 'template', 'ai'],
+    default: 'manual'
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  // SM-2 scheduling state
+  ease_factor: {
+    type: Number,
+    default: 2.5,
+    min: 1.3
+  },
+  interval_days: {
+    type: Number,
+    default: 0
+  },
+  repetitions: {
+    type: Number,
+    default: 0
+  },
+  lapses: {
+    type: Number,
+    default: 0
+  },
+  review_count: {
+    type: Number,
+    default: 0
+  },
+  due_at: {
+    type: Date,
+    default: Date.now
+  },
+  last_reviewed_at: {
+    type: Date,
+    default: null
+  },
+  last_grade: {
+    type: Number,
+    default: null
+  },
+  suspended: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+flashcardSchema.index({ user_id: 1, suspended: 1, due_at: 1 });
+flashcardSchema.index({ user_id: 1, material_id: 1 });
+// One card per highlight / annotation, so generating again does not duplicate
+flashcardSchema.index(
+  { user_id: 1, 'source.type': 1, 'source.id': 1 },
+  { unique: true, partialFilterExpression: { 'source.id': { $type: 'objectId' } } }
+);
+
+// new: never reviewed; learning: fewer than 2 correct reviews in a row; mature: interval of 3 weeks or more
+flashcardSchema.statics.getStage = function(card) {
+  if (card.review_count === 0) return 'new';
+  if (card.interval_days >= 21) return 'mature';
+  if (card.repetitions < 2) return 'learning';
+  return 'young';
+};
+
+flashcardSchema.virtual('stage').get(function() {
+  return this.constructor.getStage(this);
+});
+
+flashcardSchema.set('toJSON', { virtuals: true });
+flashcardSchema.set('toObject', { virtuals: true });
+
+export default mongoose.model('Flashcard', flashcardSchema);
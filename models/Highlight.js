@@ -10,7 +10,7 @@ const highlightSchema = new mongoose.Schema({
     index: true
   },
   session_id: {
-    type: mongoose.Schema.Types.ObjectId,
+    type: String,
     ref: 'Session',
     required: true,
     index: true
@@ -20,6 +20,12 @@ const highlightSchema = new mongoose.Schema({
     ref: 'Room',
     default: null
   },
+  material_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    default: null,
+    index: true
+  },
   
   // Highlight Content
   text: {
@@ -28,6 +34,11 @@ const highlightSchema = new mongoose.Schema({
     trim: true,
     maxlength: 5000
   },
+  surrounding_text: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  },
   
   // Position & Page Info
   page_number: {
@@ -132,6 +143,12 @@ highlightSchema.methods.markReviewed = function() {
   return this.save();
 };
 
+// Instance method to replace the highlight's notes
+highlightSchema.methods.addNote = function(notes) {
+  this.notes = notes;
+  return this.save();
+};
+
 // Static method to get highlights by session
 highlightSchema.statics.getBySession = function(sessionId) {
   return this.find({ session_id: sessionId })
@@ -145,7 +162,7 @@ highlightSchema.statics.getByUserAndDateRange = function(userId, startDate, endD
     user_id: userId,
     created_at: { $gte: startDate, $lte: endDate }
   })
-  .populate('session_id', 'type duration created_at')
+  .populate('session_id', 'start_time end_time duration_seconds')
   .sort({ created_at: -1 })
   .lean();
 };
@@ -157,6 +174,28 @@ highlightSchema.statics.getByCategory = function(userId, category) {
     .lean();
 };
 
+// Static method to get highlights on one page of a session
+highlightSchema.statics.findByPage = function(sessionId, pageNumber) {
+  return this.find({ session_id: sessionId, page_number: pageNumber })
+    .sort({ 'position.y': 1, created_at: 1 })
+    .lean();
+};
+
+// Same as getByCategory, but returns a chainable query (for pagination)
+highlightSchema.statics.findByCategory = function(userId, category) {
+  return this.find({ user_id: userId, category })
+    .sort({ created_at: -1 });
+};
+
+// Static method to count highlights per category for a session
+highlightSchema.statics.getStatsByCategory = function(sessionId) {
+  return this.aggregate([
+    { $match: { session_id: sessionId } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+};
+
 // Static method to search highlights
 highlightSchema.statics.searchHighlights = function(userId, searchTerm) {
   return this.find({
@@ -0,0 +1,95 @@
+// backend/models/Job.js
+import mongoose from 'mongoose';
+
+// A unit of background work (see services/jobQueue.js). Jobs survive restarts
+// and are retried with exponential backoff until max_attempts is reached.
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Same key = same job; enqueueing again returns the existing job
+  idempotency_key: {
+    type: String,
+    default: undefined
+  },
+  // User the job was started for (who may read its status)
+  owner_id: {
+    type: String,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  max_attempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  run_at: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Worker lock; a running job whose lock is older than the lock timeout is picked up again
+  locked_at: {
+    type: Date,
+    default: null
+  },
+  locked_by: {
+    type: String,
+    default: null
+  },
+
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  last_error: {
+    type: String,
+    default: null
+  },
+  completed_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ idempotency_key: 1 }, { unique: true, sparse: true });
+jobSchema.index({ status: 1, run_at: 1 });
+jobSchema.index({ 'payload.sessionId': 1 });
+
+jobSchema.methods.toStatus = function() {
+  return {
+    _id: this._id,
+    type: this.type,
+    status: this.status,
+    attempts: this.attempts,
+    max_attempts: this.max_attempts,
+    run_at: this.run_at,
+    last_error: this.last_error,
+    result: this.result,
+    completed_at: this.completed_at,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+export default mongoose.model('Job', jobSchema);
@@ -0,0 +1,103 @@
+// backend/models/Material.js
+import mongoose from 'mongoose';
+
+// An uploaded study document (PDF). Rooms, routine subjects, sessions,
+// highlights and annotations all point at a Material instead of a file path.
+const materialSchema = new mongoose.Schema({
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  original_name: {
+    type: String,
+    trim: true
+  },
+
+  // Object key in the storage driver (e.g. "pdfs/<uuid>.pdf"), see services/storageService.js
+  storage_key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  mime_type: {
+    type: String,
+    default: 'application/pdf'
+  },
+  size_bytes: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 of the file contents
+  checksum: {
+    type: String,
+    required: true,
+    index: true
+  },
+  page_count: {
+    type: Number,
+    default: null
+  },
+
+  // Text extraction (services/pdfExtractionService.js); pages live in MaterialPage
+  outline: [{
+    _id: false,
+    title: String,
+    page_number: Number,
+    level: Number
+  }],
+  extraction: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed'],
+      default: 'pending'
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    started_at: Date,
+    completed_at: Date
+  },
+
+  // Where this material is used
+  rooms: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  }],
+  routines: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Routine'
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+materialSchema.index({ owner_id: 1, checksum: 1 });
+materialSchema.index({ rooms: 1 });
+materialSchema.index({ routines: 1 });
+
+// Authenticated endpoint that redirects to a short-lived signed download URL
+materialSchema.virtual('url').get(function() {
+  return `/api/materials/${this._id}/download`;
+});
+
+materialSchema.virtual('is_attached').get(function() {
+  return this.rooms.length > 0 || this.routines.length > 0;
+});
+
+materialSchema.methods.isOwnedBy = function(userId) {
+  return this.owner_id.toString() === userId.toString();
+};
+
+export default mongoose.model('Material', materialSchema);
@@ -0,0 +1,73 @@
+// backend/models/MaterialPage.js
+import mongoose from 'mongoose';
+
+// Extracted text of one page of a Material (filled by services/pdfExtractionService.js)
+const materialPageSchema = new mongoose.Schema({
+  material_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    required: true
+  },
+  page_number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  text: {
+    type: String,
+    default: ''
+  },
+  word_count: {
+    type: Number,
+    default: 0
+  },
+  // Lines set in a noticeably larger font than the page body
+  headings: [{
+    type: String,
+    trim: true
+  }],
+
+  // NLP index (nlpService.extractKeywords / identifyTopics)
+  keywords: [{
+    _id: false,
+    term: String,
+    score: Number
+  }],
+  topics: [{
+    type: String,
+    trim: true
+  }]
+}, {
+  timestamps: true
+});
+
+materialPageSchema.index({ material_id: 1, page_number: 1 }, { unique: true });
+materialPageSchema.index({ material_id: 1, 'keywords.term': 1 });
+materialPageSchema.index({ text: 'text', headings: 'text' });
+
+/**
+ * Pages of a material, optionally limited to an inclusive page range
+ */
+materialPageSchema.statics.getRange = function(materialId, from, to) {
+  const query = { material_id: materialId };
+  if (from || to) {
+    query.page_number = {};
+    if (from) query.page_number.$gte = from;
+    if (to) query.page_number.$lte = to;
+  }
+  return this.find(query).sort({ page_number: 1 }).lean();
+};
+
+/**
+ * Concatenated text of a page range, each page prefixed with its number
+ */
+materialPageSchema.statics.getRangeText = async function(materialId, from, to) {
+  const pages = await this.getRange(materialId, from, to);
+  return pages
+    .filter(p => p.text)
+    .map(p => `[Page ${p.page_number}]\n${p.text}`)
+    .join('\n\n');
+};
+
+export default mongoose.model('MaterialPage', materialPageSchema);
@@ -7,7 +7,7 @@ import mongoose from 'mongoose';
 const metricSchema = new mongoose.Schema({
   // References
   session_id: {
-    type: mongoose.Schema.Types.ObjectId,
+    type: String,
     ref: 'Session',
     required: true,
     index: true
@@ -245,7 +245,7 @@ metricSchema.statics.getRecentMetrics = function(sessionId, minutes = 5) {
 
 metricSchema.statics.getEngagementTrend = async function(sessionId, intervalMinutes = 5) {
   return this.aggregate([
-    { $match: { session_id: new mongoose.Types.ObjectId(sessionId) } },
+    { $match: { session_id: sessionId } },
     {
       $group: {
         _id: {
@@ -0,0 +1,177 @@
+// backend/models/Quiz.js
+import mongoose from 'mongoose';
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['multiple_choice', 'short_answer'],
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // multiple_choice: the choices and the index of the right one
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: 300
+  }],
+  correct_option: {
+    type: Number,
+    default: null
+  },
+  // short_answer: the model answer and other answers that also count
+  answer: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  accepted_answers: [{
+    type: String,
+    trim: true,
+    maxlength: 500
+  }],
+  explanation: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  page_number: {
+    type: Number,
+    default: null
+  }
+});
+
+// A generated quiz (services/quizService.js). Students take it through
+// QuizAttempt; a teacher can publish it to one of their rooms.
+const quizSchema = new mongoose.Schema({
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Scores are tracked per subject over time
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'General'
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+
+  source: {
+    type: {
+      type: String,
+      enum: ['material', 'highlights', 'text'],
+      required: true
+    },
+    material_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Material',
+      default: null
+    },
+    session_id: {
+      type: String,
+      ref: 'Session',
+      default: null
+    },
+    page_from: Number,
+    page_to: Number
+  },
+  // ai (LLM), or rules (fill-in-the-blank questions built without an LLM)
+  generated_by: {
+    type: String,
+    enum: ['ai', 'rules'],
+    default: 'ai'
+  },
+
+  questions: [questionSchema],
+
+  // Publishing to a room
+  room_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null,
+    index: true
+  },
+  published_at: {
+    type: Date,
+    default: null
+  },
+  due_at: {
+    type: Date,
+    default: null
+  },
+  // Attempts each student of the room gets (null: unlimited)
+  max_attempts: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Students see the right answers once the teacher releases them or due_at has passed
+  answers_released_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+quizSchema.virtual('max_score').get(function() {
+  return this.questions.reduce((sum, q) => sum + q.points, 0);
+});
+
+quizSchema.methods.areAnswersReleased = function(now = new Date()) {
+  return Boolean(this.answers_released_at || (this.due_at && this.due_at <= now));
+};
+
+/**
+ * The quiz as shown to someone taking it: no correct answers or explanations
+ */
+quizSchema.methods.toStudentView = function() {
+  return {
+    _id: this._id,
+    title: this.title,
+    subject: this.subject,
+    difficulty: this.difficulty,
+    room_id: this.room_id,
+    published_at: this.published_at,
+    due_at: this.due_at,
+    max_attempts: this.max_attempts,
+    answers_released: this.areAnswersReleased(),
+    max_score: this.max_score,
+    questions: this.questions.map(q => ({
+      _id: q._id,
+      type: q.type,
+      prompt: q.prompt,
+      options: q.type === 'multiple_choice' ? q.options : undefined,
+      points: q.points,
+      page_number: q.page_number
+    }))
+  };
+};
+
+quizSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('Quiz', quizSchema);
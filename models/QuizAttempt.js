@@ -0,0 +1,87 @@
+// backend/models/QuizAttempt.js
+import mongoose from 'mongoose';
+
+const answerSchema = new mongoose.Schema({
+  question_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Option index for multiple_choice, text for short_answer; null if skipped
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  correct: {
+    type: Boolean,
+    default: false
+  },
+  points_awarded: {
+    type: Number,
+    default: 0
+  },
+  feedback: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// One graded submission of a Quiz. subject and room_id are copied from the
+// quiz so progress per subject and class results need no join.
+const quizAttemptSchema = new mongoose.Schema({
+  quiz_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+  subject: {
+    type: String,
+    default: 'General'
+  },
+  attempt_number: {
+    type: Number,
+    default: 1
+  },
+
+  answers: [answerSchema],
+  score: {
+    type: Number,
+    default: 0
+  },
+  max_score: {
+    type: Number,
+    default: 0
+  },
+  percentage: {
+    type: Number,
+    default: 0
+  },
+
+  started_at: Date,
+  submitted_at: {
+    type: Date,
+    default: Date.now
+  },
+  duration_seconds: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Unique, so parallel submissions cannot share a number (quizService.submitAttempt)
+quizAttemptSchema.index({ quiz_id: 1, user_id: 1, attempt_number: 1 }, { unique: true });
+quizAttemptSchema.index({ user_id: 1, subject: 1, submitted_at: -1 });
+quizAttemptSchema.index({ room_id: 1, quiz_id: 1 });
+
+export default mongoose.model('QuizAttempt', quizAttemptSchema);
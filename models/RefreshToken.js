@@ -35,7 +35,32 @@ const refreshTokenSchema = new mongoose.Schema({
   
   revoked_at: Date,
   revoked_by_ip: String,
-  replaced_by_token: String
+  replaced_by_token: String,
+
+  // Rotation chain: every token minted from the same login shares a family.
+  // One family == one signed-in device. Tokens saved before families existed
+  // get theirs from backfillFamilies(), never from a default, so the id is stable.
+  family_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Login time of the device session; caps its lifetime (SESSION_MAX_AGE_DAYS)
+  session_started_at: {
+    type: Date,
+    required: true
+  },
+
+  // Device info for the session list
+  user_agent: {
+    type: String,
+    default: 'unknown'
+  },
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  last_used_ip: String
 }, { timestamps: true });
 
 refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
@@ -65,6 +90,78 @@ refreshTokenSchema.statics.revokeAllForUser = async function(userId) {
   );
 };
 
+refreshTokenSchema.statics.revokeFamily = async function(familyId, ipAddress) {
+  return this.updateMany(
+    { family_id: familyId, revoked: false },
+    {
+      revoked: true,
+      revoked_at: Date.now(),
+      revoked_by_ip: ipAddress
+    }
+  );
+};
+
+/**
+ * Whether a device session (the `sid` of an access token) is still signed in
+ */
+refreshTokenSchema.statics.isSessionActive = async function(userId, familyId) {
+  const token = await this.exists({
+    user_id: userId,
+    family_id: familyId,
+    revoked: false,
+    expires_at: { $gt: new Date() }
+  });
+  return !!token;
+};
+
+/**
+ * One-off migration for tokens saved before rotation families: every rotation
+ * chain becomes one family, named after its first token, and starts when that
+ * token was created. A no-op once every token has a family.
+ * @returns {Promise<number>} Tokens updated
+ */
+refreshTokenSchema.statics.backfillFamilies = async function() {
+  const legacy = await this.find({ family_id: { $in: [null, ''] } })
+    .select('token replaced_by_token session_started_at createdAt')
+    .lean();
+  if (legacy.length === 0) return 0;
+
+  const byToken = new Map(legacy.map(t => [t.token, t]));
+  const replaced = new Set(legacy.map(t => t.replaced_by_token).filter(Boolean));
+  const updates = [];
+
+  legacy
+    .filter(t => !replaced.has(t.token))
+    .forEach(root => {
+      const familyId = root._id.toString();
+      const startedAt = root.session_started_at || root.createdAt || new Date();
+      for (let t = root; t; t = byToken.get(t.replaced_by_token)) {
+        updates.push({
+          updateOne: {
+            filter: { _id: t._id },
+            update: { $set: { family_id: familyId, session_started_at: startedAt } }
+          }
+        });
+      }
+    });
+
+  if (updates.length) await this.bulkWrite(updates, { ordered: false });
+  return updates.length;
+};
+
+/**
+ * Active device sessions for a user: the live (unrevoked, unexpired) token of each family
+ */
+refreshTokenSchema.statics.getActiveSessions = function(userId) {
+  return this.find({
+    user_id: userId,
+    revoked: false,
+    expires_at: { $gt: new Date() }
+  })
+    .sort({ last_used_at: -1 })
+    .select('family_id user_agent created_by_ip last_used_ip last_used_at session_started_at expires_at');
+};
+
 refreshTokenSchema.statics.cleanupExpired = async function() {
   return this.deleteMany({ 
     expires_at: { $lt: Date.now() } 
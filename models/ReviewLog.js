@@ -0,0 +1,46 @@
+// backend/models/ReviewLog.js
+import mongoose from 'mongoose';
+
+// One graded review of a Flashcard, with the schedule before and after.
+// Source of review history and retention stats.
+const reviewLogSchema = new mongoose.Schema({
+  card_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flashcard',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SM-2 grade: 0-2 forgotten, 3 hard, 4 good, 5 easy
+  grade: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 5
+  },
+  reviewed_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Time spent answering
+  duration_ms: {
+    type: Number,
+    default: null
+  },
+
+  // Interval the card had when it was reviewed; >= 21 days counts as a mature card
+  previous_interval_days: Number,
+  interval_days: Number,
+  ease_factor: Number,
+  due_at: Date
+}, {
+  timestamps: false
+});
+
+reviewLogSchema.index({ card_id: 1, reviewed_at: -1 });
+reviewLogSchema.index({ user_id: 1, reviewed_at: -1 });
+
+export default mongoose.model('ReviewLog', reviewLogSchema);
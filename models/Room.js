@@ -51,6 +51,13 @@ const roomSchema = new mongoose.Schema({
   start_time: { type: Date },
   end_time: { type: Date },
 
+  material_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    default: null
+  },
+
+  // Mirrors of the current material, kept for existing clients
   pdf_path: { 
     type: String,
     default: null
@@ -75,7 +82,9 @@ const roomSchema = new mongoose.Schema({
     allow_student_pdfs: { type: Boolean, default: true },
     require_webcam: { type: Boolean, default: true },
     auto_end_sessions: { type: Boolean, default: false },
-    session_timeout: { type: Number, default: 120 }
+    session_timeout: { type: Number, default: 120 },
+    // Students see the weekly leaderboard only once the teacher turns it on
+    leaderboard_enabled: { type: Boolean, default: false }
   }
 }, { 
   timestamps: true,
@@ -94,7 +103,7 @@ roomSchema.virtual('student_count').get(function() {
 });
 
 roomSchema.virtual('has_pdf').get(function() {
-  return !!this.pdf_path;
+  return !!(this.material_id || this.pdf_path);
 });
 
 // ======================== METHODS ========================
@@ -144,7 +153,13 @@ roomSchema.methods.setPdf = function(filePath, fileName) {
   this.pdf_uploaded_at = Date.now();
 };
 
+roomSchema.methods.setMaterial = function(material) {
+  this.material_id = material._id;
+  this.setPdf(material.url, material.original_name || material.title);
+};
+
 roomSchema.methods.removePdf = function() {
+  this.material_id = null;
   this.pdf_path = null;
   this.pdf_name = null;
   this.pdf_uploaded_at = null;
@@ -0,0 +1,51 @@
+// backend/models/RoomLeaderboard.js
+import mongoose from 'mongoose';
+
+const entrySchema = new mongoose.Schema({
+  student_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessions: { type: Number, default: 0 },
+  study_minutes: { type: Number, default: 0 },
+  focused_minutes: { type: Number, default: 0 },
+  avg_engagement: { type: Number, default: null },
+  current_streak: { type: Number, default: 0 }
+}, { _id: false });
+
+// Cached weekly standings of a room (services/leaderboardService.js). Raw
+// numbers only: privacy settings and ranks are applied when it is read, so a
+// student hiding themselves takes effect at once.
+const roomLeaderboardSchema = new mongoose.Schema({
+  room_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  // YYYY-MM-DD of the Sunday the week starts on, in `timezone`
+  week_start: {
+    type: String,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  entries: [entrySchema],
+  computed_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once computed after the week ended; never recomputed after that
+  is_final: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+roomLeaderboardSchema.index({ room_id: 1, week_start: 1 }, { unique: true });
+
+export default mongoose.model('RoomLeaderboard', roomLeaderboardSchema);
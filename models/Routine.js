@@ -2,6 +2,7 @@
 // ✅ UPDATED: Added pdf_path and has_pdf to the subjectSchema
 
 import mongoose from 'mongoose';
+import { getLocalParts } from '../utils/timezone.js';
 
 // -----------------------------------------------------------
 // SUB-SCHEMA: Subject tracking within a routine
@@ -26,6 +27,11 @@ const subjectSchema = new mongoose.Schema({
     type: Date,
   },
   // ✅ NEW: Fields to track the PDF for each subject
+  material_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    default: null,
+  },
   pdf_path: {
     type: String,
     default: null,
@@ -122,7 +128,8 @@ const routineSchema = new mongoose.Schema({
   // Status
   status: {
     type: String,
-    enum: ['active', 'completed', 'paused', 'cancelled'],
+    // draft = imported from a calendar file, not scheduled until activated
+    enum: ['draft', 'active', 'completed', 'paused', 'cancelled'],
     default: 'active',
   },
   is_active: {
@@ -184,6 +191,12 @@ const routineSchema = new mongoose.Schema({
     type: String, // Format: "HH:MM"
   },
 
+  // UID of the calendar event this routine was imported from (prevents duplicate imports)
+  external_uid: {
+    type: String,
+    default: null,
+  },
+
   // Notes
   notes: {
     type: String,
@@ -206,6 +219,7 @@ const routineSchema = new mongoose.Schema({
 // INDEXES
 routineSchema.index({ student_id: 1, status: 1 });
 routineSchema.index({ student_id: 1, start_date: 1 });
+routineSchema.index({ student_id: 1, external_uid: 1 });
 
 // INSTANCE METHODS
 
@@ -228,6 +242,27 @@ routineSchema.methods.updateSubjectHours = function(subjectName, hoursToAdd) {
   }
 };
 
+/**
+ * Replace subject hours and session counts with totals rebuilt from the
+ * RoutineCredit ledger (RoutineCredit.getSubjectTotals)
+ */
+routineSchema.methods.applyCreditTotals = function(subjectTotals, totalSessions) {
+  const bySubject = new Map(subjectTotals.map(t => [t._id.toString(), t]));
+  const creditedSessions = new Set();
+
+  this.subjects.forEach(subject => {
+    const totals = bySubject.get(subject._id.toString());
+    subject.actual_hours = totals ? Math.round((totals.seconds / 3600) * 100) / 100 : 0;
+    subject.last_studied = totals?.last_studied;
+    totals?.sessions.forEach(id => creditedSessions.add(id));
+  });
+
+  this.total_study_hours = Math.round(this.subjects.reduce((sum, s) => sum + s.actual_hours, 0) * 100) / 100;
+  this.total_sessions = totalSessions;
+  this.completed_sessions = creditedSessions.size;
+  this.calculateProgress();
+};
+
 routineSchema.methods.addSubject = function(name, targetHours) {
   if (this.subjects.find(s => s.name === name)) {
     throw new Error('Subject already exists');
@@ -266,9 +301,15 @@ routineSchema.statics.getActiveRoutines = function(studentId) {
   return this.find({ student_id: studentId, status: 'active', is_active: true, end_date: { $gte: new Date() } });
 };
 
-routineSchema.statics.getTodayRoutines = function(studentId) {
-  const today = new Date().toLocaleDateString('en-US', { weekday: 'lowercase' });
-  return this.find({ student_id: studentId, status: 'active', days_of_week: today, end_date: { $gte: new Date() } });
+// Weekday-based routines scheduled today in the given timezone; see services/scheduleService.js for full expansion
+routineSchema.statics.getTodayRoutines = function(studentId, timeZone = 'UTC') {
+  const today = getLocalParts(new Date(), timeZone).weekday;
+  return this.find({
+    student_id: studentId,
+    status: 'active',
+    end_date: { $gte: new Date() },
+    $or: [{ type: 'daily' }, { days_of_week: today }]
+  });
 };
 
 // MIDDLEWARE (Hooks)
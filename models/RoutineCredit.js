@@ -0,0 +1,96 @@
+// backend/models/RoutineCredit.js
+import mongoose from 'mongoose';
+
+// Per-day ledger of study time credited from a session to a routine subject.
+// Routine / subject hours are always rebuilt from this ledger
+// (services/routineCreditService.js), so changing or deleting a session
+// reverses its credit exactly.
+const routineCreditSchema = new mongoose.Schema({
+  routine_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Routine',
+    required: true
+  },
+  // _id of the subject inside Routine.subjects
+  subject_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  student_id: {
+    type: String,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  session_id: {
+    type: String,
+    ref: 'Session',
+    required: true,
+    index: true
+  },
+
+  // Study day (YYYY-MM-DD) in the student's timezone
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  seconds: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // End of the last credited interval on that day
+  studied_at: {
+    type: Date,
+    required: true
+  },
+  // 'metrics' = measured present time, 'duration' = session length minus breaks (no presence data)
+  source: {
+    type: String,
+    enum: ['metrics', 'duration'],
+    default: 'metrics'
+  }
+}, {
+  timestamps: true
+});
+
+routineCreditSchema.index({ session_id: 1, date: 1 }, { unique: true });
+routineCreditSchema.index({ routine_id: 1, subject_id: 1, date: 1 });
+
+/**
+ * Credited seconds, sessions and last study time per subject of a routine
+ */
+routineCreditSchema.statics.getSubjectTotals = function(routineId) {
+  return this.aggregate([
+    { $match: { routine_id: new mongoose.Types.ObjectId(routineId) } },
+    {
+      $group: {
+        _id: '$subject_id',
+        seconds: { $sum: '$seconds' },
+        sessions: { $addToSet: '$session_id' },
+        last_studied: { $max: '$studied_at' }
+      }
+    }
+  ]);
+};
+
+/**
+ * Daily totals for a routine, optionally limited to an inclusive date range
+ */
+routineCreditSchema.statics.getDailyTotals = function(routineId, from, to) {
+  const match = { routine_id: new mongoose.Types.ObjectId(routineId) };
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = from;
+    if (to) match.date.$lte = to;
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $group: { _id: { date: '$date', subject_id: '$subject_id' }, seconds: { $sum: '$seconds' } } },
+    { $sort: { '_id.date': 1 } }
+  ]);
+};
+
+export default mongoose.model('RoutineCredit', routineCreditSchema);
@@ -0,0 +1,71 @@
+// backend/models/RoutineReminder.js
+import mongoose from 'mongoose';
+
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['socket', 'email'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sent_at: Date
+}, { _id: false });
+
+// One reminder per routine slot (services/reminderService.js). The unique
+// (routine_id, occurrence_start) index is what keeps a reminder from being sent
+// twice, across restarts and server instances.
+const routineReminderSchema = new mongoose.Schema({
+  routine_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Routine',
+    required: true
+  },
+  student_id: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+
+  occurrence_start: {
+    type: Date,
+    required: true
+  },
+  occurrence_end: Date,
+  scheduled_for: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'skipped', 'failed'],
+    default: 'pending'
+  },
+  // Why nothing was sent: quiet_hours, notifications_disabled, category_disabled
+  skip_reason: {
+    type: String,
+    default: null
+  },
+  deliveries: [deliverySchema]
+}, {
+  timestamps: true
+});
+
+routineReminderSchema.index({ routine_id: 1, occurrence_start: 1 }, { unique: true });
+routineReminderSchema.index({ student_id: 1, scheduled_for: -1 });
+// Reminder history is kept for 90 days
+routineReminderSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('RoutineReminder', routineReminderSchema);
@@ -43,6 +43,24 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     ref: 'Room',
   },
+  material_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    default: null,
+    index: true,
+  },
+  // Routine subject this session studies; its present time is credited there on end
+  routine_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Routine',
+    default: null,
+    index: true,
+  },
+  subject_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Filled from the material when material_id is given
   document_id: { 
     type: String, 
     required: [true, 'Document ID is required'],
@@ -76,10 +94,20 @@ const sessionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {},
   },
+  // Set by the session.finalize_metrics job (services/jobHandlers.js)
+  metrics_finalized_at: {
+    type: Date,
+    default: null,
+  },
   ai_summary: {
     type: String,
     default: '',
   },
+  // Cached result of services/insightsService.js (GET /api/ai/insights/:sessionId)
+  ai_insights: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -89,11 +117,14 @@ const sessionSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// Analytics: a student's completed sessions by start (services/analyticsService.js)
+sessionSchema.index({ student_id: 1, is_active: 1, start_time: -1 });
+
 sessionSchema.methods.addInteraction = function(type, data) {
   this.interactions.push({
     type,
     data,
-    timestamp: data.timestamp || new Date(),
+    timestamp: data?.timestamp || new Date(),
   });
 };
 
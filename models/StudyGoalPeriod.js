@@ -0,0 +1,90 @@
+// backend/models/StudyGoalPeriod.js
+import mongoose from 'mongoose';
+
+const summaryDeliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['socket', 'email'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sent_at: Date
+}, { _id: false });
+
+// A user's study goal for one local day or week (services/goalService.js).
+// The goal is copied in while the period is running, so history keeps the goal
+// that applied at the time. The unique index is what keeps the goal-reached
+// push and the daily summary from being sent twice.
+const studyGoalPeriodSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+  // YYYY-MM-DD of the day, or of the Sunday the week starts on, in `timezone`
+  period_start: {
+    type: String,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  goal_minutes: {
+    type: Number,
+    required: true
+  },
+  // Minutes studied when last measured
+  studied_minutes: {
+    type: Number,
+    default: 0
+  },
+
+  reached_at: {
+    type: Date,
+    default: null
+  },
+  // Session during which the goal was reached
+  reached_session_id: {
+    type: String,
+    ref: 'Session',
+    default: null
+  },
+
+  // End-of-day summary (daily periods only). `deferred` is retried once quiet
+  // hours are over, `failed` means no channel reached the student.
+  summary_status: {
+    type: String,
+    enum: ['sent', 'skipped', 'deferred', 'failed', null],
+    default: null
+  },
+  // Why it was skipped (notifications_disabled, category_disabled) or deferred (quiet_hours)
+  summary_skip_reason: {
+    type: String,
+    default: null
+  },
+  summary_deliveries: [summaryDeliverySchema],
+  summary_sent_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+studyGoalPeriodSchema.index({ user_id: 1, period: 1, period_start: 1 }, { unique: true });
+
+export default mongoose.model('StudyGoalPeriod', studyGoalPeriodSchema);
@@ -82,6 +82,7 @@ userSchema.methods.getPublicProfile = function() {
     email: this.email,
     name: this.name,
     role: this.role,
+    is_verified: this.is_verified,
     createdAt: this.createdAt,
     lastLogin: this.lastLogin,
   };
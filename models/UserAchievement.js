@@ -0,0 +1,65 @@
+// backend/models/UserAchievement.js
+import mongoose from 'mongoose';
+
+const unlockSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['bronze', 'silver', 'gold'],
+    required: true
+  },
+  threshold: Number,
+  // Value of the stat when the tier was reached
+  value: Number,
+  unlocked_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Session whose end unlocked it
+  session_id: {
+    type: String,
+    ref: 'Session',
+    default: null
+  }
+}, { _id: false });
+
+// A user's progress on one achievement of the catalog
+// (utils/achievementCalculator.js). Tiers are only ever added, so each unlock
+// keeps the date it really happened.
+const userAchievementSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  achievement_id: {
+    type: String,
+    required: true
+  },
+  // Highest tier reached (index into the catalog tiers), -1 for none yet
+  tier: {
+    type: Number,
+    default: -1
+  },
+  level: {
+    type: String,
+    enum: ['bronze', 'silver', 'gold', null],
+    default: null
+  },
+  // Stat value at the last evaluation
+  value: {
+    type: Number,
+    default: 0
+  },
+  unlocks: [unlockSchema],
+  evaluated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+userAchievementSchema.index({ user_id: 1, achievement_id: 1 }, { unique: true });
+userAchievementSchema.index({ user_id: 1, 'unlocks.unlocked_at': -1 });
+
+export default mongoose.model('UserAchievement', userAchievementSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { getLocalParts } from '../utils/timezone.js';
 
 const userPreferencesSchema = new mongoose.Schema({
   // User Reference
@@ -149,6 +150,20 @@ const userPreferencesSchema = new mongoose.Schema({
       default: 600, // minutes
       min: 60,
       max: 3000
+    },
+
+    // Streaks (utils/streakEngine.js)
+    streak_min_minutes: {
+      type: Number,
+      default: 10, // minutes of study for a day to count
+      min: 1,
+      max: 240
+    },
+    streak_freezes_per_week: {
+      type: Number,
+      default: 0, // missed days per week that keep the streak
+      min: 0,
+      max: 3
     }
   },
 
@@ -244,6 +259,15 @@ const userPreferencesSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Reminders before scheduled routine slots (services/reminderService.js)
+    routine_reminders: {
+      type: Boolean,
+      default: true
+    },
+    email_reminders: {
+      type: Boolean,
+      default: true
+    },
     
     // Notification timing
     quiet_hours: {
@@ -280,6 +304,18 @@ const userPreferencesSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Room leaderboards: shown by name, under a pseudonym, or left out
+    leaderboard_visibility: {
+      type: String,
+      enum: ['visible', 'pseudonym', 'hidden'],
+      default: 'visible'
+    },
+    leaderboard_pseudonym: {
+      type: String,
+      trim: true,
+      maxlength: 30,
+      default: null
+    },
     export_data_enabled: {
       type: Boolean,
       default: true
@@ -411,11 +447,11 @@ userPreferencesSchema.methods.removeHighlightColor = function(color) {
   return this.save();
 };
 
-userPreferencesSchema.methods.isQuietHours = function() {
+// Quiet hours are evaluated in the user's own timezone, not the server's
+userPreferencesSchema.methods.isQuietHours = function(at = new Date()) {
   if (!this.notifications.quiet_hours.enabled) return false;
   
-  const now = new Date();
-  const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+  const currentTime = getLocalParts(at, this.localization?.timezone).time;
   
   const start = this.notifications.quiet_hours.start_time;
   const end = this.notifications.quiet_hours.end_time;
@@ -427,8 +463,8 @@ userPreferencesSchema.methods.isQuietHours = function() {
   }
 };
 
-userPreferencesSchema.methods.shouldShowNotification = function(type) {
-  if (!this.notifications.enabled || this.isQuietHours()) {
+userPreferencesSchema.methods.shouldShowNotification = function(type, at = new Date()) {
+  if (!this.notifications.enabled || this.isQuietHours(at)) {
     return false;
   }
   
@@ -438,7 +474,8 @@ userPreferencesSchema.methods.shouldShowNotification = function(type) {
     'eye_strain': this.notifications.eye_strain_warnings,
     'distraction': this.notifications.distraction_alerts,
     'achievement': this.notifications.achievement_notifications,
-    'summary': this.notifications.daily_summary
+    'summary': this.notifications.daily_summary,
+    'routine_reminder': this.notifications.routine_reminders
   };
   
   return notificationMap[type] !== false;
@@ -0,0 +1,121 @@
+// backend/models/UserToken.js
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// One-time tokens sent to the user by email (password reset, email verification),
+// plus the long-lived secret in the user's calendar feed URL.
+// Only a SHA-256 hash of the token is stored; the raw value lives in the email / URL.
+const userTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification', 'calendar_feed'],
+    required: true
+  },
+
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  expires_at: {
+    type: Date,
+    required: true
+  },
+
+  used_at: {
+    type: Date,
+    default: null
+  },
+
+  created_by_ip: String
+}, { timestamps: true });
+
+userTokenSchema.index({ user_id: 1, purpose: 1, used_at: 1 });
+// Keep used/expired tokens around for a day for auditing, then let Mongo drop them
+userTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+userTokenSchema.virtual('isExpired').get(function() {
+  return Date.now() >= this.expires_at;
+});
+
+/**
+ * How many tokens of this purpose were issued to the user since `since`
+ * (used to rate-limit emails)
+ */
+userTokenSchema.statics.countIssuedSince = function(userId, purpose, since) {
+  return this.countDocuments({ user_id: userId, purpose, createdAt: { $gte: since } });
+};
+
+userTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Issue a new token, invalidating any unused token with the same purpose.
+ * @returns {Promise<{ token: string, doc: object }>} Raw token (to email) and stored document
+ */
+userTokenSchema.statics.issue = async function(userId, purpose, ttlMs, ip) {
+  await this.updateMany(
+    { user_id: userId, purpose, used_at: null },
+    { used_at: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const doc = await this.create({
+    user_id: userId,
+    purpose,
+    token_hash: this.hashToken(token),
+    expires_at: new Date(Date.now() + ttlMs),
+    created_by_ip: ip || 'unknown'
+  });
+
+  return { token, doc };
+};
+
+/**
+ * Atomically mark a valid token as used.
+ * @returns {Promise<object|null>} The consumed token, or null if invalid/expired/already used
+ */
+userTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      token_hash: this.hashToken(token),
+      purpose,
+      used_at: null,
+      expires_at: { $gt: new Date() }
+    },
+    { used_at: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Look up a valid reusable token (e.g. calendar_feed) without consuming it
+ * @returns {Promise<object|null>}
+ */
+userTokenSchema.statics.findValid = function(token, purpose) {
+  return this.findOne({
+    token_hash: this.hashToken(token),
+    purpose,
+    used_at: null,
+    expires_at: { $gt: new Date() }
+  });
+};
+
+/**
+ * Invalidate every unused token of a purpose for a user
+ */
+userTokenSchema.statics.revokeAll = function(userId, purpose) {
+  return this.updateMany({ user_id: userId, purpose, used_at: null }, { used_at: new Date() });
+};
+
+export default mongoose.model('UserToken', userTokenSchema);
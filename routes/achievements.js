@@ -0,0 +1,50 @@
+// FILE PATH: backend/routes/achievements.js
+// Achievements: tiers reached, progress toward the next tier and unlock history
+
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import achievementService from '../services/achievementService.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/achievements
+ * @desc    Every achievement with the tier reached and progress toward the next one
+ * @access  Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const data = await achievementService.getAchievements(req.user._id);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Error fetching achievements:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/achievements/history?limit
+ * @desc    Unlocked tiers, most recent first
+ * @access  Private
+ */
+router.get('/history', [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const history = await achievementService.getUnlockHistory(req.user._id, { limit: req.query.limit || 50 });
+    res.json({ success: true, count: history.length, data: history });
+  } catch (error) {
+    console.error('❌ Error fetching achievement history:', error);
+    next(error);
+  }
+});
+
+export default router;
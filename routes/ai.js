@@ -5,11 +5,44 @@
 import express from 'express';
 import Session from '../models/Session.js';
 import aiService from '../services/aiService.js'; // ⭐️ Use the previously defined AIService
+import materialService from '../services/materialService.js';
+import chatService from '../services/chatService.js';
+import { FEATURES } from '../services/llmGateway.js';
+import { enqueueSessionJob, JOB_TYPES } from '../services/jobHandlers.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { body, validationResult } from 'express-validator';
+import { requireSessionAccess } from '../middleware/sessionAccess.js';
+import { body, query, param, validationResult } from 'express-validator';
 
 const router = express.Router();
 
+// Validators shared by the endpoints that can read an uploaded material instead of pasted text
+const materialSourceValidators = [
+  body('materialId').optional().isMongoId().withMessage('materialId must be a valid id'),
+  body('pageFrom').optional().isInt({ min: 1 }),
+  body('pageTo').optional().isInt({ min: 1 }),
+];
+
+/**
+ * Resolve the text to work on: the extracted pages of `materialId` when given,
+ * otherwise the pasted `text`
+ */
+const resolveSourceText = async (req) => {
+  const { materialId, text } = req.body;
+  if (!materialId) return { text, source: null };
+
+  const range = materialService.parsePageRange(req.body);
+  const result = await materialService.getMaterialText(materialId, req.user, range);
+  return {
+    text: result.text,
+    source: {
+      material_id: result.material._id,
+      title: result.material.title,
+      page_from: range.from || 1,
+      page_to: range.to || result.material.page_count,
+    },
+  };
+};
+
 // =========================================================
 // 1. CHAT/STUDY ASSISTANT
 // =========================================================
@@ -17,44 +50,141 @@ router.post(
   '/chat',
   authenticateToken,
   [
-    body('prompt').trim().notEmpty().withMessage('Prompt is required'),
-    body('history').optional().isArray(),
-    body('sessionId').optional().notEmpty(),
+    // `prompt` is the field name used before conversations were stored
+    body('message').if(body('prompt').not().exists()).trim().notEmpty().withMessage('Message is required'),
+    body(['message', 'prompt']).optional().trim().isLength({ max: chatService.MAX_MESSAGE_LENGTH })
+      .withMessage(`Message must be at most ${chatService.MAX_MESSAGE_LENGTH} characters`),
+    body('conversationId').optional().isMongoId().withMessage('conversationId must be a valid id'),
+    body('sessionId').optional().isString().notEmpty(),
+    body('stream').optional().isBoolean(),
   ],
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-      const { prompt, history, sessionId } = req.body;
-      
-      // ⭐️ Placeholder for actual chat implementation in AIService
-      // The AIService implementation would handle the LLM call, context, and history management.
-      const chatResponse = {
-        response: `Hello ${req.user.name}. Your prompt: "${prompt}" has been received. This feature requires a dedicated AI chat implementation in aiService.`,
-        suggested_followups: ["Summarize my last session", "Generate flashcards from my notes"],
-      };
-      
-      // In a real implementation:
-      // const chatResponse = await aiService.processChat({ prompt, history, userId: req.user._id, sessionId });
+      const { conversationId, sessionId } = req.body;
+      const message = req.body.message ?? req.body.prompt;
+      const prepared = await chatService.prepareChat({ user: req.user, message, conversationId, sessionId });
 
-      res.json(chatResponse);
+      const stream = req.body.stream === true || req.body.stream === 'true' || req.accepts(['json', 'text/event-stream']) === 'text/event-stream';
+      if (!stream) {
+        const { message: reply, usage } = await chatService.reply(prepared);
+        return res.json({
+          conversation_id: prepared.conversation._id,
+          message_id: reply._id,
+          response: reply.content,
+          grounding: prepared.grounding,
+          usage,
+        });
+      }
+
+      // Server-sent events: start, delta (repeated), then done or error
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      // Stop generating when the client goes away
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
+
+      send('start', { conversation_id: prepared.conversation._id, grounding: prepared.grounding });
+      try {
+        const { message: reply } = await chatService.streamReply(
+          prepared,
+          (delta) => send('delta', { content: delta }),
+          { signal: controller.signal }
+        );
+        send('done', { conversation_id: prepared.conversation._id, message_id: reply._id, truncated: false });
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Chat stream error:', error);
+        send('error', { message: 'AI chat failed', error: error.message });
+      }
+      res.end();
     } catch (error) {
+      if (error.statusCode) return next(error);
       console.error('Chat error:', error);
       res.status(500).json({ message: 'AI chat failed', error: error.message });
     }
   }
 );
 
+// List the user's conversations (optionally those of one session)
+router.get(
+  '/conversations',
+  authenticateToken,
+  [
+    query('sessionId').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('skip').optional().isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+      const { sessionId, limit, skip } = req.query;
+      const result = await chatService.listConversations(req.user, { sessionId, limit, skip });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// One conversation with all its messages
+router.get(
+  '/conversations/:id',
+  authenticateToken,
+  [param('id').isMongoId().withMessage('Invalid conversation id')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+      const conversation = await chatService.getConversation(req.params.id, req.user);
+      res.json(conversation);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/conversations/:id',
+  authenticateToken,
+  [param('id').isMongoId().withMessage('Invalid conversation id')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+      await chatService.deleteConversation(req.params.id, req.user);
+      res.json({ message: 'Conversation deleted' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 
 // =========================================================
-// 2. SUMMARIZE TEXT (Student notes, highlighted content)
+// 2. SUMMARIZE TEXT (Student notes, highlighted content, or material pages)
 // =========================================================
 router.post(
   '/summarize',
   authenticateToken,
   [
-    body('text').trim().isLength({ min: 50 }).withMessage('Text must be at least 50 characters for summarization'),
+    ...materialSourceValidators,
+    body('text').if(body('materialId').not().exists()).trim().isLength({ min: 50 }).withMessage('Text must be at least 50 characters for summarization'),
     body('summaryType').optional().isIn(['brief', 'detailed', 'bullet', 'executive']),
   ],
   async (req, res, next) => {
@@ -62,11 +192,13 @@ router.post(
       const errors = validationResult(req);
       if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-      const { text, summaryType } = req.body;
-      const summaryResult = await aiService.generateSummary(text, summaryType);
+      const { summaryType } = req.body;
+      const { text, source } = await resolveSourceText(req);
+      const summaryResult = await aiService.generateSummary(text, { summaryType, feature: FEATURES.SUMMARY });
       
-      res.json(summaryResult);
+      res.json(source ? { ...summaryResult, source } : summaryResult);
     } catch (error) {
+      if (error.statusCode) return next(error);
       console.error('Summarization error:', error);
       res.status(500).json({ message: 'Failed to generate summary', error: error.message });
     }
@@ -75,26 +207,31 @@ router.post(
 
 
 // =========================================================
-// 3. GENERATE STUDY QUESTIONS
+// 3. GENERATE STUDY QUESTIONS (pasted text or material pages)
 // =========================================================
 router.post(
   '/questions',
   authenticateToken,
   [
-    body('text').trim().isLength({ min: 100 }).withMessage('Text must be at least 100 characters to generate questions'),
+    ...materialSourceValidators,
+    body('text').if(body('materialId').not().exists()).trim().isLength({ min: 100 }).withMessage('Text must be at least 100 characters to generate questions'),
     body('count').optional().isInt({ min: 1, max: 20 }),
     body('difficulty').optional().isIn(['easy', 'medium', 'hard']),
+    body('types').optional().isArray({ min: 1 }),
+    body('types.*').isIn(['multiple_choice', 'short_answer']),
   ],
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-      const { text, count, difficulty } = req.body;
-      const questions = await aiService.generateQuestions(text, difficulty, count);
+      const { count, difficulty, types } = req.body;
+      const { text, source } = await resolveSourceText(req);
+      const { questions, generated_by } = await aiService.generateQuestions(text, difficulty, count && parseInt(count), types);
       
-      res.json({ questions });
+      res.json(source ? { questions, generated_by, source } : { questions, generated_by });
     } catch (error) {
+      if (error.statusCode) return next(error);
       console.error('Question generation error:', error);
       res.status(500).json({ message: 'Failed to generate questions', error: error.message });
     }
@@ -121,18 +258,27 @@ router.get(
         return res.status(403).json({ message: 'Access denied to this session' });
       }
 
-      // The recommendations are generated by aiService.runPostSessionAnalysis 
-      // and stored on the Session model (ai_recommendations)
-      if (!session.ai_recommendations) {
-        // If not found, you can optionally kick off the analysis again (non-blocking)
-        aiService.runPostSessionAnalysis(session._id).catch(err => console.error("Re-run analysis failed:", err));
-        return res.status(202).json({ 
-            message: 'Recommendations are still being generated. Please try again shortly.',
-            status: 'processing'
-        });
+      // The session.ai_summary job (aiService.runPostSessionAnalysis) stores them in ai_summary
+      if (session.ai_summary) {
+        return res.json({ status: 'completed', summary: session.ai_summary });
       }
 
-      res.json(session.ai_recommendations);
+      // Returns the job queued at session end (idempotency key), or queues it now
+      const job = session.is_active ? null : await enqueueSessionJob(JOB_TYPES.SESSION_AI_SUMMARY, session);
+      if (job?.status === 'completed') {
+        // It may have finished after the session was read, or without a summary (AI disabled)
+        const latest = await Session.findById(session._id).select('ai_summary').lean();
+        return res.json({ status: 'completed', summary: latest?.ai_summary || null, reason: job.result?.reason || null });
+      }
+      if (job?.status === 'failed') {
+        return res.status(500).json({ message: 'Recommendations could not be generated', status: 'failed', job_id: job._id });
+      }
+
+      res.status(202).json({
+        message: 'Recommendations are still being generated. Please try again shortly.',
+        status: job ? job.status : 'processing',
+        job_id: job?._id
+      });
 
     } catch (error) {
       console.error('Get recommendations error:', error);
@@ -143,30 +289,23 @@ router.get(
 
 
 // =========================================================
-// 5. GET SESSION INSIGHTS (using Claude for deeper analysis)
+// 5. GET SESSION INSIGHTS (LLM, or rule-based when no provider is configured)
 // =========================================================
 router.get(
   '/insights/:sessionId',
   authenticateToken,
+  requireSessionAccess({ allowTeacher: true }),
   async (req, res, next) => {
     try {
-      const session = await Session.findById(req.params.sessionId);
-      if (!session) return res.status(404).json({ message: 'Session not found' });
+      const session = req.studySession;
 
-      // Permission check (student owns it or user is teacher)
-      if (
-        req.user.role === 'student' && 
-        session.student_id.toString() !== req.user._id.toString()
-      ) {
-        return res.status(403).json({ message: 'Access denied to this session' });
+      if (session.is_active) {
+          return res.status(400).json({ message: 'Insights are available once the session has ended.' });
       }
-      
-      // Get the final metrics which are needed for insights
-      if (!session.metrics || !session.metrics.duration_seconds) {
-          return res.status(400).json({ message: 'Session metrics not yet calculated. End the session completely.' });
-      }
-      
-      const insights = await aiService.generateSessionInsights(session.metrics);
+
+      // Cached on the session; ?refresh=true regenerates them, for the session's student only
+      const refresh = req.query.refresh === 'true' && session.student_id === req.user._id.toString();
+      const insights = await aiService.generateSessionInsights(session, { refresh });
 
       res.json(insights);
 
@@ -0,0 +1,88 @@
+// FILE PATH: backend/routes/alerts.js
+// Alert history raised by the real-time alert engine (services/alertService.js)
+
+import express from 'express';
+import Alert from '../models/Alert.js';
+import Session from '../models/Session.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/alerts
+ * @desc    Recent alerts for the current student across sessions
+ * @access  Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { limit = 50, type } = req.query;
+    const query = { user_id: req.user._id };
+    if (type) query.type = type;
+
+    const alerts = await Alert.find(query)
+      .sort({ raised_at: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .lean();
+
+    res.json({ success: true, count: alerts.length, data: alerts });
+  } catch (error) {
+    console.error('❌ Error fetching alerts:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/alerts/session/:sessionId
+ * @desc    Alert history for one session, with per-type counts
+ * @access  Private (session owner)
+ */
+router.get('/session/:sessionId', async (req, res, next) => {
+  try {
+    const session = await Session.findById(req.params.sessionId).select('student_id');
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    if (session.student_id.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const alerts = await Alert.getSessionHistory(session._id, req.user._id);
+    const byType = alerts.reduce((acc, a) => {
+      acc[a.type] = (acc[a.type] || 0) + 1;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      data: { by_type: byType, alerts }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching session alerts:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   PATCH /api/alerts/:id/acknowledge
+ * @desc    Mark an alert as acknowledged by the student
+ * @access  Private (alert owner)
+ */
+router.patch('/:id/acknowledge', async (req, res, next) => {
+  try {
+    const alert = await Alert.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    await alert.acknowledge();
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    console.error('❌ Error acknowledging alert:', error);
+    next(error);
+  }
+});
+
+export default router;
@@ -1,24 +1,22 @@
 import express from 'express';
-import mongoose from 'mongoose';
 import Annotation from '../models/Annotation.js';
-import Session from '../models/Session.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireSessionAccess, ownsAllSessions, getSessionMaterials } from '../middleware/sessionAccess.js';
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
-router.use(authMiddleware);
+router.use(authenticateToken);
 
 /**
  * @route   POST /api/annotations
  * @desc    Create a new annotation
  * @access  Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireSessionAccess(), async (req, res) => {
   try {
     const {
       session_id,
-      material_id,
       page_number,
       content,
       type,
@@ -31,23 +29,10 @@ router.post('/', async (req, res) => {
     } = req.body;
 
     // Validation
-    if (!session_id || !material_id || !page_number || !content) {
+    if (!page_number || !content) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: session_id, material_id, page_number, content'
-      });
-    }
-
-    // Verify session belongs to user
-    const session = await Session.findOne({
-      _id: session_id,
-      user_id: req.user._id
-    });
-
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found or unauthorized'
+        message: 'Missing required fields: session_id, page_number, content'
       });
     }
 
@@ -55,7 +40,8 @@ router.post('/', async (req, res) => {
     const annotation = await Annotation.create({
       user_id: req.user._id,
       session_id,
-      material_id,
+      // Always the session's material (see getSessionMaterials)
+      material_id: req.studySession.material_id,
       page_number,
       content,
       type: type || 'note',
@@ -99,10 +85,19 @@ router.post('/batch', async (req, res) => {
       });
     }
 
-    // Add user_id to each annotation
+    if (!await ownsAllSessions(req.user._id, annotations.map(a => a.session_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Add user_id and the session's material to each annotation
+    const materials = await getSessionMaterials(annotations.map(a => a.session_id));
     const annotationsWithUser = annotations.map(a => ({
       ...a,
-      user_id: req.user._id
+      user_id: req.user._id,
+      material_id: materials.get(a.session_id.toString()) || null
     }));
 
     // Insert all annotations
@@ -129,7 +124,7 @@ router.post('/batch', async (req, res) => {
  * @desc    Get all annotations for a session
  * @access  Private
  */
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { page, type, tag, resolved, sortBy = 'page_number' } = req.query;
@@ -187,7 +182,7 @@ router.get('/session/:sessionId', async (req, res) => {
  * @desc    Get annotations for a specific page
  * @access  Private
  */
-router.get('/page/:sessionId/:pageNumber', async (req, res) => {
+router.get('/page/:sessionId/:pageNumber', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId, pageNumber } = req.params;
 
@@ -225,7 +220,7 @@ router.get('/type/:type', async (req, res) => {
     const annotations = await Annotation.findByType(req.user._id, type)
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit))
-      .populate('session_id', 'start_time material_id')
+      .populate('session_id', 'start_time')
       .populate('material_id', 'title');
 
     const total = await Annotation.countDocuments({
@@ -374,7 +369,7 @@ router.get('/search', async (req, res) => {
  * @desc    Get annotation statistics for a session
  * @access  Private
  */
-router.get('/stats/:sessionId', async (req, res) => {
+router.get('/stats/:sessionId', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -394,8 +389,8 @@ router.get('/stats/:sessionId', async (req, res) => {
     const byPriority = await Annotation.aggregate([
       {
         $match: {
-          session_id: mongoose.Types.ObjectId(sessionId),
-          user_id: mongoose.Types.ObjectId(req.user._id)
+          session_id: sessionId,
+          user_id: req.user._id
         }
       },
       {
@@ -410,8 +405,8 @@ router.get('/stats/:sessionId', async (req, res) => {
     const topTags = await Annotation.aggregate([
       {
         $match: {
-          session_id: mongoose.Types.ObjectId(sessionId),
-          user_id: mongoose.Types.ObjectId(req.user._id)
+          session_id: sessionId,
+          user_id: req.user._id
         }
       },
       { $unwind: '$tags' },
@@ -747,7 +742,7 @@ router.delete('/:id', async (req, res) => {
  * @desc    Delete all annotations for a session
  * @access  Private
  */
-router.delete('/session/:sessionId', async (req, res) => {
+router.delete('/session/:sessionId', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -879,7 +874,7 @@ router.get('/user/summary', async (req, res) => {
       .populate('material_id', 'title');
 
     const allTags = await Annotation.aggregate([
-      { $match: { user_id: mongoose.Types.ObjectId(req.user._id) } },
+      { $match: { user_id: req.user._id } },
       { $unwind: '$tags' },
       { $group: { _id: '$tags', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
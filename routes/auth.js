@@ -3,37 +3,60 @@ import jwt from 'jsonwebtoken';
 import passport from 'passport';
 import mongoose from 'mongoose';
 import { body, validationResult } from 'express-validator';
+import { v4 as uuidv4 } from 'uuid';
 
 import User from '../models/User.js';
 import RefreshToken from '../models/RefreshToken.js';
+import UserToken from '../models/UserToken.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../services/emailService.js';
 
 const router = express.Router();
 
+// A device session ends this long after login, however often it is refreshed
+const SESSION_MAX_AGE_DAYS = parseInt(process.env.SESSION_MAX_AGE_DAYS) || 30;
+const SESSION_MAX_AGE_MS = SESSION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const PASSWORD_RESET_EXPIRY_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 60;
+const EMAIL_VERIFICATION_EXPIRY_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS) || 24;
+
+// Resend limits for verification emails
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const VERIFICATION_RESEND_MAX_PER_HOUR = 5;
+
+// Reset emails per account: one per cooldown and a few an hour. Every request
+// replaces the pending link, so without these anyone could keep it dead.
+const PASSWORD_RESET_COOLDOWN_MS = 60 * 1000;
+const PASSWORD_RESET_MAX_PER_HOUR = 5;
+
 // ---------------------------
 // Helper: Generate access & refresh tokens
 // ---------------------------
-const generateTokens = (user) => {
+// `familyId` identifies the device session; a new one is started when omitted.
+// It rides along in the access token as `sid` so /sessions can flag the current device.
+const generateTokens = (user, familyId = uuidv4()) => {
   // ✅ FIX: Changed "id" to "userId" to match middleware
   const accessToken = jwt.sign(
-    { userId: user._id, email: user.email, role: user.role },
+    { userId: user._id, email: user.email, role: user.role, sid: familyId },
     process.env.JWT_ACCESS_SECRET,
     { expiresIn: process.env.JWT_ACCESS_EXPIRY || '30m' }
   );
 
+  // jwtid keeps two tokens minted in the same second from colliding
   const refreshToken = jwt.sign(
     { userId: user._id },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d' }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d', jwtid: uuidv4() }
   );
 
-  return { accessToken, refreshToken };
+  return { accessToken, refreshToken, familyId };
 };
 
 // ---------------------------
 // Helper: Save refresh token
 // ---------------------------
-const saveRefreshToken = async (userId, token, ip) => {
+const saveRefreshToken = async (userId, token, req, { familyId, sessionStartedAt } = {}) => {
   try {
     console.log('🔍 saveRefreshToken called with:', {
       userId,
@@ -55,14 +78,23 @@ const saveRefreshToken = async (userId, token, ip) => {
       throw new Error(`Invalid userId format: ${userId} (type: ${typeof userId})`);
     }
 
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7);
+    // Each rotation extends the token, but never past the session's absolute lifetime
+    const startedAt = sessionStartedAt || new Date();
+    const expiresAt = new Date(Math.min(
+      Date.now() + REFRESH_TOKEN_TTL_MS,
+      startedAt.getTime() + SESSION_MAX_AGE_MS
+    ));
 
     const refreshTokenDoc = await RefreshToken.create({
       user_id: userObjectId,
       token,
       expires_at: expiresAt,
-      created_by_ip: ip || 'unknown'
+      created_by_ip: req.ip || 'unknown',
+      family_id: familyId,
+      session_started_at: startedAt,
+      user_agent: req.get('user-agent') || 'unknown',
+      last_used_at: new Date(),
+      last_used_ip: req.ip
     });
 
     console.log('✅ Refresh token saved successfully');
@@ -73,6 +105,25 @@ const saveRefreshToken = async (userId, token, ip) => {
   }
 };
 
+// ---------------------------
+// Helper: Issue & email a verification token
+// ---------------------------
+const sendVerification = async (user, ip) => {
+  const { token } = await UserToken.issue(
+    user._id,
+    'email_verification',
+    EMAIL_VERIFICATION_EXPIRY_HOURS * 60 * 60 * 1000,
+    ip
+  );
+
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+  const result = await sendVerificationEmail(user.email, user.name, verifyUrl, EMAIL_VERIFICATION_EXPIRY_HOURS);
+  if (!result.success) {
+    console.error('❌ Verification email failed for user:', user._id.toString());
+  }
+  return result;
+};
+
 // ---------------------------
 // REGISTER
 // ---------------------------
@@ -100,17 +151,25 @@ router.post(
 
       const user = await User.create({ email, password, name, role });
 
-      const { accessToken, refreshToken } = generateTokens(user);
+      const { accessToken, refreshToken, familyId } = generateTokens(user);
       
-      await saveRefreshToken(user._id, refreshToken, req.ip);
+      await saveRefreshToken(user._id, refreshToken, req, { familyId });
+
+      // Registration still succeeds if the mail server is down; the user can resend
+      try {
+        await sendVerification(user, req.ip);
+      } catch (emailError) {
+        console.error('❌ Could not send verification email:', emailError);
+      }
 
       res.status(201).json({
-        message: 'Registration successful',
+        message: 'Registration successful. Please check your email to verify your account.',
         user: { 
           _id: user._id.toString(),
           name: user.name, 
           email: user.email, 
-          role: user.role 
+          role: user.role,
+          is_verified: user.is_verified
         },
         accessToken,
         refreshToken,
@@ -156,8 +215,8 @@ router.post(
       user.last_login = new Date();
       await user.save();
 
-      const { accessToken, refreshToken } = generateTokens(user);
-      await saveRefreshToken(user._id, refreshToken, req.ip);
+      const { accessToken, refreshToken, familyId } = generateTokens(user);
+      await saveRefreshToken(user._id, refreshToken, req, { familyId });
 
       res.json({
         message: 'Login successful',
@@ -165,7 +224,8 @@ router.post(
           _id: user._id, 
           name: user.name, 
           email: user.email, 
-          role: user.role 
+          role: user.role,
+          is_verified: user.is_verified
         },
         accessToken,
         refreshToken,
@@ -203,19 +263,53 @@ router.post('/refresh', async (req, res, next) => {
       return res.status(403).json({ message: 'Invalid refresh token' });
     }
 
+    // Reuse detection: a token that was already rotated is being presented again.
+    // Either the client or an attacker holds a stolen copy, so end the whole device session.
+    if (tokenDoc.revoked && tokenDoc.replaced_by_token) {
+      await RefreshToken.revokeFamily(tokenDoc.family_id, req.ip);
+      console.warn('⚠️ Refresh token reuse detected, revoked family:', tokenDoc.family_id);
+      return res.status(403).json({ message: 'Refresh token reuse detected. Please login again.', code: 'TOKEN_REUSE' });
+    }
+
+    // Revoked tokens (logout elsewhere, password reset) must not mint new access tokens
+    if (!tokenDoc.isActive) {
+      return res.status(403).json({ message: 'Invalid refresh token' });
+    }
+
+    const familyId = tokenDoc.family_id;
+    const sessionStartedAt = tokenDoc.session_started_at || tokenDoc.createdAt;
+    if (Date.now() - sessionStartedAt.getTime() >= SESSION_MAX_AGE_MS) {
+      await RefreshToken.revokeFamily(familyId, req.ip);
+      return res.status(403).json({ message: 'Session expired. Please login again.', code: 'SESSION_EXPIRED' });
+    }
+
     const user = await User.findById(decoded.userId);
-    if (!user) {
+    if (!user || !user.is_active) {
       return res.status(403).json({ message: 'User not found' });
     }
 
-    // ✅ FIX: Changed "id" to "userId"
-    const accessToken = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_ACCESS_SECRET,
-      { expiresIn: process.env.JWT_ACCESS_EXPIRY || '30m' }
+    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user, familyId);
+
+    // The new token is saved before the old one is claimed, so the family always has a
+    // live token and access tokens carrying its sid keep working during the rotation
+    await saveRefreshToken(user._id, newRefreshToken, req, { familyId, sessionStartedAt });
+
+    // Claim the old token atomically so two concurrent refreshes can't both rotate it
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: tokenDoc._id, revoked: false },
+      {
+        revoked: true,
+        revoked_at: Date.now(),
+        revoked_by_ip: req.ip,
+        replaced_by_token: newRefreshToken
+      }
     );
+    if (!rotated) {
+      await RefreshToken.revokeFamily(familyId, req.ip);
+      return res.status(403).json({ message: 'Refresh token reuse detected. Please login again.', code: 'TOKEN_REUSE' });
+    }
 
-    res.json({ accessToken });
+    res.json({ accessToken, refreshToken: newRefreshToken });
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(403).json({ message: 'Refresh token expired' });
@@ -234,7 +328,10 @@ router.post('/logout', authenticateToken, async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
     if (refreshToken) {
-      await RefreshToken.deleteOne({ token: refreshToken });
+      const tokenDoc = await RefreshToken.findOne({ token: refreshToken, user_id: req.user._id });
+      if (tokenDoc) {
+        await RefreshToken.revokeFamily(tokenDoc.family_id, req.ip);
+      }
     }
     res.json({ message: 'Logout successful' });
   } catch (error) {
@@ -243,12 +340,56 @@ router.post('/logout', authenticateToken, async (req, res, next) => {
   }
 });
 
+// ---------------------------
+// DEVICE SESSIONS
+// ---------------------------
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const currentSid = jwt.decode(req.headers['authorization'].split(' ')[1])?.sid;
+    const tokens = await RefreshToken.getActiveSessions(req.user._id);
+
+    const sessions = tokens.map(t => ({
+      id: t.family_id,
+      user_agent: t.user_agent,
+      ip: t.last_used_ip || t.created_by_ip,
+      created_by_ip: t.created_by_ip,
+      started_at: t.session_started_at,
+      last_used_at: t.last_used_at,
+      expires_at: t.expires_at,
+      current: t.family_id === currentSid
+    }));
+
+    res.json({ sessions });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    next(error);
+  }
+});
+
+router.delete('/sessions/:id', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await RefreshToken.updateMany(
+      { family_id: req.params.id, user_id: req.user._id, revoked: false },
+      { revoked: true, revoked_at: Date.now(), revoked_by_ip: req.ip }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Device signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    next(error);
+  }
+});
+
 // ---------------------------
 // OAUTH (Google & GitHub)
 // ---------------------------
-const createOAuthTokens = async (user, ip) => {
-  const { accessToken, refreshToken } = generateTokens(user);
-  await saveRefreshToken(user._id, refreshToken, ip);
+const createOAuthTokens = async (user, req) => {
+  const { accessToken, refreshToken, familyId } = generateTokens(user);
+  await saveRefreshToken(user._id, refreshToken, req, { familyId });
   return { accessToken, refreshToken };
 };
 
@@ -262,7 +403,7 @@ router.get(
   passport.authenticate('google', { session: false, failureRedirect: '/login' }),
   async (req, res, next) => {
     try {
-      const { accessToken, refreshToken } = await createOAuthTokens(req.user, req.ip);
+      const { accessToken, refreshToken } = await createOAuthTokens(req.user, req);
       res.redirect(
         `${process.env.FRONTEND_URL}/auth/callback?accessToken=${accessToken}&refreshToken=${refreshToken}`
       );
@@ -283,7 +424,7 @@ router.get(
   passport.authenticate('github', { session: false, failureRedirect: '/login' }),
   async (req, res, next) => {
     try {
-      const { accessToken, refreshToken } = await createOAuthTokens(req.user, req.ip);
+      const { accessToken, refreshToken } = await createOAuthTokens(req.user, req);
       res.redirect(
         `${process.env.FRONTEND_URL}/auth/callback?accessToken=${accessToken}&refreshToken=${refreshToken}`
       );
@@ -307,6 +448,81 @@ router.get('/me', authenticateToken, async (req, res, next) => {
   }
 });
 
+// ---------------------------
+// VERIFY EMAIL
+// ---------------------------
+router.post(
+  '/verify-email',
+  [body('token').trim().notEmpty()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tokenDoc = await UserToken.consume(req.body.token, 'email_verification');
+      if (!tokenDoc) {
+        return res.status(400).json({ message: 'Invalid or expired verification link', code: 'INVALID_VERIFICATION_TOKEN' });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        tokenDoc.user_id,
+        { is_verified: true },
+        { new: true }
+      );
+      if (!user) {
+        return res.status(400).json({ message: 'Invalid or expired verification link', code: 'INVALID_VERIFICATION_TOKEN' });
+      }
+
+      console.log('✅ Email verified for user:', user._id.toString());
+
+      res.json({ message: 'Email verified successfully', user: { _id: user._id, email: user.email, is_verified: true } });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      next(error);
+    }
+  }
+);
+
+// ---------------------------
+// RESEND VERIFICATION EMAIL
+// ---------------------------
+router.post('/resend-verification', authenticateToken, async (req, res, next) => {
+  try {
+    if (req.user.is_verified) {
+      return res.status(400).json({ message: 'Email is already verified', code: 'ALREADY_VERIFIED' });
+    }
+
+    const now = Date.now();
+    const recent = await UserToken.findOne({ user_id: req.user._id, purpose: 'email_verification' })
+      .sort({ createdAt: -1 })
+      .select('createdAt');
+
+    if (recent && now - recent.createdAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+      const retryAfter = Math.ceil((VERIFICATION_RESEND_COOLDOWN_MS - (now - recent.createdAt.getTime())) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Please wait before requesting another email', code: 'RATE_LIMITED', retryAfter });
+    }
+
+    const sentLastHour = await UserToken.countIssuedSince(req.user._id, 'email_verification', new Date(now - 60 * 60 * 1000));
+    if (sentLastHour >= VERIFICATION_RESEND_MAX_PER_HOUR) {
+      res.set('Retry-After', '3600');
+      return res.status(429).json({ message: 'Too many verification emails requested. Try again later.', code: 'RATE_LIMITED', retryAfter: 3600 });
+    }
+
+    const result = await sendVerification(req.user, req.ip);
+    if (!result.success) {
+      return res.status(503).json({ message: 'Could not send verification email. Please try again later.', code: 'EMAIL_UNAVAILABLE' });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    next(error);
+  }
+});
+
 // ---------------------------
 // FORGOT PASSWORD
 // ---------------------------
@@ -323,11 +539,34 @@ router.post(
       const { email } = req.body;
       const user = await User.findOne({ email });
 
-      if (!user) {
+      // Same response either way so the endpoint can't be used to probe for accounts
+      if (!user || !user.is_active) {
+        return res.json({ message: 'If that email exists, a password reset link has been sent.' });
+      }
+
+      // Rate-limited requests get the same answer too, and keep the pending link valid
+      const now = Date.now();
+      const recent = await UserToken.findOne({ user_id: user._id, purpose: 'password_reset' })
+        .sort({ createdAt: -1 })
+        .select('createdAt');
+      const sentLastHour = await UserToken.countIssuedSince(user._id, 'password_reset', new Date(now - 60 * 60 * 1000));
+      if ((recent && now - recent.createdAt.getTime() < PASSWORD_RESET_COOLDOWN_MS) || sentLastHour >= PASSWORD_RESET_MAX_PER_HOUR) {
         return res.json({ message: 'If that email exists, a password reset link has been sent.' });
       }
 
-      // TODO: Implement password reset token generation and email sending
+      const { token } = await UserToken.issue(
+        user._id,
+        'password_reset',
+        PASSWORD_RESET_EXPIRY_MINUTES * 60 * 1000,
+        req.ip
+      );
+
+      const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+      const result = await sendPasswordResetEmail(user.email, user.name, resetUrl, PASSWORD_RESET_EXPIRY_MINUTES);
+      if (!result.success) {
+        console.error('❌ Password reset email failed for user:', user._id.toString());
+      }
+
       res.json({ message: 'If that email exists, a password reset link has been sent.' });
     } catch (error) {
       console.error('Forgot password error:', error);
@@ -336,6 +575,51 @@ router.post(
   }
 );
 
+// ---------------------------
+// RESET PASSWORD (with emailed token)
+// ---------------------------
+router.post(
+  '/reset-password',
+  [
+    body('token').trim().notEmpty(),
+    body('newPassword').isLength({ min: 6 }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, newPassword } = req.body;
+
+      // Marks the token used in the same operation, so it can't be replayed
+      const tokenDoc = await UserToken.consume(token, 'password_reset');
+      if (!tokenDoc) {
+        return res.status(400).json({ message: 'Invalid or expired reset token', code: 'INVALID_RESET_TOKEN' });
+      }
+
+      const user = await User.findById(tokenDoc.user_id);
+      if (!user || !user.is_active) {
+        return res.status(400).json({ message: 'Invalid or expired reset token', code: 'INVALID_RESET_TOKEN' });
+      }
+
+      user.password = newPassword;
+      await user.save();
+
+      // Sign out every device that was using the old password
+      await RefreshToken.revokeAllForUser(user._id);
+
+      console.log('✅ Password reset for user:', user._id.toString());
+
+      res.json({ message: 'Password has been reset. Please login with your new password.' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      next(error);
+    }
+  }
+);
+
 // ---------------------------
 // CHANGE PASSWORD
 // ---------------------------
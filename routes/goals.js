@@ -0,0 +1,55 @@
+// FILE PATH: backend/routes/goals.js
+// Study goals: today's and this week's progress, and how often goals were met
+
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import goalService from '../services/goalService.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/goals
+ * @desc    Progress toward the daily and weekly study goals (completed sessions)
+ * @access  Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const data = await goalService.getGoalProgress(req.user._id);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Error fetching goal progress:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/goals/history?period&limit
+ * @desc    Past days (or weeks) against their goal, with the hit rate
+ * @access  Private
+ */
+router.get('/history', [
+  query('period').optional().isIn(goalService.GOAL_PERIODS),
+  query('limit').optional().isInt({ min: 1, max: 90 }).toInt(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const period = req.query.period || 'daily';
+    const data = await goalService.getGoalHistory(req.user._id, {
+      period,
+      limit: req.query.limit || (period === 'weekly' ? 12 : 30)
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Error fetching goal history:', error);
+    next(error);
+  }
+});
+
+export default router;
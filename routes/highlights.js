@@ -1,24 +1,22 @@
 import express from 'express';
-import mongoose from 'mongoose';
 import Highlight from '../models/Highlight.js';
-import Session from '../models/Session.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireSessionAccess, ownsAllSessions, getSessionMaterials } from '../middleware/sessionAccess.js';
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
-router.use(authMiddleware);
+router.use(authenticateToken);
 
 /**
  * @route   POST /api/highlights
  * @desc    Create a new highlight
  * @access  Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireSessionAccess(), async (req, res) => {
   try {
     const {
       session_id,
-      material_id,
       page_number,
       text,
       color,
@@ -28,23 +26,10 @@ router.post('/', async (req, res) => {
     } = req.body;
 
     // Validation
-    if (!session_id || !material_id || !page_number || !text) {
+    if (!page_number || !text || !position) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: session_id, material_id, page_number, text'
-      });
-    }
-
-    // Verify session belongs to user
-    const session = await Session.findOne({
-      _id: session_id,
-      user_id: req.user._id
-    });
-
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found or unauthorized'
+        message: 'Missing required fields: session_id, page_number, text, position'
       });
     }
 
@@ -52,13 +37,14 @@ router.post('/', async (req, res) => {
     const highlight = await Highlight.create({
       user_id: req.user._id,
       session_id,
-      material_id,
+      // Always the session's material (see getSessionMaterials)
+      material_id: req.studySession.material_id,
       page_number,
       text,
-      color: color || '#FFFF00',
-      category: category || 'general',
-      position: position || {},
-      surrounding_text: surrounding_text || ''
+      color,
+      category,
+      position,
+      surrounding_text
     });
 
     res.status(201).json({
@@ -93,10 +79,19 @@ router.post('/batch', async (req, res) => {
       });
     }
 
-    // Add user_id to each highlight
+    if (!await ownsAllSessions(req.user._id, highlights.map(h => h.session_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Add user_id and the session's material to each highlight
+    const materials = await getSessionMaterials(highlights.map(h => h.session_id));
     const highlightsWithUser = highlights.map(h => ({
       ...h,
-      user_id: req.user._id
+      user_id: req.user._id,
+      material_id: materials.get(h.session_id.toString()) || null
     }));
 
     // Insert all highlights
@@ -123,7 +118,7 @@ router.post('/batch', async (req, res) => {
  * @desc    Get all highlights for a session
  * @access  Private
  */
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { page, category, color, sortBy = 'page_number' } = req.query;
@@ -140,7 +135,7 @@ router.get('/session/:sessionId', async (req, res) => {
 
     // Get highlights
     const highlights = await Highlight.find(query)
-      .sort(sortBy === 'date' ? { createdAt: -1 } : { page_number: 1, createdAt: 1 });
+      .sort(sortBy === 'date' ? { created_at: -1 } : { page_number: 1, created_at: 1 });
 
     res.json({
       success: true,
@@ -177,7 +172,7 @@ router.get('/material/:materialId', async (req, res) => {
     if (color) query.color = color;
 
     const highlights = await Highlight.find(query)
-      .sort({ page_number: 1, createdAt: 1 })
+      .sort({ page_number: 1, created_at: 1 })
       .populate('session_id', 'start_time end_time');
 
     res.json({
@@ -201,7 +196,7 @@ router.get('/material/:materialId', async (req, res) => {
  * @desc    Get highlights for a specific page
  * @access  Private
  */
-router.get('/page/:sessionId/:pageNumber', async (req, res) => {
+router.get('/page/:sessionId/:pageNumber', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId, pageNumber } = req.params;
 
@@ -294,7 +289,7 @@ router.get('/search', async (req, res) => {
 
     const highlights = await Highlight.find(query)
       .limit(parseInt(limit))
-      .sort({ createdAt: -1 })
+      .sort({ created_at: -1 })
       .populate('session_id', 'start_time')
       .populate('material_id', 'title');
 
@@ -320,7 +315,7 @@ router.get('/search', async (req, res) => {
  * @desc    Get highlight statistics for a session
  * @access  Private
  */
-router.get('/stats/:sessionId', async (req, res) => {
+router.get('/stats/:sessionId', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -334,8 +329,8 @@ router.get('/stats/:sessionId', async (req, res) => {
     const colorDistribution = await Highlight.aggregate([
       {
         $match: {
-          session_id: mongoose.Types.ObjectId(sessionId),
-          user_id: mongoose.Types.ObjectId(req.user._id)
+          session_id: sessionId,
+          user_id: req.user._id
         }
       },
       {
@@ -542,7 +537,7 @@ router.delete('/:id', async (req, res) => {
  * @desc    Delete all highlights for a session
  * @access  Private
  */
-router.delete('/session/:sessionId', async (req, res) => {
+router.delete('/session/:sessionId', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -583,7 +578,7 @@ router.post('/export', async (req, res) => {
     if (color) query.color = color;
 
     const highlights = await Highlight.find(query)
-      .sort({ page_number: 1, createdAt: 1 })
+      .sort({ page_number: 1, created_at: 1 })
       .populate('material_id', 'title')
       .lean();
 
@@ -601,7 +596,7 @@ router.post('/export', async (req, res) => {
       case 'csv':
         const csvHeader = 'Page,Text,Category,Color,Notes,Date\n';
         const csvRows = highlights.map(h =>
-          `"${h.page_number}","${h.text.replace(/"/g, '""')}","${h.category}","${h.color}","${(h.notes || '').replace(/"/g, '""')}","${h.createdAt}"`
+          `"${h.page_number}","${h.text.replace(/"/g, '""')}","${h.category}","${h.color}","${(h.notes || '').replace(/"/g, '""')}","${h.created_at}"`
         ).join('\n');
         exportData = csvHeader + csvRows;
         contentType = 'text/csv';
@@ -613,7 +608,7 @@ router.post('/export', async (req, res) => {
           `## Page ${h.page_number} - ${h.category}\n\n` +
           `> ${h.text}\n\n` +
           (h.notes ? `**Notes:** ${h.notes}\n\n` : '') +
-          `*Color: ${h.color} | Date: ${new Date(h.createdAt).toLocaleDateString()}*\n\n---\n\n`
+          `*Color: ${h.color} | Date: ${new Date(h.created_at).toLocaleDateString()}*\n\n---\n\n`
         ).join('');
         contentType = 'text/markdown';
         filename = `highlights_${Date.now()}.md`;
@@ -5,9 +5,15 @@
 import express from 'express';
 import Session from '../models/Session.js';
 import { authenticateToken } from '../middleware/auth.js';
+import monitoringService from '../services/monitoringService.js';
+import analyticsService from '../services/analyticsService.js';
+import leaderboardService from '../services/leaderboardService.js';
 
 const router = express.Router();
 
+// Interaction types that carry webcam engagement data for the teacher feed
+const MONITORED_TYPES = ['face_metric', 'webcam'];
+
 // ✅ POST - Save single interaction
 router.post('/:sessionId', authenticateToken, async (req, res) => {
   try {
@@ -47,6 +53,14 @@ router.post('/:sessionId', authenticateToken, async (req, res) => {
     // Return the saved interaction with its ID
     const savedInteraction = session.interactions[session.interactions.length - 1];
 
+    if (MONITORED_TYPES.includes(type)) {
+      monitoringService.publishEngagementSnapshot(
+        req.app.get('io'),
+        monitoringService.getSessionContext(session, req.user),
+        monitoringService.buildSnapshotFromInteraction(data)
+      );
+    }
+
     res.json({ 
       success: true, 
       message: 'Interaction logged successfully',
@@ -94,6 +108,15 @@ router.post('/:sessionId/batch', authenticateToken, async (req, res) => {
     session.interactions.push(...interactionsToAdd);
     await session.save();
 
+    const latestMonitored = interactionsToAdd.filter(i => MONITORED_TYPES.includes(i.type)).pop();
+    if (latestMonitored && session.student_id.toString() === req.user.id) {
+      monitoringService.publishEngagementSnapshot(
+        req.app.get('io'),
+        monitoringService.getSessionContext(session, req.user),
+        monitoringService.buildSnapshotFromInteraction(latestMonitored.data)
+      );
+    }
+
     res.json({
       success: true,
       message: `${interactionsToAdd.length} interactions logged successfully`,
@@ -163,58 +186,12 @@ router.delete('/:interactionId', authenticateToken, async (req, res) => {
 // ✅ GET - Overall analytics for student dashboard
 router.get('/analytics/overall', authenticateToken, async (req, res) => {
   try {
-    const completedSessions = await Session.find({
-      student_id: req.user.id,
-      is_active: false,
-      end_time: { $exists: true }
-    });
+    const [overview, rank] = await Promise.all([
+      analyticsService.getOverview(req.user._id),
+      leaderboardService.getStudentRank(req.user._id)
+    ]);
 
-    const now = new Date();
-    const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-
-    const totalSeconds = completedSessions.reduce((sum, s) => sum + (s.duration_seconds || 0), 0);
-    const thisWeekSessions = completedSessions.filter(s => s.end_time >= oneWeekAgo);
-    const thisWeekSeconds = thisWeekSessions.reduce((sum, s) => sum + (s.duration_seconds || 0), 0);
-
-    const avgEngagement = completedSessions.length > 0
-      ? completedSessions.reduce((sum, s) => {
-          const faceMetrics = s.interactions.filter(i => i.type === 'face_metric');
-          const avgForSession = faceMetrics.length > 0
-            ? faceMetrics.reduce((s2, m) => s2 + (m.data.engagementScore || 0), 0) / faceMetrics.length
-            : 0;
-          return sum + avgForSession;
-        }, 0) / completedSessions.length
-      : 0;
-
-    // Calculate streak (consecutive days with sessions)
-    const sessionDates = completedSessions
-      .map(s => new Date(s.end_time).toDateString())
-      .filter((v, i, a) => a.indexOf(v) === i)
-      .sort((a, b) => new Date(b) - new Date(a));
-
-    let streak = 0;
-    let currentDate = new Date().toDateString();
-    for (const dateStr of sessionDates) {
-      if (dateStr === currentDate) {
-        streak++;
-        const date = new Date(dateStr);
-        date.setDate(date.getDate() - 1);
-        currentDate = date.toDateString();
-      } else {
-        break;
-      }
-    }
-
-    const analytics = {
-      totalHours: (totalSeconds / 3600).toFixed(1),
-      thisWeek: (thisWeekSeconds / 3600).toFixed(1),
-      avgEngagement: Math.round(avgEngagement),
-      completedSessions: completedSessions.length,
-      streak: streak,
-      rank: 0 // Placeholder - implement leaderboard logic if needed
-    };
-
-    res.json({ success: true, analytics });
+    res.json({ success: true, analytics: { ...overview, rank } });
   } catch (error) {
     console.error('❌ Error fetching overall analytics:', error);
     res.json({
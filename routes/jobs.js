@@ -0,0 +1,63 @@
+// FILE PATH: backend/routes/jobs.js
+// Status of background jobs (post-session processing, PDF extraction)
+
+import express from 'express';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/jobs?status&type&sessionId&limit
+ * @desc    Background jobs started for the current user
+ * @access  Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, type, sessionId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = { owner_id: req.user.id };
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (sessionId) query['payload.sessionId'] = sessionId;
+
+    const jobs = await Job.find(query).sort({ createdAt: -1 }).limit(limit);
+
+    res.json({ success: true, count: jobs.length, data: jobs.map(job => job.toStatus()) });
+  } catch (error) {
+    console.error('❌ Error fetching jobs:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Status, attempts, last error and result of one job
+ * @access  Private (owner)
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID' });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    if (job.owner_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    res.json({ success: true, data: job.toStatus() });
+  } catch (error) {
+    console.error('❌ Error fetching job:', error);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,210 @@
+// FILE PATH: backend/routes/materials.js
+// Study materials (uploaded PDFs): download links, extracted pages and search
+
+import express from 'express';
+import Material from '../models/Material.js';
+import MaterialPage from '../models/MaterialPage.js';
+import { authenticateToken } from '../middleware/auth.js';
+import materialService from '../services/materialService.js';
+import { queueMaterialExtraction } from '../services/pdfExtractionService.js';
+import { getStorage, verifyLocalSignature, inlineDisposition } from '../services/storageService.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/materials/file?key&expires&signature
+ * @desc    Serve a file from the local storage driver (signed link, no auth header)
+ * @access  Public (signature)
+ */
+router.get('/file', async (req, res, next) => {
+  try {
+    const storage = getStorage();
+    const { key, expires, signature } = req.query;
+
+    if (storage.name !== 'local' || !verifyLocalSignature(key, expires, signature)) {
+      return res.status(403).json({ success: false, message: 'Invalid or expired link' });
+    }
+    if (!await storage.exists(key)) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    const material = await Material.findOne({ storage_key: key }).select('mime_type original_name').lean();
+    res.setHeader('Content-Type', material?.mime_type || 'application/pdf');
+    if (material?.original_name) {
+      res.setHeader('Content-Disposition', inlineDisposition(material.original_name));
+    }
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    const stream = await storage.createReadStream(key);
+    stream.on('error', next).pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use(authenticateToken);
+
+// Load :id and check access for the routes below
+const loadMaterial = async (req, res, next) => {
+  try {
+    const material = await Material.findById(req.params.id);
+    if (!material) {
+      return res.status(404).json({ success: false, message: 'Material not found' });
+    }
+    if (!await materialService.canAccessMaterial(material, req.user)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+    req.material = material;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/materials
+ * @desc    Materials uploaded by the current user
+ * @access  Private
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const materials = await Material.find({ owner_id: req.user._id }).sort({ createdAt: -1 });
+    res.json({ success: true, count: materials.length, data: materials });
+  } catch (error) {
+    console.error('❌ Error fetching materials:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/materials/:id
+ * @desc    Material details
+ * @access  Private (owner or room member)
+ */
+router.get('/:id', loadMaterial, (req, res) => {
+  res.json({ success: true, data: req.material });
+});
+
+/**
+ * @route   GET /api/materials/:id/url
+ * @desc    Short-lived signed download URL
+ * @access  Private (owner or room member)
+ */
+router.get('/:id/url', loadMaterial, async (req, res, next) => {
+  try {
+    const data = await materialService.getDownloadUrl(req.material);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Error signing material URL:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/materials/:id/download
+ * @desc    Redirect to a short-lived signed download URL
+ * @access  Private (owner or room member)
+ */
+router.get('/:id/download', loadMaterial, async (req, res, next) => {
+  try {
+    const { url } = await materialService.getDownloadUrl(req.material);
+    res.redirect(url);
+  } catch (error) {
+    console.error('❌ Error signing material URL:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/materials/:id/pages?from&to
+ * @desc    Extracted text, headings, keywords and topics per page
+ * @access  Private (owner or room member)
+ */
+router.get('/:id/pages', loadMaterial, async (req, res, next) => {
+  try {
+    const { from, to } = materialService.parsePageRange(req.query);
+    const pages = await MaterialPage.getRange(req.material._id, from, to);
+
+    res.json({
+      success: true,
+      count: pages.length,
+      data: {
+        page_count: req.material.page_count,
+        extraction: req.material.extraction,
+        outline: req.material.outline,
+        pages
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching material pages:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/materials/:id/search?q&from&to
+ * @desc    Find pages containing a word or phrase
+ * @access  Private (owner or room member)
+ */
+router.get('/:id/search', loadMaterial, async (req, res, next) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (q.length < 2) {
+      return res.status(400).json({ success: false, message: 'Search query must be at least 2 characters' });
+    }
+
+    const { from, to } = materialService.parsePageRange(req.query);
+    const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+
+    const pages = (await MaterialPage.getRange(req.material._id, from, to))
+      .map(page => {
+        const matches = page.text.match(pattern) || [];
+        const keywordHit = page.keywords.some(k => k.term === q.toLowerCase());
+        if (matches.length === 0 && !keywordHit) return null;
+
+        const index = page.text.search(pattern);
+        const start = Math.max(0, index - 80);
+        return {
+          page_number: page.page_number,
+          matches: matches.length,
+          headings: page.headings,
+          snippet: index >= 0 ? page.text.slice(start, index + q.length + 80) : page.text.slice(0, 160)
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.matches - a.matches || a.page_number - b.page_number);
+
+    res.json({ success: true, count: pages.length, data: pages });
+  } catch (error) {
+    console.error('❌ Error searching material:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/materials/:id/extract
+ * @desc    Re-run text extraction and page indexing
+ * @access  Private (owner)
+ */
+router.post('/:id/extract', loadMaterial, async (req, res, next) => {
+  try {
+    if (!req.material.isOwnedBy(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Only the owner can re-run extraction' });
+    }
+
+    req.material.extraction.status = 'pending';
+    req.material.extraction.error = null;
+    await req.material.save();
+    const job = await queueMaterialExtraction(req.material._id, req.user._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Extraction queued',
+      data: { status: req.material.extraction.status, job_id: job._id }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,20 +1,23 @@
 import express from 'express';
-import mongoose from 'mongoose';
 import Metric from '../models/Metric.js';
 import Session from '../models/Session.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireSessionAccess, ownsAllSessions } from '../middleware/sessionAccess.js';
+import monitoringService from '../services/monitoringService.js';
+import alertService from '../services/alertService.js';
+import goalService from '../services/goalService.js';
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
-router.use(authMiddleware);
+router.use(authenticateToken);
 
 /**
  * @route   POST /api/metrics
  * @desc    Save a single metric datapoint
  * @access  Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireSessionAccess(), async (req, res) => {
   try {
     const {
       session_id,
@@ -38,18 +41,7 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Verify session belongs to user
-    const session = await Session.findOne({
-      _id: session_id,
-      user_id: req.user._id
-    });
-
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found or unauthorized'
-      });
-    }
+    const session = req.studySession;
 
     // Create metric
     const metric = await Metric.create({
@@ -67,6 +59,22 @@ router.post('/', async (req, res) => {
       raw_data: raw_data || undefined
     });
 
+    // Fan out to the teacher's live monitoring feed (room sessions only)
+    const context = monitoringService.getSessionContext(session, req.user);
+    monitoringService.publishEngagementSnapshot(
+      req.app.get('io'),
+      context,
+      monitoringService.buildSnapshotFromMetric(metric)
+    );
+
+    // Alerts are delivered over sockets, so the response does not wait for them
+    alertService.processMetric(req.app.get('io'), metric, context)
+      .catch(err => console.error('Alert processing failed:', err));
+
+    // Goals reached mid-session are pushed to the student
+    goalService.checkSessionGoals(req.app.get('io'), session)
+      .catch(err => console.error('Goal check failed:', err));
+
     res.status(201).json({
       success: true,
       message: 'Metric saved successfully',
@@ -99,6 +107,13 @@ router.post('/batch', async (req, res) => {
       });
     }
 
+    if (!await ownsAllSessions(req.user._id, metrics.map(m => m.session_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
     // Add user_id to each metric
     const metricsWithUser = metrics.map(m => ({
       ...m,
@@ -111,6 +126,42 @@ router.post('/batch', async (req, res) => {
       ordered: false // Continue even if some fail
     });
 
+    // Group by session (in time order) for alerts and the teacher's feed
+    const metricsBySession = new Map();
+    [...createdMetrics]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(m => {
+        const key = m.session_id.toString();
+        if (!metricsBySession.has(key)) metricsBySession.set(key, []);
+        metricsBySession.get(key).push(m);
+      });
+
+    const ownedSessions = await Session.find({
+      _id: { $in: [...metricsBySession.keys()] },
+      student_id: req.user._id.toString()
+    }).select('_id room_id student_id start_time is_active');
+
+    ownedSessions.forEach(session => {
+      const sessionMetrics = metricsBySession.get(session._id.toString());
+      const context = monitoringService.getSessionContext(session, req.user);
+
+      monitoringService.publishEngagementSnapshot(
+        req.app.get('io'),
+        context,
+        monitoringService.buildSnapshotFromMetric(sessionMetrics[sessionMetrics.length - 1])
+      );
+
+      sessionMetrics
+        .reduce(
+          (chain, m) => chain.then(() => alertService.processMetric(req.app.get('io'), m, context)),
+          Promise.resolve()
+        )
+        .catch(err => console.error('Alert processing failed:', err));
+
+      goalService.checkSessionGoals(req.app.get('io'), session)
+        .catch(err => console.error('Goal check failed:', err));
+    });
+
     res.status(201).json({
       success: true,
       message: `${createdMetrics.length} metrics saved successfully`,
@@ -132,24 +183,11 @@ router.post('/batch', async (req, res) => {
  * @desc    Get all metrics for a session
  * @access  Private
  */
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', requireSessionAccess({ allowTeacher: true }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { startTime, endTime, limit, includeRaw = 'false' } = req.query;
 
-    // Verify session belongs to user
-    const session = await Session.findOne({
-      _id: sessionId,
-      user_id: req.user._id
-    });
-
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found or unauthorized'
-      });
-    }
-
     // Build query
     const query = { session_id: sessionId };
     
@@ -194,23 +232,10 @@ router.get('/session/:sessionId', async (req, res) => {
  * @desc    Get comprehensive session summary with analytics
  * @access  Private
  */
-router.get('/session/:sessionId/summary', async (req, res) => {
+router.get('/session/:sessionId/summary', requireSessionAccess({ allowTeacher: true }), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    // Verify session belongs to user
-    const session = await Session.findOne({
-      _id: sessionId,
-      user_id: req.user._id
-    });
-
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found or unauthorized'
-      });
-    }
-
     // Get summary
     const summary = await Metric.getSessionSummary(sessionId);
 
@@ -241,7 +266,7 @@ router.get('/session/:sessionId/summary', async (req, res) => {
  * @desc    Get recent metrics (last N minutes)
  * @access  Private
  */
-router.get('/session/:sessionId/recent', async (req, res) => {
+router.get('/session/:sessionId/recent', requireSessionAccess({ allowTeacher: true }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { minutes = 5 } = req.query;
@@ -270,7 +295,7 @@ router.get('/session/:sessionId/recent', async (req, res) => {
  * @desc    Get engagement trend over time
  * @access  Private
  */
-router.get('/session/:sessionId/trend', async (req, res) => {
+router.get('/session/:sessionId/trend', requireSessionAccess({ allowTeacher: true }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { interval = 5 } = req.query; // minutes
@@ -308,7 +333,7 @@ router.get('/session/:sessionId/trend', async (req, res) => {
  * @desc    Detect anomalies in session metrics
  * @access  Private
  */
-router.get('/session/:sessionId/anomalies', async (req, res) => {
+router.get('/session/:sessionId/anomalies', requireSessionAccess({ allowTeacher: true }), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -335,7 +360,7 @@ router.get('/session/:sessionId/anomalies', async (req, res) => {
  * @desc    Get current alerts based on latest metrics
  * @access  Private
  */
-router.get('/session/:sessionId/alerts', async (req, res) => {
+router.get('/session/:sessionId/alerts', requireSessionAccess({ allowTeacher: true }), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -375,7 +400,7 @@ router.get('/session/:sessionId/alerts', async (req, res) => {
  * @desc    Get detailed engagement timeline with events
  * @access  Private
  */
-router.get('/session/:sessionId/engagement-timeline', async (req, res) => {
+router.get('/session/:sessionId/engagement-timeline', requireSessionAccess({ allowTeacher: true }), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -520,7 +545,7 @@ router.get('/aggregate/daily', async (req, res) => {
     const dailyStats = await Metric.aggregate([
       {
         $match: {
-          user_id: mongoose.Types.ObjectId(req.user._id),
+          user_id: req.user._id,
           timestamp: { $gte: cutoffDate }
         }
       },
@@ -575,7 +600,7 @@ router.get('/aggregate/daily', async (req, res) => {
  * @desc    Get health-related metrics for a session
  * @access  Private
  */
-router.get('/health/:sessionId', async (req, res) => {
+router.get('/health/:sessionId', requireSessionAccess({ allowTeacher: true }), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -624,7 +649,7 @@ router.get('/health/:sessionId', async (req, res) => {
  * @desc    Get distraction analysis for a session
  * @access  Private
  */
-router.get('/distractions/:sessionId', async (req, res) => {
+router.get('/distractions/:sessionId', requireSessionAccess({ allowTeacher: true }), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -703,7 +728,7 @@ router.get('/distractions/:sessionId', async (req, res) => {
  * @desc    Compare session metrics with user's historical average
  * @access  Private
  */
-router.get('/comparison/:sessionId', async (req, res) => {
+router.get('/comparison/:sessionId', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -721,8 +746,8 @@ router.get('/comparison/:sessionId', async (req, res) => {
     const historicalAvg = await Metric.aggregate([
       {
         $match: {
-          user_id: mongoose.Types.ObjectId(req.user._id),
-          session_id: { $ne: mongoose.Types.ObjectId(sessionId) }
+          user_id: req.user._id,
+          session_id: { $ne: sessionId }
         }
       },
       {
@@ -779,7 +804,7 @@ router.get('/comparison/:sessionId', async (req, res) => {
  * @desc    Delete all metrics for a session
  * @access  Private
  */
-router.delete('/session/:sessionId', async (req, res) => {
+router.delete('/session/:sessionId', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -809,7 +834,7 @@ router.delete('/session/:sessionId', async (req, res) => {
  * @desc    Export session metrics
  * @access  Private
  */
-router.post('/export/:sessionId', async (req, res) => {
+router.post('/export/:sessionId', requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { format = 'json' } = req.body;
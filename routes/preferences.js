@@ -1,11 +1,12 @@
 import express from 'express';
 import UserPreferences from '../models/UserPreferences.js';
-import { authMiddleware } from '../middleware/auth.js';
+import leaderboardService from '../services/leaderboardService.js';
+import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
-router.use(authMiddleware);
+router.use(authenticateToken);
 
 /**
  * @route   GET /api/preferences
@@ -542,6 +543,106 @@ router.put('/study/pomodoro', async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/preferences/study/streak
+ * @desc    Update streak rules (minimum minutes per day, freezes per week)
+ * @access  Private
+ */
+router.put('/study/streak', async (req, res) => {
+  try {
+    const { min_minutes, freezes_per_week } = req.body;
+
+    const updates = {};
+    if (min_minutes !== undefined) updates['study.streak_min_minutes'] = min_minutes;
+    if (freezes_per_week !== undefined) updates['study.streak_freezes_per_week'] = freezes_per_week;
+
+    const preferences = await UserPreferences.findOneAndUpdate(
+      { user_id: req.user._id },
+      { 
+        $set: { 
+          ...updates,
+          last_synced: new Date()
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Streak settings updated',
+      data: {
+        min_minutes: preferences.study.streak_min_minutes,
+        freezes_per_week: preferences.study.streak_freezes_per_week
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating streak settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update streak settings',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/preferences/leaderboard
+ * @desc    Room leaderboard privacy (visible, pseudonym or hidden) and class average
+ * @access  Private
+ */
+router.put('/leaderboard', async (req, res) => {
+  try {
+    const { visibility, pseudonym, compare_with_average } = req.body;
+
+    if (pseudonym) {
+      const problem = typeof pseudonym === 'string'
+        ? await leaderboardService.checkPseudonym(req.user._id, pseudonym)
+        : 'pseudonym must be a string';
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+    }
+
+    const updates = {};
+    if (visibility !== undefined) updates['analytics.leaderboard_visibility'] = visibility;
+    if (pseudonym !== undefined) updates['analytics.leaderboard_pseudonym'] = pseudonym || null;
+    if (compare_with_average !== undefined) updates['analytics.compare_with_average'] = compare_with_average;
+
+    const preferences = await UserPreferences.findOneAndUpdate(
+      { user_id: req.user._id },
+      { 
+        $set: { 
+          ...updates,
+          last_synced: new Date()
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Leaderboard settings updated',
+      data: {
+        visibility: preferences.analytics.leaderboard_visibility,
+        pseudonym: preferences.analytics.leaderboard_pseudonym,
+        compare_with_average: preferences.analytics.compare_with_average
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating leaderboard settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update leaderboard settings',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/preferences/webcam
  * @desc    Get webcam and privacy preferences
@@ -0,0 +1,306 @@
+// FILE PATH: backend/routes/quizzes.js
+// Quizzes generated from material pages or session highlights, attempts and results
+
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Room from '../models/Room.js';
+import quizService from '../services/quizService.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { AuthorizationError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+const quizIdParam = param('id').isMongoId().withMessage('Invalid quiz ID');
+
+/**
+ * @route   POST /api/quizzes
+ * @desc    Generate a quiz from a material's pages (materialId, pageFrom, pageTo)
+ *          or a session's highlights (sessionId)
+ * @access  Private
+ */
+router.post('/', [
+  body('materialId').optional().isMongoId(),
+  body('pageFrom').optional().isInt({ min: 1 }),
+  body('pageTo').optional().isInt({ min: 1 }),
+  body('sessionId').if(body('materialId').not().exists()).isString().notEmpty()
+    .withMessage('materialId or sessionId is required'),
+  body('count').optional().isInt({ min: 1, max: quizService.MAX_QUESTIONS }).toInt(),
+  body('difficulty').optional().isIn(quizService.DIFFICULTIES),
+  body('types').optional().isArray({ min: 1 }),
+  body('types.*').isIn(quizService.QUESTION_TYPES),
+  body('title').optional().trim().notEmpty().isLength({ max: 200 }),
+  body('subject').optional().trim().notEmpty().isLength({ max: 100 }),
+], validate, async (req, res, next) => {
+  try {
+    const quiz = await quizService.createQuiz(req.user, req.body);
+    res.status(201).json({ success: true, message: 'Quiz created', data: quiz });
+  } catch (error) {
+    console.error('❌ Error creating quiz:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quizzes?scope=mine|rooms&subject
+ * @desc    Quizzes the user created (mine), or published to their rooms (rooms)
+ * @access  Private
+ */
+router.get('/', [
+  query('scope').optional().isIn(['mine', 'rooms']),
+  query('subject').optional().isString(),
+], validate, async (req, res, next) => {
+  try {
+    const { scope = 'mine', subject } = req.query;
+
+    const filter = {};
+    if (scope === 'rooms') {
+      const rooms = await Room.find(req.user.role === 'teacher'
+        ? { teacher_id: req.user._id }
+        : { allowed_students: req.user._id, is_active: true }).select('_id');
+      filter.room_id = { $in: rooms.map(r => r._id) };
+      filter.published_at = { $ne: null };
+    } else {
+      filter.owner_id = req.user._id;
+    }
+    if (subject) filter.subject = subject;
+
+    const quizzes = await Quiz.find(filter).sort({ createdAt: -1 }).limit(100);
+    const isStudentView = scope === 'rooms' && req.user.role !== 'teacher';
+
+    res.json({
+      success: true,
+      count: quizzes.length,
+      data: quizzes.map(q => (isStudentView ? q.toStudentView() : q))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching quizzes:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quizzes/progress?from&to&interval=week|day
+ * @desc    The user's quiz scores per subject over time
+ * @access  Private
+ */
+router.get('/progress', [
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('interval').optional().isIn(['day', 'week']),
+], validate, async (req, res, next) => {
+  try {
+    const progress = await quizService.getSubjectProgress(req.user, req.query);
+    res.json({ success: true, data: progress });
+  } catch (error) {
+    console.error('❌ Error fetching quiz progress:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quizzes/:id
+ * @desc    A quiz; students of the room get it without the answers
+ * @access  Private (owner, room teacher, room students)
+ */
+router.get('/:id', [quizIdParam], validate, async (req, res, next) => {
+  try {
+    const quiz = await quizService.getQuiz(req.params.id);
+    const role = await quizService.getQuizRole(quiz, req.user);
+    if (!role) throw new AuthorizationError();
+
+    res.json({ success: true, data: role === 'student' ? quiz.toStudentView() : quiz });
+  } catch (error) {
+    console.error('❌ Error fetching quiz:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/quizzes/:id
+ * @desc    Delete a quiz and all its attempts
+ * @access  Private (owner)
+ */
+router.delete('/:id', [quizIdParam], validate, async (req, res, next) => {
+  try {
+    const quiz = await quizService.getQuiz(req.params.id);
+    if (!quizService.isQuizOwner(quiz, req.user)) throw new AuthorizationError();
+
+    await QuizAttempt.deleteMany({ quiz_id: quiz._id });
+    await quiz.deleteOne();
+
+    res.json({ success: true, message: 'Quiz deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting quiz:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/quizzes/:id/attempts
+ * @desc    Submit answers ({ question_id, response }) for automatic grading.
+ *          Room students get the right answers back once they are released
+ *          (teacher release or due date)
+ * @access  Private (owner, room students)
+ */
+router.post('/:id/attempts', [
+  quizIdParam,
+  body('answers').isArray().withMessage('answers must be an array'),
+  body('answers.*.question_id').isMongoId(),
+  // Option index (integer) for multiple choice, text for short answer
+  body('answers.*.response').optional({ nullable: true })
+    .custom(value => Number.isInteger(value) || typeof value === 'string')
+    .withMessage('response must be an option number or text'),
+  body('started_at').optional().isISO8601().toDate(),
+], validate, async (req, res, next) => {
+  try {
+    const quiz = await quizService.getQuiz(req.params.id);
+    const attempt = await quizService.submitAttempt(quiz, req.user, {
+      answers: req.body.answers,
+      startedAt: req.body.started_at,
+    });
+    const showAnswers = quizService.canSeeAnswers(quiz, await quizService.getQuizRole(quiz, req.user));
+
+    res.status(201).json({
+      success: true,
+      message: `Scored ${attempt.score}/${attempt.max_score}`,
+      data: {
+        attempt: quizService.toAttemptView(attempt, { showAnswers }),
+        review: quizService.reviewAttempt(quiz, attempt, { showAnswers })
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error submitting quiz attempt:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quizzes/:id/attempts
+ * @desc    The user's own attempts at a quiz (per-question results once the
+ *          answers are released, for room students)
+ * @access  Private
+ */
+router.get('/:id/attempts', [quizIdParam], validate, async (req, res, next) => {
+  try {
+    const quiz = await quizService.getQuiz(req.params.id);
+    const showAnswers = quizService.canSeeAnswers(quiz, await quizService.getQuizRole(quiz, req.user));
+    const attempts = await QuizAttempt.find({ quiz_id: quiz._id, user_id: req.user._id })
+      .sort({ submitted_at: -1 });
+
+    res.json({
+      success: true,
+      count: attempts.length,
+      data: attempts.map(attempt => quizService.toAttemptView(attempt, { showAnswers }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching quiz attempts:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/quizzes/:id/publish
+ * @desc    Publish a quiz to one of the teacher's rooms (max_attempts per student,
+ *          default QUIZ_MAX_ATTEMPTS)
+ * @access  Private (teacher, quiz owner)
+ */
+router.post('/:id/publish', requireRole('teacher'), [
+  quizIdParam,
+  body('room_id').isMongoId().withMessage('room_id is required'),
+  body('due_at').optional({ nullable: true }).isISO8601().toDate(),
+  body('max_attempts').optional().isInt({ min: 1, max: 20 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    const quiz = await quizService.getQuiz(req.params.id);
+    const { room } = await quizService.publishQuiz(quiz, req.user, {
+      roomId: req.body.room_id,
+      dueAt: req.body.due_at || null,
+      maxAttempts: req.body.max_attempts,
+    });
+
+    // Tell the room's students on their own channels
+    const io = req.app.get('io');
+    if (io && room.allowed_students.length) {
+      io.to(room.allowed_students.map(id => `student:${id}`)).emit('quiz-published', {
+        quiz_id: quiz._id,
+        room_id: room._id,
+        title: quiz.title,
+        subject: quiz.subject,
+        due_at: quiz.due_at
+      });
+    }
+
+    res.json({ success: true, message: `Quiz published to ${room.title}`, data: quiz });
+  } catch (error) {
+    console.error('❌ Error publishing quiz:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/quizzes/:id/publish
+ * @desc    Withdraw a quiz from its room (attempts are kept)
+ * @access  Private (teacher, quiz owner)
+ */
+router.delete('/:id/publish', requireRole('teacher'), [quizIdParam], validate, async (req, res, next) => {
+  try {
+    const quiz = await quizService.getQuiz(req.params.id);
+    if (!quizService.isQuizOwner(quiz, req.user)) throw new AuthorizationError();
+
+    quiz.published_at = null;
+    await quiz.save();
+
+    res.json({ success: true, message: 'Quiz unpublished', data: quiz });
+  } catch (error) {
+    console.error('❌ Error unpublishing quiz:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/quizzes/:id/release
+ * @desc    Show the room's students the right answers before the due date
+ * @access  Private (teacher, quiz owner)
+ */
+router.post('/:id/release', requireRole('teacher'), [quizIdParam], validate, async (req, res, next) => {
+  try {
+    const quiz = await quizService.releaseAnswers(await quizService.getQuiz(req.params.id), req.user);
+    res.json({ success: true, message: 'Answers released', data: quiz });
+  } catch (error) {
+    console.error('❌ Error releasing quiz answers:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/quizzes/:id/results
+ * @desc    Class results: each student's scores and how each question went
+ * @access  Private (quiz owner, room teacher)
+ */
+router.get('/:id/results', requireRole('teacher'), [quizIdParam], validate, async (req, res, next) => {
+  try {
+    const quiz = await quizService.getQuiz(req.params.id);
+    const role = await quizService.getQuizRole(quiz, req.user);
+    if (role !== 'owner' && role !== 'teacher') throw new AuthorizationError();
+
+    const results = await quizService.getClassResults(quiz);
+    res.json({ success: true, data: results });
+  } catch (error) {
+    console.error('❌ Error fetching quiz results:', error);
+    next(error);
+  }
+});
+
+export default router;
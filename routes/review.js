@@ -0,0 +1,242 @@
+// FILE PATH: backend/routes/review.js
+// Flashcards and spaced-repetition reviews (SM-2, see services/reviewService.js)
+
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Flashcard from '../models/Flashcard.js';
+import reviewService from '../services/reviewService.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+const cardIdParam = param('cardId').isMongoId().withMessage('Invalid card ID');
+
+/**
+ * @route   GET /api/review/due?limit&material_id
+ * @desc    Cards due for review now, most overdue first
+ * @access  Private
+ */
+router.get('/due', [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('material_id').optional().isMongoId(),
+], validate, async (req, res, next) => {
+  try {
+    const { cards, total } = await reviewService.getDueCards(req.user, {
+      limit: req.query.limit || 20,
+      materialId: req.query.material_id,
+    });
+
+    res.json({ success: true, count: cards.length, total, data: cards });
+  } catch (error) {
+    console.error('❌ Error fetching due cards:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/review/:cardId/grade
+ * @desc    Grade a review (0-2 forgotten, 3 hard, 4 good, 5 easy) and reschedule the card
+ * @access  Private
+ */
+router.post('/:cardId/grade', [
+  cardIdParam,
+  body('grade').isInt({ min: 0, max: 5 }).withMessage('Grade must be an integer from 0 to 5').toInt(),
+  body('duration_ms').optional().isInt({ min: 0 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    const { card, review } = await reviewService.gradeCard(req.params.cardId, req.user, req.body.grade, {
+      durationMs: req.body.duration_ms,
+    });
+
+    res.json({
+      success: true,
+      message: `Next review in ${card.interval_days} day${card.interval_days === 1 ? '' : 's'}`,
+      data: { card, review }
+    });
+  } catch (error) {
+    console.error('❌ Error grading card:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/review/stats?days
+ * @desc    Card counts by stage, due workload and retention over the last days
+ * @access  Private
+ */
+router.get('/stats', [
+  query('days').optional().isInt({ min: 1, max: 365 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    const stats = await reviewService.getReviewStats(req.user, { days: req.query.days || 30 });
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    console.error('❌ Error fetching review stats:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/review/cards?material_id&source&stage&limit&skip
+ * @desc    List the user's cards
+ * @access  Private
+ */
+router.get('/cards', [
+  query('material_id').optional().isMongoId(),
+  query('source').optional().isIn(['manual', 'highlight', 'annotation']),
+  query('suspended').optional().isBoolean().toBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('skip').optional().isInt({ min: 0 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    const { material_id, source, suspended } = req.query;
+    const limit = req.query.limit || 50;
+    const skip = req.query.skip || 0;
+
+    const filter = { user_id: req.user._id };
+    if (material_id) filter.material_id = material_id;
+    if (source) filter['source.type'] = source;
+    if (suspended !== undefined) filter.suspended = suspended;
+
+    const [cards, total] = await Promise.all([
+      Flashcard.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Flashcard.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: cards,
+      pagination: { total, limit, skip, hasMore: total > skip + limit }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching cards:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/review/cards
+ * @desc    Write a card by hand
+ * @access  Private
+ */
+router.post('/cards', [
+  body('front').trim().notEmpty().withMessage('Front is required').isLength({ max: 1000 }),
+  body('back').trim().notEmpty().withMessage('Back is required').isLength({ max: 5000 }),
+  body('material_id').optional({ nullable: true }).isMongoId(),
+  body('tags').optional().isArray(),
+], validate, async (req, res, next) => {
+  try {
+    const card = await reviewService.createManualCard(req.user, req.body);
+    res.status(201).json({ success: true, message: 'Card created', data: card });
+  } catch (error) {
+    console.error('❌ Error creating card:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/review/cards/generate
+ * @desc    Make cards from highlights / annotations (given ids, or every eligible
+ *          one of a session or material); use_ai writes the Q&A with the LLM
+ * @access  Private
+ */
+router.post('/cards/generate', [
+  body('highlight_ids').optional().isArray({ max: reviewService.MAX_SOURCES_PER_REQUEST }),
+  body('highlight_ids.*').isMongoId(),
+  body('annotation_ids').optional().isArray({ max: reviewService.MAX_SOURCES_PER_REQUEST }),
+  body('annotation_ids.*').isMongoId(),
+  body('session_id').optional().isString(),
+  body('material_id').optional().isMongoId(),
+  body('use_ai').optional().isBoolean().toBoolean(),
+], validate, async (req, res, next) => {
+  try {
+    const { created, skipped } = await reviewService.createCardsFromSources(req.user, {
+      highlightIds: req.body.highlight_ids,
+      annotationIds: req.body.annotation_ids,
+      sessionId: req.body.session_id,
+      materialId: req.body.material_id,
+      useAI: req.body.use_ai,
+    });
+
+    res.status(created.length ? 201 : 200).json({
+      success: true,
+      message: `${created.length} card${created.length === 1 ? '' : 's'} created`,
+      skipped,
+      data: created
+    });
+  } catch (error) {
+    console.error('❌ Error generating cards:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/review/cards/:cardId/history
+ * @desc    A card with all its past reviews
+ * @access  Private
+ */
+router.get('/cards/:cardId/history', [cardIdParam], validate, async (req, res, next) => {
+  try {
+    const { card, reviews } = await reviewService.getCardHistory(req.params.cardId, req.user);
+    res.json({ success: true, data: { card, reviews } });
+  } catch (error) {
+    console.error('❌ Error fetching card history:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   PATCH /api/review/cards/:cardId
+ * @desc    Edit a card's text or tags, or suspend / unsuspend it
+ * @access  Private
+ */
+router.patch('/cards/:cardId', [
+  cardIdParam,
+  body('front').optional().trim().notEmpty().isLength({ max: 1000 }),
+  body('back').optional().trim().notEmpty().isLength({ max: 5000 }),
+  body('tags').optional().isArray(),
+  body('suspended').optional().isBoolean().toBoolean(),
+], validate, async (req, res, next) => {
+  try {
+    const card = await reviewService.getCard(req.params.cardId, req.user);
+    ['front', 'back', 'tags', 'suspended'].forEach(field => {
+      if (req.body[field] !== undefined) card[field] = req.body[field];
+    });
+    await card.save();
+
+    res.json({ success: true, message: 'Card updated', data: card });
+  } catch (error) {
+    console.error('❌ Error updating card:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/review/cards/:cardId
+ * @desc    Delete a card and its review history
+ * @access  Private
+ */
+router.delete('/cards/:cardId', [cardIdParam], validate, async (req, res, next) => {
+  try {
+    const card = await reviewService.getCard(req.params.cardId, req.user);
+    await card.deleteOne();
+    await reviewService.deleteCardHistory(card._id);
+
+    res.json({ success: true, message: 'Card deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting card:', error);
+    next(error);
+  }
+});
+
+export default router;
@@ -5,22 +5,21 @@ import express from 'express';
 import path from 'path';
 import fs from 'fs/promises';
 import Room from '../models/Room.js';
-import Session from '../models/Session.js';
 import User from '../models/User.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
-import { body, validationResult } from 'express-validator';
+import { authenticateToken, requireRole, requireVerifiedTeacher } from '../middleware/auth.js';
+import { body, query, validationResult } from 'express-validator';
 import { sendRoomInvitation } from '../services/emailService.js';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import materialService from '../services/materialService.js';
+import roomAnalyticsService from '../services/roomAnalyticsService.js';
+import leaderboardService from '../services/leaderboardService.js';
+import Material from '../models/Material.js';
 
 const router = express.Router();
 
 /* =========================================================
    CREATE ROOM 
    ========================================================= */
-router.post('/', authenticateToken, requireRole('teacher'), [
+router.post('/', authenticateToken, requireRole('teacher'), requireVerifiedTeacher, [
     body('title').trim().notEmpty().withMessage('Title is required'),
     body('subject').optional().trim(),
     body('start_time').optional().trim(),
@@ -38,14 +37,18 @@ router.post('/', authenticateToken, requireRole('teacher'), [
         if (req.files && req.files.pdf) {
             const pdf = req.files.pdf;
             if (!pdf.mimetype.includes('pdf')) return res.status(400).json({ message: 'Only PDF files allowed' });
-            const uploadDir = path.join(__dirname, '..', 'uploads', 'pdfs');
-            await fs.mkdir(uploadDir, { recursive: true });
-            const filename = `${room._id || Date.now()}_${pdf.name}`;
-            const filepath = path.join(uploadDir, filename);
+            await fs.mkdir(materialService.TEMP_UPLOAD_DIR, { recursive: true });
+            const filepath = path.join(materialService.TEMP_UPLOAD_DIR, `${room._id}_${Date.now()}.pdf`);
             await pdf.mv(filepath);
-            room.pdf_path = `/uploads/pdfs/${filename}`;  ;
-            room.pdf_name = pdf.name;
-            room.pdf_uploaded_at = new Date();
+            const material = await materialService.createMaterialFromFile({
+                ownerId: req.user._id,
+                filePath: filepath,
+                originalName: pdf.name,
+                size: pdf.size,
+                mimeType: pdf.mimetype,
+                roomId: room._id
+            });
+            room.setMaterial(material);
         }
         await room.save();
         res.status(201).json({ message: 'Room created successfully', room });
@@ -130,10 +133,8 @@ router.delete('/:id', authenticateToken, requireRole('teacher'), async (req, res
         const room = await Room.findById(req.params.id);
         if (!room) return res.status(404).json({ message: 'Room not found' });
         if (room.teacher_id.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Access denied' });
-        if (room.pdf_path) {
-            try { await fs.unlink(room.pdf_path); } catch (error) { console.error('Error deleting PDF:', error); }
-        }
         await Room.findByIdAndDelete(req.params.id);
+        await materialService.detachMaterial(room.material_id, { roomId: room._id });
         res.json({ message: 'Room deleted successfully' });
     } catch (error) {
         next(error);
@@ -162,7 +163,7 @@ router.post('/join', authenticateToken, requireRole('student'), [body('code').tr
 /* =========================================================
    ADD STUDENT (Teacher)
    ========================================================= */
-router.post('/:id/add-student', authenticateToken, requireRole('teacher'), [body('studentEmail').isEmail().normalizeEmail()], async (req, res, next) => {
+router.post('/:id/add-student', authenticateToken, requireRole('teacher'), requireVerifiedTeacher, [body('studentEmail').isEmail().normalizeEmail()], async (req, res, next) => {
     try {
         const room = await Room.findById(req.params.id);
         if (!room) return res.status(404).json({ message: 'Room not found' });
@@ -206,22 +207,25 @@ router.post('/:id/pdf/upload', authenticateToken, requireRole('teacher'), async
         if (room.teacher_id.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Access denied' });
         const pdf = req.files.pdf;
         if (!pdf.mimetype.includes('pdf')) return res.status(400).json({ message: 'Only PDF files allowed' });
-        const uploadDir = path.join(__dirname, '..', 'uploads', 'pdfs');
-        await fs.mkdir(uploadDir, { recursive: true });
-        const filename = `${room._id}_${Date.now()}.pdf`;
-        const filepath = path.join(uploadDir, filename);
+        await fs.mkdir(materialService.TEMP_UPLOAD_DIR, { recursive: true });
+        const filepath = path.join(materialService.TEMP_UPLOAD_DIR, `${room._id}_${Date.now()}.pdf`);
         await pdf.mv(filepath);
-        if (room.pdf_path) {
-            try { await fs.unlink(room.pdf_path); } catch (error) { console.error('Error deleting old PDF:', error); }
-        }
-        room.pdf_path = `/uploads/pdfs/${filename}`;;
-        room.pdf_name = pdf.name;
-        room.pdf_uploaded_at = new Date();
+        const material = await materialService.createMaterialFromFile({
+            ownerId: req.user._id,
+            filePath: filepath,
+            originalName: pdf.name,
+            size: pdf.size,
+            mimeType: pdf.mimetype,
+            roomId: room._id
+        });
+        const previousMaterialId = room.material_id;
+        room.setMaterial(material);
         await room.save();
+        await materialService.detachMaterial(previousMaterialId, { roomId: room._id });
         if (req.app.get('io')) {
             req.app.get('io').to(room._id.toString()).emit('pdf-uploaded', { roomId: room._id, pdfName: pdf.name });
         }
-        res.json({ message: 'PDF uploaded successfully', pdf: { name: pdf.name, size: pdf.size } });
+        res.json({ message: 'PDF uploaded successfully', pdf: { name: pdf.name, size: pdf.size, material_id: material._id } });
     } catch (error) {
         next(error);
     }
@@ -236,13 +240,20 @@ router.get('/:id/pdf', authenticateToken, async (req, res, next) => {
     if (!room) return res.status(404).json({ message: 'Room not found' });
     if (req.user.role === 'student' && !room.isStudentAllowed(req.user._id)) return res.status(403).json({ message: 'Access denied' });
     if (req.user.role === 'teacher' && room.teacher_id.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Access denied' });
-    if (!room.pdf_path) return res.status(404).json({ message: 'No PDF uploaded for this room' });
+    if (!room.has_pdf) return res.status(404).json({ message: 'No PDF uploaded for this room' });
+    const material = room.material_id ? await Material.findById(room.material_id) : null;
+    if (material) {
+      const { url } = await materialService.getDownloadUrl(material);
+      return res.redirect(url);
+    }
+    // Rooms created before materials existed keep the file on local disk
+    const filePath = path.join(materialService.UPLOADS_DIR, room.pdf_path.replace(/^\/uploads\//, ''));
     try {
-      await fs.access(room.pdf_path);
+      await fs.access(filePath);
     } catch (error) {
       return res.status(404).json({ message: 'PDF file not found on server' });
     }
-    res.sendFile(room.pdf_path);
+    res.sendFile(filePath);
   } catch (error) {
     console.error('Error fetching PDF:', error);
     next(error);
@@ -264,19 +275,100 @@ router.get('/:id/students', authenticateToken, requireRole('teacher'), async (re
 });
 
 /* =========================================================
-   GET ROOM METRICS (Teacher only)
+   GET ROOM DASHBOARD (per-student breakdown)
+   ?from&to&sort&order&at_risk
    ========================================================= */
-router.get('/:id/metrics', authenticateToken, requireRole('teacher'), async (req, res, next) => {
+router.get('/:id/dashboard', authenticateToken, requireRole('teacher'), [
+    query('from').optional().isISO8601().toDate(),
+    query('to').optional().isISO8601().toDate(),
+    query('sort').optional().isIn(Object.keys(roomAnalyticsService.SORT_FIELDS)),
+    query('order').optional().isIn(['asc', 'desc']),
+    query('at_risk').optional().isBoolean().toBoolean(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { from, to, sort, order, at_risk } = req.query;
+    if (from && to && from > to) return res.status(400).json({ message: 'from must be before to' });
+
+    const room = await Room.findById(req.params.id).populate('allowed_students', 'name email');
+    if (!room) return res.status(404).json({ message: 'Room not found' });
+    if (room.teacher_id.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Access denied' });
+
+    const dashboard = await roomAnalyticsService.getRoomDashboard(room, { from, to, sort, order, atRiskOnly: at_risk });
+    res.json({ dashboard });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/* =========================================================
+   GET ROOM LEADERBOARD (weekly) ?metric&week
+   ========================================================= */
+router.get('/:id/leaderboard', authenticateToken, [
+    query('metric').optional().isIn(leaderboardService.RANKING_METRICS),
+    query('week').optional().isISO8601().toDate(),
+], async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const room = await Room.findById(req.params.id).populate('allowed_students', 'name');
+    if (!room) return res.status(404).json({ message: 'Room not found' });
+    const isTeacher = room.teacher_id.toString() === req.user._id.toString();
+    const isStudent = room.allowed_students.some(s => s._id.toString() === req.user._id.toString());
+    if (!isTeacher && !isStudent) return res.status(403).json({ message: 'Access denied' });
+    if (!isTeacher && !room.settings?.leaderboard_enabled) {
+      return res.status(403).json({ message: 'The leaderboard is not enabled for this room' });
+    }
+
+    const leaderboard = await leaderboardService.getLeaderboard(room, req.user, {
+      metric: req.query.metric,
+      date: req.query.week
+    });
+    res.json({ leaderboard, enabled: !!room.settings?.leaderboard_enabled });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/* =========================================================
+   ENABLE / DISABLE ROOM LEADERBOARD (Teacher only)
+   ========================================================= */
+router.put('/:id/leaderboard', authenticateToken, requireRole('teacher'), [
+    body('enabled').isBoolean().withMessage('enabled must be true or false').toBoolean(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
     const room = await Room.findById(req.params.id);
     if (!room) return res.status(404).json({ message: 'Room not found' });
     if (room.teacher_id.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Access denied' });
-    const sessions = await Session.find({ room_id: room._id });
+
+    room.settings.leaderboard_enabled = req.body.enabled;
+    await room.save();
+    res.json({ message: `Leaderboard ${req.body.enabled ? 'enabled' : 'disabled'}`, settings: room.settings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/* =========================================================
+   GET ROOM METRICS (summary of the last 30 days)
+   ========================================================= */
+router.get('/:id/metrics', authenticateToken, requireRole('teacher'), async (req, res, next) => {
+  try {
+    const room = await Room.findById(req.params.id).populate('allowed_students', 'name email');
+    if (!room) return res.status(404).json({ message: 'Room not found' });
+    if (room.teacher_id.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Access denied' });
+    const { summary } = await roomAnalyticsService.getRoomDashboard(room);
     const metrics = {
-      totalStudents: room.allowed_students.length,
-      totalSessions: sessions.length,
-      averageDuration: sessions.length > 0 ? sessions.reduce((sum, s) => sum + (s.duration || 0), 0) / sessions.length : 0,
-      lastSession: sessions.length > 0 ? sessions[sessions.length - 1].createdAt : null,
+      totalStudents: summary.student_count,
+      totalSessions: summary.session_count,
+      averageDuration: summary.avg_session_seconds,
+      lastSession: summary.last_session_at,
+      ...summary
     };
     res.json({ metrics });
   } catch (error) {
@@ -3,6 +3,15 @@
 import express from 'express';
 import Routine from '../models/Routine.js';
 import Session from '../models/Session.js';
+import Material from '../models/Material.js';
+import RoutineCredit from '../models/RoutineCredit.js';
+import UserToken from '../models/UserToken.js';
+import RoutineReminder from '../models/RoutineReminder.js';
+import materialService from '../services/materialService.js';
+import { recalculateRoutine } from '../services/routineCreditService.js';
+import { getCalendar, getUserTimeZone, MAX_CALENDAR_DAYS, UNSCHEDULED_STATUSES } from '../services/scheduleService.js';
+import { buildCalendar, icsToRoutineDrafts } from '../services/icalService.js';
+import { getLocalParts, addDaysToKey } from '../utils/timezone.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import multer from 'multer';
 import path from 'path';
@@ -15,7 +24,7 @@ const router = express.Router();
 // -----------------------------------------------------------
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadPath = path.resolve(process.cwd(), 'uploads', 'pdfs');
+    const uploadPath = materialService.TEMP_UPLOAD_DIR;
     await fs.mkdir(uploadPath, { recursive: true });
     cb(null, uploadPath);
   },
@@ -44,7 +53,7 @@ const upload = multer({
 // -----------------------------------------------------------
 const routineStorage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadPath = path.resolve(process.cwd(), 'uploads', 'routines');
+    const uploadPath = materialService.TEMP_UPLOAD_DIR;
     await fs.mkdir(uploadPath, { recursive: true });
     cb(null, uploadPath);
   },
@@ -68,6 +77,24 @@ const routineUpload = multer({
   },
 });
 
+// -----------------------------------------------------------
+// MULTER CONFIGURATION FOR CALENDAR (.ics) IMPORTS - kept in memory
+// -----------------------------------------------------------
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/calendar' || path.extname(file.originalname).toLowerCase() === '.ics') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .ics calendar files are allowed'), false);
+    }
+  },
+});
+
+// Calendar feed tokens stay valid until rotated or revoked
+const CALENDAR_FEED_TOKEN_TTL_MS = 10 * 365 * 24 * 60 * 60 * 1000;
+
 // =======================================================================
 // ✅ BULK UPLOAD PDFs FOR STUDY MATERIALS
 // =======================================================================
@@ -87,12 +114,23 @@ router.post(
         });
       }
 
-      const files = req.files.map(file => ({
+      // Materials are attached to a routine once it is created with them
+      const materials = await Promise.all(req.files.map(file => materialService.createMaterialFromFile({
+        ownerId: req.user._id,
+        filePath: file.path,
+        folder: 'routines',
+        originalName: file.originalname,
+        size: file.size,
+        mimeType: file.mimetype
+      })));
+
+      const files = req.files.map((file, i) => ({
         filename: file.filename,
         originalName: file.originalname,
-        path: `/uploads/routines/${file.filename}`,
-        url: `/uploads/routines/${file.filename}`,
-        size: file.size
+        path: materials[i].url,
+        url: materials[i].url,
+        size: file.size,
+        material_id: materials[i]._id
       }));
 
       console.log('✅ Routine PDFs uploaded successfully:', files.length);
@@ -165,10 +203,33 @@ router.post(
         return res.status(404).json({ success: false, message: 'Subject not found in this routine.' });
       }
 
-      // Delete old PDF if exists
-      if (subject.pdf_path) {
+      const material = await materialService.createMaterialFromFile({
+        ownerId: req.user._id,
+        filePath: req.file.path,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        mimeType: req.file.mimetype,
+        routineId: routine._id
+      });
+
+      const previousMaterialId = subject.material_id;
+      const previousPath = subject.pdf_path;
+
+      // ✅ Update subject with new PDF info
+      subject.material_id = material._id;
+      subject.pdf_path = material.url;
+      subject.pdf_name = req.file.originalname;
+      subject.has_pdf = true; // ✅ Set flag
+      
+      await routine.save();
+
+      // Release the old PDF unless another subject of this routine still uses it
+      if (previousMaterialId) {
+        const stillUsed = routine.subjects.some(s => s.material_id?.toString() === previousMaterialId.toString());
+        if (!stillUsed) await materialService.detachMaterial(previousMaterialId, { routineId: routine._id });
+      } else if (previousPath) {
         try {
-          const oldPath = path.resolve(process.cwd(), subject.pdf_path.replace(/^\//, ''));
+          const oldPath = path.join(materialService.UPLOADS_DIR, previousPath.replace(/^\/uploads\//, ''));
           await fs.unlink(oldPath);
           console.log(`🗑️ Deleted old PDF: ${oldPath}`);
         } catch (err) {
@@ -176,13 +237,6 @@ router.post(
         }
       }
 
-      // ✅ Update subject with new PDF info
-      subject.pdf_path = `/uploads/pdfs/${req.file.filename}`;
-      subject.pdf_name = req.file.originalname;
-      subject.has_pdf = true; // ✅ Set flag
-      
-      await routine.save();
-
       console.log('✅ PDF uploaded successfully for subject:', subject_name);
       console.log('📄 PDF path:', subject.pdf_path);
 
@@ -237,6 +291,62 @@ router.get('/', authenticateToken, requireRole('student'), async (req, res, next
   }
 });
 
+// -----------------------------------------------------------
+// CALENDAR - routine slots between two dates, with attendance
+// -----------------------------------------------------------
+router.get('/calendar', authenticateToken, requireRole('student'), async (req, res, next) => {
+  try {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    let { from, to } = req.query;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD dates' });
+    }
+
+    // Default: the coming week, starting today in the student's timezone
+    if (!from) from = getLocalParts(new Date(), await getUserTimeZone(req.user.id)).dateKey;
+    if (!to) to = addDaysToKey(from, 6);
+
+    if (to < from) {
+      return res.status(400).json({ success: false, message: 'to must not be before from' });
+    }
+    if (addDaysToKey(from, MAX_CALENDAR_DAYS - 1) < to) {
+      return res.status(400).json({ success: false, message: `Calendar range is limited to ${MAX_CALENDAR_DAYS} days` });
+    }
+
+    const calendar = await getCalendar(req.user.id, from, to);
+
+    res.json({ success: true, count: calendar.occurrences.length, data: calendar });
+  } catch (error) {
+    console.error('❌ Error building routine calendar:', error);
+    next(error);
+  }
+});
+
+// -----------------------------------------------------------
+// REMINDER HISTORY - sent, skipped (and why) and failed reminders
+// -----------------------------------------------------------
+router.get('/reminders', authenticateToken, requireRole('student'), async (req, res, next) => {
+  try {
+    const { status, routine_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const query = { student_id: req.user.id };
+    if (status) query.status = status;
+    if (routine_id) query.routine_id = routine_id;
+
+    const reminders = await RoutineReminder.find(query)
+      .sort({ scheduled_for: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, count: reminders.length, data: reminders });
+  } catch (error) {
+    console.error('❌ Error fetching reminder history:', error);
+    next(error);
+  }
+});
+
 // -----------------------------------------------------------
 // ✅ FIXED: GET SINGLE ROUTINE - Returns complete subject data with PDFs
 // -----------------------------------------------------------
@@ -270,6 +380,147 @@ router.get('/:id', authenticateToken, requireRole('student'), async (req, res, n
   }
 });
 
+// -----------------------------------------------------------
+// ICS FEED - public URL secured by the token in the path
+// -----------------------------------------------------------
+router.get('/feed/:token.ics', async (req, res, next) => {
+  try {
+    const tokenDoc = await UserToken.findValid(req.params.token, 'calendar_feed');
+    if (!tokenDoc) {
+      return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+    }
+
+    const studentId = tokenDoc.user_id.toString();
+    const [routines, timeZone] = await Promise.all([
+      Routine.find({ student_id: studentId, status: { $nin: UNSCHEDULED_STATUSES } }).lean(),
+      getUserTimeZone(studentId)
+    ]);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="studyguardian-routines.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(buildCalendar(routines, { timeZone }));
+  } catch (error) {
+    console.error('❌ Error building calendar feed:', error);
+    next(error);
+  }
+});
+
+// -----------------------------------------------------------
+// ICS FEED URL - create (or rotate) / revoke
+// -----------------------------------------------------------
+router.post('/calendar/feed', authenticateToken, requireRole('student'), async (req, res, next) => {
+  try {
+    const { token } = await UserToken.issue(req.user._id, 'calendar_feed', CALENDAR_FEED_TOKEN_TTL_MS, req.ip);
+
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    const url = `${baseUrl}/api/routines/feed/${token}.ics`;
+
+    console.log('✅ Calendar feed issued for user:', req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Any previous feed URL no longer works.',
+      data: { url, webcal_url: url.replace(/^https?:/, 'webcal:') }
+    });
+  } catch (error) {
+    console.error('❌ Error creating calendar feed:', error);
+    next(error);
+  }
+});
+
+router.delete('/calendar/feed', authenticateToken, requireRole('student'), async (req, res, next) => {
+  try {
+    const { modifiedCount } = await UserToken.revokeAll(req.user._id, 'calendar_feed');
+    res.json({ success: true, message: modifiedCount > 0 ? 'Calendar feed revoked' : 'No active calendar feed' });
+  } catch (error) {
+    console.error('❌ Error revoking calendar feed:', error);
+    next(error);
+  }
+});
+
+// -----------------------------------------------------------
+// ICS IMPORT - timetable file (field "file") or { ics } text -> draft routines.
+// Drafts are not scheduled until updated to status "active".
+// -----------------------------------------------------------
+router.post('/import', authenticateToken, requireRole('student'), icsUpload.single('file'), async (req, res, next) => {
+  try {
+    const ics = req.file ? req.file.buffer.toString('utf8') : req.body.ics;
+    if (!ics || !/BEGIN:VCALENDAR/i.test(ics)) {
+      return res.status(400).json({ success: false, message: 'An iCalendar file (.ics) is required' });
+    }
+
+    const timeZone = await getUserTimeZone(req.user.id);
+    const { drafts, skipped, warnings } = icsToRoutineDrafts(ics, timeZone);
+
+    // Events imported before (same UID) are not duplicated
+    const uids = drafts.map(d => d.external_uid).filter(Boolean);
+    const existing = new Set(await Routine.distinct('external_uid', {
+      student_id: req.user.id,
+      external_uid: { $in: uids }
+    }));
+
+    const toCreate = [];
+    drafts.forEach(draft => {
+      if (draft.external_uid && existing.has(draft.external_uid)) {
+        skipped.push({ title: draft.title, reason: 'Already imported' });
+      } else {
+        toCreate.push({ ...draft, student_id: req.user.id, status: 'draft', is_active: false });
+      }
+    });
+
+    const routines = toCreate.length > 0 ? await Routine.create(toCreate) : [];
+
+    console.log(`✅ Imported ${routines.length} draft routine(s) for user:`, req.user.id);
+
+    res.status(201).json({ success: true, count: routines.length, routines, skipped, warnings });
+  } catch (error) {
+    console.error('❌ Error importing calendar:', error);
+    next(error);
+  }
+});
+
+// -----------------------------------------------------------
+// STUDY TIME LEDGER - credited seconds per day and subject
+// -----------------------------------------------------------
+router.get('/:id/credits', authenticateToken, requireRole('student'), async (req, res, next) => {
+  try {
+    const routine = await Routine.findOne({ _id: req.params.id, student_id: req.user.id })
+      .select('subjects._id subjects.name')
+      .lean();
+
+    if (!routine) {
+      return res.status(404).json({ success: false, message: 'Routine not found' });
+    }
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const { from, to } = req.query;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD dates' });
+    }
+
+    const subjectNames = new Map(routine.subjects.map(s => [s._id.toString(), s.name]));
+    const totals = await RoutineCredit.getDailyTotals(routine._id, from, to);
+
+    const days = new Map();
+    totals.forEach(({ _id, seconds }) => {
+      const day = days.get(_id.date) || { date: _id.date, seconds: 0, subjects: [] };
+      day.seconds += seconds;
+      day.subjects.push({
+        subject_id: _id.subject_id,
+        name: subjectNames.get(_id.subject_id.toString()) || null,
+        seconds
+      });
+      days.set(_id.date, day);
+    });
+
+    res.json({ success: true, count: days.size, data: [...days.values()] });
+  } catch (error) {
+    console.error('❌ Error fetching routine credits:', error);
+    next(error);
+  }
+});
+
 // -----------------------------------------------------------
 // CREATE ROUTINE
 // -----------------------------------------------------------
@@ -281,23 +532,38 @@ router.post('/', authenticateToken, requireRole('student'), async (req, res, nex
       return res.status(400).json({ message: 'Title and at least one subject are required.' });
     }
 
+    // Subjects may reference materials uploaded through /upload-pdfs
+    const materialIds = [...new Set(subjects.filter(s => s.material_id).map(s => s.material_id.toString()))];
+    const materials = await Material.find({ _id: { $in: materialIds }, owner_id: req.user._id });
+    if (materials.length !== materialIds.length) {
+      return res.status(400).json({ success: false, message: 'Unknown material_id in subjects.' });
+    }
+    const materialsById = new Map(materials.map(m => [m._id.toString(), m]));
+
     const newRoutine = new Routine({
       student_id: req.user.id,
       title,
       type: req.body.type,
       start_date: req.body.start_date,
       end_date: req.body.end_date,
-      subjects: subjects.map(s => ({
-        name: s.name,
-        target_hours: s.target_hours,
-        has_pdf: false // ✅ Initialize as false
-      })),
+      subjects: subjects.map(s => {
+        const material = s.material_id ? materialsById.get(s.material_id.toString()) : null;
+        return {
+          name: s.name,
+          target_hours: s.target_hours,
+          material_id: material ? material._id : null,
+          pdf_path: material ? material.url : null,
+          pdf_name: material ? material.original_name : null,
+          has_pdf: !!material // ✅ Initialize from the attached material
+        };
+      }),
       times: req.body.times,
       days_of_week: req.body.days_of_week,
       totalDuration: req.body.totalDuration
     });
 
     const savedRoutine = await newRoutine.save();
+    await Promise.all(materials.map(m => materialService.attachMaterial(m._id, { routineId: savedRoutine._id })));
     
     console.log('✅ Created routine:', savedRoutine._id);
     
@@ -313,9 +579,14 @@ router.post('/', authenticateToken, requireRole('student'), async (req, res, nex
 // -----------------------------------------------------------
 router.put('/:id', authenticateToken, requireRole('student'), async (req, res, next) => {
   try {
-    const routine = await Routine.findOneAndUpdate(
+    // Hours, progress and session counts come from the RoutineCredit ledger, not the client
+    const {
+      student_id, progress, total_sessions, completed_sessions, total_study_hours, ...updates
+    } = req.body;
+
+    let routine = await Routine.findOneAndUpdate(
       { _id: req.params.id, student_id: req.user.id },
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -323,6 +594,11 @@ router.put('/:id', authenticateToken, requireRole('student'), async (req, res, n
       return res.status(404).json({ success: false, message: 'Routine not found' });
     }
 
+    // Subjects sent by the client may carry stale actual_hours
+    if (updates.subjects) {
+      routine = await recalculateRoutine(routine._id);
+    }
+
     console.log('✅ Updated routine:', routine._id);
 
     res.json({ success: true, message: 'Routine updated successfully', routine });
@@ -346,7 +622,12 @@ router.delete('/:id', authenticateToken, requireRole('student'), async (req, res
       return res.status(404).json({ success: false, message: 'Routine not found' });
     }
 
-    // Clean up all associated PDFs
+    // Drop the routine's credit ledger and unlink its sessions
+    await RoutineCredit.deleteMany({ routine_id: routine._id });
+    await Session.updateMany({ routine_id: routine._id }, { routine_id: null, subject_id: null });
+
+    // Release attached materials, and clean up legacy PDFs stored by path only
+    const materialIds = new Set();
     const filesToDelete = [];
 
     if (routine.pdf_path) {
@@ -354,14 +635,20 @@ router.delete('/:id', authenticateToken, requireRole('student'), async (req, res
     }
 
     routine.subjects.forEach(subject => {
-      if (subject.pdf_path) {
+      if (subject.material_id) {
+        materialIds.add(subject.material_id.toString());
+      } else if (subject.pdf_path) {
         filesToDelete.push(subject.pdf_path);
       }
     });
 
+    for (const materialId of materialIds) {
+      await materialService.detachMaterial(materialId, { routineId: routine._id });
+    }
+
     for (const filePath of filesToDelete) {
       try {
-        const fullPath = path.resolve(process.cwd(), filePath.replace(/^\//, ''));
+        const fullPath = path.join(materialService.UPLOADS_DIR, filePath.replace(/^\/uploads\//, ''));
         await fs.unlink(fullPath);
         console.log(`🗑️ Deleted file: ${fullPath}`);
       } catch (err) {
@@ -5,7 +5,14 @@ import express from 'express';
 import mongoose from 'mongoose';
 import Session from '../models/Session.js';
 import Room from '../models/Room.js';
+import Material from '../models/Material.js';
 import { authenticateToken } from '../middleware/auth.js';
+import monitoringService from '../services/monitoringService.js';
+import materialService from '../services/materialService.js';
+import alertService from '../services/alertService.js';
+import { enqueuePostSessionJobs } from '../services/jobHandlers.js';
+import goalService from '../services/goalService.js';
+import { resolveRoutineSubject, creditSession, removeSessionCredit } from '../services/routineCreditService.js';
 
 const router = express.Router();
 
@@ -47,21 +54,72 @@ router.get('/recent', authenticateToken, async (req, res) => {
 // Create new session
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { room_id, document_id, document_path } = req.body;
+    const { room_id, routine_id, subject_id } = req.body;
+    let { material_id, document_id, document_path } = req.body;
     const student_id = req.user.id;
     
     console.log('📥 Creating session:', {
       room_id,
+      routine_id,
+      subject_id,
+      material_id,
       document_id,
       document_path,
       student_id
     });
 
+    // Snapshots and presence go out on room:<room_id>, so only members may study in a room
+    if (room_id) {
+      const room = mongoose.isValidObjectId(room_id) ? await Room.findById(room_id) : null;
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: 'Room not found'
+        });
+      }
+      if (!room.isStudentAllowed(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this room'
+        });
+      }
+    }
+
+    // Routine subject being studied (explicit, or the only active routine subject using this PDF)
+    const routineLink = await resolveRoutineSubject({
+      studentId: student_id,
+      routineId: routine_id,
+      subjectId: subject_id,
+      materialId: material_id
+    });
+    if (routineLink && !material_id) {
+      material_id = routineLink.subject.material_id;
+    }
+
+    // A material id, when given, decides which document is studied
+    if (material_id) {
+      const material = await Material.findById(material_id);
+      if (!material) {
+        return res.status(404).json({
+          success: false,
+          message: 'Material not found'
+        });
+      }
+      if (!await materialService.canAccessMaterial(material, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+      document_id = material._id.toString();
+      document_path = material.url;
+    }
+
     // Validate required fields
     if (!document_id || !document_path) {
       return res.status(400).json({ 
         success: false,
-        message: 'Document ID and path are required to start a session' 
+        message: 'material_id (or document ID and path) is required to start a session' 
       });
     }
 
@@ -82,11 +140,21 @@ router.post('/', authenticateToken, async (req, res) => {
       
       await existingSession.save();
       console.log('✅ Orphaned session ended. Duration:', existingSession.duration_seconds, 'seconds.');
+      enqueuePostSessionJobs(existingSession)
+        .catch(err => console.error('❌ Failed to queue post-session jobs:', err.message));
+
+      const orphanContext = monitoringService.getSessionContext(existingSession, req.user);
+      monitoringService.clearSessionThrottle(existingSession._id);
+      alertService.clearSessionAlerts(existingSession._id);
+      monitoringService.publishPresence(req.app.get('io'), orphanContext, 'left', 'session_replaced');
     }
 
     // Create new session
     const session = new Session({
-      room_id,
+      room_id: room_id || null,
+      material_id: material_id || null,
+      routine_id: routineLink?.routine._id || null,
+      subject_id: routineLink?.subject._id || null,
       document_id,
       document_path,
       student_id,
@@ -100,11 +168,20 @@ router.post('/', authenticateToken, async (req, res) => {
     
     console.log('✅ Session created successfully:', session._id);
 
+    monitoringService.publishPresence(
+      req.app.get('io'),
+      monitoringService.getSessionContext(session, req.user),
+      'joined'
+    );
+
     res.status(201).json({ 
       success: true,
       session: {
         _id: session._id,
         room_id: session.room_id,
+        material_id: session.material_id,
+        routine_id: session.routine_id,
+        subject_id: session.subject_id,
         document_id: session.document_id,
         document_path: session.document_path,
         student_id: session.student_id,
@@ -114,6 +191,9 @@ router.post('/', authenticateToken, async (req, res) => {
     });
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('❌ Error creating session:', error);
     res.status(500).json({ 
       success: false,
@@ -226,6 +306,27 @@ router.patch('/:sessionId/end', authenticateToken, async (req, res) => {
     await session.save();
     
     console.log('✅ Session ended:', session._id, 'Duration:', session.duration_seconds);
+
+    monitoringService.clearSessionThrottle(session._id);
+    alertService.clearSessionAlerts(session._id);
+    monitoringService.publishPresence(
+      req.app.get('io'),
+      monitoringService.getSessionContext(session, req.user),
+      'left',
+      'session_ended'
+    );
+
+    // A goal reached in the last minutes of the session is pushed now
+    goalService.checkSessionGoals(req.app.get('io'), session, { force: true })
+      .catch(err => console.error('❌ Goal check failed:', err.message));
+
+    // Metrics, AI summary, achievements and routine hours are processed in the background
+    let jobs = [];
+    try {
+      jobs = await enqueuePostSessionJobs(session);
+    } catch (jobError) {
+      console.error('❌ Failed to queue post-session jobs:', jobError.message);
+    }
     
     res.json({ 
       success: true,
@@ -234,7 +335,8 @@ router.patch('/:sessionId/end', authenticateToken, async (req, res) => {
         _id: session._id,
         duration_seconds: session.duration_seconds,
         end_time: session.end_time
-      }
+      },
+      jobs: jobs.map(job => ({ _id: job._id, type: job.type, status: job.status }))
     });
   } catch (error) {
     console.error('❌ Error ending session:', error);
@@ -286,6 +388,89 @@ router.get('/:sessionId/metrics', authenticateToken, async (req, res) => {
   }
 });
 
+// Correct an ended session (routine subject, end time) and re-credit its routine time
+router.patch('/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Session not found' 
+      });
+    }
+
+    if (session.student_id.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (session.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'End the session before correcting it'
+      });
+    }
+
+    const { routine_id, subject_id, end_time } = req.body;
+
+    // routine_id: null unlinks the session from its routine
+    if (routine_id === null) {
+      session.routine_id = null;
+      session.subject_id = null;
+    } else if (routine_id !== undefined) {
+      const routineLink = await resolveRoutineSubject({
+        studentId: req.user.id,
+        routineId: routine_id,
+        subjectId: subject_id,
+        materialId: session.material_id
+      });
+      session.routine_id = routineLink.routine._id;
+      session.subject_id = routineLink.subject._id;
+    }
+
+    // The end time can only be moved earlier (e.g. the session was left running)
+    if (end_time !== undefined) {
+      const endTime = new Date(end_time);
+      if (isNaN(endTime) || endTime < session.start_time || endTime > session.end_time) {
+        return res.status(400).json({
+          success: false,
+          message: 'end_time must be between the session start and its recorded end'
+        });
+      }
+      session.end_time = endTime;
+      session.duration_seconds = Math.floor((endTime - session.start_time) / 1000);
+    }
+
+    await session.save();
+    const credit = await creditSession(session._id);
+
+    res.json({
+      success: true,
+      message: 'Session updated',
+      session: {
+        _id: session._id,
+        routine_id: session.routine_id,
+        subject_id: session.subject_id,
+        end_time: session.end_time,
+        duration_seconds: session.duration_seconds
+      },
+      credit
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('❌ Error updating session:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to update session' 
+    });
+  }
+});
+
 // Delete session (admin/cleanup)
 router.delete('/:sessionId', authenticateToken, async (req, res) => {
   try {
@@ -308,6 +493,8 @@ router.delete('/:sessionId', authenticateToken, async (req, res) => {
     }
 
     await Session.findByIdAndDelete(req.params.sessionId);
+    // Take the session's study time back out of its routine
+    await removeSessionCredit(session._id);
     
     res.json({ 
       success: true,
@@ -20,6 +20,9 @@ const __dirname = path.dirname(__filename);
 import { connectDB } from './config/database.js';
 import passport from './config/passport.js';
 
+// Model imports
+import RefreshToken from './models/RefreshToken.js';
+
 // Middleware imports
 import { errorHandler } from './middleware/errorHandler.js';
 
@@ -31,6 +34,25 @@ import sessionsRoutes from './routes/sessions.js';
 import interactionsRoutes from './routes/interactions.js';
 import aiRoutes from './routes/ai.js';
 import analyticsRoutes from './routes/analytics.js';
+import alertsRoutes from './routes/alerts.js';
+import highlightsRoutes from './routes/highlights.js';
+import annotationsRoutes from './routes/annotations.js';
+import metricsRoutes from './routes/metrics.js';
+import preferencesRoutes from './routes/preferences.js';
+import materialsRoutes from './routes/materials.js';
+import jobsRoutes from './routes/jobs.js';
+import reviewRoutes from './routes/review.js';
+import quizzesRoutes from './routes/quizzes.js';
+import achievementsRoutes from './routes/achievements.js';
+import goalsRoutes from './routes/goals.js';
+
+// Service imports
+import { cleanupOrphanedMaterials } from './services/materialService.js';
+import { startWorker, stopWorker } from './services/jobQueue.js';
+import { registerJobHandlers } from './services/jobHandlers.js';
+import { startReminderScheduler, stopReminderScheduler } from './services/reminderService.js';
+import { startDailySummaryScheduler, stopDailySummaryScheduler } from './services/goalService.js';
+import { getConfiguredProviders } from './services/llmGateway.js';
 
 // Socket.IO Import
 import initializeSocketIO from './socket/index.js';
@@ -70,13 +92,21 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 console.log('✅ Body parsers configured');
 
 // ======================= STATIC FILES =======================
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-console.log('✅ Static file serving configured');
+// Uploaded PDFs are no longer served publicly: clients get short-lived
+// signed URLs from /api/materials (see services/storageService.js)
 
 // ======================= PASSPORT AUTHENTICATION =======================
 app.use(passport.initialize());
 console.log('✅ Passport initialized');
 
+// ======================= AI PROVIDERS =======================
+const llmProviderNames = getConfiguredProviders();
+if (llmProviderNames.length) {
+  console.log(`✅ LLM providers: ${llmProviderNames.join(', ')}`);
+} else {
+  console.warn('⚠️ No LLM provider configured (set OPENAI_API_KEY, ANTHROPIC_API_KEY or GROK_API_KEY)');
+}
+
 // ======================= DATABASE CONNECTION =======================
 console.log('🔍 MongoDB Configuration:');
 console.log('URI present:', !!process.env.MONGODB_URI);
@@ -89,6 +119,18 @@ const initializeDatabase = async () => {
   try {
     await connectDB();
     console.log('✅ Database initialized successfully');
+
+    // Refresh tokens saved before device sessions existed get a stable family
+    const backfilled = await RefreshToken.backfillFamilies();
+    if (backfilled > 0) console.log(`✅ Backfilled device sessions for ${backfilled} refresh token(s)`);
+
+    // Background jobs (post-session processing, PDF extraction) need the database
+    registerJobHandlers({ io: app.get('io') });
+    startWorker();
+
+    // Routine reminders and daily summaries go out over the Socket.IO server registered on the app
+    startReminderScheduler(app.get('io'));
+    startDailySummaryScheduler(app.get('io'));
   } catch (error) {
     console.error('❌ Database initialization failed:', error.message);
     console.log('⚠️ Server starting without database connection');
@@ -97,6 +139,13 @@ const initializeDatabase = async () => {
 
 initializeDatabase();
 
+// ======================= MAINTENANCE =======================
+// Remove uploaded materials that never got attached to a room or routine
+const MATERIAL_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+setInterval(() => {
+  cleanupOrphanedMaterials().catch(err => console.error('❌ Material cleanup failed:', err.message));
+}, MATERIAL_CLEANUP_INTERVAL_MS).unref();
+
 // ======================= SOCKET.IO SETUP =======================
 const io = initializeSocketIO(httpServer, app);
 console.log('✅ Socket.IO server initialized');
@@ -148,6 +197,17 @@ app.use('/api/sessions', sessionsRoutes);
 app.use('/api/interactions', interactionsRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/alerts', alertsRoutes);
+app.use('/api/highlights', highlightsRoutes);
+app.use('/api/annotations', annotationsRoutes);
+app.use('/api/metrics', metricsRoutes);
+app.use('/api/preferences', preferencesRoutes);
+app.use('/api/materials', materialsRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/quizzes', quizzesRoutes);
+app.use('/api/achievements', achievementsRoutes);
+app.use('/api/goals', goalsRoutes);
 console.log('✅ API routes registered');
 
 // ======================= ROOT ENDPOINT =======================
@@ -164,7 +224,18 @@ app.get('/', (req, res) => {
       sessions: '/api/sessions',
       interactions: '/api/interactions',
       ai: '/api/ai',
-      analytics: '/api/analytics'
+      analytics: '/api/analytics',
+      alerts: '/api/alerts',
+      highlights: '/api/highlights',
+      annotations: '/api/annotations',
+      metrics: '/api/metrics',
+      preferences: '/api/preferences',
+      materials: '/api/materials',
+      jobs: '/api/jobs',
+      review: '/api/review',
+      quizzes: '/api/quizzes',
+      achievements: '/api/achievements',
+      goals: '/api/goals'
     }
   });
 });
@@ -191,7 +262,7 @@ httpServer.listen(PORT, () => {
   console.log(`📡 Port: ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API URL: http://localhost:${PORT}`);
-  console.log(`📁 Upload directory: ${path.join(__dirname, 'uploads')}`);
+  console.log(`📁 Storage driver: ${process.env.STORAGE_DRIVER || 'local'}`);
   console.log('='.repeat(50));
 });
 
@@ -203,6 +274,9 @@ process.on('SIGTERM', () => {
   isShuttingDown = true;
   
   console.log('⚠️  SIGTERM received - starting graceful shutdown (10s)');
+  stopWorker();
+  stopReminderScheduler();
+  stopDailySummaryScheduler();
   
   setTimeout(() => {
     httpServer.close(() => {
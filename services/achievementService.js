@@ -0,0 +1,205 @@
+/**
+ * FILE PATH: backend/services/achievementService.js
+ * Achievements (routes/achievements.js).
+ *
+ * The catalog lives in utils/achievementCalculator.js. When a session ends
+ * (job session.evaluate_achievements) the user's stats are measured and
+ * stored per achievement in UserAchievement; tiers newly reached are added to
+ * its unlock history with the session that reached them and pushed over
+ * Socket.IO (`student:<id>`, event achievement-unlocked) when
+ * notifications.achievement_notifications is on. Reading achievements never
+ * recomputes or re-dates an unlock.
+ */
+
+import UserAchievement from '../models/UserAchievement.js';
+import UserPreferences from '../models/UserPreferences.js';
+import Session from '../models/Session.js';
+import { findCompletedSessions, getMetricStats, getStreakSettings } from './analyticsService.js';
+import {
+  ACHIEVEMENTS,
+  getAchievementDefinition,
+  computeAchievementStats,
+  evaluateAchievement,
+  getNextTierProgress
+} from '../utils/achievementCalculator.js';
+
+const describeUnlock = (definition, unlock) => {
+  const tier = definition.tiers.find(t => t.level === unlock.level);
+  return {
+    achievement_id: definition.id,
+    icon: definition.icon,
+    category: definition.category,
+    level: unlock.level,
+    title: tier?.title,
+    description: tier?.description,
+    value: unlock.value,
+    unlocked_at: unlock.unlocked_at,
+    session_id: unlock.session_id
+  };
+};
+
+// ======================= EVALUATION =======================
+
+/**
+ * Store one achievement's new value and any tiers it newly reached
+ * @returns {Promise<object[]>} The new unlocks
+ */
+const applyEvaluation = async (userId, definition, current, { value, tier }, { sessionId, now }) => {
+  const previousTier = current?.tier ?? -1;
+  const unlocks = tier > previousTier
+    ? definition.tiers.slice(previousTier + 1, tier + 1).map(t => ({
+      level: t.level,
+      threshold: t.threshold,
+      value,
+      unlocked_at: now,
+      session_id: sessionId
+    }))
+    : [];
+
+  if (!current) {
+    try {
+      await UserAchievement.create({
+        user_id: userId,
+        achievement_id: definition.id,
+        tier,
+        level: tier >= 0 ? definition.tiers[tier].level : null,
+        value,
+        unlocks,
+        evaluated_at: now
+      });
+    } catch (error) {
+      // Evaluated concurrently by another job; that one recorded the unlocks
+      if (error.code === 11000) return [];
+      throw error;
+    }
+    return unlocks;
+  }
+
+  if (!unlocks.length && current.value === value) return [];
+
+  const update = { $set: { value, evaluated_at: now } };
+  if (unlocks.length) {
+    update.$set.tier = tier;
+    update.$set.level = definition.tiers[tier].level;
+    update.$push = { unlocks: { $each: unlocks } };
+  }
+  // Matching the tier read above keeps two evaluations from adding the same unlock
+  const result = await UserAchievement.updateOne({ _id: current._id, tier: previousTier }, update);
+  return result.modifiedCount ? unlocks : [];
+};
+
+const shouldNotify = (preferences) => !preferences || (
+  preferences.notifications?.enabled !== false &&
+  preferences.notifications?.achievement_notifications !== false
+);
+
+/**
+ * Measure the user's stats against the whole catalog and record new unlocks
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.sessionId] Session that triggered the evaluation
+ * @param {object} [options.io] Socket.IO server, to push unlocks
+ * @param {boolean} [options.notify] Push unlocks (default true)
+ * @returns {Promise<object[]>} New unlocks
+ */
+export const evaluateAchievements = async (userId, { sessionId = null, io = null, notify = true, now = new Date() } = {}) => {
+  const [sessions, streakSettings, metricStats, existing] = await Promise.all([
+    findCompletedSessions(userId),
+    getStreakSettings(userId),
+    getMetricStats(userId),
+    UserAchievement.find({ user_id: userId }).lean()
+  ]);
+
+  const stats = computeAchievementStats(sessions, { streakSettings, metricStats });
+  const byId = new Map(existing.map(a => [a.achievement_id, a]));
+
+  const results = await Promise.all(ACHIEVEMENTS.map(definition => applyEvaluation(
+    userId,
+    definition,
+    byId.get(definition.id),
+    evaluateAchievement(definition, stats),
+    { sessionId, now }
+  ).then(unlocks => unlocks.map(unlock => describeUnlock(definition, unlock)))));
+  const unlocked = results.flat();
+
+  if (unlocked.length && notify && io) {
+    const preferences = await UserPreferences.findOne({ user_id: userId }).select('notifications');
+    if (shouldNotify(preferences)) {
+      unlocked.forEach(unlock => io.to(`student:${userId}`).emit('achievement-unlocked', unlock));
+      console.log(`🏆 ${unlocked.length} achievement tier${unlocked.length === 1 ? '' : 's'} unlocked for user ${userId}`);
+    }
+  }
+
+  return unlocked;
+};
+
+// ======================= READING =======================
+
+/**
+ * Every achievement of the catalog with the user's tier, unlocks and progress toward the next tier.
+ * Users who finished sessions before achievements were stored are evaluated once, silently.
+ */
+export const getAchievements = async (userId) => {
+  let records = await UserAchievement.find({ user_id: userId }).lean();
+  if (records.length === 0 && await Session.exists({ student_id: userId.toString(), is_active: false })) {
+    await evaluateAchievements(userId, { notify: false });
+    records = await UserAchievement.find({ user_id: userId }).lean();
+  }
+  const byId = new Map(records.map(r => [r.achievement_id, r]));
+
+  const achievements = ACHIEVEMENTS.map(definition => {
+    const record = byId.get(definition.id);
+    const tier = record?.tier ?? -1;
+    const value = record?.value ?? 0;
+    const shown = definition.tiers[Math.max(tier, 0)];
+    const unlockedAt = new Map((record?.unlocks || []).map(u => [u.level, u.unlocked_at]));
+
+    return {
+      id: definition.id,
+      icon: definition.icon,
+      category: definition.category,
+      unit: definition.unit,
+      title: shown.title,
+      description: shown.description,
+      level: tier >= 0 ? definition.tiers[tier].level : null,
+      value,
+      tiers: definition.tiers.map(t => ({
+        level: t.level,
+        title: t.title,
+        threshold: t.threshold,
+        unlocked: unlockedAt.has(t.level),
+        unlocked_at: unlockedAt.get(t.level) || null
+      })),
+      next_tier: getNextTierProgress(definition, value, tier),
+      evaluated_at: record?.evaluated_at || null
+    };
+  });
+
+  return {
+    achievements,
+    unlocked_tiers: achievements.reduce((sum, a) => sum + a.tiers.filter(t => t.unlocked).length, 0),
+    total_tiers: achievements.reduce((sum, a) => sum + a.tiers.length, 0)
+  };
+};
+
+/**
+ * Unlocks of a user, most recent first
+ */
+export const getUnlockHistory = async (userId, { limit = 50 } = {}) => {
+  const records = await UserAchievement.find({ user_id: userId, 'unlocks.0': { $exists: true } }).lean();
+  return records
+    .flatMap(record => {
+      const definition = getAchievementDefinition(record.achievement_id);
+      return definition ? record.unlocks.map(unlock => describeUnlock(definition, unlock)) : [];
+    })
+    .sort((a, b) => new Date(b.unlocked_at) - new Date(a.unlocked_at))
+    .slice(0, limit);
+};
+
+const achievementService = {
+  evaluateAchievements,
+  getAchievements,
+  getUnlockHistory,
+};
+
+export default achievementService;
@@ -1,39 +1,15 @@
 /**
  * FILE PATH: backend/services/aiService.js
- * AI Service (SAFE INITIALIZATION)
+ * AI Service (LLM calls go through services/llmGateway.js)
  */
 
-import OpenAI from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
 import natural from 'natural';
 import compromise from 'compromise';
 import Session from '../models/Session.js';
 import nlpService from './nlpService.js';
-
-// =======================================
-// SAFE AI CLIENT INITIALIZATION
-// =======================================
-
-let openai = null;
-let anthropic = null;
-
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
-  console.log('✅ OpenAI initialized');
-} else {
-  console.warn('⚠️ OpenAI disabled (OPENAI_API_KEY missing)');
-}
-
-if (process.env.ANTHROPIC_API_KEY) {
-  anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-  });
-  console.log('✅ Anthropic initialized');
-} else {
-  console.warn('⚠️ Anthropic disabled (ANTHROPIC_API_KEY missing)');
-}
+import llmGateway, { FEATURES } from './llmGateway.js';
+import { generateSessionInsights } from './insightsService.js';
+import { generateQuestions } from './quizService.js';
 
 // =======================================
 // NLP UTILITIES
@@ -42,93 +18,108 @@ if (process.env.ANTHROPIC_API_KEY) {
 const tokenizer = new natural.WordTokenizer();
 const TfIdf = natural.TfIdf;
 
+// How each summaryType of POST /api/ai/summarize is asked for
+const SUMMARY_STYLES = {
+  brief: 'in two or three sentences',
+  detailed: 'in detail, covering every main idea with its key supporting points',
+  bullet: 'as a bulleted list of the key points, one line each',
+  executive: 'as an executive summary: the main conclusion first, then the key takeaways',
+};
+
 // =======================================
 // AI SERVICE CLASS
 // =======================================
 
 class AIService {
   constructor() {
-    this.defaultModel = process.env.AI_MODEL || 'gpt-4-turbo-preview';
     this.maxTokens = 2000;
   }
 
   // -------------------------------------------------------
   // SAFETY CHECK
   // -------------------------------------------------------
-  ensureOpenAI() {
-    if (!openai) {
-      throw new Error('AI service not configured');
-    }
+  isConfigured(feature = FEATURES.CHAT) {
+    return llmGateway.isAvailable(feature);
+  }
+
+  // -------------------------------------------------------
+  // CHAT COMPLETION
+  // -------------------------------------------------------
+  /**
+   * One reply for a list of { role, content } messages
+   * @returns {Promise<{ content: string, usage: object|null, provider: string }>}
+   */
+  chat(messages, { maxTokens = 800, temperature = 0.7, signal } = {}) {
+    return llmGateway.complete(FEATURES.CHAT, messages, { maxTokens, temperature, signal });
+  }
+
+  /**
+   * Same as chat(), but yields the reply as text deltas while it is generated
+   */
+  streamChat(messages, { maxTokens = 800, temperature = 0.7, signal } = {}) {
+    return llmGateway.stream(FEATURES.CHAT, messages, { maxTokens, temperature, signal });
   }
 
   // -------------------------------------------------------
   // POST SESSION ANALYSIS
   // -------------------------------------------------------
+  // Runs from the job queue (session.ai_summary); errors propagate so the job is retried
   async runPostSessionAnalysis(sessionId) {
-    try {
-      if (!openai) {
-        console.warn('[AI] Skipping post-session analysis (AI disabled)');
-        return;
-      }
+    if (!this.isConfigured(FEATURES.SESSION_ANALYSIS)) {
+      console.warn('[AI] Skipping post-session analysis (AI disabled)');
+      return { skipped: true, reason: 'ai_disabled' };
+    }
 
-      const session = await Session.findById(sessionId);
-      if (!session || session.is_active) return;
+    const session = await Session.findById(sessionId);
+    if (!session || session.is_active) return { skipped: true, reason: 'session_not_ended' };
 
-      const highlights = session.interactions
-        .filter(i => i.type === 'highlight')
-        .map(h => h.data.text)
-        .join('\n');
+    const highlights = session.interactions
+      .filter(i => i.type === 'highlight')
+      .map(h => h.data.text)
+      .join('\n');
 
-      let summary = 'No highlights recorded';
+    let summary = 'No highlights recorded';
 
-      if (highlights.length > 0) {
-        const result = await this.generateSummary(highlights);
-        summary = result.summary;
-      }
+    if (highlights.length > 0) {
+      const result = await this.generateSummary(highlights, { feature: FEATURES.SESSION_ANALYSIS });
+      summary = result.summary;
+    }
 
-      session.ai_summary = summary;
-      await session.save();
+    session.ai_summary = summary;
+    await session.save();
 
-      console.log(`✅ AI analysis completed for ${sessionId}`);
-    } catch (err) {
-      console.error('❌ AI post-session analysis failed:', err.message);
-    }
+    console.log(`✅ AI analysis completed for ${sessionId}`);
+    return { summary_length: summary.length };
+  }
+
+  // -------------------------------------------------------
+  // SESSION INSIGHTS
+  // -------------------------------------------------------
+  // LLM insights with a rule-based fallback (services/insightsService.js)
+  generateSessionInsights(session, options) {
+    return generateSessionInsights(session, options);
   }
 
   // -------------------------------------------------------
   // GENERATE QUESTIONS
   // -------------------------------------------------------
-  async generateQuestions(text, difficulty = 'medium', count = 5) {
-    this.ensureOpenAI();
-
-    const response = await openai.chat.completions.create({
-      model: this.defaultModel,
-      messages: [
-        { role: 'system', content: 'You are an educational assistant.' },
-        { role: 'user', content: text.substring(0, 3000) },
-      ],
-      max_tokens: this.maxTokens,
-    });
-
-    return response.choices[0].message.content;
+  // Structured multiple-choice / short-answer questions (services/quizService.js)
+  generateQuestions(text, difficulty = 'medium', count = 5, types) {
+    return generateQuestions(text, { difficulty, count, types });
   }
 
   // -------------------------------------------------------
   // GENERATE SUMMARY
   // -------------------------------------------------------
-  async generateSummary(text) {
-    this.ensureOpenAI();
-
-    const response = await openai.chat.completions.create({
-      model: this.defaultModel,
-      messages: [
-        { role: 'system', content: 'Summarize the content.' },
-        { role: 'user', content: text.substring(0, 4000) },
-      ],
-      max_tokens: 1500,
-    });
-
-    return { summary: response.choices[0].message.content };
+  // summaryType is one of SUMMARY_STYLES; feature selects the provider chain
+  async generateSummary(text, { summaryType = 'brief', feature = FEATURES.SUMMARY } = {}) {
+    const style = SUMMARY_STYLES[summaryType] || SUMMARY_STYLES.brief;
+    const response = await llmGateway.complete(feature, [
+      { role: 'system', content: `Summarize the content ${style}.` },
+      { role: 'user', content: text.substring(0, 4000) },
+    ], { maxTokens: 1500 });
+
+    return { summary: response.content, summary_type: summaryType };
   }
 }
 
@@ -0,0 +1,164 @@
+/**
+ * FILE PATH: backend/services/alertService.js
+ * Real-time alert engine.
+ *
+ * Runs Metric.prototype.getAlerts() on every incoming metric, applies the
+ * student's preferences (posture threshold, notification categories, quiet
+ * hours), drops repeats inside a cooldown window, stores what is left and
+ * pushes it to `student:<id>` and, for room sessions, to `room:<id>`.
+ */
+
+import Alert from '../models/Alert.js';
+import UserPreferences from '../models/UserPreferences.js';
+import { getRoomChannel } from './monitoringService.js';
+
+// Same alert type for the same session is not raised again inside this window
+const ALERT_COOLDOWN_MS = parseInt(process.env.ALERT_COOLDOWN_MS) || 60 * 1000;
+
+// Alert type -> UserPreferences.shouldShowNotification() category
+const NOTIFICATION_CATEGORY = {
+  absence: 'distraction',
+  distraction: 'distraction',
+  posture: 'posture',
+  health: 'eye_strain',
+  break: 'break',
+};
+
+// `${sessionId}:${type}` -> last raised timestamp (ms)
+const lastRaised = new Map();
+
+/**
+ * Apply the webcam preferences to the raw getAlerts() output.
+ * The posture alert is driven by webcam.posture_alert_threshold rather than
+ * the coarse posture.quality bucket.
+ */
+const applyWebcamPreferences = (metric, rawAlerts, preferences) => {
+  const { webcam } = preferences;
+  const alerts = rawAlerts.filter(a => a.type !== 'posture');
+
+  const postureBelowThreshold = metric.posture?.detected &&
+    metric.posture.score < webcam.posture_alert_threshold;
+
+  if (webcam.monitor_posture && postureBelowThreshold) {
+    alerts.push({
+      type: 'posture',
+      severity: 'low',
+      message: `Posture score ${Math.round(metric.posture.score)} is below your alert threshold (${webcam.posture_alert_threshold})`
+    });
+  }
+
+  return alerts;
+};
+
+/**
+ * Forget alerts whose cooldown has passed. Sessions abandoned without /end
+ * never call clearSessionAlerts, so this runs on every check.
+ */
+const pruneLastRaised = (now) => {
+  for (const [key, raisedAt] of lastRaised) {
+    if (now - raisedAt >= ALERT_COOLDOWN_MS) lastRaised.delete(key);
+  }
+};
+
+/**
+ * Drop alerts raised for the same session within the cooldown window
+ */
+const dedupe = (sessionId, alerts, now) => {
+  pruneLastRaised(now);
+  return alerts.filter(alert => {
+    const key = `${sessionId}:${alert.type}`;
+    const previous = lastRaised.get(key);
+    if (previous && now - previous < ALERT_COOLDOWN_MS) return false;
+    lastRaised.set(key, now);
+    return true;
+  });
+};
+
+/**
+ * Decide whether the student should be notified, and why not
+ * @returns {string|null} Suppression reason, or null when the alert should be shown
+ */
+const getSuppressionReason = (alert, preferences, at) => {
+  if (!preferences.notifications.enabled) return 'notifications_disabled';
+  if (preferences.isQuietHours(at)) return 'quiet_hours';
+
+  const distractionMuted = !preferences.webcam.detect_distractions || !preferences.webcam.distraction_alert_enabled;
+  if (alert.type === 'distraction' && distractionMuted) return 'category_disabled';
+
+  if (!preferences.shouldShowNotification(NOTIFICATION_CATEGORY[alert.type], at)) return 'category_disabled';
+  return null;
+};
+
+/**
+ * Run the alert pipeline for one saved Metric document.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {object} metric Saved Metric document
+ * @param {{ roomId: string|null, sessionId: string, student: { id: string, name: string } }} context
+ * @returns {Promise<object[]>} The stored alerts
+ */
+export const processMetric = async (io, metric, context) => {
+  const rawAlerts = metric.getAlerts();
+  if (rawAlerts.length === 0 && !metric.posture?.detected) return [];
+
+  const preferences = await UserPreferences.findOne({ user_id: context.student.id }) ||
+    new UserPreferences({ user_id: context.student.id });
+
+  const at = metric.timestamp || new Date();
+  const alerts = dedupe(context.sessionId, applyWebcamPreferences(metric, rawAlerts, preferences), at.getTime());
+  if (alerts.length === 0) return [];
+
+  const docs = await Alert.insertMany(alerts.map(alert => {
+    const suppressedReason = getSuppressionReason(alert, preferences, at);
+    return {
+      ...alert,
+      user_id: context.student.id,
+      session_id: context.sessionId,
+      room_id: context.roomId,
+      metric_id: metric._id,
+      raised_at: at,
+      notified_student: !suppressedReason,
+      suppressed_reason: suppressedReason,
+      notified_teacher: !!context.roomId,
+    };
+  }));
+
+  if (io) {
+    docs.forEach(doc => {
+      const payload = {
+        id: doc._id,
+        sessionId: doc.session_id,
+        type: doc.type,
+        severity: doc.severity,
+        message: doc.message,
+        timestamp: doc.raised_at,
+      };
+
+      if (doc.notified_student) {
+        io.to(`student:${context.student.id}`).emit('alert', payload);
+      }
+      if (doc.notified_teacher) {
+        io.to(getRoomChannel(context.roomId)).emit('student-alert', { ...payload, student: context.student });
+      }
+    });
+  }
+
+  return docs;
+};
+
+/**
+ * Forget cooldown state for a finished session
+ */
+export const clearSessionAlerts = (sessionId) => {
+  const prefix = `${sessionId}:`;
+  for (const key of lastRaised.keys()) {
+    if (key.startsWith(prefix)) lastRaised.delete(key);
+  }
+};
+
+const alertService = {
+  processMetric,
+  clearSessionAlerts,
+};
+
+export default alertService;
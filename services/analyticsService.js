@@ -0,0 +1,428 @@
+/**
+ * FILE PATH: backend/services/analyticsService.js
+ * Student analytics (routes/analytics.js, GET /api/interactions/analytics/overall).
+ *
+ * All queries go through the real Session schema: a session belongs to
+ * `student_id` (string), is completed once `is_active` is false and it has an
+ * `end_time`, and its length is `duration_seconds`. Engagement, presence,
+ * posture and health come from the Metric collection; a session's finalized
+ * `metrics.engagementScore` is only used when there are no Metric datapoints.
+ */
+
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import Metric from '../models/Metric.js';
+import Highlight from '../models/Highlight.js';
+import Annotation from '../models/Annotation.js';
+import UserPreferences from '../models/UserPreferences.js';
+import { getUserTimeZone } from './scheduleService.js';
+import { WEEKDAYS, resolveTimeZone, getLocalParts, zonedTimeToUtc, addDaysToKey } from '../utils/timezone.js';
+import { calculateStreaks, DEFAULT_MIN_MINUTES, DEFAULT_FREEZES_PER_WEEK } from '../utils/streakEngine.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_PERIOD_DAYS = 30;
+export const GRANULARITIES = ['hourly', 'daily', 'weekly', 'monthly'];
+
+const round = (value, digits = 0) => {
+  const factor = 10 ** digits;
+  return Math.round((value || 0) * factor) / factor;
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// ======================= RANGES & QUERIES =======================
+
+// YYYY-MM-DD of a query date: as given, or the local day of a full timestamp
+const toDateKey = (value, timeZone) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : getLocalParts(date, timeZone).dateKey;
+};
+
+/**
+ * Date range of a request: from the start of the startDate day to the end of
+ * the endDate day in `timeZone`, or the last `period` days
+ */
+export const resolveRange = (
+  { period, startDate, endDate } = {},
+  timeZone = 'UTC',
+  { defaultDays = DEFAULT_PERIOD_DAYS, now = new Date() } = {}
+) => {
+  const fromKey = startDate && toDateKey(String(startDate), timeZone);
+  const toKey = endDate && toDateKey(String(endDate), timeZone);
+  if (fromKey && toKey) {
+    const nextDay = zonedTimeToUtc(addDaysToKey(toKey, 1), '00:00', timeZone);
+    return { from: zonedTimeToUtc(fromKey, '00:00', timeZone), to: new Date(nextDay.getTime() - 1) };
+  }
+  const days = parseInt(period) || defaultDays;
+  return { from: new Date(now.getTime() - days * DAY_MS), to: now };
+};
+
+/**
+ * resolveRange in the user's timezone
+ */
+export const resolveUserRange = async (userId, query) => resolveRange(query, await getUserTimeZone(userId));
+
+/**
+ * Filter for a student's completed sessions, optionally started within a range / on a material
+ */
+export const completedSessionsQuery = (userId, { from, to, materialId } = {}) => {
+  const query = {
+    student_id: userId.toString(),
+    is_active: false,
+    end_time: { $ne: null }
+  };
+  if (from || to) {
+    query.start_time = {};
+    if (from) query.start_time.$gte = from;
+    if (to) query.start_time.$lte = to;
+  }
+  if (materialId) query.material_id = materialId;
+  return query;
+};
+
+export const findCompletedSessions = (userId, range = {}) => Session.find(completedSessionsQuery(userId, range))
+  .select('start_time end_time duration_seconds material_id metrics')
+  .sort({ start_time: -1 })
+  .lean();
+
+export const sessionSeconds = (session) => {
+  if (session.duration_seconds) return session.duration_seconds;
+  if (session.end_time && session.start_time) {
+    return Math.max(0, Math.floor((new Date(session.end_time) - new Date(session.start_time)) / 1000));
+  }
+  return 0;
+};
+
+// ======================= SESSIONS =======================
+
+/**
+ * Streak settings from a UserPreferences document: timezone and the study.streak_* fields
+ */
+export const toStreakSettings = (preferences) => ({
+  timeZone: resolveTimeZone(preferences?.localization?.timezone),
+  minMinutes: preferences?.study?.streak_min_minutes ?? DEFAULT_MIN_MINUTES,
+  freezesPerWeek: preferences?.study?.streak_freezes_per_week ?? DEFAULT_FREEZES_PER_WEEK
+});
+
+export const STREAK_PREFERENCE_FIELDS = 'localization.timezone study.streak_min_minutes study.streak_freezes_per_week';
+
+/**
+ * Streak settings of a user
+ */
+export const getStreakSettings = async (userId) => {
+  const preferences = await UserPreferences.findOne({ user_id: userId })
+    .select(STREAK_PREFERENCE_FIELDS)
+    .lean();
+  return toStreakSettings(preferences);
+};
+
+/**
+ * Current and longest streak of a user (GET /api/analytics/streak)
+ */
+export const getStreak = async (userId, now = new Date()) => {
+  const [sessions, settings] = await Promise.all([findCompletedSessions(userId), getStreakSettings(userId)]);
+  return calculateStreaks(sessions, { ...settings, now });
+};
+
+/**
+ * Totals of a list of completed sessions (no database access)
+ * @param {object} [streakSettings] getStreakSettings result (default: UTC, 10 minutes, no freezes)
+ */
+export const summarizeSessions = (sessions, now = new Date(), streakSettings = {}) => {
+  const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+  const totalSeconds = sessions.reduce((sum, s) => sum + sessionSeconds(s), 0);
+  const thisWeekSeconds = sessions
+    .filter(s => new Date(s.start_time) >= weekAgo)
+    .reduce((sum, s) => sum + sessionSeconds(s), 0);
+
+  const scores = sessions.map(s => s.metrics?.engagementScore).filter(score => score > 0);
+
+  return {
+    session_count: sessions.length,
+    total_seconds: totalSeconds,
+    this_week_seconds: thisWeekSeconds,
+    avg_session_seconds: sessions.length ? Math.round(totalSeconds / sessions.length) : 0,
+    avg_engagement: scores.length ? round(scores.reduce((a, b) => a + b, 0) / scores.length) : null,
+    streak: calculateStreaks(sessions, { ...streakSettings, now }).current_streak
+  };
+};
+
+/**
+ * Dashboard cards (totalHours, thisWeek, avgEngagement, completedSessions, streak, rank).
+ * rank is 0 here; routes fill it from services/leaderboardService.getStudentRank
+ * @param {object} summary Result of summarizeSessions
+ * @param {number|null} [metricEngagement] Average Metric engagement, preferred when known
+ */
+export const toOverview = (summary, metricEngagement = null) => ({
+  totalHours: round(summary.total_seconds / 3600, 1),
+  thisWeek: round(summary.this_week_seconds / 3600, 1),
+  avgEngagement: Math.round(metricEngagement ?? summary.avg_engagement ?? 0),
+  completedSessions: summary.session_count,
+  streak: summary.streak,
+  rank: 0
+});
+
+// ======================= METRICS =======================
+
+/**
+ * Averages of a student's Metric datapoints in a range (or over the given sessions)
+ */
+export const getMetricStats = async (userId, { from, to, sessionIds } = {}) => {
+  const match = { user_id: toObjectId(userId) };
+  if (from || to) {
+    match.timestamp = {};
+    if (from) match.timestamp.$gte = from;
+    if (to) match.timestamp.$lte = to;
+  }
+  if (sessionIds) match.session_id = { $in: sessionIds };
+
+  const [stats] = await Metric.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        avg_engagement: { $avg: '$engagement_score' },
+        avg_attention: { $avg: '$distraction.attention_score' },
+        avg_posture: { $avg: '$posture.score' },
+        avg_blink_rate: { $avg: '$facial.blink_rate' },
+        avg_fatigue: { $avg: '$health.fatigue_level' },
+        presence_rate: { $avg: { $cond: ['$presence.detected', 1, 0] } },
+        distraction_rate: { $avg: { $cond: ['$distraction.detected', 1, 0] } },
+        datapoints: { $sum: 1 }
+      }
+    }
+  ]);
+  if (!stats) return null;
+
+  delete stats._id;
+  return stats;
+};
+
+/**
+ * Dashboard cards over a range (all time when `from` is not given)
+ */
+export const getOverview = async (userId, { from, to } = {}) => {
+  const now = new Date();
+  const [sessions, stats, streakSettings] = await Promise.all([
+    findCompletedSessions(userId),
+    getMetricStats(userId, { from, to }),
+    getStreakSettings(userId)
+  ]);
+
+  const inRange = sessions.filter(s => (!from || s.start_time >= from) && (!to || s.start_time <= to));
+  // This week and the streak never depend on the range
+  const overall = summarizeSessions(sessions, now, streakSettings);
+  const summary = { ...summarizeSessions(inRange, now, streakSettings), this_week_seconds: overall.this_week_seconds, streak: overall.streak };
+
+  return toOverview(summary, stats?.avg_engagement ?? null);
+};
+
+const DATE_GROUPINGS = {
+  hourly: ['year', 'month', 'day', 'hour'],
+  daily: ['year', 'month', 'day'],
+  weekly: ['year', 'week'],
+  monthly: ['year', 'month'],
+};
+const DATE_OPERATORS = { year: '$year', month: '$month', day: '$dayOfMonth', hour: '$hour', week: '$week' };
+
+/**
+ * Engagement, posture and attention averaged per hour / day / week / month, in the user's timezone
+ */
+export const getTrends = async (userId, { from, to }, granularity = 'daily') => {
+  const timezone = await getUserTimeZone(userId);
+  const fields = DATE_GROUPINGS[granularity] || DATE_GROUPINGS.daily;
+  const grouping = Object.fromEntries(fields.map(field => [
+    field,
+    { [DATE_OPERATORS[field]]: { date: '$timestamp', timezone } }
+  ]));
+
+  return Metric.aggregate([
+    { $match: { user_id: toObjectId(userId), timestamp: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: grouping,
+        avg_engagement: { $avg: '$engagement_score' },
+        avg_posture: { $avg: '$posture.score' },
+        avg_attention: { $avg: '$distraction.attention_score' },
+        datapoints: { $sum: 1 }
+      }
+    },
+    { $sort: Object.fromEntries(fields.map(field => [`_id.${field}`, 1])) }
+  ]);
+};
+
+/**
+ * How many datapoints fell in each 20-point engagement band
+ */
+export const getEngagementDistribution = (userId, { from, to }) => Metric.aggregate([
+  { $match: { user_id: toObjectId(userId), timestamp: { $gte: from, $lte: to } } },
+  {
+    $bucket: {
+      groupBy: '$engagement_score',
+      boundaries: [0, 20, 40, 60, 80, 101],
+      default: 'other',
+      output: { count: { $sum: 1 }, avg_score: { $avg: '$engagement_score' } }
+    }
+  }
+]);
+
+export const getHealthReport = async (userId, range) => {
+  const stats = await getMetricStats(userId, range);
+  if (!stats) return {};
+  return {
+    avg_blink_rate: stats.avg_blink_rate,
+    avg_posture: stats.avg_posture,
+    avg_fatigue: stats.avg_fatigue,
+    datapoints: stats.datapoints
+  };
+};
+
+// ======================= PATTERNS =======================
+
+/**
+ * When a student studies: sessions and minutes per weekday and per hour of day,
+ * by session start in the user's timezone
+ */
+export const getStudyPatterns = async (userId, { from, to }) => {
+  const timezone = await getUserTimeZone(userId);
+  const group = (key) => Session.aggregate([
+    { $match: completedSessionsQuery(userId, { from, to }) },
+    {
+      $group: {
+        _id: { [key]: { date: '$start_time', timezone } },
+        sessions: { $sum: 1 },
+        total_time: { $sum: { $divide: ['$duration_seconds', 60] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const [byDay, byHour] = await Promise.all([group('$dayOfWeek'), group('$hour')]);
+  return {
+    timezone,
+    // $dayOfWeek is 1 (Sunday) to 7 (Saturday)
+    by_day_of_week: byDay.map(d => ({ ...d, day: WEEKDAYS[d._id - 1], total_time: round(d.total_time, 1) })),
+    by_hour: byHour.map(h => ({ ...h, total_time: round(h.total_time, 1) }))
+  };
+};
+
+// ======================= SCORES =======================
+
+const GRADES = [[90, 'A+'], [85, 'A'], [80, 'A-'], [70, 'B'], [60, 'C']];
+
+/**
+ * Weighted 0-100 productivity score of a period (no database access)
+ * @param {object} input
+ * @param {number} input.days Length of the period
+ * @param {number} input.sessions Completed sessions
+ * @param {number} input.minutes Minutes studied
+ * @param {object|null} input.stats getMetricStats result
+ * @param {number} input.activity Highlights + annotations made
+ */
+export const computeProductivityScore = ({ days, sessions, minutes, stats, activity }) => {
+  const components = {
+    session_consistency: Math.min(100, (sessions / days) * 20),
+    study_time: Math.min(100, (minutes / (days * 60)) * 100),
+    engagement: stats?.avg_engagement || 0,
+    presence: (stats?.presence_rate || 0) * 100,
+    focus: stats ? Math.max(0, 100 - stats.distraction_rate * 100) : 0,
+    activity: Math.min(100, (activity / days) * 5),
+  };
+  const overall = components.session_consistency * 0.15 +
+    components.study_time * 0.20 +
+    components.engagement * 0.25 +
+    components.presence * 0.15 +
+    components.focus * 0.15 +
+    components.activity * 0.10;
+
+  return {
+    overall_score: Math.round(overall),
+    grade: (GRADES.find(([min]) => overall >= min) || [0, 'D'])[1],
+    components: Object.fromEntries(Object.entries(components).map(([k, v]) => [k, Math.round(v)]))
+  };
+};
+
+export const getProductivityScore = async (userId, days) => {
+  const from = new Date(Date.now() - days * DAY_MS);
+  const [sessions, stats, highlights, annotations] = await Promise.all([
+    findCompletedSessions(userId, { from }),
+    getMetricStats(userId, { from }),
+    Highlight.countDocuments({ user_id: userId, created_at: { $gte: from } }),
+    Annotation.countDocuments({ user_id: userId, createdAt: { $gte: from } })
+  ]);
+
+  return computeProductivityScore({
+    days,
+    sessions: sessions.length,
+    minutes: sessions.reduce((sum, s) => sum + sessionSeconds(s), 0) / 60,
+    stats,
+    activity: highlights + annotations
+  });
+};
+
+/**
+ * Metric averages of the last `days` against the `days` before
+ */
+export const comparePeriods = async (userId, days) => {
+  const now = new Date();
+  const currentStart = new Date(now.getTime() - days * DAY_MS);
+  const previousStart = new Date(currentStart.getTime() - days * DAY_MS);
+
+  const [current, previous] = await Promise.all([
+    getMetricStats(userId, { from: currentStart, to: now }),
+    getMetricStats(userId, { from: previousStart, to: currentStart })
+  ]);
+  const pick = (stats) => ({ avg_engagement: stats?.avg_engagement || 0, avg_posture: stats?.avg_posture || 0 });
+  return { current: pick(current), previous: pick(previous) };
+};
+
+/**
+ * A student's study of one material in a range; null without sessions
+ */
+export const getMaterialAnalytics = async (userId, material, { from, to }) => {
+  const sessions = await findCompletedSessions(userId, { from, to, materialId: material._id });
+  if (!sessions.length) return null;
+
+  const [stats, highlights, annotations] = await Promise.all([
+    getMetricStats(userId, { sessionIds: sessions.map(s => s._id) }),
+    Highlight.countDocuments({ user_id: userId, material_id: material._id }),
+    Annotation.countDocuments({ user_id: userId, material_id: material._id })
+  ]);
+
+  return {
+    material: { id: material._id, title: material.title, page_count: material.page_count },
+    sessions: sessions.length,
+    total_study_minutes: Math.round(sessions.reduce((sum, s) => sum + sessionSeconds(s), 0) / 60),
+    engagement: stats ? { avg_engagement: stats.avg_engagement } : {},
+    highlights,
+    annotations
+  };
+};
+
+const analyticsService = {
+  DEFAULT_PERIOD_DAYS,
+  GRANULARITIES,
+  resolveRange,
+  resolveUserRange,
+  completedSessionsQuery,
+  findCompletedSessions,
+  sessionSeconds,
+  toStreakSettings,
+  getStreakSettings,
+  getStreak,
+  summarizeSessions,
+  toOverview,
+  getMetricStats,
+  getOverview,
+  getTrends,
+  getEngagementDistribution,
+  getHealthReport,
+  getStudyPatterns,
+  computeProductivityScore,
+  getProductivityScore,
+  comparePeriods,
+  getMaterialAnalytics,
+};
+
+export default analyticsService;
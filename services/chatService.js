@@ -0,0 +1,294 @@
+/**
+ * FILE PATH: backend/services/chatService.js
+ * Study assistant chat (POST /api/ai/chat).
+ *
+ * Conversations are stored per user. When a conversation is tied to a study
+ * session, each reply is grounded in that session: the pages of the document
+ * around where the student is reading, their highlights and annotations, and
+ * how focused they have been over the last few minutes.
+ *
+ * The prompt is kept within CHAT_CONTEXT_TOKENS: grounding gets at most
+ * CHAT_GROUNDING_TOKENS and the history is trimmed from the oldest message.
+ */
+
+import Conversation from '../models/Conversation.js';
+import Session from '../models/Session.js';
+import Material from '../models/Material.js';
+import MaterialPage from '../models/MaterialPage.js';
+import Highlight from '../models/Highlight.js';
+import Annotation from '../models/Annotation.js';
+import Metric from '../models/Metric.js';
+import aiService from './aiService.js';
+import { AppError, AuthorizationError, NotFoundError } from '../middleware/errorHandler.js';
+
+const CONTEXT_TOKENS = parseInt(process.env.CHAT_CONTEXT_TOKENS) || 6000;
+const GROUNDING_TOKENS = parseInt(process.env.CHAT_GROUNDING_TOKENS) || 2500;
+const REPLY_TOKENS = parseInt(process.env.CHAT_REPLY_TOKENS) || 800;
+// How far back "recent" metrics go
+const RECENT_METRICS_MINUTES = 10;
+const MAX_GROUNDING_ITEMS = 15;
+
+export const MAX_MESSAGE_LENGTH = 4000;
+
+const SYSTEM_PROMPT = `You are Study Guardian's study assistant. Help the student understand their material, \
+answer questions, quiz them and suggest how to study better. Be concise and encouraging. \
+When study context is provided, base your answers on it and cite page numbers where you can; \
+if the answer is not in the material, say so before answering from general knowledge.`;
+
+// ======================= TOKEN BUDGET =======================
+
+// ~4 characters per token is close enough for budgeting across providers
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+const truncateToTokens = (text, tokens) => (
+  estimateTokens(text) > tokens ? `${text.slice(0, tokens * 4)}…` : text
+);
+
+/**
+ * Most recent messages that fit in `budget` tokens, oldest first
+ */
+export const trimHistory = (messages, budget) => {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = messages[i].tokens || estimateTokens(messages[i].content);
+    if (used + tokens > budget) break;
+    used += tokens;
+    kept.unshift(messages[i]);
+  }
+  return kept;
+};
+
+// ======================= SESSION GROUNDING =======================
+
+// Page the student is on: the last page change recorded in the session
+const getCurrentPage = (session) => {
+  const pageEvents = (session.interactions || [])
+    .filter(i => i.type === 'page_change' || i.type === 'page_turn');
+  const last = pageEvents[pageEvents.length - 1];
+  const page = parseInt(last?.data?.to ?? last?.data?.page);
+  return Number.isInteger(page) && page > 0 ? page : null;
+};
+
+const describeRecentMetrics = async (sessionId) => {
+  const metrics = await Metric.getRecentMetrics(sessionId, RECENT_METRICS_MINUTES).lean();
+  if (metrics.length === 0) return null;
+
+  const average = (values) => Math.round(values.reduce((s, v) => s + (v || 0), 0) / values.length);
+  const distractions = metrics.filter(m => m.distraction?.detected).length;
+  return [
+    `Last ${RECENT_METRICS_MINUTES} minutes: average engagement ${average(metrics.map(m => m.engagement_score))}/100`,
+    `distracted in ${distractions} of ${metrics.length} samples`,
+    `fatigue ${average(metrics.map(m => m.health?.fatigue_level))}/100`,
+  ].join(', ');
+};
+
+const describeDocument = async (session, currentPage) => {
+  if (!session.material_id) return null;
+  const material = await Material.findById(session.material_id).select('title extraction.status page_count').lean();
+  if (!material || material.extraction?.status !== 'completed') return null;
+
+  // The page being read and its neighbours, or the beginning of the document
+  const from = currentPage ? Math.max(1, currentPage - 1) : 1;
+  const to = currentPage ? currentPage + 1 : 3;
+  const text = await MaterialPage.getRangeText(material._id, from, to);
+  if (!text) return null;
+
+  return { title: material.title, text };
+};
+
+/**
+ * Study context for a session, within GROUNDING_TOKENS
+ * @returns {Promise<{ text: string, sources: object }|null>}
+ */
+export const buildSessionGrounding = async (session) => {
+  const currentPage = getCurrentPage(session);
+  const [document, highlights, annotations, metrics] = await Promise.all([
+    describeDocument(session, currentPage),
+    Highlight.find({ session_id: session._id })
+      .sort({ created_at: -1 })
+      .limit(MAX_GROUNDING_ITEMS)
+      .select('text notes page_number')
+      .lean(),
+    Annotation.find({ session_id: session._id })
+      .sort({ createdAt: -1 })
+      .limit(MAX_GROUNDING_ITEMS)
+      .select('content type page_number')
+      .lean(),
+    describeRecentMetrics(session._id),
+  ]);
+
+  const notes = [
+    ...highlights.map(h => `- [p.${h.page_number}] Highlighted: "${h.text}"${h.notes ? ` (note: ${h.notes})` : ''}`),
+    ...annotations.map(a => `- [p.${a.page_number}] ${a.type || 'note'}: ${a.content}`),
+  ].join('\n');
+
+  // Notes and metrics are short and specific to the student; the document gets what is left
+  const sections = [];
+  if (metrics) sections.push(`## Focus\n${metrics}`);
+  if (notes) sections.push(`## Student's highlights and notes\n${truncateToTokens(notes, Math.floor(GROUNDING_TOKENS / 3))}`);
+  if (document) {
+    const remaining = GROUNDING_TOKENS - estimateTokens(sections.join('\n\n'));
+    if (remaining > 100) {
+      const heading = `## Document: ${document.title}${currentPage ? ` (student is on page ${currentPage})` : ''}`;
+      sections.push(`${heading}\n${truncateToTokens(document.text, remaining)}`);
+    }
+  }
+  if (sections.length === 0) return null;
+
+  return {
+    text: `# Study context\n\n${sections.join('\n\n')}`,
+    sources: {
+      session_id: session._id,
+      material_id: session.material_id || null,
+      current_page: currentPage,
+      document: Boolean(document),
+      highlights: highlights.length,
+      annotations: annotations.length,
+      metrics: Boolean(metrics),
+    },
+  };
+};
+
+// ======================= CONVERSATIONS =======================
+
+const loadOwnedSession = async (sessionId, user) => {
+  const session = await Session.findById(sessionId);
+  if (!session) throw new NotFoundError('Session');
+  if (session.student_id.toString() !== user._id.toString()) throw new AuthorizationError('Access denied to this session');
+  return session;
+};
+
+export const getConversation = async (conversationId, user) => {
+  const conversation = await Conversation.findOne({ _id: conversationId, user_id: user._id });
+  if (!conversation) throw new NotFoundError('Conversation');
+  return conversation;
+};
+
+/**
+ * Conversations of a user, most recent first, without message bodies
+ */
+export const listConversations = async (user, { sessionId, limit = 20, skip = 0 } = {}) => {
+  const query = { user_id: user._id };
+  if (sessionId) query.session_id = sessionId;
+
+  const [conversations, total] = await Promise.all([
+    Conversation.find(query)
+      .slice('messages', -1)
+      .sort({ last_message_at: -1 })
+      .skip(skip)
+      .limit(limit),
+    Conversation.countDocuments(query),
+  ]);
+  return { conversations: conversations.map(c => c.toSummary()), total };
+};
+
+export const deleteConversation = async (conversationId, user) => {
+  const result = await Conversation.deleteOne({ _id: conversationId, user_id: user._id });
+  if (result.deletedCount === 0) throw new NotFoundError('Conversation');
+};
+
+/**
+ * Load or start the conversation and build the prompt for the next reply.
+ * Nothing is saved until the reply is (see saveExchange).
+ * @param {object} params
+ * @param {object} params.user
+ * @param {string} params.message
+ * @param {string} [params.conversationId] Continue this conversation
+ * @param {string} [params.sessionId] Ground replies in this session (sticks to the conversation)
+ */
+export const prepareChat = async ({ user, message, conversationId, sessionId }) => {
+  if (!aiService.isConfigured()) {
+    throw new AppError('AI service not configured', 503, 'AI_UNAVAILABLE');
+  }
+
+  const conversation = conversationId
+    ? await getConversation(conversationId, user)
+    : new Conversation({ user_id: user._id, title: message.replace(/\s+/g, ' ').slice(0, 80) });
+
+  const groundingSessionId = sessionId || conversation.session_id;
+  let grounding = null;
+  if (groundingSessionId) {
+    const session = await loadOwnedSession(groundingSessionId, user);
+    conversation.session_id = session._id;
+    conversation.material_id = session.material_id || null;
+    grounding = await buildSessionGrounding(session);
+  }
+
+  const system = grounding ? `${SYSTEM_PROMPT}\n\n${grounding.text}` : SYSTEM_PROMPT;
+  const messageTokens = estimateTokens(message);
+  const historyBudget = CONTEXT_TOKENS - REPLY_TOKENS - estimateTokens(system) - messageTokens;
+  const history = trimHistory(conversation.messages, Math.max(0, historyBudget));
+
+  return {
+    conversation,
+    message,
+    messageTokens,
+    grounding: grounding?.sources || null,
+    history_messages: history.length,
+    prompt: [
+      { role: 'system', content: system },
+      ...history.map(m => ({ role: m.role, content: m.content })),
+      { role: 'user', content: message },
+    ],
+  };
+};
+
+/**
+ * Store the student's message and the assistant's reply
+ */
+const saveExchange = async (prepared, reply, { truncated = false } = {}) => {
+  const { conversation } = prepared;
+  conversation.addMessage({ role: 'user', content: prepared.message, tokens: prepared.messageTokens });
+  const saved = conversation.addMessage({
+    role: 'assistant',
+    content: reply,
+    tokens: estimateTokens(reply),
+    truncated,
+  });
+  await conversation.save();
+  return saved;
+};
+
+/**
+ * Generate and store the whole reply
+ */
+export const reply = async (prepared) => {
+  const { content, usage } = await aiService.chat(prepared.prompt, { maxTokens: REPLY_TOKENS });
+  const message = await saveExchange(prepared, content);
+  return { message, usage };
+};
+
+/**
+ * Stream the reply through onDelta(text) and store it once finished. A reply cut
+ * short by `signal` (client gone) or a provider error is stored as truncated.
+ */
+export const streamReply = async (prepared, onDelta, { signal } = {}) => {
+  let content = '';
+  try {
+    for await (const delta of aiService.streamChat(prepared.prompt, { maxTokens: REPLY_TOKENS, signal })) {
+      content += delta;
+      onDelta(delta);
+    }
+  } catch (error) {
+    if (content) await saveExchange(prepared, content, { truncated: true });
+    throw error;
+  }
+  const message = await saveExchange(prepared, content);
+  return { message };
+};
+
+const chatService = {
+  MAX_MESSAGE_LENGTH,
+  estimateTokens,
+  trimHistory,
+  buildSessionGrounding,
+  getConversation,
+  listConversations,
+  deleteConversation,
+  prepareChat,
+  reply,
+  streamReply,
+};
+
+export default chatService;
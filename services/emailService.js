@@ -135,6 +135,108 @@ export const sendReportEmail = async ({ to, subject, html, studentName, sessionD
   });
 };
 
+// Send password reset email
+export const sendPasswordResetEmail = async (email, name, resetUrl, expiresInMinutes) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Reset your password</h2>
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p>Hi ${name},</p>
+        <p>We received a request to reset your studyguardian password. Click the button below to choose a new one.</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${resetUrl}" style="background-color: #2563eb; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Reset Password</a>
+        </p>
+        <p style="font-size: 14px;">This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      </div>
+      <p style="color: #6b7280; font-size: 14px;">
+        If you didn't request a password reset, you can safely ignore this email.
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: email,
+    subject: 'Reset your studyguardian password',
+    text: `Reset your studyguardian password: ${resetUrl} (expires in ${expiresInMinutes} minutes)`,
+    html,
+  });
+};
+
+// Send email verification link
+export const sendVerificationEmail = async (email, name, verifyUrl, expiresInHours) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Verify your email</h2>
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p>Hi ${name},</p>
+        <p>Welcome to studyguardian! Please confirm your email address to finish setting up your account.</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${verifyUrl}" style="background-color: #2563eb; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Verify Email</a>
+        </p>
+        <p style="font-size: 14px;">This link expires in ${expiresInHours} hours.</p>
+      </div>
+      <p style="color: #6b7280; font-size: 14px;">
+        If you didn't create a studyguardian account, you can ignore this email.
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: email,
+    subject: 'Verify your studyguardian email',
+    text: `Verify your studyguardian email: ${verifyUrl} (expires in ${expiresInHours} hours)`,
+    html,
+  });
+};
+
+// Send a reminder before a scheduled routine slot
+export const sendRoutineReminderEmail = async (email, name, { title, startsAt, subjects = [] }) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Study reminder: ${title}</h2>
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p>Hi ${name},</p>
+        <p>Your study routine <strong>${title}</strong> starts at <strong>${startsAt}</strong>.</p>
+        ${subjects.length ? `<p>Subjects: ${subjects.join(', ')}</p>` : ''}
+      </div>
+      <p style="color: #6b7280; font-size: 14px;">
+        You can turn off routine reminders in your studyguardian notification settings.
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: email,
+    subject: `Study reminder: ${title} at ${startsAt}`,
+    text: `Your study routine "${title}" starts at ${startsAt}.`,
+    html,
+  });
+};
+
+// Send the end-of-day goal summary to a student who was not online for it
+export const sendDailySummaryEmail = async (email, name, { date, sessions, daily, weekly }) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Your study day: ${date}</h2>
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p>Hi ${name},</p>
+        <p>You studied <strong>${daily.studied_minutes} of ${daily.goal_minutes} minutes</strong> in ${sessions} session${sessions === 1 ? '' : 's'} (${daily.percent}% of your daily goal).</p>
+        <p>This week: ${weekly.studied_minutes} of ${weekly.goal_minutes} minutes (${weekly.percent}%).</p>
+      </div>
+      <p style="color: #6b7280; font-size: 14px;">
+        You can turn off daily summaries in your studyguardian notification settings.
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: email,
+    subject: `Your study day: ${daily.studied_minutes}/${daily.goal_minutes} minutes`,
+    text: `${date}: you studied ${daily.studied_minutes} of ${daily.goal_minutes} minutes (${daily.percent}% of your daily goal). This week: ${weekly.studied_minutes} of ${weekly.goal_minutes} minutes.`,
+    html,
+  });
+};
+
 // ⭐️ ADD DEFAULT EXPORT for compatibility
 const emailService = {
   sendEmail,
@@ -142,6 +244,10 @@ const emailService = {
   sendNotification,
   sendRoomInvitation,
   sendReportEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendRoutineReminderEmail,
+  sendDailySummaryEmail,
 };
 
 export default emailService;
\ No newline at end of file
@@ -0,0 +1,494 @@
+/**
+ * FILE PATH: backend/services/goalService.js
+ * Study goals (routes/goals.js).
+ *
+ * Progress toward study.daily_study_goal and study.weekly_study_goal is
+ * measured from completed sessions, per day and week (Sunday to Saturday) in
+ * the user's timezone, the same way streaks split sessions across midnight
+ * (utils/streakEngine.js). While a session runs its elapsed time is counted
+ * too: metric posts check the goals (at most once per GOAL_CHECK_INTERVAL_MS)
+ * and the first time a goal is reached `goal-reached` is pushed on
+ * `student:<id>`. Every tick after DAILY_SUMMARY_TIME (local time) the
+ * `daily-summary` notification goes out once per day: on the socket when the
+ * student is connected, by email otherwise. It is skipped when notifications
+ * or notifications.daily_summary are off, and held back until quiet hours end.
+ * StudyGoalPeriod keeps the goal that applied and when it was reached.
+ */
+
+import Session from '../models/Session.js';
+import StudyGoalPeriod from '../models/StudyGoalPeriod.js';
+import User from '../models/User.js';
+import UserPreferences from '../models/UserPreferences.js';
+import { findCompletedSessions, completedSessionsQuery } from './analyticsService.js';
+import { sendDailySummaryEmail } from './emailService.js';
+import { buildStudyDays } from '../utils/streakEngine.js';
+import { getLocalParts, zonedTimeToUtc, addDaysToKey, getWeek, resolveTimeZone } from '../utils/timezone.js';
+
+export const GOAL_PERIODS = ['daily', 'weekly'];
+export const MAX_HISTORY = { daily: 90, weekly: 26 };
+// How often a running session is checked against the goals
+const GOAL_CHECK_INTERVAL_MS = parseInt(process.env.GOAL_CHECK_INTERVAL_MS) || 60 * 1000;
+const SUMMARY_INTERVAL_MS = parseInt(process.env.DAILY_SUMMARY_INTERVAL_MS) || 5 * 60 * 1000;
+// Local time (HH:MM) from which the day's summary is sent
+const DAILY_SUMMARY_TIME = process.env.DAILY_SUMMARY_TIME || '21:00';
+// Students without a session in this many days get no summary
+const SUMMARY_ACTIVE_DAYS = 7;
+
+const GOAL_PREFERENCE_FIELDS = 'localization.timezone study.daily_study_goal study.weekly_study_goal notifications';
+
+// Last goal check per running session
+const lastChecked = new Map();
+
+let timer = null;
+let running = false;
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Preferences with the schema defaults for users who never saved any
+ */
+const loadPreferences = async (userId) => (
+  await UserPreferences.findOne({ user_id: userId }).select(GOAL_PREFERENCE_FIELDS)
+) || new UserPreferences({ user_id: userId });
+
+const toGoalSettings = (preferences) => ({
+  timeZone: resolveTimeZone(preferences.localization?.timezone),
+  daily: preferences.study.daily_study_goal,
+  weekly: preferences.study.weekly_study_goal
+});
+
+/**
+ * Today and this week in the user's timezone
+ */
+export const getCurrentPeriods = (now, timeZone) => {
+  const week = getWeek(now, timeZone);
+  return {
+    daily: { start: getLocalParts(now, timeZone).dateKey },
+    weekly: { start: week.startKey, end: week.endKey }
+  };
+};
+
+/**
+ * Minutes studied per local day since `fromKey`, counting a running session up to now
+ */
+const loadStudyDays = async (userId, fromKey, timeZone, { activeSession = null, now = new Date() } = {}) => {
+  // A day early, so sessions that started the evening before count from midnight on
+  const sessions = await findCompletedSessions(userId, { from: new Date(`${addDaysToKey(fromKey, -1)}T00:00:00Z`) });
+  if (activeSession) {
+    sessions.push({ start_time: activeSession.start_time, end_time: now });
+  }
+  return buildStudyDays(sessions, timeZone);
+};
+
+const sumMinutes = (studyDays, fromKey, toKey) => {
+  let minutes = 0;
+  for (let key = fromKey; key <= toKey; key = addDaysToKey(key, 1)) {
+    minutes += studyDays.get(key)?.minutes || 0;
+  }
+  return minutes;
+};
+
+/**
+ * @param {number} goalMinutes
+ * @param {number} studiedMinutes
+ */
+export const buildProgress = (goalMinutes, studiedMinutes) => ({
+  goal_minutes: goalMinutes,
+  studied_minutes: round(studiedMinutes),
+  remaining_minutes: round(Math.max(0, goalMinutes - studiedMinutes)),
+  percent: goalMinutes > 0 ? Math.min(100, Math.round((studiedMinutes / goalMinutes) * 100)) : 0,
+  reached: studiedMinutes >= goalMinutes
+});
+
+const measurePeriods = (settings, studyDays, now) => {
+  const periods = getCurrentPeriods(now, settings.timeZone);
+  return {
+    daily: {
+      date: periods.daily.start,
+      ...buildProgress(settings.daily, sumMinutes(studyDays, periods.daily.start, periods.daily.start))
+    },
+    weekly: {
+      week_start: periods.weekly.start,
+      week_end: periods.weekly.end,
+      // Up to the measured day, so a past day's summary leaves out what came after it
+      ...buildProgress(settings.weekly, sumMinutes(studyDays, periods.weekly.start, periods.daily.start))
+    }
+  };
+};
+
+/**
+ * Store the current goal and minutes of a running period
+ * @returns {Promise<object>} The StudyGoalPeriod
+ */
+const recordPeriod = async (userId, period, periodStart, fields) => {
+  const filter = { user_id: userId, period, period_start: periodStart };
+  const update = () => StudyGoalPeriod.findOneAndUpdate(
+    filter,
+    { $set: fields },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  try {
+    return await update();
+  } catch (error) {
+    // Created concurrently; the second attempt updates it
+    if (error.code === 11000) return update();
+    throw error;
+  }
+};
+
+// ======================= PROGRESS =======================
+
+/**
+ * Today's and this week's progress from completed sessions
+ * @param {string} userId
+ */
+export const getGoalProgress = async (userId, now = new Date()) => {
+  const settings = toGoalSettings(await loadPreferences(userId));
+  const periods = getCurrentPeriods(now, settings.timeZone);
+
+  const [studyDays, records] = await Promise.all([
+    loadStudyDays(userId, periods.weekly.start, settings.timeZone, { now }),
+    StudyGoalPeriod.find({
+      user_id: userId,
+      $or: GOAL_PERIODS.map(period => ({ period, period_start: periods[period].start }))
+    }).select('period reached_at').lean()
+  ]);
+  const reachedAt = new Map(records.map(r => [r.period, r.reached_at]));
+  const progress = measurePeriods(settings, studyDays, now);
+
+  return {
+    timezone: settings.timeZone,
+    daily: { ...progress.daily, reached_at: progress.daily.reached ? reachedAt.get('daily') || null : null },
+    weekly: { ...progress.weekly, reached_at: progress.weekly.reached ? reachedAt.get('weekly') || null : null }
+  };
+};
+
+/**
+ * Forget checks older than GOAL_CHECK_INTERVAL_MS; sessions abandoned without
+ * /end are never checked with `force`, so nothing else removes them
+ */
+const pruneLastChecked = (now) => {
+  for (const [sessionId, checkedAt] of lastChecked) {
+    if (now - checkedAt >= GOAL_CHECK_INTERVAL_MS) lastChecked.delete(sessionId);
+  }
+};
+
+/**
+ * Check a session's student against their goals and push the ones reached for the first time.
+ * Running sessions are checked at most once per GOAL_CHECK_INTERVAL_MS; ended ones only with `force`.
+ * @param {import('socket.io').Server} io
+ * @param {object} session Session (_id, student_id, start_time, is_active)
+ * @returns {Promise<object[]>} Goals newly reached
+ */
+export const checkSessionGoals = async (io, session, { force = false, now = new Date() } = {}) => {
+  const sessionId = session._id.toString();
+  if (!force && (!session.is_active || now - (lastChecked.get(sessionId) || 0) < GOAL_CHECK_INTERVAL_MS)) return [];
+  // Ended sessions are checked once, when they end (PATCH /api/sessions/:id/end)
+  pruneLastChecked(now.getTime());
+  if (session.is_active) lastChecked.set(sessionId, now.getTime());
+  else lastChecked.delete(sessionId);
+
+  const userId = session.student_id.toString();
+  const preferences = await loadPreferences(userId);
+  const settings = toGoalSettings(preferences);
+  const periods = getCurrentPeriods(now, settings.timeZone);
+  const studyDays = await loadStudyDays(userId, periods.weekly.start, settings.timeZone, {
+    activeSession: session.is_active ? session : null,
+    now
+  });
+  const progress = measurePeriods(settings, studyDays, now);
+
+  const reached = [];
+  for (const period of GOAL_PERIODS) {
+    const record = await recordPeriod(userId, period, periods[period].start, {
+      timezone: settings.timeZone,
+      goal_minutes: progress[period].goal_minutes,
+      studied_minutes: progress[period].studied_minutes
+    });
+    if (!progress[period].reached || record.reached_at) continue;
+
+    // Matching reached_at: null keeps two checks from pushing the same goal
+    const result = await StudyGoalPeriod.updateOne(
+      { _id: record._id, reached_at: null },
+      { $set: { reached_at: now, reached_session_id: sessionId } }
+    );
+    if (result.modifiedCount) reached.push({ period, session_id: sessionId, reached_at: now, ...progress[period] });
+  }
+
+  if (reached.length && io && preferences.notifications.enabled) {
+    reached.forEach(goal => io.to(`student:${userId}`).emit('goal-reached', goal));
+    console.log(`🎯 ${reached.map(g => g.period).join(' and ')} study goal reached by user ${userId}`);
+  }
+
+  return reached;
+};
+
+// ======================= HISTORY =======================
+
+/**
+ * Past days or weeks with their goal and whether it was met, most recent first.
+ * The hit rate only counts finished periods since the user's first session.
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.period] daily or weekly
+ * @param {number} [options.limit] Periods to return, the current one included
+ */
+export const getGoalHistory = async (userId, { period = 'daily', limit = 30 } = {}, now = new Date()) => {
+  const settings = toGoalSettings(await loadPreferences(userId));
+  const current = getCurrentPeriods(now, settings.timeZone)[period];
+  const step = period === 'weekly' ? 7 : 1;
+  const count = Math.min(limit, MAX_HISTORY[period]);
+  const fromKey = addDaysToKey(current.start, -(count - 1) * step);
+
+  const [studyDays, records, firstSession] = await Promise.all([
+    loadStudyDays(userId, fromKey, settings.timeZone, { now }),
+    StudyGoalPeriod.find({ user_id: userId, period, period_start: { $gte: fromKey } })
+      .select('period_start goal_minutes reached_at')
+      .lean(),
+    Session.findOne(completedSessionsQuery(userId)).sort({ start_time: 1 }).select('start_time').lean()
+  ]);
+  const recordsByStart = new Map(records.map(r => [r.period_start, r]));
+  const firstKey = firstSession ? getLocalParts(firstSession.start_time, settings.timeZone).dateKey : null;
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const startKey = addDaysToKey(current.start, -i * step);
+    const endKey = addDaysToKey(startKey, step - 1);
+    const record = recordsByStart.get(startKey);
+    const progress = buildProgress(
+      record?.goal_minutes ?? settings[period],
+      sumMinutes(studyDays, startKey, endKey)
+    );
+
+    entries.push({
+      period_start: startKey,
+      period_end: endKey,
+      goal_minutes: progress.goal_minutes,
+      studied_minutes: progress.studied_minutes,
+      percent: progress.percent,
+      reached: progress.reached,
+      reached_at: progress.reached ? record?.reached_at || null : null,
+      in_progress: i === 0,
+      // Periods that ended before the user's first session do not count against them
+      counted: i > 0 && firstKey !== null && endKey >= firstKey
+    });
+  }
+
+  const counted = entries.filter(e => e.counted);
+  const hits = counted.filter(e => e.reached).length;
+
+  return {
+    period,
+    timezone: settings.timeZone,
+    goal_minutes: settings[period],
+    hit_rate: counted.length ? Math.round((hits / counted.length) * 100) : null,
+    hits,
+    periods_counted: counted.length,
+    entries
+  };
+};
+
+// ======================= DAILY SUMMARY =======================
+
+/**
+ * Why the summary should not be delivered, or null. Quiet hours only defer it.
+ */
+const getSuppressionReason = (preferences, now) => {
+  if (!preferences.notifications.enabled) return 'notifications_disabled';
+  if (preferences.isQuietHours(now)) return 'quiet_hours';
+  if (!preferences.shouldShowNotification('summary', now)) return 'category_disabled';
+  return null;
+};
+
+const isPending = (status) => !status || status === 'deferred';
+
+/**
+ * The day whose summary is due: yesterday's if quiet hours deferred it past
+ * midnight, otherwise today's once DAILY_SUMMARY_TIME has passed
+ */
+const getDueSummaryDay = async (userId, local) => {
+  const yesterday = addDaysToKey(local.dateKey, -1);
+  const records = await StudyGoalPeriod.find({
+    user_id: userId,
+    period: 'daily',
+    period_start: { $in: [yesterday, local.dateKey] }
+  }).select('period_start summary_status').lean();
+  const statusByDay = new Map(records.map(r => [r.period_start, r.summary_status]));
+
+  if (statusByDay.get(yesterday) === 'deferred') return yesterday;
+  if (local.time >= DAILY_SUMMARY_TIME && isPending(statusByDay.get(local.dateKey))) return local.dateKey;
+  return null;
+};
+
+/**
+ * Push the summary to the student's open tabs, or email it when none is connected
+ */
+const deliverSummary = async (io, userId, user, preferences, payload) => {
+  const deliveries = [];
+
+  const channel = `student:${userId}`;
+  const online = io ? (await io.in(channel).fetchSockets()).length > 0 : false;
+  if (online) {
+    io.to(channel).emit('daily-summary', payload);
+    deliveries.push({ channel: 'socket', status: 'sent', sent_at: new Date() });
+  } else {
+    deliveries.push({ channel: 'socket', status: 'skipped', error: io ? 'Not connected' : 'Socket.IO not available' });
+  }
+  if (online) return deliveries;
+
+  if (!preferences.notifications.email_reminders || !user?.email) {
+    deliveries.push({ channel: 'email', status: 'skipped', error: user?.email ? 'Email reminders disabled' : 'No email address' });
+  } else {
+    const result = await sendDailySummaryEmail(user.email, user.name, payload);
+    deliveries.push(result.success
+      ? { channel: 'email', status: 'sent', sent_at: new Date() }
+      : { channel: 'email', status: 'failed', error: result.error });
+  }
+
+  return deliveries;
+};
+
+/**
+ * Send one user's daily summary, if one is due and was not sent yet
+ * @returns {Promise<boolean>} Whether this run handled it (sent, skipped or failed)
+ */
+const dispatchSummary = async (io, userId, { user, preferences }, now) => {
+  const settings = toGoalSettings(preferences);
+  const local = getLocalParts(now, settings.timeZone);
+  const dateKey = await getDueSummaryDay(userId, local);
+  if (!dateKey) return false;
+
+  // A deferred day is summarized as it ended
+  const asOf = dateKey === local.dateKey
+    ? now
+    : new Date(zonedTimeToUtc(addDaysToKey(dateKey, 1), '00:00', settings.timeZone).getTime() - 1);
+  const periods = getCurrentPeriods(asOf, settings.timeZone);
+  const studyDays = await loadStudyDays(userId, periods.weekly.start, settings.timeZone, { now: asOf });
+  const progress = measurePeriods(settings, studyDays, asOf);
+
+  const record = await recordPeriod(userId, 'daily', dateKey, {
+    timezone: settings.timeZone,
+    goal_minutes: progress.daily.goal_minutes,
+    studied_minutes: progress.daily.studied_minutes
+  });
+
+  const skipReason = getSuppressionReason(preferences, now);
+  if (skipReason === 'quiet_hours') {
+    // Tried again every tick until quiet hours are over
+    if (record.summary_status !== 'deferred') {
+      await StudyGoalPeriod.updateOne(
+        { _id: record._id, summary_status: null },
+        { $set: { summary_status: 'deferred', summary_skip_reason: skipReason } }
+      );
+    }
+    return false;
+  }
+
+  // Matching a pending status keeps two runs from sending the same summary
+  const claimed = await StudyGoalPeriod.updateOne(
+    { _id: record._id, summary_status: { $in: [null, 'deferred'] } },
+    { $set: {
+      summary_status: skipReason ? 'skipped' : 'sent',
+      summary_skip_reason: skipReason,
+      summary_sent_at: skipReason ? null : now
+    } }
+  );
+  if (!claimed.modifiedCount || skipReason) return claimed.modifiedCount > 0;
+
+  const deliveries = await deliverSummary(io, userId, user, preferences, {
+    date: dateKey,
+    sessions: studyDays.get(dateKey)?.sessions || 0,
+    daily: progress.daily,
+    weekly: progress.weekly
+  });
+  const sent = deliveries.some(d => d.status === 'sent');
+  await StudyGoalPeriod.updateOne(
+    { _id: record._id },
+    { $set: {
+      summary_status: sent ? 'sent' : 'failed',
+      summary_deliveries: deliveries,
+      summary_sent_at: sent ? now : null
+    } }
+  );
+  return true;
+};
+
+/**
+ * Send the due summary to every recently active student
+ * @param {import('socket.io').Server} io
+ * @returns {Promise<number>} Number of summaries handled (sent, skipped or failed)
+ */
+export const dispatchDailySummaries = async (io, now = new Date()) => {
+  const studentIds = await Session.distinct('student_id', {
+    start_time: { $gte: new Date(now.getTime() - SUMMARY_ACTIVE_DAYS * 86400000) }
+  });
+  if (studentIds.length === 0) return 0;
+
+  const [preferenceDocs, users] = await Promise.all([
+    UserPreferences.find({ user_id: { $in: studentIds } }),
+    User.find({ _id: { $in: studentIds } }).select('name email').lean()
+  ]);
+  const preferencesByUser = new Map(preferenceDocs.map(p => [p.user_id.toString(), p]));
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  let handled = 0;
+  for (const studentId of studentIds) {
+    // Students who never saved preferences get the defaults
+    const preferences = preferencesByUser.get(studentId) || new UserPreferences({ user_id: studentId });
+    const context = { user: usersById.get(studentId), preferences };
+    try {
+      if (await dispatchSummary(io, studentId, context, now)) handled++;
+    } catch (error) {
+      console.error(`❌ Daily summary for user ${studentId} failed:`, error.message);
+    }
+  }
+
+  if (handled > 0) console.log(`📊 Handled ${handled} daily summar${handled === 1 ? 'y' : 'ies'}`);
+  return handled;
+};
+
+/**
+ * Check for due daily summaries every DAILY_SUMMARY_INTERVAL_MS
+ */
+export const startDailySummaryScheduler = (io, intervalMs = SUMMARY_INTERVAL_MS) => {
+  if (timer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchDailySummaries(io);
+    } catch (error) {
+      console.error('❌ Daily summary dispatch failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  console.log('✅ Daily summary scheduler started');
+};
+
+export const stopDailySummaryScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+const goalService = {
+  GOAL_PERIODS,
+  getCurrentPeriods,
+  buildProgress,
+  getGoalProgress,
+  checkSessionGoals,
+  getGoalHistory,
+  dispatchDailySummaries,
+  startDailySummaryScheduler,
+  stopDailySummaryScheduler,
+};
+
+export default goalService;
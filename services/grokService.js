@@ -1,50 +1,28 @@
 // backend/services/grokService.js
 
-import axios from 'axios';
-
-const GROK_API_URL = 'https://api.x.ai/v1/chat/completions';
-const GROK_API_KEY = process.env.GROK_API_KEY;
-const GROK_MODEL = 'grok-beta';
+import llmGateway, { FEATURES } from './llmGateway.js';
 
+// Study coaching prompts. Calls go through services/llmGateway.js (feature
+// "coaching", Grok first by default; override with LLM_FEATURE_COACHING).
 class GrokService {
-  constructor() {
-    this.apiKey = GROK_API_KEY;
-    this.model = GROK_MODEL;
-    
-    if (!this.apiKey) {
-      console.warn('⚠️  GROK_API_KEY not found. AI features will be disabled.');
-    }
-  }
-
   async makeRequest(messages, options = {}) {
-    if (!this.apiKey) {
-      throw new Error('Grok API key not configured');
-    }
+    const response = await llmGateway.complete(FEATURES.COACHING, messages, {
+      model: options.model,
+      temperature: options.temperature || 0.7,
+      maxTokens: options.maxTokens || 500,
+    });
+    return response.content;
+  }
 
-    try {
-      const response = await axios.post(
-        GROK_API_URL,
-        {
-          model: options.model || this.model,
-          messages: messages,
-          temperature: options.temperature || 0.7,
-          max_tokens: options.maxTokens || 500,
-          stream: false
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-          },
-          timeout: 30000
-        }
-      );
-
-      return response.data.choices[0].message.content;
-    } catch (error) {
-      console.error('❌ Grok API Error:', error.response?.data || error.message);
-      throw new Error('Failed to get AI response');
-    }
+  // JSON replies; `stub` is what the offline stub provider answers
+  async makeJSONRequest(messages, options = {}) {
+    const response = await llmGateway.completeJSON(FEATURES.COACHING, messages, {
+      temperature: options.temperature,
+      maxTokens: options.maxTokens || 500,
+      validate: options.validate,
+      stub: options.stub,
+    });
+    return response.data;
   }
 
   async generateSessionSummary(sessionData) {
@@ -132,12 +110,15 @@ Return ONLY a JSON array like: ["Topic 1", "Topic 2", "Topic 3"]`
     ];
 
     try {
-      const response = await this.makeRequest(messages, { 
+      const categories = await this.makeJSONRequest(messages, { 
         temperature: 0.3,
-        maxTokens: 100 
+        maxTokens: 100,
+        validate: (value) => {
+          if (!Array.isArray(value)) throw new Error('expected an array');
+        },
+        stub: ['General Study']
       });
       
-      const categories = JSON.parse(response);
       return {
         categories: Array.isArray(categories) ? categories : [],
         summary: `Identified ${categories.length} key topics`
@@ -174,12 +155,11 @@ Return JSON: {"prediction": "...", "confidence": 0-100, "reason": "brief explana
     ];
 
     try {
-      const response = await this.makeRequest(messages, { 
+      return await this.makeJSONRequest(messages, { 
         temperature: 0.5,
-        maxTokens: 100 
+        maxTokens: 100,
+        stub: { prediction: 'stable', confidence: 50, reason: 'Offline stub prediction' }
       });
-      
-      return JSON.parse(response);
     } catch (error) {
       return { 
         prediction: 'stable', 
@@ -229,12 +209,11 @@ Suggest optimal study time window. Return JSON: {"suggested_time": "HH:MM-HH:MM"
     ];
 
     try {
-      const response = await this.makeRequest(messages, { 
+      return await this.makeJSONRequest(messages, { 
         temperature: 0.4,
-        maxTokens: 100 
+        maxTokens: 100,
+        stub: { suggested_time: '18:00-20:00', reason: 'Offline stub suggestion' }
       });
-      
-      return JSON.parse(response);
     } catch (error) {
       return { 
         suggested_time: '18:00-20:00', 
@@ -263,7 +242,7 @@ Suggest optimal study time window. Return JSON: {"suggested_time": "HH:MM-HH:MM"
   }
 
   isConfigured() {
-    return !!this.apiKey;
+    return llmGateway.isAvailable(FEATURES.COACHING);
   }
 }
 
@@ -0,0 +1,494 @@
+/**
+ * FILE PATH: backend/services/icalService.js
+ * iCalendar (RFC 5545) export and import for study routines.
+ *
+ * buildCalendar() turns routines into recurring VEVENTs (RRULE from type /
+ * days_of_week / dates, VALARM from reminder_time) for the per-user feed.
+ * Times are wall-clock times with a TZID, so slots keep their hour across DST;
+ * the matching VTIMEZONE is generated from Intl for the years the feed spans.
+ * parseIcs() + eventToRoutineDraft() turn an uploaded timetable into draft
+ * routines in the student's timezone.
+ */
+
+import {
+  getLocalParts,
+  getTimeZoneOffsetMs,
+  getOffsetTransitions,
+  zonedTimeToUtc,
+  addDaysToKey,
+  resolveTimeZone,
+  WEEKDAYS
+} from '../utils/timezone.js';
+import { expandRoutine } from './scheduleService.js';
+
+const CRLF = '\r\n';
+const PRODID = '-//StudyGuardian//Study Routines//EN';
+
+const BYDAY_CODES = {
+  sunday: 'SU', monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA'
+};
+const WEEKDAY_BY_CODE = Object.fromEntries(Object.entries(BYDAY_CODES).map(([day, code]) => [code, day]));
+
+// Imported events without an end (no UNTIL / COUNT) repeat for this long
+const DEFAULT_IMPORT_WEEKS = 16;
+const MAX_IMPORT_EVENTS = 100;
+
+// ======================= HELPERS =======================
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+// Lines longer than 75 octets are folded (CRLF + space), without splitting characters
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let length = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (length + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      length = 0;
+    }
+    current += char;
+    length += size;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+const formatLocal = (dateKey, time) => `${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`;
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+const fromMinutes = (minutes) => {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+};
+
+const daysBetweenKeys = (fromKey, toKey) => Math.round(
+  (Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / 86400000
+);
+
+// ======================= EXPORT =======================
+
+// +05:45 -> "+0545"
+const formatOffset = (offsetMs) => {
+  const minutes = Math.round(Math.abs(offsetMs) / 60000);
+  const sign = offsetMs < 0 ? '-' : '+';
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Local wall-clock time of an instant at a given offset, as an iCalendar DATE-TIME
+const formatAtOffset = (date, offsetMs) => formatUtc(new Date(date).getTime() + offsetMs).replace('Z', '');
+
+/**
+ * VTIMEZONE lines for `timeZone` between two instants (RFC 5545 3.6.5): one
+ * observance for the offset in effect at `from`, then one per offset change.
+ */
+export const buildTimeZoneComponent = (timeZone, from, to) => {
+  const initialOffset = getTimeZoneOffsetMs(from, timeZone);
+  const transitions = getOffsetTransitions(timeZone, from, to);
+
+  // Changes that raise the offset start daylight time
+  const observance = (kind, start, offsetFrom, offsetTo) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${formatAtOffset(start, offsetFrom)}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    `END:${kind}`
+  ];
+  const initialKind = transitions[0] && transitions[0].offsetTo < initialOffset ? 'DAYLIGHT' : 'STANDARD';
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(initialKind, from, initialOffset, initialOffset),
+    ...transitions.flatMap(t => observance(
+      t.offsetTo > t.offsetFrom ? 'DAYLIGHT' : 'STANDARD',
+      t.at,
+      t.offsetFrom,
+      t.offsetTo
+    )),
+    'END:VTIMEZONE'
+  ];
+};
+
+const buildRrule = (routine, startKey, untilUtc) => {
+  const until = `UNTIL=${formatUtc(untilUtc)}`;
+
+  switch (routine.type) {
+    case 'daily':
+      return `FREQ=DAILY;${until}`;
+    case 'monthly': {
+      // Same day as the start date, or the last day of shorter months
+      const day = parseInt(startKey.slice(8, 10));
+      if (day <= 28) return `FREQ=MONTHLY;BYMONTHDAY=${day};${until}`;
+      const candidates = Array.from({ length: day - 27 }, (_, i) => 28 + i).join(',');
+      return `FREQ=MONTHLY;BYMONTHDAY=${candidates};BYSETPOS=-1;${until}`;
+    }
+    default: {
+      const days = (routine.days_of_week || []).map(day => BYDAY_CODES[day]).filter(Boolean);
+      return `FREQ=WEEKLY;BYDAY=${days.join(',')};${until}`;
+    }
+  }
+};
+
+/**
+ * VEVENT lines for one routine, or null if it has no schedulable slot
+ */
+export const buildRoutineEvent = (routine, timeZone, now = new Date()) => {
+  if (!routine.times?.start || !routine.times?.end) return null;
+
+  const startKey = getLocalParts(routine.start_date, timeZone).dateKey;
+  const endKey = getLocalParts(routine.end_date, timeZone).dateKey;
+  // DTSTART must be the first real occurrence
+  const [first] = expandRoutine(routine, startKey, addDaysToKey(startKey, 62), timeZone);
+  if (!first) return null;
+
+  const firstEnd = getLocalParts(first.end, timeZone);
+  const subjects = (routine.subjects || []).map(s => s.name).filter(Boolean);
+  const description = [routine.description, subjects.length ? `Subjects: ${subjects.join(', ')}` : null]
+    .filter(Boolean)
+    .join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:routine-${routine._id}@studyguardian`,
+    `DTSTAMP:${formatUtc(routine.updatedAt || now)}`,
+    `DTSTART;TZID=${timeZone}:${formatLocal(first.date, routine.times.start)}`,
+    `DTEND;TZID=${timeZone}:${formatLocal(firstEnd.dateKey, firstEnd.time)}`,
+    `RRULE:${buildRrule(routine, first.date, zonedTimeToUtc(endKey, '23:59', timeZone))}`,
+    `SUMMARY:${escapeText(routine.title)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    'CATEGORIES:Study',
+    'STATUS:CONFIRMED'
+  ];
+
+  if (routine.reminder_enabled && routine.reminder_time) {
+    // reminder_time is a wall-clock time; later than the slot start means the evening before
+    let before = toMinutes(routine.times.start) - toMinutes(routine.reminder_time);
+    if (before < 0) before += 1440;
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(`Study: ${routine.title}`)}`,
+      `TRIGGER:-PT${Math.floor(before / 60)}H${before % 60}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Feeds are polled often and span the same few years, so VTIMEZONEs are reused
+const timeZoneComponents = new Map();
+
+const getTimeZoneComponent = (timeZone, from, to) => {
+  const key = `${timeZone}:${from.getTime()}:${to.getTime()}`;
+  if (!timeZoneComponents.has(key)) {
+    timeZoneComponents.set(key, buildTimeZoneComponent(timeZone, from, to));
+  }
+  return timeZoneComponents.get(key);
+};
+
+/**
+ * Full VCALENDAR document for a list of routines
+ * @param {object[]} routines
+ * @param {{ timeZone?: string, name?: string }} [options]
+ * @returns {string}
+ */
+export const buildCalendar = (routines, { timeZone, name = 'StudyGuardian routines' } = {}) => {
+  const tz = resolveTimeZone(timeZone);
+  const now = new Date();
+  const events = routines.flatMap(routine => buildRoutineEvent(routine, tz, now) || []);
+
+  // The VTIMEZONE covers every routine, from a year before the earliest start
+  const years = routines.flatMap(r => [r.start_date, r.end_date].filter(Boolean).map(d => new Date(d).getUTCFullYear()));
+  const firstYear = Math.min(...years, now.getUTCFullYear()) - 1;
+  const lastYear = Math.max(...years, now.getUTCFullYear()) + 1;
+
+  const from = zonedTimeToUtc(`${firstYear}-01-01`, '00:00', tz);
+  const to = zonedTimeToUtc(`${lastYear + 1}-01-01`, '00:00', tz);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${tz}`,
+    ...(events.length ? getTimeZoneComponent(tz, from, to) : []),
+    ...events,
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+// ======================= IMPORT =======================
+
+// NAME;PARAM=VALUE;PARAM="quoted:value":VALUE
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Parse the VEVENTs (with their VALARMs) of an iCalendar document
+ * @returns {{ props: object, alarms: object[] }[]}
+ */
+export const parseIcs = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const events = [];
+  let event = null;
+  let alarm = null;
+
+  lines.forEach(line => {
+    const prop = line && parseContentLine(line);
+    if (!prop) return;
+
+    if (prop.name === 'BEGIN' && prop.value === 'VEVENT') {
+      event = { props: {}, alarms: [] };
+    } else if (prop.name === 'END' && prop.value === 'VEVENT') {
+      if (event) events.push(event);
+      event = null;
+    } else if (prop.name === 'BEGIN' && prop.value === 'VALARM' && event) {
+      alarm = {};
+    } else if (prop.name === 'END' && prop.value === 'VALARM' && event) {
+      if (alarm) event.alarms.push(alarm);
+      alarm = null;
+    } else if (alarm) {
+      alarm[prop.name] = prop;
+    } else if (event && !event.props[prop.name]) {
+      event.props[prop.name] = prop;
+    }
+  });
+
+  return events;
+};
+
+/**
+ * DATE / DATE-TIME property -> { date, allDay, timeZone }
+ */
+const parseDateProp = (prop, fallbackTimeZone) => {
+  if (!prop) return null;
+
+  const value = prop.value.trim();
+  if (prop.params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return { allDay: true };
+  }
+
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?(Z)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  if (utc) {
+    return { date: new Date(Date.UTC(year, month - 1, day, hour, minute)), timeZone: 'UTC' };
+  }
+
+  // Non-IANA TZIDs (e.g. Windows names) fall back to the student's timezone
+  const tzid = prop.params.TZID && resolveTimeZone(prop.params.TZID) === prop.params.TZID
+    ? prop.params.TZID
+    : fallbackTimeZone;
+  return { date: zonedTimeToUtc(`${year}-${month}-${day}`, `${hour}:${minute}`, tzid), timeZone: tzid };
+};
+
+// -PT15M, -P1D, -PT1H30M -> minutes (positive = before)
+const parseTriggerMinutes = (alarm) => {
+  const trigger = alarm.TRIGGER;
+  if (!trigger || trigger.params.RELATED === 'END') return null;
+  const match = trigger.value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total = ((parseInt(weeks) || 0) * 7 * 24 + (parseInt(days) || 0) * 24 + (parseInt(hours) || 0)) * 60
+    + (parseInt(minutes) || 0);
+  return sign === '+' ? -total : total;
+};
+
+const parseDurationMinutes = (value) => {
+  const minutes = parseTriggerMinutes({ TRIGGER: { params: {}, value: `-${value.replace(/^[+-]/, '')}` } });
+  return minutes || null;
+};
+
+const parseRrule = (value) => Object.fromEntries(
+  value.split(';').filter(Boolean).map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=')];
+  })
+);
+
+/**
+ * Turn a parsed VEVENT into Routine fields (status 'draft') in the student's timezone
+ * @returns {{ routine?: object, skipped?: string, warnings: string[] }}
+ */
+export const eventToRoutineDraft = (event, timeZone) => {
+  const tz = resolveTimeZone(timeZone);
+  const { props } = event;
+  const warnings = [];
+  const title = unescapeText(props.SUMMARY?.value || '').trim().slice(0, 100) || 'Imported study slot';
+
+  if (props['RECURRENCE-ID']) return { skipped: 'Changed single occurrence of a recurring event', warnings };
+  if (props.STATUS?.value === 'CANCELLED') return { skipped: 'Cancelled event', warnings };
+
+  const start = parseDateProp(props.DTSTART, tz);
+  if (!start) return { skipped: 'Missing or invalid DTSTART', warnings };
+  if (start.allDay) return { skipped: 'All-day events have no study time', warnings };
+
+  let end = parseDateProp(props.DTEND, tz)?.date;
+  if (!end && props.DURATION) {
+    const minutes = parseDurationMinutes(props.DURATION.value);
+    if (minutes) end = new Date(start.date.getTime() + minutes * 60000);
+  }
+  if (!end || end <= start.date) end = new Date(start.date.getTime() + 60 * 60000);
+
+  const startLocal = getLocalParts(start.date, tz);
+  const endLocal = getLocalParts(end, tz);
+  // Weekdays in the event's own timezone may fall on another day for the student
+  const dayShift = daysBetweenKeys(getLocalParts(start.date, start.timeZone).dateKey, startLocal.dateKey);
+  const shiftDay = (day) => WEEKDAYS[(WEEKDAYS.indexOf(day) + dayShift + 7) % 7];
+
+  const rrule = props.RRULE ? parseRrule(props.RRULE.value) : null;
+  let type = 'custom';
+  let daysOfWeek = [startLocal.weekday];
+  let endKey = startLocal.dateKey;
+
+  if (rrule) {
+    if (rrule.INTERVAL && rrule.INTERVAL !== '1') {
+      warnings.push(`"${title}" repeats every ${rrule.INTERVAL} periods; imported as every period`);
+    }
+
+    switch (rrule.FREQ) {
+      case 'DAILY':
+        type = 'daily';
+        daysOfWeek = [...WEEKDAYS];
+        break;
+      case 'WEEKLY': {
+        type = 'weekly';
+        const days = (rrule.BYDAY || '').split(',')
+          .map(code => WEEKDAY_BY_CODE[code.replace(/^[+-]?\d+/, '')])
+          .filter(Boolean)
+          .map(shiftDay);
+        if (days.length > 0) daysOfWeek = [...new Set(days)];
+        break;
+      }
+      case 'MONTHLY':
+        type = 'monthly';
+        break;
+      default:
+        warnings.push(`"${title}" repeats ${String(rrule.FREQ).toLowerCase()}; imported as a single slot`);
+    }
+
+    if (type !== 'custom') {
+      const count = parseInt(rrule.COUNT);
+      if (rrule.UNTIL) {
+        const until = parseDateProp({ params: {}, value: rrule.UNTIL.length === 8 ? `${rrule.UNTIL}T235900` : rrule.UNTIL }, tz);
+        endKey = until?.date ? getLocalParts(until.date, tz).dateKey : endKey;
+      } else if (count > 0) {
+        const perWeek = Math.max(1, daysOfWeek.length);
+        endKey = type === 'daily'
+          ? addDaysToKey(startLocal.dateKey, count - 1)
+          : type === 'weekly'
+            ? addDaysToKey(startLocal.dateKey, Math.ceil(count / perWeek) * 7 - 1)
+            : addDaysToKey(startLocal.dateKey, Math.round((count - 1) * 30.44));
+      } else {
+        endKey = addDaysToKey(startLocal.dateKey, DEFAULT_IMPORT_WEEKS * 7 - 1);
+      }
+    }
+  }
+
+  // Earliest alarm before the start becomes the routine reminder (a wall-clock time, so under a day)
+  const reminderMinutes = event.alarms
+    .map(parseTriggerMinutes)
+    .filter(minutes => minutes !== null && minutes >= 0 && minutes < 1440)
+    .sort((a, b) => b - a)[0];
+
+  const routine = {
+    title,
+    description: unescapeText(props.DESCRIPTION?.value || props.LOCATION?.value || '').slice(0, 500) || undefined,
+    type,
+    days_of_week: daysOfWeek,
+    start_date: zonedTimeToUtc(startLocal.dateKey, '00:00', tz),
+    end_date: zonedTimeToUtc(endKey < startLocal.dateKey ? startLocal.dateKey : endKey, '23:59', tz),
+    times: { start: startLocal.time, end: endLocal.time },
+    reminder_enabled: reminderMinutes !== undefined,
+    reminder_time: reminderMinutes !== undefined ? fromMinutes(toMinutes(startLocal.time) - reminderMinutes) : undefined,
+    external_uid: props.UID?.value || null
+  };
+
+  // Target = every scheduled slot in the range
+  const slots = expandRoutine({ ...routine, _id: null }, startLocal.dateKey, endKey, tz);
+  const targetHours = slots.reduce((sum, slot) => sum + slot.duration_minutes, 0) / 60;
+  routine.subjects = [{ name: title, target_hours: Math.round(targetHours * 10) / 10 }];
+
+  return { routine, warnings };
+};
+
+/**
+ * Parse an ICS document into draft routine fields
+ * @returns {{ drafts: object[], skipped: { title: string, reason: string }[], warnings: string[] }}
+ */
+export const icsToRoutineDrafts = (text, timeZone) => {
+  const events = parseIcs(text);
+  const result = { drafts: [], skipped: [], warnings: [] };
+
+  if (events.length > MAX_IMPORT_EVENTS) {
+    result.warnings.push(`Only the first ${MAX_IMPORT_EVENTS} of ${events.length} events were imported`);
+  }
+
+  events.slice(0, MAX_IMPORT_EVENTS).forEach(event => {
+    const { routine, skipped, warnings } = eventToRoutineDraft(event, timeZone);
+    result.warnings.push(...warnings);
+    if (skipped) {
+      result.skipped.push({ title: event.props.SUMMARY ? unescapeText(event.props.SUMMARY.value) : null, reason: skipped });
+    } else {
+      result.drafts.push(routine);
+    }
+  });
+
+  return result;
+};
+
+const icalService = {
+  buildTimeZoneComponent,
+  buildRoutineEvent,
+  buildCalendar,
+  parseIcs,
+  eventToRoutineDraft,
+  icsToRoutineDrafts,
+};
+
+export default icalService;
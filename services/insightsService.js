@@ -0,0 +1,342 @@
+/**
+ * FILE PATH: backend/services/insightsService.js
+ * Post-session insights (GET /api/ai/insights/:sessionId).
+ *
+ * Gathers what was recorded during a session (Metric summary and anomalies,
+ * engagement over time, time per page, highlights) and turns it into
+ * strengths, weaknesses, recommendations and focus periods. The text comes
+ * from the LLM (feature "insights", schema-validated JSON) when one is
+ * configured, otherwise, or if it fails, from the rules below. Focus periods
+ * are always computed from the data.
+ */
+
+import Metric from '../models/Metric.js';
+import Highlight from '../models/Highlight.js';
+import llmGateway, { FEATURES } from './llmGateway.js';
+
+// Engagement is bucketed in windows of this length to find focus periods
+const TREND_INTERVAL_MINUTES = 5;
+const FOCUSED_ENGAGEMENT = 70;
+const DISTRACTED_ENGAGEMENT = 40;
+const MAX_ITEMS = 6;
+const PRIORITIES = ['high', 'medium', 'low'];
+// Cached insights younger than this are returned even when a refresh is asked for
+const REFRESH_COOLDOWN_MS = (parseInt(process.env.INSIGHTS_REFRESH_COOLDOWN_MINUTES) || 10) * 60 * 1000;
+
+const round = (value, digits = 0) => {
+  const factor = 10 ** digits;
+  return Math.round((value || 0) * factor) / factor;
+};
+
+// ======================= DATA =======================
+
+/**
+ * Consecutive trend windows that were clearly focused or clearly distracted
+ */
+export const findFocusPeriods = (trend, intervalMinutes = TREND_INTERVAL_MINUTES) => {
+  const classify = (bucket) => {
+    const distractionRate = bucket.datapoints ? bucket.distraction_count / bucket.datapoints : 0;
+    if (bucket.avg_engagement >= FOCUSED_ENGAGEMENT && distractionRate < 0.2) return 'focused';
+    if (bucket.avg_engagement < DISTRACTED_ENGAGEMENT || distractionRate >= 0.5) return 'distracted';
+    return null;
+  };
+
+  const periods = [];
+  let current = null;
+  trend.forEach(bucket => {
+    const label = classify(bucket);
+    const start = Number(bucket._id);
+    const end = start + intervalMinutes * 60000;
+
+    if (current && current.label === label && current.end === start) {
+      current.end = end;
+      current.engagement.push(bucket.avg_engagement);
+      current.distractions += bucket.distraction_count;
+      return;
+    }
+    if (current) periods.push(current);
+    current = label ? { label, start, end, engagement: [bucket.avg_engagement], distractions: bucket.distraction_count } : null;
+  });
+  if (current) periods.push(current);
+
+  return periods.map(p => ({
+    label: p.label,
+    start: new Date(p.start),
+    end: new Date(p.end),
+    minutes: Math.round((p.end - p.start) / 60000),
+    avg_engagement: round(p.engagement.reduce((s, v) => s + v, 0) / p.engagement.length),
+    distraction_count: p.distractions,
+  }));
+};
+
+const summarizePages = (pageTime) => {
+  const pages = Object.entries(pageTime)
+    .map(([page, seconds]) => ({ page: Number(page), seconds: round(seconds) }))
+    .filter(p => p.seconds > 0)
+    .sort((a, b) => b.seconds - a.seconds);
+  if (pages.length === 0) return { pages_visited: 0, top_pages: [], median_seconds: 0 };
+
+  const sorted = pages.map(p => p.seconds).sort((a, b) => a - b);
+  return {
+    pages_visited: pages.length,
+    top_pages: pages.slice(0, 5),
+    median_seconds: sorted[Math.floor(sorted.length / 2)],
+  };
+};
+
+/**
+ * Everything recorded for a session, reduced to the numbers insights are based on
+ */
+export const collectSessionFacts = async (session) => {
+  const sessionId = session._id;
+  const [summary, anomalies, trend, highlightCategories] = await Promise.all([
+    Metric.getSessionSummary(sessionId),
+    Metric.detectAnomalies(sessionId),
+    Metric.getEngagementTrend(sessionId, TREND_INTERVAL_MINUTES),
+    Highlight.getStatsByCategory(sessionId),
+  ]);
+
+  const anomalyCounts = anomalies.reduce((acc, a) => {
+    acc[a.type] = (acc[a.type] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    duration_minutes: round((session.duration_seconds || 0) / 60),
+    has_metrics: Boolean(summary),
+    engagement: summary && {
+      average: round(summary.avg_engagement),
+      max: round(summary.max_engagement),
+      min: round(summary.min_engagement),
+    },
+    presence_rate: summary ? round(summary.presence_rate) : null,
+    distraction: summary && {
+      count: summary.distraction_count,
+      rate: round(summary.distraction_rate),
+      types: summary.distraction_types.filter(Boolean),
+    },
+    posture: summary && {
+      average_score: round(summary.avg_posture_score),
+      poor_count: summary.poor_posture_count,
+    },
+    health: summary && {
+      avg_blink_rate: round(summary.avg_blink_rate, 1),
+      eye_strain_alerts: summary.eye_strain_alerts,
+      avg_fatigue: round(summary.avg_fatigue),
+    },
+    anomalies: anomalyCounts,
+    pages: summarizePages(session.getPageTimeAnalytics()),
+    highlights: {
+      total: highlightCategories.reduce((s, c) => s + c.count, 0),
+      by_category: Object.fromEntries(highlightCategories.map(c => [c._id || 'uncategorized', c.count])),
+    },
+    focus_periods: findFocusPeriods(trend),
+  };
+};
+
+// ======================= RULE-BASED INSIGHTS =======================
+
+/**
+ * Insights from fixed thresholds, used when no LLM is available
+ */
+export const buildRuleBasedInsights = (facts) => {
+  const strengths = [];
+  const weaknesses = [];
+  const recommendations = [];
+  const recommend = (priority, title, detail) => recommendations.push({ priority, title, detail });
+
+  if (!facts.has_metrics) {
+    weaknesses.push('No focus metrics were recorded during this session');
+    recommend('medium', 'Turn on the webcam tracker', 'Focus, posture and presence insights need the webcam metrics to be recorded while you study.');
+  }
+
+  if (facts.engagement) {
+    if (facts.engagement.average >= FOCUSED_ENGAGEMENT) strengths.push(`Strong engagement throughout (average ${facts.engagement.average}/100)`);
+    else if (facts.engagement.average < 50) {
+      weaknesses.push(`Low average engagement (${facts.engagement.average}/100)`);
+      recommend('high', 'Study in shorter blocks', 'Try 25-minute blocks with 5-minute breaks (Pomodoro) to keep engagement up.');
+    }
+  }
+
+  if (facts.presence_rate !== null) {
+    if (facts.presence_rate >= 90) strengths.push(`Stayed at your desk for ${facts.presence_rate}% of the session`);
+    else if (facts.presence_rate < 70) {
+      weaknesses.push(`Away from the screen for ${100 - facts.presence_rate}% of the session`);
+      recommend('high', 'Plan your breaks', 'Take breaks on purpose rather than stepping away mid-session, and keep what you need within reach.');
+    }
+  }
+
+  if (facts.distraction && facts.distraction.rate > 20) {
+    const types = facts.distraction.types.length ? ` (mostly ${facts.distraction.types.join(', ')})` : '';
+    weaknesses.push(`Distracted in ${facts.distraction.rate}% of samples${types}`);
+    recommend('high', 'Remove distractions', 'Silence notifications and put your phone out of reach before you start.');
+  } else if (facts.distraction && facts.distraction.count === 0) {
+    strengths.push('No distractions detected');
+  }
+
+  if (facts.posture) {
+    if (facts.posture.average_score >= 75) strengths.push(`Good posture (average ${facts.posture.average_score}/100)`);
+    else if (facts.posture.average_score < 60) {
+      weaknesses.push(`Poor posture for much of the session (average ${facts.posture.average_score}/100)`);
+      recommend('medium', 'Fix your setup', 'Raise the screen to eye level and sit back in your chair; check your posture at every break.');
+    }
+  }
+
+  if (facts.health && (facts.health.eye_strain_alerts > 0 || facts.health.avg_fatigue > 60)) {
+    weaknesses.push(facts.health.eye_strain_alerts > 0
+      ? `Signs of eye strain (${facts.health.eye_strain_alerts} alert${facts.health.eye_strain_alerts === 1 ? '' : 's'})`
+      : `High fatigue (average ${facts.health.avg_fatigue}/100)`);
+    recommend('medium', 'Rest your eyes', 'Every 20 minutes, look at something 20 feet away for 20 seconds, and study when you are rested.');
+  }
+
+  if (facts.anomalies.prolonged_absence) {
+    const times = facts.anomalies.prolonged_absence;
+    weaknesses.push(`Left the session unattended ${times === 1 ? 'once' : `${times} times`}`);
+  }
+  if (facts.anomalies.engagement_drop >= 3) {
+    recommend('medium', 'Notice when focus drops', `Your engagement dropped sharply ${facts.anomalies.engagement_drop} times; pause and reset when it happens instead of pushing through.`);
+  }
+
+  if (facts.highlights.total >= 5) strengths.push(`Active reading: ${facts.highlights.total} highlights`);
+  else if (facts.highlights.total === 0 && facts.pages.pages_visited > 0) {
+    recommend('low', 'Highlight key ideas', 'Highlighting and annotating as you read makes review and flashcards much easier.');
+  }
+
+  const [slowest] = facts.pages.top_pages;
+  if (slowest && facts.pages.pages_visited >= 3 && slowest.seconds > 3 * facts.pages.median_seconds) {
+    recommend('low', `Revisit page ${slowest.page}`, `You spent ${Math.round(slowest.seconds / 60)} minutes on page ${slowest.page}, far longer than on other pages; it may need another look.`);
+  }
+
+  const focused = facts.focus_periods.filter(p => p.label === 'focused');
+  if (focused.length) {
+    const longest = focused.reduce((a, b) => (b.minutes > a.minutes ? b : a));
+    strengths.push(`Longest focused stretch: ${longest.minutes} minutes`);
+  }
+
+  if (facts.duration_minutes > 0 && facts.duration_minutes < 15) {
+    recommend('low', 'Study a little longer', 'Sessions of 25 minutes or more give you time to get into the material.');
+  }
+  if (strengths.length === 0 && facts.duration_minutes > 0) {
+    strengths.push(`Completed a ${facts.duration_minutes}-minute study session`);
+  }
+
+  const order = (r) => PRIORITIES.indexOf(r.priority);
+  return {
+    summary: facts.engagement
+      ? `${facts.duration_minutes}-minute session with average engagement ${facts.engagement.average}/100.`
+      : `${facts.duration_minutes}-minute session.`,
+    strengths: strengths.slice(0, MAX_ITEMS),
+    weaknesses: weaknesses.slice(0, MAX_ITEMS),
+    recommendations: recommendations.sort((a, b) => order(a) - order(b)).slice(0, MAX_ITEMS),
+  };
+};
+
+// ======================= LLM INSIGHTS =======================
+
+const cleanText = (value, field, maxLength = 300) => {
+  if (typeof value !== 'string' || !value.trim()) throw new Error(`${field} must be a non-empty string`);
+  return value.trim().slice(0, maxLength);
+};
+
+const cleanList = (value, field, clean) => {
+  if (!Array.isArray(value)) throw new Error(`${field} must be an array`);
+  return value.slice(0, MAX_ITEMS).map((item, i) => clean(item, `${field}[${i}]`));
+};
+
+/**
+ * Check the LLM reply against the insights schema and return a cleaned copy.
+ * Throws on anything missing or of the wrong type.
+ */
+export const validateInsights = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected an object');
+
+  const insights = {
+    summary: cleanText(data.summary, 'summary', 600),
+    strengths: cleanList(data.strengths, 'strengths', cleanText),
+    weaknesses: cleanList(data.weaknesses, 'weaknesses', cleanText),
+    recommendations: cleanList(data.recommendations, 'recommendations', (item, field) => {
+      if (!item || typeof item !== 'object') throw new Error(`${field} must be an object`);
+      const priority = String(item.priority || '').toLowerCase();
+      if (!PRIORITIES.includes(priority)) throw new Error(`${field}.priority must be one of ${PRIORITIES.join(', ')}`);
+      return {
+        priority,
+        title: cleanText(item.title, `${field}.title`, 120),
+        detail: cleanText(item.detail, `${field}.detail`),
+      };
+    }),
+  };
+  if (insights.recommendations.length === 0) throw new Error('at least one recommendation is required');
+  return insights;
+};
+
+const INSIGHTS_PROMPT = `You are a study coach reviewing a student's study session from the data recorded by their study tracker.
+Reply with a JSON object of this shape:
+{
+  "summary": "one or two sentences",
+  "strengths": ["..."],
+  "weaknesses": ["..."],
+  "recommendations": [{ "priority": "high" | "medium" | "low", "title": "...", "detail": "..." }]
+}
+At most ${MAX_ITEMS} items per list. Base every point on the numbers given; be specific, encouraging and practical.`;
+
+const generateWithLLM = async (facts) => {
+  const rules = buildRuleBasedInsights(facts);
+  const { data, provider } = await llmGateway.completeJSON(FEATURES.INSIGHTS, [
+    { role: 'system', content: INSIGHTS_PROMPT },
+    { role: 'user', content: `Session data:\n${JSON.stringify(facts, null, 2)}` },
+  ], {
+    maxTokens: 900,
+    validate: validateInsights,
+    stub: rules,
+  });
+  return { ...data, source: 'llm', provider };
+};
+
+// ======================= PUBLIC =======================
+
+/**
+ * Insights for an ended session; cached on session.ai_insights unless `refresh`
+ * (at most once per REFRESH_COOLDOWN_MS)
+ * @param {object} session Session document
+ * @returns {Promise<object>} summary, strengths, weaknesses, recommendations, focus_periods, stats, source
+ */
+export const generateSessionInsights = async (session, { refresh = false, now = new Date() } = {}) => {
+  const cached = session.ai_insights;
+  if (cached && (!refresh || now - new Date(cached.generated_at) < REFRESH_COOLDOWN_MS)) return cached;
+
+  const facts = await collectSessionFacts(session);
+
+  let insights = null;
+  if (llmGateway.isAvailable(FEATURES.INSIGHTS)) {
+    try {
+      insights = await generateWithLLM(facts);
+    } catch (error) {
+      console.warn(`⚠️ LLM insights failed for session ${session._id}, using rules:`, error.message);
+    }
+  }
+  if (!insights) insights = { ...buildRuleBasedInsights(facts), source: 'rules', provider: null };
+
+  const { focus_periods: focusPeriods, ...stats } = facts;
+  const result = {
+    session_id: session._id,
+    ...insights,
+    focus_periods: focusPeriods,
+    stats,
+    generated_at: now,
+  };
+
+  session.ai_insights = result;
+  session.markModified('ai_insights');
+  await session.save();
+  return result;
+};
+
+const insightsService = {
+  findFocusPeriods,
+  collectSessionFacts,
+  buildRuleBasedInsights,
+  validateInsights,
+  generateSessionInsights,
+};
+
+export default insightsService;
@@ -0,0 +1,130 @@
+/**
+ * FILE PATH: backend/services/jobHandlers.js
+ * Background job types and their handlers (see services/jobQueue.js).
+ *
+ * Post-session jobs are enqueued when a session ends. They are keyed by
+ * session id, so ending (or re-requesting) the same session never runs
+ * them twice.
+ */
+
+import Session from '../models/Session.js';
+import nlpService from './nlpService.js';
+import aiService from './aiService.js';
+import { processMaterial } from './pdfExtractionService.js';
+import { creditSession } from './routineCreditService.js';
+import achievementService from './achievementService.js';
+import { registerHandler, enqueue } from './jobQueue.js';
+
+export const JOB_TYPES = {
+  MATERIAL_EXTRACT: 'material.extract',
+  SESSION_FINALIZE_METRICS: 'session.finalize_metrics',
+  SESSION_AI_SUMMARY: 'session.ai_summary',
+  SESSION_ACHIEVEMENTS: 'session.evaluate_achievements',
+  SESSION_ROUTINE_CREDIT: 'session.credit_routine',
+};
+
+// Jobs enqueued by PATCH /api/sessions/:sessionId/end, in this order
+export const POST_SESSION_JOBS = [
+  JOB_TYPES.SESSION_FINALIZE_METRICS,
+  JOB_TYPES.SESSION_AI_SUMMARY,
+  JOB_TYPES.SESSION_ACHIEVEMENTS,
+  JOB_TYPES.SESSION_ROUTINE_CREDIT,
+];
+
+// Socket.IO server for pushes from handlers (set by registerJobHandlers)
+let io = null;
+
+export const sessionJobKey = (type, sessionId) => `${type}:${sessionId}`;
+
+const loadEndedSession = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  if (!session) throw new Error(`Session ${sessionId} not found`);
+  if (session.is_active) throw new Error(`Session ${sessionId} is still active`);
+  return session;
+};
+
+// Jobs that read final metrics wait (retry with backoff) until finalization has run
+const requireFinalizedMetrics = (session) => {
+  if (!session.metrics_finalized_at) {
+    throw new Error(`Metrics for session ${session._id} are not finalized yet`);
+  }
+};
+
+// ======================= HANDLERS =======================
+
+const finalizeMetrics = async ({ sessionId }) => {
+  const session = await loadEndedSession(sessionId);
+  const finalMetrics = await nlpService.calculateFinalMetrics(sessionId);
+
+  session.metrics = { ...(session.metrics || {}), ...finalMetrics };
+  session.metrics_finalized_at = new Date();
+  session.markModified('metrics');
+  await session.save();
+
+  return { engagementScore: finalMetrics.engagementScore ?? 0 };
+};
+
+const generateAiSummary = ({ sessionId }) => aiService.runPostSessionAnalysis(sessionId);
+
+const evaluateAchievements = async ({ sessionId }) => {
+  const session = await loadEndedSession(sessionId);
+  requireFinalizedMetrics(session);
+
+  const unlocked = await achievementService.evaluateAchievements(session.student_id, { sessionId, io });
+  return { unlocked: unlocked.map(u => `${u.achievement_id}:${u.level}`) };
+};
+
+const creditRoutineHours = async ({ sessionId }) => {
+  await loadEndedSession(sessionId);
+  return creditSession(sessionId);
+};
+
+const extractMaterial = async ({ materialId }) => {
+  const material = await processMaterial(materialId);
+  if (!material) return { skipped: true, reason: 'material_not_found' };
+  return { page_count: material.page_count };
+};
+
+/**
+ * Register all job handlers. Call once before jobQueue.startWorker().
+ * @param {object} [options]
+ * @param {object} [options.io] Socket.IO server (achievement unlocks are pushed over it)
+ */
+export const registerJobHandlers = (options = {}) => {
+  io = options.io || null;
+  registerHandler(JOB_TYPES.MATERIAL_EXTRACT, extractMaterial);
+  registerHandler(JOB_TYPES.SESSION_FINALIZE_METRICS, finalizeMetrics);
+  registerHandler(JOB_TYPES.SESSION_AI_SUMMARY, generateAiSummary);
+  registerHandler(JOB_TYPES.SESSION_ACHIEVEMENTS, evaluateAchievements);
+  registerHandler(JOB_TYPES.SESSION_ROUTINE_CREDIT, creditRoutineHours);
+};
+
+// ======================= ENQUEUE HELPERS =======================
+
+/**
+ * Enqueue (or return the existing) post-session job of one type
+ */
+export const enqueueSessionJob = (type, session) => enqueue(
+  type,
+  { sessionId: session._id },
+  { idempotencyKey: sessionJobKey(type, session._id), ownerId: session.student_id }
+);
+
+/**
+ * Enqueue every post-session job for an ended session
+ * @returns {Promise<object[]>} Job documents
+ */
+export const enqueuePostSessionJobs = (session) => Promise.all(
+  POST_SESSION_JOBS.map(type => enqueueSessionJob(type, session))
+);
+
+const jobHandlers = {
+  JOB_TYPES,
+  POST_SESSION_JOBS,
+  sessionJobKey,
+  registerJobHandlers,
+  enqueueSessionJob,
+  enqueuePostSessionJobs,
+};
+
+export default jobHandlers;
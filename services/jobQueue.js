@@ -0,0 +1,191 @@
+/**
+ * FILE PATH: backend/services/jobQueue.js
+ * Persistent background job queue backed by MongoDB.
+ *
+ * enqueue() stores a Job document; the worker started with startWorker()
+ * claims due jobs one at a time (atomic findOneAndUpdate, so several server
+ * instances can share the queue), runs the handler registered for the job
+ * type and retries failures with exponential backoff.
+ */
+
+import os from 'os';
+import Job from '../models/Job.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+// A running job not finished within this time is considered abandoned (crashed worker)
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+let pollTimer = null;
+let draining = false;
+
+/**
+ * Register the function that runs jobs of a type.
+ * The handler receives (payload, job); its return value is stored as the job result.
+ * Throwing schedules a retry.
+ */
+export const registerHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Add a job to the queue.
+ *
+ * @param {string} type
+ * @param {object} [payload]
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] If a job with this key exists it is returned instead
+ * @param {string} [options.ownerId] User allowed to read the job status
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.delayMs] Run no earlier than this many ms from now
+ * @returns {Promise<object>} The Job document
+ */
+export const enqueue = async (type, payload = {}, { idempotencyKey, ownerId = null, maxAttempts, delayMs = 0 } = {}) => {
+  const fields = {
+    type,
+    payload,
+    owner_id: ownerId ? ownerId.toString() : null,
+    run_at: new Date(Date.now() + delayMs),
+    ...(maxAttempts && { max_attempts: maxAttempts })
+  };
+
+  if (!idempotencyKey) {
+    const job = await Job.create(fields);
+    nudgeWorker();
+    return job;
+  }
+
+  try {
+    const job = await Job.findOneAndUpdate(
+      { idempotency_key: idempotencyKey },
+      { $setOnInsert: { ...fields, idempotency_key: idempotencyKey } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    nudgeWorker();
+    return job;
+  } catch (error) {
+    // Two concurrent upserts with the same key: the loser reads the winner's job
+    if (error.code === 11000) return Job.findOne({ idempotency_key: idempotencyKey });
+    throw error;
+  }
+};
+
+/**
+ * Delay before retry number `attempts` (1-based): base * 2^(attempts-1), capped, with jitter
+ */
+export const getBackoffDelay = (attempts) => {
+  const delay = BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(Math.round(delay * (0.8 + Math.random() * 0.4)), BACKOFF_MAX_MS);
+};
+
+/**
+ * Atomically claim the next due job (or an abandoned running one)
+ */
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', run_at: { $lte: now } },
+        { status: 'running', locked_at: { $lt: new Date(now - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'running', locked_at: now, locked_by: WORKER_ID },
+      $inc: { attempts: 1 }
+    },
+    { sort: { run_at: 1 }, new: true }
+  );
+};
+
+/**
+ * Run a claimed job and record the outcome
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+
+    const result = await handler(job.payload, job);
+    job.status = 'completed';
+    job.result = result ?? null;
+    job.last_error = null;
+    job.completed_at = new Date();
+    console.log(`✅ Job ${job.type} (${job._id}) completed`);
+  } catch (error) {
+    job.last_error = error.message;
+    if (job.attempts >= job.max_attempts) {
+      job.status = 'failed';
+      console.error(`❌ Job ${job.type} (${job._id}) failed after ${job.attempts} attempt(s):`, error.message);
+    } else {
+      job.status = 'queued';
+      job.run_at = new Date(Date.now() + getBackoffDelay(job.attempts));
+      console.warn(`⚠️ Job ${job.type} (${job._id}) attempt ${job.attempts} failed, retrying at ${job.run_at.toISOString()}:`, error.message);
+    }
+  }
+
+  job.locked_at = null;
+  job.locked_by = null;
+  await job.save();
+  return job;
+};
+
+/**
+ * Run due jobs until none are left
+ * @returns {Promise<number>} Number of jobs processed
+ */
+export const processDueJobs = async () => {
+  if (draining) return 0;
+  draining = true;
+
+  let processed = 0;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+      processed++;
+    }
+  } catch (error) {
+    console.error('❌ Job worker error:', error.message);
+  } finally {
+    draining = false;
+  }
+  return processed;
+};
+
+// Pick up a freshly enqueued job without waiting for the next poll
+const nudgeWorker = () => {
+  if (pollTimer) setImmediate(() => processDueJobs());
+};
+
+/**
+ * Start polling for due jobs
+ */
+export const startWorker = (intervalMs = POLL_INTERVAL_MS) => {
+  if (pollTimer) return;
+  pollTimer = setInterval(() => processDueJobs(), intervalMs);
+  pollTimer.unref();
+  console.log(`✅ Job worker started (${WORKER_ID}, ${handlers.size} job types)`);
+  processDueJobs();
+};
+
+export const stopWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+const jobQueue = {
+  registerHandler,
+  enqueue,
+  getBackoffDelay,
+  processDueJobs,
+  startWorker,
+  stopWorker,
+};
+
+export default jobQueue;
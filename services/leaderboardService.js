@@ -0,0 +1,369 @@
+/**
+ * FILE PATH: backend/services/leaderboardService.js
+ * Weekly room leaderboards (GET /api/rooms/:id/leaderboard).
+ *
+ * Students of a room are ranked on focused minutes (session time scaled by
+ * the share of Metric datapoints that were engaged), current streak
+ * (utils/streakEngine.js) or average engagement, for one week (Sunday to
+ * Saturday in the teacher's timezone). Minutes and engagement come from one
+ * aggregation over the room's sessions and their metrics; the result is cached
+ * in RoomLeaderboard per week. Privacy is applied on read: students can
+ * leave the board or appear under a pseudonym
+ * (analytics.leaderboard_visibility), and only see the class average (of
+ * the students they can see) with analytics.compare_with_average on.
+ */
+
+import crypto from 'crypto';
+import Room from '../models/Room.js';
+import Session from '../models/Session.js';
+import Metric from '../models/Metric.js';
+import RoomLeaderboard from '../models/RoomLeaderboard.js';
+import UserPreferences from '../models/UserPreferences.js';
+import { getUserTimeZone } from './scheduleService.js';
+import { toStreakSettings, STREAK_PREFERENCE_FIELDS } from './analyticsService.js';
+import { calculateStreaks } from '../utils/streakEngine.js';
+import { getWeek } from '../utils/timezone.js';
+
+export const RANKING_METRICS = ['focused_minutes', 'current_streak', 'avg_engagement'];
+// How long the current week's standings are reused before recomputing
+const LEADERBOARD_CACHE_MINUTES = parseInt(process.env.LEADERBOARD_CACHE_MINUTES) || 15;
+// Minutes studied in the week before a student is ranked on engagement
+const MIN_ENGAGEMENT_MINUTES = parseInt(process.env.LEADERBOARD_MIN_ENGAGEMENT_MINUTES) || 30;
+// Same rule as Metric#isEngaged
+const ENGAGED_SCORE = 60;
+// History read for streaks
+const STREAK_LOOKBACK_DAYS = 400;
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round((value || 0) * factor) / factor;
+};
+
+// ======================= COMPUTATION =======================
+
+/**
+ * Sessions, study and focused minutes and engagement per student for a room's week
+ */
+const aggregateRoomWeek = (room, week, now) => Session.aggregate([
+  {
+    $match: {
+      room_id: room._id.toString(),
+      start_time: { $gte: week.start, $lt: week.end }
+    }
+  },
+  {
+    $lookup: {
+      from: Metric.collection.name,
+      let: { sessionId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$session_id', '$$sessionId'] } } },
+        {
+          $group: {
+            _id: null,
+            datapoints: { $sum: 1 },
+            engaged: {
+              $sum: {
+                $cond: [{
+                  $and: [
+                    { $gte: ['$engagement_score', ENGAGED_SCORE] },
+                    '$presence.detected',
+                    { $not: ['$distraction.detected'] }
+                  ]
+                }, 1, 0]
+              }
+            },
+            engagement_sum: { $sum: '$engagement_score' }
+          }
+        }
+      ],
+      as: 'metrics'
+    }
+  },
+  { $unwind: { path: '$metrics', preserveNullAndEmptyArrays: true } },
+  {
+    $addFields: {
+      seconds: {
+        $cond: [
+          '$is_active',
+          { $divide: [{ $subtract: [now, '$start_time'] }, 1000] },
+          { $ifNull: ['$duration_seconds', 0] }
+        ]
+      }
+    }
+  },
+  {
+    $group: {
+      _id: '$student_id',
+      sessions: { $sum: 1 },
+      study_seconds: { $sum: '$seconds' },
+      focused_seconds: {
+        $sum: {
+          $cond: [
+            { $gt: ['$metrics.datapoints', 0] },
+            { $multiply: ['$seconds', { $divide: ['$metrics.engaged', '$metrics.datapoints'] }] },
+            0
+          ]
+        }
+      },
+      engagement_sum: { $sum: { $ifNull: ['$metrics.engagement_sum', 0] } },
+      datapoints: { $sum: { $ifNull: ['$metrics.datapoints', 0] } }
+    }
+  },
+  {
+    $project: {
+      sessions: 1,
+      study_minutes: { $divide: ['$study_seconds', 60] },
+      focused_minutes: { $divide: ['$focused_seconds', 60] },
+      avg_engagement: {
+        $cond: [{ $gt: ['$datapoints', 0] }, { $divide: ['$engagement_sum', '$datapoints'] }, null]
+      }
+    }
+  },
+  { $sort: { focused_minutes: -1 } }
+]);
+
+/**
+ * Current streak of each student at the end of the week (or now)
+ */
+const computeStreaks = async (studentIds, week, now) => {
+  const asOf = now < week.end ? now : new Date(week.end.getTime() - 1);
+  const [sessions, preferences] = await Promise.all([
+    Session.find({
+      student_id: { $in: studentIds },
+      is_active: false,
+      end_time: { $ne: null },
+      start_time: { $gte: new Date(asOf.getTime() - STREAK_LOOKBACK_DAYS * 24 * 60 * 60 * 1000), $lte: asOf }
+    }).select('student_id start_time end_time duration_seconds').lean(),
+    UserPreferences.find({ user_id: { $in: studentIds } }).select(`user_id ${STREAK_PREFERENCE_FIELDS}`).lean()
+  ]);
+
+  const preferencesById = new Map(preferences.map(p => [p.user_id.toString(), p]));
+  return new Map(studentIds.map(id => [
+    id,
+    calculateStreaks(
+      sessions.filter(s => s.student_id === id),
+      { ...toStreakSettings(preferencesById.get(id)), now: asOf }
+    ).current_streak
+  ]));
+};
+
+/**
+ * Standings of a room's week, from the cache when still fresh
+ * @param {object} room Room document
+ * @param {object} [options]
+ * @param {Date} [options.date] Any moment in the wanted week (default now)
+ */
+export const getRoomWeek = async (room, { date, now = new Date() } = {}) => {
+  const timeZone = await getUserTimeZone(room.teacher_id);
+  const week = getWeek(date || now, timeZone);
+  if (week.start > now) return { week, timeZone, leaderboard: null };
+
+  const cached = await RoomLeaderboard.findOne({ room_id: room._id, week_start: week.startKey }).lean();
+  const fresh = cached && (cached.is_final || now - cached.computed_at < LEADERBOARD_CACHE_MINUTES * 60000);
+  if (fresh) return { week, timeZone, leaderboard: cached };
+
+  const studentIds = room.allowed_students.map(id => (id._id || id).toString());
+  const [rows, streaks] = await Promise.all([
+    aggregateRoomWeek(room, week, now),
+    computeStreaks(studentIds, week, now)
+  ]);
+  const rowsById = new Map(rows.map(r => [r._id, r]));
+
+  const entries = studentIds.map(id => {
+    const row = rowsById.get(id);
+    return {
+      student_id: id,
+      sessions: row?.sessions || 0,
+      study_minutes: round(row?.study_minutes),
+      focused_minutes: round(row?.focused_minutes),
+      avg_engagement: row?.avg_engagement != null ? round(row.avg_engagement) : null,
+      current_streak: streaks.get(id) || 0
+    };
+  });
+
+  const leaderboard = await RoomLeaderboard.findOneAndUpdate(
+    { room_id: room._id, week_start: week.startKey },
+    { $set: { timezone: timeZone, entries, computed_at: now, is_final: now >= week.end } },
+    { upsert: true, new: true }
+  ).lean();
+
+  console.log(`🏅 Leaderboard computed for room ${room._id}, week of ${week.startKey}`);
+  return { week, timeZone, leaderboard };
+};
+
+// ======================= RANKING & PRIVACY =======================
+
+const rankingValue = (entry, metric) => {
+  if (metric === 'avg_engagement') {
+    return entry.study_minutes >= MIN_ENGAGEMENT_MINUTES ? entry.avg_engagement : null;
+  }
+  return entry[metric];
+};
+
+/**
+ * Sort entries on a metric and number them; ties share a rank, students with
+ * nothing to rank on (0 or null) get rank null
+ */
+export const rankEntries = (entries, metric) => {
+  const sorted = [...entries].sort((a, b) =>
+    (rankingValue(b, metric) ?? -1) - (rankingValue(a, metric) ?? -1) ||
+    b.focused_minutes - a.focused_minutes
+  );
+
+  let previous = null;
+  let rank = 0;
+  return sorted.map((entry, i) => {
+    const value = rankingValue(entry, metric);
+    if (!value) return { ...entry, rank: null };
+    if (value !== previous) {
+      rank = i + 1;
+      previous = value;
+    }
+    return { ...entry, rank };
+  });
+};
+
+/**
+ * Name shown for a pseudonymous student: their chosen pseudonym, or a code
+ * derived from the student and the room, so the same student cannot be
+ * matched up across rooms
+ */
+export const getPseudonym = (studentId, preferences, roomId) => preferences?.analytics?.leaderboard_pseudonym ||
+  `Student ${crypto.createHash('sha1').update(`${roomId}:${studentId}`).digest('hex').slice(0, 4).toUpperCase()}`;
+
+const DEFAULT_PSEUDONYM = /^student [0-9a-f]{4}$/;
+const normalizeName = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Why a chosen pseudonym cannot be used, or null when it can: it may not look
+ * like a default pseudonym or be the name of anyone in the user's rooms
+ */
+export const checkPseudonym = async (userId, pseudonym) => {
+  const wanted = normalizeName(pseudonym);
+  if (DEFAULT_PSEUDONYM.test(wanted)) return 'Pseudonyms of the form "Student XXXX" are reserved';
+
+  const rooms = await Room.find({ $or: [{ teacher_id: userId }, { allowed_students: userId }] })
+    .select('teacher_id allowed_students')
+    .populate('teacher_id allowed_students', 'name')
+    .lean();
+  const taken = rooms
+    .flatMap(room => [room.teacher_id, ...room.allowed_students])
+    .some(member => member && member._id.toString() !== userId.toString() && normalizeName(member.name) === wanted);
+
+  return taken ? 'That pseudonym is the name of someone in one of your rooms' : null;
+};
+
+const average = (entries, field) => {
+  const values = entries.map(e => e[field]).filter(v => v != null);
+  return values.length ? round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+};
+
+/**
+ * The leaderboard as seen by `viewer` (the room's teacher or one of its students)
+ * @param {object} room Room document, allowed_students populated with name
+ * @param {object} viewer req.user
+ * @param {object} [options]
+ * @param {string} [options.metric] One of RANKING_METRICS (default focused_minutes)
+ * @param {Date} [options.date] Any moment in the wanted week
+ */
+export const getLeaderboard = async (room, viewer, { metric = 'focused_minutes', date } = {}) => {
+  const { week, timeZone, leaderboard } = await getRoomWeek(room, { date });
+  const entries = leaderboard?.entries || [];
+  const isTeacher = room.teacher_id.toString() === viewer._id.toString();
+  const viewerId = viewer._id.toString();
+
+  const studentIds = entries.map(e => e.student_id);
+  const preferences = await UserPreferences.find({ user_id: { $in: [...studentIds, viewer._id] } })
+    .select('user_id analytics')
+    .lean();
+  const preferencesById = new Map(preferences.map(p => [p.user_id.toString(), p]));
+  const namesById = new Map(room.allowed_students.map(s => [(s._id || s).toString(), s.name]));
+
+  const visibilityOf = (id) => preferencesById.get(id)?.analytics?.leaderboard_visibility || 'visible';
+
+  // Hidden students are left out of the ranking others see
+  const ranked = rankEntries(
+    entries
+      .map(e => ({ ...e, student_id: e.student_id.toString() }))
+      .filter(e => isTeacher || visibilityOf(e.student_id) !== 'hidden'),
+    metric
+  );
+
+  const present = (entry) => {
+    const id = entry.student_id;
+    const visibility = visibilityOf(id);
+    const shown = {
+      rank: entry.rank,
+      name: isTeacher || visibility === 'visible' || id === viewerId ? namesById.get(id) || 'Student' : getPseudonym(id, preferencesById.get(id), room._id),
+      is_you: id === viewerId,
+      sessions: entry.sessions,
+      study_minutes: entry.study_minutes,
+      focused_minutes: entry.focused_minutes,
+      current_streak: entry.current_streak,
+      avg_engagement: entry.avg_engagement
+    };
+    if (isTeacher) {
+      shown.student_id = id;
+      shown.visibility = visibility;
+    }
+    return shown;
+  };
+
+  const board = ranked.map(present);
+  const you = isTeacher
+    ? null
+    : board.find(e => e.is_you) || { hidden: true, rank: null };
+
+  const viewerPreferences = preferencesById.get(viewerId);
+  const showAverage = isTeacher || viewerPreferences?.analytics?.compare_with_average === true;
+  // Students only get the average of the students they can see on the board
+  const averaged = isTeacher ? entries : ranked;
+
+  return {
+    room: { id: room._id, title: room.title },
+    week: { start: week.startKey, end: week.endKey, timezone: timeZone },
+    metric,
+    computed_at: leaderboard?.computed_at || null,
+    entries: board,
+    you,
+    class_average: showAverage && averaged.length
+      ? {
+        focused_minutes: average(averaged, 'focused_minutes'),
+        study_minutes: average(averaged, 'study_minutes'),
+        current_streak: average(averaged, 'current_streak'),
+        avg_engagement: average(averaged, 'avg_engagement')
+      }
+      : null
+  };
+};
+
+/**
+ * A student's best rank on focused minutes this week across their rooms with
+ * a leaderboard, as they see it; 0 when unranked or hidden
+ */
+export const getStudentRank = async (userId) => {
+  const rooms = await Room.find({
+    allowed_students: userId,
+    is_active: true,
+    'settings.leaderboard_enabled': true
+  }).select('teacher_id allowed_students title');
+
+  const ranks = await Promise.all(rooms.map(async room => {
+    const { you } = await getLeaderboard(room, { _id: userId });
+    return you?.rank || null;
+  }));
+  const ranked = ranks.filter(Boolean);
+  return ranked.length ? Math.min(...ranked) : 0;
+};
+
+const leaderboardService = {
+  RANKING_METRICS,
+  getRoomWeek,
+  rankEntries,
+  getPseudonym,
+  checkPseudonym,
+  getLeaderboard,
+  getStudentRank,
+};
+
+export default leaderboardService;
@@ -0,0 +1,391 @@
+/**
+ * FILE PATH: backend/services/llmGateway.js
+ * Single entry point for every LLM call (chat, JSON mode and streaming).
+ *
+ * Each feature has an ordered provider chain. The first configured provider
+ * whose circuit is closed is tried, with retries on transient errors
+ * (timeouts, 429, 5xx, network); if it still fails the next one is used.
+ *
+ * Provider chains:
+ * - LLM_FEATURE_<FEATURE>="anthropic:claude-3-5-haiku-latest,openai" sets the
+ *   exact chain of one feature (optional model after the colon)
+ * - otherwise FEATURE_DEFAULTS, then LLM_PROVIDERS (default openai,anthropic,grok)
+ * - LLM_PROVIDERS=stub routes everything to the deterministic offline stub
+ */
+
+import { createProviders } from './llmProviders.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const envInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const TIMEOUT_MS = envInt(process.env.LLM_TIMEOUT_MS, 30 * 1000);
+const STREAM_TIMEOUT_MS = envInt(process.env.LLM_STREAM_TIMEOUT_MS, 2 * 60 * 1000);
+const MAX_RETRIES = envInt(process.env.LLM_MAX_RETRIES, 2);
+const RETRY_BASE_MS = envInt(process.env.LLM_RETRY_BASE_MS, 500);
+// Consecutive failures that open a provider's circuit, and how long it stays open
+const BREAKER_THRESHOLD = envInt(process.env.LLM_BREAKER_THRESHOLD, 5);
+const BREAKER_COOLDOWN_MS = envInt(process.env.LLM_BREAKER_COOLDOWN_MS, 60 * 1000);
+
+const DEFAULT_PROVIDERS = (process.env.LLM_PROVIDERS || 'openai,anthropic,grok');
+
+export const FEATURES = {
+  CHAT: 'chat',
+  SUMMARY: 'summary',
+  QUESTIONS: 'questions',
+  SESSION_ANALYSIS: 'session_analysis',
+  INSIGHTS: 'insights',
+  FLASHCARDS: 'flashcards',
+  COACHING: 'coaching',
+};
+
+// Coaching prompts (services/grokService.js) were written for Grok and keep it as first choice
+const FEATURE_DEFAULTS = {
+  [FEATURES.COACHING]: 'grok',
+};
+
+const JSON_INSTRUCTION = 'Respond with a single valid JSON value and nothing else.';
+
+/**
+ * No provider could answer (none configured, all circuits open or all failed)
+ */
+export class LLMUnavailableError extends AppError {
+  constructor(message = 'AI service unavailable', attempts = []) {
+    super(message, 503, 'AI_UNAVAILABLE', attempts.length ? { attempts } : {});
+  }
+}
+
+/**
+ * The model answered, but not with what was asked for (invalid JSON, failed validation)
+ */
+export class LLMResponseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LLMResponseError';
+  }
+}
+
+let providers = createProviders();
+const breakers = new Map();
+
+// ======================= CONFIG =======================
+
+const parseChain = (value) => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [provider, ...model] = entry.split(':');
+    return { provider: provider.trim(), model: model.join(':').trim() || null };
+  });
+
+/**
+ * Providers to try for a feature, in order (configured ones only)
+ */
+export const getProviderChain = (feature) => {
+  const override = process.env[`LLM_FEATURE_${feature.toUpperCase()}`];
+  const chain = override
+    ? parseChain(override)
+    : parseChain([FEATURE_DEFAULTS[feature], DEFAULT_PROVIDERS].filter(Boolean).join(','));
+
+  const seen = new Set();
+  return chain.filter(({ provider }) => {
+    if (seen.has(provider) || !providers[provider]?.isConfigured()) return false;
+    seen.add(provider);
+    return true;
+  });
+};
+
+export const isAvailable = (feature) => getProviderChain(feature).length > 0;
+
+// ======================= CIRCUIT BREAKER =======================
+
+const getBreaker = (name) => {
+  if (!breakers.has(name)) breakers.set(name, { failures: 0, openUntil: 0, trial: false });
+  return breakers.get(name);
+};
+
+// After the cooldown one trial call is let through (half-open); its result closes or reopens the circuit
+const acquireCircuit = (name) => {
+  const breaker = getBreaker(name);
+  if (!breaker.openUntil) return true;
+  if (Date.now() < breaker.openUntil || breaker.trial) return false;
+  breaker.trial = true;
+  return true;
+};
+
+const recordSuccess = (name) => {
+  breakers.set(name, { failures: 0, openUntil: 0, trial: false });
+};
+
+const recordFailure = (name) => {
+  const breaker = getBreaker(name);
+  breaker.failures++;
+  if (breaker.trial || breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    console.warn(`⚠️ [LLM] Circuit open for ${name} (${breaker.failures} consecutive failures)`);
+  }
+  breaker.trial = false;
+};
+
+// ======================= ERRORS & RETRIES =======================
+
+const isRetryable = (error) => {
+  if (error.timeout) return true;
+  const status = error.status ?? error.response?.status;
+  if (!status) return !(error instanceof LLMResponseError);
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+};
+
+const describeError = (error) => {
+  if (error.timeout) return 'timeout';
+  const status = error.status ?? error.response?.status;
+  return status && !error.message?.startsWith(String(status)) ? `${status} ${error.message}` : error.message;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Combine the caller's signal with a timeout. `timedOut()` tells the two apart.
+ */
+const withTimeout = (signal, ms) => {
+  const timeoutSignal = AbortSignal.timeout(ms);
+  return {
+    signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+    timedOut: () => timeoutSignal.aborted && !signal?.aborted,
+  };
+};
+
+const markTimeout = (error, timedOut, ms) => {
+  if (!timedOut()) return error;
+  const timeoutError = new Error(`Timed out after ${ms}ms`);
+  timeoutError.timeout = true;
+  return timeoutError;
+};
+
+/**
+ * Try each provider of the feature's chain with `attempt(provider, model, signal)`
+ * until one succeeds
+ */
+const runWithFallback = async (feature, options, attempt) => {
+  const chain = getProviderChain(feature);
+  if (chain.length === 0) {
+    throw new LLMUnavailableError(`No AI provider configured for ${feature}`);
+  }
+
+  const attempts = [];
+  for (const { provider: name, model } of chain) {
+    const provider = providers[name];
+
+    for (let retry = 0; retry <= MAX_RETRIES; retry++) {
+      if (!acquireCircuit(name)) {
+        attempts.push({ provider: name, error: 'circuit_open' });
+        break;
+      }
+
+      const timeoutMs = options.timeoutMs || TIMEOUT_MS;
+      const { signal, timedOut } = withTimeout(options.signal, timeoutMs);
+      try {
+        const result = await attempt(provider, model, signal);
+        recordSuccess(name);
+        return { ...result, provider: name };
+      } catch (caught) {
+        // The caller gave up: no retry, no fallback
+        if (options.signal?.aborted) throw caught;
+
+        const error = markTimeout(caught, timedOut, timeoutMs);
+        attempts.push({ provider: name, error: describeError(error) });
+
+        // Part of a streamed reply has already gone out: no retry, no fallback
+        if (caught.partial) {
+          recordFailure(name);
+          error.partial = true;
+          throw error;
+        }
+
+        // A bad answer says nothing about the provider's health
+        if (error instanceof LLMResponseError) {
+          recordSuccess(name);
+          break;
+        }
+        recordFailure(name);
+        if (!isRetryable(error) || retry === MAX_RETRIES) break;
+        await sleep(RETRY_BASE_MS * 2 ** retry);
+      }
+    }
+
+    console.warn(`⚠️ [LLM] ${name} failed for ${feature}: ${attempts[attempts.length - 1]?.error}`);
+  }
+
+  throw new LLMUnavailableError('AI service unavailable', attempts);
+};
+
+// ======================= PUBLIC API =======================
+
+const callOptions = (options, model, signal) => ({
+  model: options.model || model,
+  maxTokens: options.maxTokens || 1000,
+  temperature: options.temperature ?? 0.7,
+  json: Boolean(options.json),
+  stub: options.stub,
+  signal,
+});
+
+/**
+ * One reply for a list of { role, content } messages
+ * @param {string} feature One of FEATURES (selects the provider chain)
+ * @param {object[]} messages
+ * @param {object} [options] maxTokens, temperature, model, timeoutMs, signal, stub (stub provider reply)
+ * @returns {Promise<{ content: string, usage: object|null, model: string, provider: string }>}
+ */
+export const complete = (feature, messages, options = {}) => runWithFallback(
+  feature,
+  options,
+  (provider, model, signal) => provider.complete({ messages, ...callOptions(options, model, signal) })
+);
+
+/**
+ * Parse model output as JSON, tolerating code fences and text around the value
+ */
+export const parseJSON = (content) => {
+  const text = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(text);
+  } catch {
+    const match = text.match(/[[{][\s\S]*[\]}]/);
+    if (match) {
+      try {
+        return JSON.parse(match[0]);
+      } catch {
+        // fall through
+      }
+    }
+    throw new LLMResponseError('Model did not return valid JSON');
+  }
+};
+
+/**
+ * Like complete(), but the reply is parsed as JSON. options.validate(data) may
+ * return a cleaned value or throw; a provider whose answer does not parse or
+ * validate is skipped in favour of the next one.
+ * @returns {Promise<{ data: any, usage: object|null, model: string, provider: string }>}
+ */
+export const completeJSON = (feature, messages, options = {}) => {
+  const [first, ...rest] = messages;
+  const withInstruction = first?.role === 'system'
+    ? [{ ...first, content: `${first.content}\n\n${JSON_INSTRUCTION}` }, ...rest]
+    : [{ role: 'system', content: JSON_INSTRUCTION }, ...messages];
+
+  return runWithFallback(feature, options, async (provider, model, signal) => {
+    const result = await provider.complete({
+      messages: withInstruction,
+      ...callOptions({ ...options, temperature: options.temperature ?? 0.3, json: true }, model, signal),
+    });
+
+    let data = parseJSON(result.content);
+    if (options.validate) {
+      try {
+        data = options.validate(data) ?? data;
+      } catch (error) {
+        throw new LLMResponseError(`Invalid response: ${error.message}`);
+      }
+    }
+    return { data, usage: result.usage, model: result.model };
+  });
+};
+
+/**
+ * Stream a reply as text deltas. Retries and fallback only happen before the
+ * first delta; an error after that ends the stream.
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* stream(feature, messages, options = {}) {
+  // Lets the provider call be stopped when the consumer stops reading
+  const controller = new AbortController();
+  const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+
+  const queue = [];
+  let wake = null;
+  let finished = false;
+  let failure = null;
+
+  // Deltas are handed to the consumer through `queue` as they arrive;
+  // runWithFallback settles once a provider has streamed the whole reply
+  runWithFallback(feature, { timeoutMs: STREAM_TIMEOUT_MS, ...options, signal }, async (provider, model, attemptSignal) => {
+    let started = false;
+    try {
+      for await (const delta of provider.stream({ messages, ...callOptions(options, model, attemptSignal) })) {
+        started = true;
+        queue.push(delta);
+        wake?.();
+      }
+    } catch (error) {
+      error.partial = started;
+      throw error;
+    }
+    return {};
+  })
+    .catch(error => { failure = error; })
+    .finally(() => {
+      finished = true;
+      wake?.();
+    });
+
+  try {
+    while (queue.length || !finished) {
+      if (queue.length) {
+        yield queue.shift();
+      } else {
+        await new Promise(resolve => { wake = resolve; });
+        wake = null;
+      }
+    }
+    if (failure) throw failure;
+  } finally {
+    controller.abort();
+  }
+}
+
+/**
+ * Configured providers and circuit states (for health checks)
+ */
+export const getStatus = () => Object.fromEntries(Object.entries(providers).map(([name, provider]) => {
+  const breaker = getBreaker(name);
+  return [name, {
+    configured: provider.isConfigured(),
+    model: provider.defaultModel,
+    circuit: breaker.openUntil > Date.now() ? 'open' : breaker.openUntil ? 'half_open' : 'closed',
+    failures: breaker.failures,
+  }];
+}));
+
+/**
+ * Names of the real providers that have an API key (the stub is always available)
+ */
+export const getConfiguredProviders = () => Object.keys(providers)
+  .filter(name => name !== 'stub' && providers[name].isConfigured());
+
+/**
+ * Replace the provider set (e.g. createProviders(customEnv)) and reset circuits
+ */
+export const setProviders = (next) => {
+  providers = next;
+  breakers.clear();
+};
+
+const llmGateway = {
+  FEATURES,
+  getProviderChain,
+  isAvailable,
+  complete,
+  completeJSON,
+  parseJSON,
+  stream,
+  getStatus,
+  getConfiguredProviders,
+  setProviders,
+};
+
+export default llmGateway;
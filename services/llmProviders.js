@@ -0,0 +1,210 @@
+/**
+ * FILE PATH: backend/services/llmProviders.js
+ * LLM provider adapters used by services/llmGateway.js.
+ *
+ * Every provider has the same shape:
+ *   name, isConfigured(),
+ *   complete({ messages, model, maxTokens, temperature, json, signal }) → { content, usage, model }
+ *   stream(same options) → async iterable of text deltas
+ *
+ * messages are OpenAI-style { role: 'system' | 'user' | 'assistant', content }.
+ * usage is normalized to { prompt_tokens, completion_tokens, total_tokens }.
+ */
+
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+
+// ======================= OPENAI-COMPATIBLE (OpenAI, Grok) =======================
+
+/**
+ * Provider for any OpenAI-compatible chat completions API.
+ * Retries are left to the gateway (maxRetries: 0).
+ */
+const createOpenAICompatibleProvider = ({ name, apiKey, baseURL, defaultModel, jsonMode }) => {
+  const client = apiKey ? new OpenAI({ apiKey, baseURL, maxRetries: 0 }) : null;
+
+  const buildParams = ({ messages, model, maxTokens, temperature, json }) => ({
+    model: model || defaultModel,
+    messages,
+    max_tokens: maxTokens,
+    temperature,
+    ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {}),
+  });
+
+  return {
+    name,
+    defaultModel,
+    isConfigured: () => Boolean(client),
+
+    async complete(options) {
+      const params = buildParams(options);
+      const response = await client.chat.completions.create(params, { signal: options.signal });
+      return {
+        content: response.choices[0]?.message?.content || '',
+        usage: response.usage || null,
+        model: response.model || params.model,
+      };
+    },
+
+    async *stream(options) {
+      const stream = await client.chat.completions.create(
+        { ...buildParams(options), stream: true },
+        { signal: options.signal }
+      );
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+  };
+};
+
+// ======================= ANTHROPIC =======================
+
+/**
+ * Anthropic takes the system prompt separately and needs the conversation to
+ * start with a user turn
+ */
+const toAnthropicMessages = (messages) => {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const turns = messages
+    .filter(m => m.role !== 'system')
+    .map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content }));
+  while (turns.length && turns[0].role !== 'user') turns.shift();
+  return { system: system || undefined, messages: turns };
+};
+
+const createAnthropicProvider = ({ apiKey, defaultModel }) => {
+  const client = apiKey ? new Anthropic({ apiKey, maxRetries: 0 }) : null;
+
+  const buildParams = ({ messages, model, maxTokens, temperature }) => ({
+    model: model || defaultModel,
+    max_tokens: maxTokens,
+    temperature,
+    ...toAnthropicMessages(messages),
+  });
+
+  return {
+    name: 'anthropic',
+    defaultModel,
+    isConfigured: () => Boolean(client),
+
+    async complete(options) {
+      const params = buildParams(options);
+      const response = await client.messages.create(params, { signal: options.signal });
+      const usage = response.usage
+        ? {
+          prompt_tokens: response.usage.input_tokens,
+          completion_tokens: response.usage.output_tokens,
+          total_tokens: response.usage.input_tokens + response.usage.output_tokens,
+        }
+        : null;
+      return {
+        content: response.content.filter(b => b.type === 'text').map(b => b.text).join(''),
+        usage,
+        model: response.model || params.model,
+      };
+    },
+
+    async *stream(options) {
+      const stream = await client.messages.create(
+        { ...buildParams(options), stream: true },
+        { signal: options.signal }
+      );
+      for await (const event of stream) {
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          yield event.delta.text;
+        }
+      }
+    },
+  };
+};
+
+// ======================= STUB (offline) =======================
+
+const hashMessages = (messages) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(messages.map(m => [m.role, m.content])))
+  .digest('hex')
+  .slice(0, 12);
+
+/**
+ * Deterministic provider for tests and offline development: the same messages
+ * always give the same reply, without network access. In JSON mode it returns
+ * the caller's `stub` value (or stub(messages)) when given.
+ */
+const createStubProvider = () => {
+  const reply = ({ messages, json, stub }) => {
+    const hash = hashMessages(messages);
+    if (json) {
+      const value = typeof stub === 'function' ? stub(messages) : stub;
+      return JSON.stringify(value ?? { stub: true, hash });
+    }
+    if (typeof stub === 'string') return stub;
+
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const excerpt = (lastUser?.content || '').replace(/\s+/g, ' ').slice(0, 200);
+    return `[stub ${hash}] ${excerpt}`;
+  };
+
+  return {
+    name: 'stub',
+    defaultModel: 'stub',
+    isConfigured: () => true,
+
+    async complete(options) {
+      const content = reply(options);
+      const promptTokens = Math.ceil(options.messages.reduce((s, m) => s + m.content.length, 0) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+      return {
+        content,
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+        model: 'stub',
+      };
+    },
+
+    async *stream(options) {
+      // Word by word, like a real stream
+      for (const part of reply(options).match(/\S+\s*/g) || []) {
+        if (options.signal?.aborted) throw options.signal.reason;
+        yield part;
+      }
+    },
+  };
+};
+
+// ======================= REGISTRY =======================
+
+/**
+ * All providers, keyed by name. Providers without an API key are present but
+ * report isConfigured() === false.
+ */
+export const createProviders = (env = process.env) => ({
+  openai: createOpenAICompatibleProvider({
+    name: 'openai',
+    apiKey: env.OPENAI_API_KEY,
+    // Any OpenAI-compatible endpoint (self-hosted model, local test server)
+    baseURL: env.OPENAI_BASE_URL || undefined,
+    defaultModel: env.OPENAI_MODEL || env.AI_MODEL || 'gpt-4-turbo-preview',
+    jsonMode: true,
+  }),
+  anthropic: createAnthropicProvider({
+    apiKey: env.ANTHROPIC_API_KEY,
+    defaultModel: env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+  }),
+  grok: createOpenAICompatibleProvider({
+    name: 'grok',
+    apiKey: env.GROK_API_KEY,
+    baseURL: env.GROK_BASE_URL || 'https://api.x.ai/v1',
+    defaultModel: env.GROK_MODEL || 'grok-beta',
+    jsonMode: false,
+  }),
+  stub: createStubProvider(),
+});
+
+const llmProviders = {
+  createProviders,
+};
+
+export default llmProviders;
@@ -0,0 +1,255 @@
+/**
+ * FILE PATH: backend/services/materialService.js
+ * Study material bookkeeping.
+ *
+ * Registers uploaded PDFs as Material documents (with checksum), moves the
+ * file into the configured storage driver and keeps room / routine
+ * attachments in sync. A material that is no longer attached to anything is
+ * deleted together with its stored file and pages, unless study history
+ * (sessions, highlights, annotations, flashcards, quizzes, conversations)
+ * still points at it; students keep access to what they studied.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import Material from '../models/Material.js';
+import MaterialPage from '../models/MaterialPage.js';
+import Room from '../models/Room.js';
+import Session from '../models/Session.js';
+import Highlight from '../models/Highlight.js';
+import Annotation from '../models/Annotation.js';
+import Flashcard from '../models/Flashcard.js';
+import Quiz from '../models/Quiz.js';
+import Conversation from '../models/Conversation.js';
+import { getStorage, UPLOADS_DIR, SIGNED_URL_TTL_SECONDS } from './storageService.js';
+import { queueMaterialExtraction } from './pdfExtractionService.js';
+import { AppError, NotFoundError, AuthorizationError, ConflictError } from '../middleware/errorHandler.js';
+
+// Uploads land here first, then createMaterialFromFile() moves them into storage
+export const TEMP_UPLOAD_DIR = path.join(os.tmpdir(), 'studyguardian-uploads');
+
+// Unattached materials (e.g. bulk routine uploads never used in a routine) are swept after this
+const ORPHAN_GRACE_MS = parseInt(process.env.MATERIAL_ORPHAN_GRACE_MS) || 24 * 60 * 60 * 1000;
+
+// Records that keep a material (and its pages) alive after its last room or routine lets go of it
+const MATERIAL_REFERENCES = [
+  [Session, 'material_id'],
+  [Highlight, 'material_id'],
+  [Annotation, 'material_id'],
+  [Flashcard, 'material_id'],
+  [Quiz, 'source.material_id'],
+  [Conversation, 'material_id']
+];
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Register an uploaded file and move it into storage.
+ *
+ * @param {object} file
+ * @param {string} file.ownerId
+ * @param {string} file.filePath Absolute path of the uploaded (temporary) file
+ * @param {string} [file.folder] Storage folder, e.g. "pdfs" or "routines"
+ * @param {string} [file.originalName]
+ * @param {number} [file.size]
+ * @param {string} [file.mimeType]
+ * @param {string} [file.title] Defaults to the original file name without extension
+ * @param {string} [file.roomId] Room to attach the material to
+ * @param {string} [file.routineId] Routine to attach the material to
+ * @returns {Promise<object>} The created Material (text extraction is queued)
+ */
+export const createMaterialFromFile = async ({ ownerId, filePath, folder = 'pdfs', originalName, size, mimeType, title, roomId, routineId }) => {
+  const checksum = await hashFile(filePath);
+  const extension = path.extname(originalName || filePath).toLowerCase() || '.pdf';
+  const storage = getStorage();
+  const storageKey = await storage.put(`${folder}/${uuidv4()}${extension}`, filePath, { contentType: mimeType });
+
+  let material;
+  try {
+    material = await Material.create({
+      owner_id: ownerId,
+      title: title || path.parse(originalName || filePath).name,
+      original_name: originalName,
+      storage_key: storageKey,
+      mime_type: mimeType || 'application/pdf',
+      size_bytes: size || 0,
+      checksum,
+      rooms: roomId ? [roomId] : [],
+      routines: routineId ? [routineId] : []
+    });
+  } catch (error) {
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+
+  // Text extraction / page indexing runs in the background (POST /api/materials/:id/extract re-queues it)
+  await queueMaterialExtraction(material._id, ownerId)
+    .catch(err => console.error(`❌ Could not queue extraction for material ${material._id}:`, err.message));
+  return material;
+};
+
+/**
+ * Attach an existing material to a room and/or routine
+ */
+export const attachMaterial = (materialId, { roomId, routineId }) => {
+  const addToSet = {};
+  if (roomId) addToSet.rooms = roomId;
+  if (routineId) addToSet.routines = routineId;
+  return Material.findByIdAndUpdate(materialId, { $addToSet: addToSet }, { new: true });
+};
+
+/**
+ * Whether any study history still points at a material
+ */
+export const isMaterialReferenced = async (materialId) => {
+  const found = await Promise.all(MATERIAL_REFERENCES.map(([Model, field]) => Model.exists({ [field]: materialId })));
+  return found.some(Boolean);
+};
+
+/**
+ * Delete a material and its stored file
+ */
+export const removeMaterial = async (material) => {
+  try {
+    await getStorage().remove(material.storage_key);
+  } catch (error) {
+    console.error(`Could not delete material file ${material.storage_key}:`, error.message);
+  }
+  await MaterialPage.deleteMany({ material_id: material._id });
+  await Material.deleteOne({ _id: material._id });
+};
+
+/**
+ * Detach a material from a room and/or routine. If nothing else uses it,
+ * the material and its file are removed.
+ * @returns {Promise<object|null>} The material, or null if it no longer exists
+ */
+export const detachMaterial = async (materialId, { roomId, routineId }) => {
+  if (!materialId) return null;
+
+  const pull = {};
+  if (roomId) pull.rooms = roomId;
+  if (routineId) pull.routines = routineId;
+
+  const material = await Material.findByIdAndUpdate(materialId, { $pull: pull }, { new: true });
+  if (!material || material.is_attached || await isMaterialReferenced(material._id)) return material;
+
+  await removeMaterial(material);
+  console.log(`🗑️ Removed unused material ${material._id}`);
+  return null;
+};
+
+/**
+ * A user may open a material they own, one attached to a room they teach or
+ * belong to, or one they have studied (so history survives the room).
+ */
+export const canAccessMaterial = async (material, user) => {
+  if (material.isOwnedBy(user._id)) return true;
+
+  if (material.rooms.length > 0 && await Room.exists({
+    _id: { $in: material.rooms },
+    $or: [{ teacher_id: user._id }, { allowed_students: user._id }]
+  })) return true;
+
+  return !!await Session.exists({ material_id: material._id, student_id: user._id.toString() });
+};
+
+/**
+ * Load a material the user may open
+ * @throws {NotFoundError|AuthorizationError}
+ */
+export const getAccessibleMaterial = async (materialId, user) => {
+  const material = await Material.findById(materialId);
+  if (!material) throw new NotFoundError('Material');
+  if (!await canAccessMaterial(material, user)) throw new AuthorizationError();
+  return material;
+};
+
+/**
+ * Short-lived download link for a material
+ * @returns {Promise<{ url: string, expires_at: Date }>}
+ */
+export const getDownloadUrl = async (material, expiresIn = SIGNED_URL_TTL_SECONDS) => {
+  const url = await getStorage().getSignedUrl(material.storage_key, {
+    expiresIn,
+    filename: material.original_name
+  });
+  return { url, expires_at: new Date(Date.now() + expiresIn * 1000) };
+};
+
+/**
+ * Delete materials that were uploaded but never attached (or lost their last
+ * attachment without going through detachMaterial) and that no study history uses
+ * @returns {Promise<number>} Number of materials removed
+ */
+export const cleanupOrphanedMaterials = async (graceMs = ORPHAN_GRACE_MS) => {
+  const orphans = await Material.find({
+    rooms: { $size: 0 },
+    routines: { $size: 0 },
+    createdAt: { $lt: new Date(Date.now() - graceMs) }
+  });
+
+  let removed = 0;
+  for (const material of orphans) {
+    if (await isMaterialReferenced(material._id)) continue;
+    await removeMaterial(material);
+    removed++;
+  }
+  if (removed > 0) console.log(`🗑️ Removed ${removed} orphaned material(s)`);
+  return removed;
+};
+
+/**
+ * Read an optional inclusive page range from query/body fields `from`/`to`
+ * (or `pageFrom`/`pageTo`)
+ * @returns {{ from: number|undefined, to: number|undefined }}
+ */
+export const parsePageRange = ({ from, to, pageFrom, pageTo } = {}) => {
+  const parse = (value) => {
+    const n = parseInt(value);
+    return Number.isInteger(n) && n > 0 ? n : undefined;
+  };
+  return { from: parse(from ?? pageFrom), to: parse(to ?? pageTo) };
+};
+
+/**
+ * Extracted text of a material (optionally a page range) for the AI endpoints.
+ * Throws AppErrors (404/403/409/422) that the global errorHandler turns into responses.
+ */
+export const getMaterialText = async (materialId, user, { from, to } = {}) => {
+  const material = await getAccessibleMaterial(materialId, user);
+  if (material.extraction?.status !== 'completed') {
+    throw new ConflictError(`Material text is not available yet (extraction ${material.extraction?.status || 'pending'})`);
+  }
+
+  const text = await MaterialPage.getRangeText(material._id, from, to);
+  if (!text) throw new AppError('No text found in the selected pages', 422, 'NO_TEXT');
+  return { material, text };
+};
+
+const materialService = {
+  UPLOADS_DIR,
+  TEMP_UPLOAD_DIR,
+  createMaterialFromFile,
+  attachMaterial,
+  detachMaterial,
+  removeMaterial,
+  isMaterialReferenced,
+  canAccessMaterial,
+  getAccessibleMaterial,
+  getDownloadUrl,
+  cleanupOrphanedMaterials,
+  parsePageRange,
+  getMaterialText,
+};
+
+export default materialService;
@@ -0,0 +1,174 @@
+/**
+ * FILE PATH: backend/services/monitoringService.js
+ * Live teacher monitoring feed.
+ *
+ * Turns incoming metrics / webcam interactions into per-student engagement
+ * snapshots and publishes them (throttled) to the owning `room:<id>` channel.
+ * Also publishes student presence (joined / left) events for room sessions.
+ */
+
+// Minimum gap between two snapshots for the same session
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.MONITOR_SNAPSHOT_INTERVAL_MS) || 5000;
+
+// sessionId -> { lastSentAt, pending, timer }
+const throttleState = new Map();
+
+export const getRoomChannel = (roomId) => `room:${roomId}`;
+
+// =======================================
+// SNAPSHOT BUILDERS
+// =======================================
+
+/**
+ * Build a snapshot from a saved Metric document (routes/metrics.js)
+ */
+export const buildSnapshotFromMetric = (metric) => ({
+  source: 'metric',
+  timestamp: metric.timestamp || new Date(),
+  engagement_score: Math.round(metric.engagement_score || 0),
+  present: !!metric.presence?.detected,
+  distracted: !!metric.distraction?.detected,
+  distraction_type: metric.distraction?.type || 'none',
+  attention_score: metric.distraction?.attention_score ?? null,
+  posture_score: metric.posture?.score ?? null,
+  emotion: metric.facial?.emotion || null,
+  break_recommended: !!metric.health?.break_recommended,
+});
+
+/**
+ * Build a snapshot from a `face_metric` / `webcam` interaction payload
+ * (routes/interactions.js). The webcam monitor sends camelCase fields.
+ */
+export const buildSnapshotFromInteraction = (payload) => {
+  const data = payload || {};
+  const present = data.faceDetected ?? data.presence ?? true;
+  const distracted = !!(data.hasPhone || data.lookingAtScreen === false || !present);
+
+  return {
+    source: 'interaction',
+    timestamp: data.timestamp ? new Date(data.timestamp) : new Date(),
+    engagement_score: Math.round(data.engagementScore || 0),
+    present: !!present,
+    distracted,
+    distraction_type: data.hasPhone ? 'phone' : !present ? 'absence' : data.lookingAtScreen === false ? 'looking_away' : 'none',
+    attention_score: data.attentionRate ?? null,
+    posture_score: data.postureScore ?? null,
+    emotion: data.emotion || null,
+    break_recommended: false,
+  };
+};
+
+// =======================================
+// PUBLISHERS
+// =======================================
+
+/**
+ * Drop throttle state whose window has passed. Sessions abandoned without
+ * /end never call clearSessionThrottle, so this runs on every write.
+ */
+const pruneThrottleState = (now) => {
+  for (const [key, state] of throttleState) {
+    if (!state.timer && now - state.lastSentAt >= SNAPSHOT_INTERVAL_MS) throttleState.delete(key);
+  }
+};
+
+const emitSnapshot = (io, context, snapshot) => {
+  io.to(getRoomChannel(context.roomId)).emit('student-engagement', {
+    roomId: context.roomId,
+    sessionId: context.sessionId,
+    student: context.student,
+    ...snapshot,
+  });
+};
+
+/**
+ * Publish an engagement snapshot to the room channel, at most once per
+ * SNAPSHOT_INTERVAL_MS per session. Snapshots arriving inside the window
+ * replace each other and the latest one is flushed when the window closes.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {{ roomId: string, sessionId: string, student: { id: string, name: string } }} context
+ * @param {object} snapshot Output of one of the snapshot builders
+ */
+export const publishEngagementSnapshot = (io, context, snapshot) => {
+  if (!io || !context.roomId) return;
+
+  const key = context.sessionId.toString();
+  const now = Date.now();
+  pruneThrottleState(now);
+  const state = throttleState.get(key) || { lastSentAt: 0, pending: null, timer: null };
+  throttleState.set(key, state);
+
+  const elapsed = now - state.lastSentAt;
+
+  if (elapsed >= SNAPSHOT_INTERVAL_MS && !state.timer) {
+    state.lastSentAt = now;
+    emitSnapshot(io, context, snapshot);
+    return;
+  }
+
+  state.pending = { context, snapshot };
+  if (state.timer) return;
+
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    if (!state.pending) return;
+    state.lastSentAt = Date.now();
+    emitSnapshot(io, state.pending.context, state.pending.snapshot);
+    state.pending = null;
+  }, Math.max(0, SNAPSHOT_INTERVAL_MS - elapsed));
+  state.timer.unref?.();
+};
+
+/**
+ * Publish a student presence change for a room session.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {{ roomId: string, sessionId: string, student: { id: string, name: string } }} context
+ * @param {'joined'|'left'} status
+ * @param {string} [reason]
+ */
+export const publishPresence = (io, context, status, reason) => {
+  if (!io || !context.roomId) return;
+
+  io.to(getRoomChannel(context.roomId)).emit(status === 'joined' ? 'student-joined' : 'student-left', {
+    roomId: context.roomId,
+    sessionId: context.sessionId,
+    student: context.student,
+    reason: reason || null,
+    timestamp: new Date(),
+  });
+};
+
+/**
+ * Drop throttle state for a session (call when the session ends)
+ */
+export const clearSessionThrottle = (sessionId) => {
+  const state = throttleState.get(sessionId.toString());
+  if (state?.timer) clearTimeout(state.timer);
+  throttleState.delete(sessionId.toString());
+};
+
+/**
+ * Helper to build the publish context from a Session document and its student
+ */
+export const getSessionContext = (session, student) => ({
+  roomId: session.room_id ? session.room_id.toString() : null,
+  sessionId: session._id.toString(),
+  student: {
+    id: student._id ? student._id.toString() : student.id,
+    name: student.name,
+  },
+});
+
+const monitoringService = {
+  getRoomChannel,
+  getSessionContext,
+  buildSnapshotFromMetric,
+  buildSnapshotFromInteraction,
+  publishEngagementSnapshot,
+  publishPresence,
+  clearSessionThrottle,
+};
+
+export default monitoringService;
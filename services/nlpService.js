@@ -209,6 +209,44 @@ class NLPService {
       return keywords.slice(0, count);
   }
 
+  /**
+   * Identify the main topics (most frequent noun phrases) of a text
+   * @returns {{ topic: string, count: number, relevance: number }[]}
+   */
+  identifyTopics(text, topicCount = 5) {
+    const counts = new Map();
+
+    compromise(text).nouns().toSingular().out('array').forEach(noun => {
+      const topic = noun.toLowerCase().replace(/[^a-z0-9\s-]/g, '').replace(/\s+/g, ' ').trim();
+      if (topic.length < 3 || this.stopWords.has(topic)) return;
+      counts.set(topic, (counts.get(topic) || 0) + 1);
+    });
+
+    const total = [...counts.values()].reduce((sum, c) => sum + c, 0) || 1;
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topicCount)
+      .map(([topic, count]) => ({ topic, count, relevance: Number((count / total).toFixed(3)) }));
+  }
+
+  /**
+   * Lowercase, strip punctuation and collapse whitespace
+   */
+  preprocessText(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  calculateImportance(score) {
+    if (score >= 1) return 'high';
+    if (score >= 0.5) return 'medium';
+    return 'low';
+  }
+
   // ... (All other existing NLP methods: extractKeyPhrases, categorizeSubject, 
   // analyzeComplexity, extractEntities, analyzeSentiment, generateSummary, 
   // identifyTopics, calculateSimilarity, and all helper methods remain the same) ...
@@ -219,10 +257,7 @@ class NLPService {
   extractEntities(text) { /* ... */ }
   analyzeSentiment(text) { /* ... */ }
   generateSummary(text, sentenceCount = 3) { /* ... */ }
-  identifyTopics(text, topicCount = 5) { /* ... */ }
   calculateSimilarity(text1, text2) { /* ... */ }
-  preprocessText(text) { /* ... */ }
-  calculateImportance(score) { /* ... */ }
   isStopPhrase(phrase) { /* ... */ }
   classifyPhrase(phrase) { /* ... */ }
   countSyllables(text) { /* ... */ }
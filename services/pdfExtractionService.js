@@ -0,0 +1,200 @@
+/**
+ * FILE PATH: backend/services/pdfExtractionService.js
+ * PDF text extraction and per-page indexing.
+ *
+ * After upload, every Material is read back from storage, split into pages
+ * (text + headings), indexed with nlpService keywords/topics and stored as
+ * MaterialPage documents. Page count and the PDF outline are saved on the
+ * Material itself.
+ */
+
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import Material from '../models/Material.js';
+import MaterialPage from '../models/MaterialPage.js';
+import nlpService from './nlpService.js';
+import { getStorage } from './storageService.js';
+import { enqueue } from './jobQueue.js';
+
+const KEYWORDS_PER_PAGE = 10;
+const TOPICS_PER_PAGE = 5;
+
+// A line counts as a heading when its font is this much larger than the body text
+const HEADING_SIZE_RATIO = 1.2;
+const MAX_HEADING_LENGTH = 120;
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Rebuild lines from pdf.js text items and pick out headings
+ */
+const buildPageContent = (items) => {
+  const lines = [];
+  let current = { text: '', size: 0 };
+
+  items.forEach(item => {
+    current.text += item.str;
+    if (item.str.trim()) current.size = Math.max(current.size, item.height || 0);
+    if (item.hasEOL) {
+      lines.push(current);
+      current = { text: '', size: 0 };
+    }
+  });
+  lines.push(current);
+
+  const cleanLines = lines
+    .map(line => ({ text: line.text.replace(/\s+/g, ' ').trim(), size: line.size }))
+    .filter(line => line.text);
+
+  // Body font size = the size covering the most characters
+  const charsBySize = new Map();
+  cleanLines.forEach(line => {
+    const size = Math.round(line.size);
+    charsBySize.set(size, (charsBySize.get(size) || 0) + line.text.length);
+  });
+  const bodySize = [...charsBySize.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+
+  const headings = bodySize > 0
+    ? cleanLines
+      .filter(line => line.size >= bodySize * HEADING_SIZE_RATIO && line.text.length <= MAX_HEADING_LENGTH)
+      .map(line => line.text)
+    : [];
+
+  return {
+    text: cleanLines.map(line => line.text).join('\n'),
+    headings
+  };
+};
+
+/**
+ * Flatten the PDF outline (bookmarks) into [{ title, page_number, level }]
+ */
+const flattenOutline = async (doc, items, level = 1) => {
+  const result = [];
+
+  for (const item of items || []) {
+    let pageNumber = null;
+    try {
+      const dest = typeof item.dest === 'string' ? await doc.getDestination(item.dest) : item.dest;
+      if (Array.isArray(dest) && dest[0]) {
+        pageNumber = typeof dest[0] === 'number' ? dest[0] + 1 : await doc.getPageIndex(dest[0]) + 1;
+      }
+    } catch {
+      // Broken destinations are kept without a page number
+    }
+
+    result.push({ title: item.title, page_number: pageNumber, level });
+    result.push(...await flattenOutline(doc, item.items, level + 1));
+  }
+
+  return result;
+};
+
+/**
+ * Extract per-page text, headings and the outline from PDF bytes
+ * @param {Buffer|Uint8Array} data
+ * @returns {Promise<{ pageCount: number, pages: { page_number: number, text: string, headings: string[] }[], outline: object[] }>}
+ */
+export const extractPdf = async (data) => {
+  const doc = await getDocument({
+    data: new Uint8Array(data),
+    isEvalSupported: false,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push({ page_number: pageNumber, ...buildPageContent(content.items) });
+      page.cleanup();
+    }
+
+    const outline = await flattenOutline(doc, await doc.getOutline());
+    return { pageCount: doc.numPages, pages, outline };
+  } finally {
+    await doc.destroy();
+  }
+};
+
+/**
+ * Run the NLP index for one page
+ */
+export const indexPage = (page) => {
+  const words = page.text ? page.text.split(/\s+/).filter(Boolean) : [];
+  if (words.length === 0) {
+    return { ...page, word_count: 0, keywords: [], topics: [] };
+  }
+
+  return {
+    ...page,
+    word_count: words.length,
+    keywords: nlpService.extractKeywords(page.text, KEYWORDS_PER_PAGE)
+      .map(k => ({ term: k.term, score: Number(k.score) })),
+    topics: nlpService.identifyTopics(page.text, TOPICS_PER_PAGE).map(t => t.topic)
+  };
+};
+
+/**
+ * Extract and index a stored material. Safe to re-run: previous pages are replaced.
+ * Marks the material as failed and rethrows on error, so the job queue can retry.
+ * @returns {Promise<object|null>} The updated Material
+ */
+export const processMaterial = async (materialId) => {
+  const material = await Material.findByIdAndUpdate(
+    materialId,
+    { 'extraction.status': 'processing', 'extraction.error': null, 'extraction.started_at': new Date() },
+    { new: true }
+  );
+  if (!material) return null;
+
+  try {
+    const stream = await getStorage().createReadStream(material.storage_key);
+    const { pageCount, pages, outline } = await extractPdf(await readStream(stream));
+    const indexedPages = pages.map(indexPage);
+
+    await MaterialPage.deleteMany({ material_id: material._id });
+    if (indexedPages.length > 0) {
+      await MaterialPage.insertMany(indexedPages.map(page => ({ ...page, material_id: material._id })));
+    }
+
+    material.page_count = pageCount;
+    material.outline = outline;
+    material.extraction.status = 'completed';
+    material.extraction.completed_at = new Date();
+    await material.save();
+
+    console.log(`📄 Extracted ${pageCount} page(s) from material ${material._id}`);
+    return material;
+  } catch (error) {
+    console.error(`❌ PDF extraction failed for material ${material._id}:`, error.message);
+    material.extraction.status = 'failed';
+    material.extraction.error = error.message;
+    await material.save();
+    throw error;
+  }
+};
+
+/**
+ * Queue extraction as a background job (handled by services/jobHandlers.js)
+ * @returns {Promise<object>} The Job document
+ */
+export const queueMaterialExtraction = (materialId, ownerId = null) => enqueue(
+  'material.extract',
+  { materialId: materialId.toString() },
+  { ownerId, maxAttempts: 3 }
+);
+
+const pdfExtractionService = {
+  extractPdf,
+  indexPage,
+  processMaterial,
+  queueMaterialExtraction,
+};
+
+export default pdfExtractionService;
@@ -0,0 +1,697 @@
+/**
+ * FILE PATH: backend/services/quizService.js
+ * Quizzes (routes/quizzes.js).
+ *
+ * Questions (multiple choice and short answer) are generated from a
+ * material's extracted pages or a session's highlights — by the LLM
+ * (feature "questions", schema-validated JSON) or, without one, as
+ * fill-in-the-blank questions on the key terms of the text. Attempts are
+ * graded automatically; scores are tracked per subject over time and teachers
+ * see the results of quizzes published to their rooms.
+ */
+
+import crypto from 'crypto';
+import natural from 'natural';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Room from '../models/Room.js';
+import Session from '../models/Session.js';
+import Routine from '../models/Routine.js';
+import Highlight from '../models/Highlight.js';
+import llmGateway, { FEATURES } from './llmGateway.js';
+import materialService from './materialService.js';
+import { getUserTimeZone } from './scheduleService.js';
+import { getLocalParts, addDaysToKey, getWeekdayOfKey, WEEKDAYS } from '../utils/timezone.js';
+import { AppError, AuthorizationError, ConflictError, NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+export const QUESTION_TYPES = ['multiple_choice', 'short_answer'];
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const MAX_QUESTIONS = 20;
+// Text sent to the LLM per quiz
+const MAX_SOURCE_CHARS = 12000;
+// Share of the expected answer's key words a short answer needs for full / half credit
+const FULL_CREDIT_COVERAGE = 0.8;
+const PARTIAL_CREDIT_COVERAGE = 0.5;
+// Key words an answer may have beyond the expected ones before its credit shrinks
+// (twice the expected count, and at least two extra)
+const ANSWER_LENGTH_RATIO = 2;
+const MIN_EXTRA_WORDS = 2;
+// Attempts each student gets at a room quiz unless the teacher sets max_attempts
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.QUIZ_MAX_ATTEMPTS) || 3;
+// Submissions racing for the same attempt number are counted again this many times
+const MAX_SUBMIT_TRIES = 3;
+
+const STOPWORDS = new Set(natural.stopwords);
+const tokenizer = new natural.WordTokenizer();
+
+// ======================= TEXT HELPERS =======================
+
+const hash = (value) => crypto.createHash('sha1').update(value).digest('hex');
+
+/**
+ * Split "[Page N]" prefixed text (MaterialPage.getRangeText) into sentences with their page
+ */
+const toSentences = (text) => {
+  const sentences = [];
+  let page = null;
+  text.split(/\[Page (\d+)\]\n?/).forEach((chunk, i) => {
+    if (i % 2 === 1) {
+      page = Number(chunk);
+      return;
+    }
+    chunk
+      .replace(/\s+/g, ' ')
+      .split(/(?<=[.!?])\s+/)
+      .map(s => s.trim())
+      .filter(Boolean)
+      .forEach(s => sentences.push({ text: s, page_number: page }));
+  });
+  return sentences;
+};
+
+const keywordsOf = (text) => tokenizer.tokenize(text.toLowerCase())
+  .filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+export const normalizeAnswer = (value) => String(value ?? '')
+  .toLowerCase()
+  // A sign and thousands separators belong to the number: "-5" is not "5"
+  .replace(/\u2212/g, '-')
+  .replace(/(\d),(?=\d{3}\b)/g, '$1')
+  .replace(/[^\p{L}\p{N}\s.-]|(?<=[\p{L}\p{N}])-|-(?!\d)/gu, ' ')
+  .replace(/\b(a|an|the)\b/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// ======================= RULE-BASED QUESTIONS =======================
+
+/**
+ * Fill-in-the-blank questions on the most distinctive word of the best sentences.
+ * Deterministic: the same text always gives the same quiz.
+ */
+export const buildClozeQuestions = (text, { count = 5, types = QUESTION_TYPES } = {}) => {
+  const sentences = toSentences(text).filter(s => {
+    const words = s.text.split(' ').length;
+    return words >= 8 && words <= 40;
+  });
+  if (sentences.length === 0) return [];
+
+  const tfidf = new natural.TfIdf();
+  sentences.forEach(s => tfidf.addDocument(s.text.toLowerCase()));
+
+  // Best blank of each sentence: its highest-scoring word of 5+ letters
+  const candidates = sentences
+    .map((sentence, index) => {
+      const words = [...new Set(keywordsOf(sentence.text).filter(w => /^[a-z][a-z-]{4,}$/.test(w)))];
+      const scored = words.map(word => ({ word, score: tfidf.tfidf(word, index) }));
+      scored.sort((a, b) => b.score - a.score);
+      return scored[0] ? { ...sentence, keyword: scored[0].word, score: scored[0].score } : null;
+    })
+    .filter(Boolean);
+
+  // One question per keyword, best first, then back in reading order
+  const usedKeywords = new Set();
+  const chosen = [...candidates]
+    .sort((a, b) => b.score - a.score)
+    .filter(c => {
+      if (usedKeywords.has(c.keyword)) return false;
+      usedKeywords.add(c.keyword);
+      return true;
+    })
+    .slice(0, count)
+    .sort((a, b) => candidates.indexOf(a) - candidates.indexOf(b));
+
+  const keywordPool = [...new Set(candidates.map(c => c.keyword))];
+
+  return chosen.map((c, i) => {
+    const blanked = c.text.replace(new RegExp(`\\b${c.keyword}\\b`, 'i'), '_____');
+    const prompt = `Fill in the blank: ${blanked}`;
+    const distractors = keywordPool
+      .filter(word => word !== c.keyword)
+      .sort((a, b) => Math.abs(a.length - c.keyword.length) - Math.abs(b.length - c.keyword.length) || a.localeCompare(b))
+      .slice(0, 3);
+
+    const type = types[i % types.length];
+    if (type === 'multiple_choice' && distractors.length >= 2) {
+      const options = [c.keyword, ...distractors].sort((a, b) => hash(prompt + a).localeCompare(hash(prompt + b)));
+      return {
+        type,
+        prompt,
+        options,
+        correct_option: options.indexOf(c.keyword),
+        explanation: c.text,
+        page_number: c.page_number,
+      };
+    }
+    if (!types.includes('short_answer')) return null;
+    return {
+      type: 'short_answer',
+      prompt,
+      answer: c.keyword,
+      accepted_answers: [],
+      explanation: c.text,
+      page_number: c.page_number,
+    };
+  }).filter(Boolean);
+};
+
+// ======================= LLM QUESTIONS =======================
+
+const cleanString = (value, field, maxLength) => {
+  if (typeof value !== 'string' || !value.trim()) throw new Error(`${field} must be a non-empty string`);
+  return value.trim().slice(0, maxLength);
+};
+
+/**
+ * Check generated questions against the quiz schema; returns cleaned questions
+ */
+export const validateQuestions = ({ count, types }) => (data) => {
+  const list = Array.isArray(data) ? data : data?.questions;
+  if (!Array.isArray(list) || list.length === 0) throw new Error('expected { questions: [...] }');
+
+  return list.slice(0, count).map((q, i) => {
+    const field = `questions[${i}]`;
+    if (!types.includes(q?.type)) throw new Error(`${field}.type must be one of ${types.join(', ')}`);
+    const question = {
+      type: q.type,
+      prompt: cleanString(q.prompt, `${field}.prompt`, 1000),
+      explanation: typeof q.explanation === 'string' ? q.explanation.trim().slice(0, 1000) : '',
+      page_number: Number.isInteger(q.page_number) ? q.page_number : null,
+    };
+
+    if (q.type === 'multiple_choice') {
+      if (!Array.isArray(q.options) || q.options.length < 3 || q.options.length > 6) {
+        throw new Error(`${field}.options must have 3 to 6 choices`);
+      }
+      question.options = q.options.map((o, j) => cleanString(o, `${field}.options[${j}]`, 300));
+      if (new Set(question.options.map(normalizeAnswer)).size !== question.options.length) {
+        throw new Error(`${field}.options must be distinct`);
+      }
+      if (!Number.isInteger(q.correct_option) || q.correct_option < 0 || q.correct_option >= question.options.length) {
+        throw new Error(`${field}.correct_option must index one of the options`);
+      }
+      question.correct_option = q.correct_option;
+    } else {
+      question.answer = cleanString(q.answer, `${field}.answer`, 500);
+      question.accepted_answers = Array.isArray(q.accepted_answers)
+        ? q.accepted_answers.filter(a => typeof a === 'string' && a.trim()).map(a => a.trim().slice(0, 500))
+        : [];
+    }
+    return question;
+  });
+};
+
+const DIFFICULTY_GUIDE = {
+  easy: 'recall of facts and definitions stated in the text',
+  medium: 'understanding: explain, compare and connect ideas from the text',
+  hard: 'application and analysis: use the ideas from the text in new situations',
+};
+
+const buildQuestionPrompt = ({ count, difficulty, types }) => `You write quiz questions for a student from their study material.
+Write exactly ${count} ${difficulty} questions testing ${DIFFICULTY_GUIDE[difficulty]}.
+Allowed types: ${types.join(', ')}${types.length > 1 ? ' (mix them)' : ''}.
+Only ask about what the text says. Use the [Page N] markers for page_number.
+Reply with JSON:
+{ "questions": [
+  { "type": "multiple_choice", "prompt": "...", "options": ["...", "...", "...", "..."], "correct_option": <index>, "explanation": "...", "page_number": <n or null> },
+  { "type": "short_answer", "prompt": "...", "answer": "short model answer", "accepted_answers": ["other acceptable answers"], "explanation": "...", "page_number": <n or null> }
+] }`;
+
+/**
+ * Structured questions for a text
+ * @param {string} text
+ * @param {object} [options] count, difficulty, types
+ * @returns {Promise<{ questions: object[], generated_by: 'ai' | 'rules' }>}
+ */
+export const generateQuestions = async (text, { count = 5, difficulty = 'medium', types = QUESTION_TYPES } = {}) => {
+  const settings = { count: Math.min(count, MAX_QUESTIONS), difficulty, types };
+  const fallback = () => ({ questions: buildClozeQuestions(text, settings), generated_by: 'rules' });
+
+  if (!llmGateway.isAvailable(FEATURES.QUESTIONS)) return fallback();
+
+  try {
+    const { data } = await llmGateway.completeJSON(FEATURES.QUESTIONS, [
+      { role: 'system', content: buildQuestionPrompt(settings) },
+      { role: 'user', content: text.slice(0, MAX_SOURCE_CHARS) },
+    ], {
+      maxTokens: 300 + settings.count * 200,
+      validate: validateQuestions(settings),
+      stub: () => ({ questions: buildClozeQuestions(text, settings) }),
+    });
+    return { questions: data, generated_by: 'ai' };
+  } catch (error) {
+    console.warn('⚠️ AI question generation failed, using fill-in-the-blank questions:', error.message);
+    return fallback();
+  }
+};
+
+// ======================= QUIZZES =======================
+
+const loadOwnedSession = async (sessionId, user) => {
+  const session = await Session.findById(sessionId);
+  if (!session) throw new NotFoundError('Session');
+  if (session.student_id.toString() !== user._id.toString()) throw new AuthorizationError('Access denied to this session');
+  return session;
+};
+
+// Subject of a quiz: the routine subject studied in the session, or the one using the material
+const resolveSubject = async (user, { session, materialId }) => {
+  if (session?.routine_id && session.subject_id) {
+    const routine = await Routine.findById(session.routine_id).select('subjects').lean();
+    const subject = routine?.subjects.find(s => s._id.toString() === session.subject_id.toString());
+    if (subject) return subject.name;
+  }
+  if (materialId) {
+    const routine = await Routine.findOne({ student_id: user.id, 'subjects.material_id': materialId })
+      .select('subjects')
+      .lean();
+    const subject = routine?.subjects.find(s => s.material_id?.toString() === materialId.toString());
+    if (subject) return subject.name;
+  }
+  return 'General';
+};
+
+/**
+ * Generate and save a quiz from a material's pages or a session's highlights
+ */
+export const createQuiz = async (user, {
+  materialId, pageFrom, pageTo, sessionId, count = 5, difficulty = 'medium', types = QUESTION_TYPES, title, subject,
+}) => {
+  let text;
+  let source;
+  let defaultTitle;
+  let session = null;
+
+  if (materialId) {
+    const range = materialService.parsePageRange({ pageFrom, pageTo });
+    const result = await materialService.getMaterialText(materialId, user, range);
+    text = result.text;
+    source = { type: 'material', material_id: result.material._id, page_from: range.from || 1, page_to: range.to || result.material.page_count };
+    defaultTitle = `${result.material.title} quiz`;
+  } else if (sessionId) {
+    session = await loadOwnedSession(sessionId, user);
+    const highlights = await Highlight.find({ session_id: session._id, user_id: user._id })
+      .sort({ page_number: 1, created_at: 1 })
+      .lean();
+    if (highlights.length === 0) throw new ValidationError('This session has no highlights to build a quiz from');
+
+    text = highlights
+      .map(h => `[Page ${h.page_number}]\n${h.text}${h.notes ? `\n${h.notes}` : ''}`)
+      .join('\n\n');
+    source = { type: 'highlights', session_id: session._id, material_id: session.material_id || null };
+    defaultTitle = `Highlights quiz (${new Date(session.start_time).toDateString()})`;
+  } else {
+    throw new ValidationError('Provide materialId or sessionId');
+  }
+
+  const { questions, generated_by } = await generateQuestions(text, { count, difficulty, types });
+  if (questions.length === 0) {
+    throw new AppError('Not enough text to build questions from', 422, 'NO_QUESTIONS');
+  }
+
+  return Quiz.create({
+    owner_id: user._id,
+    title: title || defaultTitle,
+    subject: subject || await resolveSubject(user, { session, materialId: source.material_id }),
+    difficulty,
+    source,
+    generated_by,
+    questions,
+  });
+};
+
+export const getQuiz = async (quizId) => {
+  const quiz = await Quiz.findById(quizId);
+  if (!quiz) throw new NotFoundError('Quiz');
+  return quiz;
+};
+
+export const isQuizOwner = (quiz, user) => quiz.owner_id.toString() === user._id.toString();
+
+/**
+ * Owner, the teacher of the room it is published to, or a student of that room
+ * @returns {Promise<'owner' | 'teacher' | 'student' | null>}
+ */
+export const getQuizRole = async (quiz, user) => {
+  if (isQuizOwner(quiz, user)) return 'owner';
+  if (!quiz.room_id || !quiz.published_at) return null;
+
+  const room = await Room.findById(quiz.room_id).select('teacher_id allowed_students');
+  if (!room) return null;
+  if (room.teacher_id.toString() === user._id.toString()) return 'teacher';
+  if (room.isStudentAllowed(user._id)) return 'student';
+  return null;
+};
+
+/**
+ * Publish a quiz to one of the teacher's rooms (or move it to another)
+ */
+export const publishQuiz = async (quiz, user, { roomId, dueAt = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }) => {
+  if (!isQuizOwner(quiz, user)) throw new AuthorizationError('Only the quiz owner can publish it');
+
+  const room = await Room.findById(roomId).select('teacher_id title allowed_students');
+  if (!room) throw new NotFoundError('Room');
+  if (room.teacher_id.toString() !== user._id.toString()) throw new AuthorizationError('You can only publish to your own rooms');
+
+  quiz.room_id = room._id;
+  quiz.published_at = new Date();
+  quiz.due_at = dueAt;
+  quiz.max_attempts = maxAttempts;
+  await quiz.save();
+  return { quiz, room };
+};
+
+/**
+ * Let the room's students see the right answers before the due date
+ */
+export const releaseAnswers = async (quiz, user) => {
+  if (!isQuizOwner(quiz, user)) throw new AuthorizationError('Only the quiz owner can release the answers');
+  if (!quiz.answers_released_at) {
+    quiz.answers_released_at = new Date();
+    await quiz.save();
+  }
+  return quiz;
+};
+
+/**
+ * Whether `role` (getQuizRole) may see the answer key: students only once it is released
+ */
+export const canSeeAnswers = (quiz, role) => role !== 'student' || quiz.areAnswersReleased();
+
+// ======================= GRADING =======================
+
+// A number as written, sign and thousands separators included ("-5", "1,250.5")
+const NUMBER_PATTERN = /^[-+]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/;
+
+export const parseNumber = (value) => {
+  const text = String(value ?? '').trim().replace(/\u2212/g, '-');
+  return NUMBER_PATTERN.test(text) ? Number(text.replace(/,/g, '')) : null;
+};
+
+// An option index: an integer, or a string of digits from a form post
+const parseOption = (response) => {
+  if (Number.isInteger(response)) return response;
+  return typeof response === 'string' && /^\d+$/.test(response.trim()) ? Number(response) : null;
+};
+
+/**
+ * Grade one answer
+ * @returns {{ correct: boolean, points_awarded: number, feedback: string }}
+ */
+export const gradeAnswer = (question, response) => {
+  const points = question.points ?? 1;
+  const blank = response === null || response === undefined || String(response).trim() === '';
+  if (blank) return { correct: false, points_awarded: 0, feedback: 'No answer' };
+
+  if (question.type === 'multiple_choice') {
+    const correct = parseOption(response) === question.correct_option;
+    return {
+      correct,
+      points_awarded: correct ? points : 0,
+      feedback: correct ? 'Correct' : `Correct answer: ${question.options[question.correct_option]}`,
+    };
+  }
+
+  const expected = [question.answer, ...(question.accepted_answers || [])].filter(Boolean);
+  const given = normalizeAnswer(response);
+  const full = { correct: true, points_awarded: points, feedback: 'Correct' };
+  const wrong = { correct: false, points_awarded: 0, feedback: `Expected: ${question.answer}` };
+
+  // A number against a numeric answer: within 1%, compared by value only
+  // (normalizeAnswer drops the sign, so "-5" and "5" would match as text)
+  const number = parseNumber(response);
+  const targets = expected.map(parseNumber).filter(target => target !== null);
+  if (number !== null && targets.length) {
+    return targets.some(target => Math.abs(number - target) <= Math.abs(target) * 0.01) ? full : wrong;
+  }
+
+  if (expected.some(answer => normalizeAnswer(answer) === given)) return full;
+
+  // Otherwise by how many of the expected answer's key words are present,
+  // scaled down when the answer is much longer than expected so that listing
+  // every term of the chapter does not earn credit
+  const givenWords = new Set(keywordsOf(given).map(w => natural.PorterStemmer.stem(w)));
+  const coverage = Math.max(...expected.map(answer => {
+    const words = [...new Set(keywordsOf(answer).map(w => natural.PorterStemmer.stem(w)))];
+    if (!words.length) return 0;
+    const allowed = Math.max(words.length * ANSWER_LENGTH_RATIO, words.length + MIN_EXTRA_WORDS);
+    const recall = words.filter(w => givenWords.has(w)).length / words.length;
+    return recall * Math.min(1, allowed / givenWords.size);
+  }));
+
+  if (coverage >= FULL_CREDIT_COVERAGE) return full;
+  if (coverage >= PARTIAL_CREDIT_COVERAGE) {
+    return { correct: false, points_awarded: points / 2, feedback: `Partly correct. Expected: ${question.answer}` };
+  }
+  return wrong;
+};
+
+/**
+ * Grade and store an attempt
+ * @param {object} quiz
+ * @param {object} user
+ * @param {{ answers: { question_id: string, response: any }[], startedAt?: Date }} submission
+ */
+export const submitAttempt = async (quiz, user, { answers = [], startedAt = null }) => {
+  const role = await getQuizRole(quiz, user);
+  if (!role || role === 'teacher') throw new AuthorizationError('You cannot take this quiz');
+  if (role === 'student' && quiz.due_at && quiz.due_at < new Date()) {
+    throw new AppError('This quiz is closed', 409, 'QUIZ_CLOSED');
+  }
+
+  const responses = new Map(answers.map(a => [String(a.question_id), a.response]));
+  const graded = quiz.questions.map(question => ({
+    question_id: question._id,
+    response: responses.get(question._id.toString()) ?? null,
+    ...gradeAnswer(question, responses.get(question._id.toString())),
+  }));
+
+  const score = graded.reduce((sum, a) => sum + a.points_awarded, 0);
+  const maxScore = quiz.max_score;
+  const submittedAt = new Date();
+
+  // attempt_number is unique per quiz and user: a submission that loses the
+  // race for a number counts again, so parallel ones cannot pass max_attempts
+  for (let tries = 1; ; tries++) {
+    const previous = await QuizAttempt.countDocuments({ quiz_id: quiz._id, user_id: user._id });
+    if (role === 'student' && quiz.max_attempts && previous >= quiz.max_attempts) {
+      throw new AppError(`You have used all ${quiz.max_attempts} attempts at this quiz`, 409, 'ATTEMPT_LIMIT');
+    }
+
+    try {
+      return await QuizAttempt.create({
+        quiz_id: quiz._id,
+        user_id: user._id,
+        room_id: role === 'student' ? quiz.room_id : null,
+        subject: quiz.subject,
+        attempt_number: previous + 1,
+        answers: graded,
+        score,
+        max_score: maxScore,
+        percentage: maxScore ? Math.round((score / maxScore) * 1000) / 10 : 0,
+        started_at: startedAt,
+        submitted_at: submittedAt,
+        duration_seconds: startedAt ? Math.max(0, Math.round((submittedAt - new Date(startedAt)) / 1000)) : null,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (tries >= MAX_SUBMIT_TRIES) throw new ConflictError('Another attempt was submitted at the same time, please try again');
+    }
+  }
+};
+
+const toPlain = (doc) => (typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Only what was answered: per-question results and feedback would give the key away
+const withoutKey = (answer) => ({ question_id: answer.question_id, response: answer.response ?? null });
+
+/**
+ * An attempt as its taker may see it: without per-question results until
+ * showAnswers (canSeeAnswers)
+ */
+export const toAttemptView = (attempt, { showAnswers = true } = {}) => {
+  if (showAnswers) return attempt;
+  const data = toPlain(attempt);
+  return { ...data, answers: data.answers.map(withoutKey) };
+};
+
+/**
+ * Attempt answers next to the questions, with the right answers and
+ * explanations when showAnswers (canSeeAnswers)
+ */
+export const reviewAttempt = (quiz, attempt, { showAnswers = true } = {}) => {
+  const answers = new Map(toPlain(attempt).answers.map(a => [a.question_id.toString(), a]));
+  return quiz.questions.map(question => {
+    const answer = answers.get(question._id.toString()) || { question_id: question._id, response: null, correct: false, points_awarded: 0 };
+    const shown = {
+      question_id: question._id,
+      type: question.type,
+      prompt: question.prompt,
+      options: question.type === 'multiple_choice' ? question.options : undefined,
+      page_number: question.page_number,
+    };
+    if (!showAnswers) return { ...shown, ...withoutKey(answer) };
+
+    return {
+      ...shown,
+      correct_option: question.correct_option ?? undefined,
+      answer: question.answer ?? undefined,
+      explanation: question.explanation,
+      ...answer,
+    };
+  });
+};
+
+// ======================= RESULTS & PROGRESS =======================
+
+/**
+ * Class results of a quiz published to a room (teacher view)
+ */
+export const getClassResults = async (quiz) => {
+  if (!quiz.room_id) throw new ValidationError('This quiz is not published to a room');
+
+  const [room, attempts] = await Promise.all([
+    Room.findById(quiz.room_id).populate('allowed_students', 'name email'),
+    QuizAttempt.find({ quiz_id: quiz._id, room_id: quiz.room_id }).sort({ submitted_at: 1 }).lean(),
+  ]);
+  if (!room) throw new NotFoundError('Room');
+
+  const byStudent = new Map();
+  attempts.forEach(a => {
+    const key = a.user_id.toString();
+    if (!byStudent.has(key)) byStudent.set(key, []);
+    byStudent.get(key).push(a);
+  });
+
+  const students = room.allowed_students.map(student => {
+    const own = byStudent.get(student._id.toString()) || [];
+    const latest = own[own.length - 1];
+    return {
+      student: { _id: student._id, name: student.name, email: student.email },
+      attempts: own.length,
+      // The first attempt is the one made without having seen any results
+      first_percentage: own.length ? own[0].percentage : null,
+      best_percentage: own.length ? Math.max(...own.map(a => a.percentage)) : null,
+      latest_percentage: latest ? latest.percentage : null,
+      last_submitted_at: latest ? latest.submitted_at : null,
+    };
+  });
+
+  // Per question, over each student's latest attempt
+  const latestAttempts = [...byStudent.values()].map(list => list[list.length - 1]);
+  const questions = quiz.questions.map(question => {
+    const answers = latestAttempts
+      .map(a => a.answers.find(x => x.question_id.toString() === question._id.toString()))
+      .filter(Boolean);
+    return {
+      question_id: question._id,
+      prompt: question.prompt,
+      answered: answers.filter(a => a.response !== null).length,
+      correct_rate: answers.length
+        ? Math.round((answers.filter(a => a.correct).length / answers.length) * 1000) / 10
+        : null,
+    };
+  });
+
+  const taken = students.filter(s => s.attempts > 0);
+  const average = (values) => (values.length
+    ? Math.round((values.reduce((s, v) => s + v, 0) / values.length) * 10) / 10
+    : null);
+
+  return {
+    quiz: {
+      _id: quiz._id,
+      title: quiz.title,
+      subject: quiz.subject,
+      due_at: quiz.due_at,
+      max_attempts: quiz.max_attempts,
+      answers_released: quiz.areAnswersReleased(),
+      max_score: quiz.max_score,
+    },
+    room: { _id: room._id, title: room.title },
+    summary: {
+      students: students.length,
+      completed: taken.length,
+      average_first: average(taken.map(s => s.first_percentage)),
+      average_latest: average(taken.map(s => s.latest_percentage)),
+      average_best: average(taken.map(s => s.best_percentage)),
+    },
+    students,
+    questions,
+  };
+};
+
+// Monday of the week of a local date
+const weekStartKey = (dateKey) => addDaysToKey(dateKey, -((WEEKDAYS.indexOf(getWeekdayOfKey(dateKey)) + 6) % 7));
+
+/**
+ * Quiz scores per subject, bucketed by day or week in the user's timezone
+ */
+export const getSubjectProgress = async (user, { from = null, to = null, interval = 'week' } = {}) => {
+  const query = { user_id: user._id };
+  if (from || to) {
+    query.submitted_at = {};
+    if (from) query.submitted_at.$gte = from;
+    if (to) query.submitted_at.$lte = to;
+  }
+
+  const [timeZone, attempts] = await Promise.all([
+    getUserTimeZone(user._id),
+    QuizAttempt.find(query).select('subject percentage submitted_at').sort({ submitted_at: 1 }).lean(),
+  ]);
+
+  const subjects = new Map();
+  attempts.forEach(a => {
+    const dateKey = getLocalParts(a.submitted_at, timeZone).dateKey;
+    const period = interval === 'day' ? dateKey : weekStartKey(dateKey);
+    if (!subjects.has(a.subject)) subjects.set(a.subject, { attempts: [], periods: new Map() });
+    const entry = subjects.get(a.subject);
+    entry.attempts.push(a);
+    if (!entry.periods.has(period)) entry.periods.set(period, []);
+    entry.periods.get(period).push(a.percentage);
+  });
+
+  const average = (values) => Math.round((values.reduce((s, v) => s + v, 0) / values.length) * 10) / 10;
+
+  return {
+    timezone: timeZone,
+    interval,
+    subjects: [...subjects.entries()].map(([subject, { attempts: list, periods }]) => {
+      const trend = [...periods.entries()].map(([period, values]) => ({ period, attempts: values.length, average: average(values) }));
+      return {
+        subject,
+        attempts: list.length,
+        average: average(list.map(a => a.percentage)),
+        best: Math.max(...list.map(a => a.percentage)),
+        latest: list[list.length - 1].percentage,
+        last_attempt_at: list[list.length - 1].submitted_at,
+        // Change between the first and the last period
+        change: trend.length > 1 ? Math.round((trend[trend.length - 1].average - trend[0].average) * 10) / 10 : null,
+        trend,
+      };
+    }).sort((a, b) => b.last_attempt_at - a.last_attempt_at),
+  };
+};
+
+const quizService = {
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  MAX_QUESTIONS,
+  buildClozeQuestions,
+  validateQuestions,
+  generateQuestions,
+  createQuiz,
+  getQuiz,
+  isQuizOwner,
+  getQuizRole,
+  publishQuiz,
+  releaseAnswers,
+  canSeeAnswers,
+  gradeAnswer,
+  submitAttempt,
+  toAttemptView,
+  reviewAttempt,
+  getClassResults,
+  getSubjectProgress,
+};
+
+export default quizService;
@@ -0,0 +1,216 @@
+/**
+ * FILE PATH: backend/services/reminderService.js
+ * Routine reminder dispatcher.
+ *
+ * Every tick, upcoming routine slots (services/scheduleService.js) are worked
+ * out in each student's timezone. When a slot's reminder time has come, a
+ * RoutineReminder is claimed (unique per routine + slot, so nothing is sent
+ * twice) and delivered over Socket.IO (`student:<id>` channel) and email,
+ * unless notifications are off, the category is disabled or it is quiet hours.
+ * The stored RoutineReminder doubles as the student's reminder history.
+ */
+
+import Routine from '../models/Routine.js';
+import RoutineReminder from '../models/RoutineReminder.js';
+import User from '../models/User.js';
+import UserPreferences from '../models/UserPreferences.js';
+import { expandRoutine } from './scheduleService.js';
+import { sendRoutineReminderEmail } from './emailService.js';
+import { getLocalParts, zonedTimeToUtc, addDaysToKey, resolveTimeZone } from '../utils/timezone.js';
+
+const REMINDER_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS) || 60 * 1000;
+// Lead time for routines without a reminder_time
+const DEFAULT_LEAD_MINUTES = parseInt(process.env.REMINDER_DEFAULT_LEAD_MINUTES) || 15;
+// Reminders that became due longer ago than this (e.g. while the server was down) are dropped
+const MAX_LATENESS_MS = 30 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * When to remind for a slot. reminder_time is a wall-clock time in the
+ * student's timezone; a time later than the slot start means the day before.
+ */
+export const getReminderTime = (routine, occurrence, timeZone) => {
+  if (!routine.reminder_time) {
+    return new Date(occurrence.start.getTime() - DEFAULT_LEAD_MINUTES * 60000);
+  }
+  const dateKey = routine.reminder_time > routine.times.start
+    ? addDaysToKey(occurrence.date, -1)
+    : occurrence.date;
+  return zonedTimeToUtc(dateKey, routine.reminder_time, timeZone);
+};
+
+/**
+ * Slots of a routine whose reminder is due at `now`
+ */
+export const getDueOccurrences = (routine, timeZone, now = new Date()) => {
+  const today = getLocalParts(now, timeZone).dateKey;
+
+  // A reminder can fire up to a day before its slot
+  return expandRoutine(routine, today, addDaysToKey(today, 2), timeZone)
+    .map(occurrence => ({ ...occurrence, remind_at: getReminderTime(routine, occurrence, timeZone) }))
+    .filter(o => o.remind_at <= now && now - o.remind_at <= MAX_LATENESS_MS && o.start > now);
+};
+
+/**
+ * Why the reminder should not be delivered, or null
+ */
+const getSuppressionReason = (preferences, now) => {
+  if (!preferences.notifications.enabled) return 'notifications_disabled';
+  if (preferences.isQuietHours(now)) return 'quiet_hours';
+  if (!preferences.shouldShowNotification('routine_reminder', now)) return 'category_disabled';
+  return null;
+};
+
+const deliver = async (io, reminder, { routine, user, preferences, timeZone }) => {
+  const deliveries = [];
+  const startsAt = getLocalParts(reminder.occurrence_start, timeZone).time;
+  const payload = {
+    reminder_id: reminder._id,
+    routine_id: routine._id,
+    title: routine.title,
+    starts_at: reminder.occurrence_start,
+    ends_at: reminder.occurrence_end,
+    local_time: startsAt,
+    subjects: (routine.subjects || []).map(s => s.name)
+  };
+
+  if (io) {
+    io.to(`student:${routine.student_id}`).emit('routine-reminder', payload);
+    deliveries.push({ channel: 'socket', status: 'sent', sent_at: new Date() });
+  } else {
+    deliveries.push({ channel: 'socket', status: 'skipped', error: 'Socket.IO not available' });
+  }
+
+  if (!preferences.notifications.email_reminders || !user?.email) {
+    deliveries.push({ channel: 'email', status: 'skipped', error: user?.email ? 'Email reminders disabled' : 'No email address' });
+  } else {
+    const result = await sendRoutineReminderEmail(user.email, user.name, {
+      title: routine.title,
+      startsAt,
+      subjects: payload.subjects
+    });
+    deliveries.push(result.success
+      ? { channel: 'email', status: 'sent', sent_at: new Date() }
+      : { channel: 'email', status: 'failed', error: result.error });
+  }
+
+  return deliveries;
+};
+
+/**
+ * Claim and send one reminder
+ * @returns {Promise<object|null>} The RoutineReminder, or null if another run already claimed it
+ */
+const dispatchReminder = async (io, occurrence, context, now) => {
+  const { routine, preferences } = context;
+
+  let reminder;
+  try {
+    reminder = await RoutineReminder.create({
+      routine_id: routine._id,
+      student_id: routine.student_id,
+      title: routine.title,
+      occurrence_start: occurrence.start,
+      occurrence_end: occurrence.end,
+      scheduled_for: occurrence.remind_at
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const skipReason = getSuppressionReason(preferences, now);
+  if (skipReason) {
+    reminder.status = 'skipped';
+    reminder.skip_reason = skipReason;
+  } else {
+    reminder.deliveries = await deliver(io, reminder, context);
+    reminder.status = reminder.deliveries.some(d => d.status === 'sent') ? 'sent' : 'failed';
+  }
+
+  await reminder.save();
+  return reminder;
+};
+
+/**
+ * Send every reminder that is due now
+ * @param {import('socket.io').Server} io
+ * @returns {Promise<number>} Number of reminders handled (sent, skipped or failed)
+ */
+export const dispatchDueReminders = async (io, now = new Date()) => {
+  const routines = await Routine.find({
+    status: 'active',
+    reminder_enabled: true,
+    start_date: { $lte: new Date(now.getTime() + 3 * 86400000) },
+    end_date: { $gte: new Date(now.getTime() - 86400000) }
+  }).lean();
+  if (routines.length === 0) return 0;
+
+  const studentIds = [...new Set(routines.map(r => r.student_id))];
+  const [preferenceDocs, users] = await Promise.all([
+    UserPreferences.find({ user_id: { $in: studentIds } }),
+    User.find({ _id: { $in: studentIds } }).select('name email').lean()
+  ]);
+  const preferencesByUser = new Map(preferenceDocs.map(p => [p.user_id.toString(), p]));
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  let handled = 0;
+  for (const routine of routines) {
+    // Students who never saved preferences get the defaults
+    const preferences = preferencesByUser.get(routine.student_id) || new UserPreferences({ user_id: routine.student_id });
+    const timeZone = resolveTimeZone(preferences.localization?.timezone);
+    const context = { routine, preferences, timeZone, user: usersById.get(routine.student_id) };
+
+    for (const occurrence of getDueOccurrences(routine, timeZone, now)) {
+      try {
+        const reminder = await dispatchReminder(io, occurrence, context, now);
+        if (reminder) handled++;
+      } catch (error) {
+        console.error(`❌ Reminder for routine ${routine._id} failed:`, error.message);
+      }
+    }
+  }
+
+  if (handled > 0) console.log(`⏰ Handled ${handled} routine reminder(s)`);
+  return handled;
+};
+
+/**
+ * Check for due reminders every REMINDER_INTERVAL_MS
+ */
+export const startReminderScheduler = (io, intervalMs = REMINDER_INTERVAL_MS) => {
+  if (timer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchDueReminders(io);
+    } catch (error) {
+      console.error('❌ Reminder dispatch failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  console.log('✅ Routine reminder scheduler started');
+};
+
+export const stopReminderScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+const reminderService = {
+  getReminderTime,
+  getDueOccurrences,
+  dispatchDueReminders,
+  startReminderScheduler,
+  stopReminderScheduler,
+};
+
+export default reminderService;
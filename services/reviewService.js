@@ -0,0 +1,443 @@
+/**
+ * FILE PATH: backend/services/reviewService.js
+ * Flashcards and spaced repetition (routes/review.js).
+ *
+ * Cards are written by hand or made from highlights (category definition /
+ * formula) and annotations (type question / definition), either from
+ * templates or as AI-written Q&A (feature "flashcards"). Reviews are graded
+ * 0-5 and scheduled with SM-2; every review is kept in ReviewLog for history
+ * and retention stats.
+ */
+
+import Flashcard from '../models/Flashcard.js';
+import ReviewLog from '../models/ReviewLog.js';
+import Highlight from '../models/Highlight.js';
+import Annotation from '../models/Annotation.js';
+import llmGateway, { FEATURES } from './llmGateway.js';
+import { getUserTimeZone } from './scheduleService.js';
+import materialService from './materialService.js';
+import { getLocalParts, zonedTimeToUtc, addDaysToKey } from '../utils/timezone.js';
+import { NotFoundError, ValidationError, ConflictError } from '../middleware/errorHandler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+// Grades below this are lapses (card forgotten)
+export const PASSING_GRADE = 3;
+// Same threshold as Flashcard.getStage
+export const MATURE_INTERVAL_DAYS = 21;
+export const MAX_SOURCES_PER_REQUEST = 100;
+// Sources sent to the LLM per request
+const AI_BATCH_SIZE = 20;
+
+export const HIGHLIGHT_CARD_CATEGORIES = ['definition', 'formula'];
+export const ANNOTATION_CARD_TYPES = ['question', 'definition'];
+
+// ======================= SM-2 =======================
+
+/**
+ * Next SM-2 state of a card after a review
+ * @param {{ ease_factor: number, interval_days: number, repetitions: number }} card
+ * @param {number} grade 0-5
+ * @param {Date} [now]
+ * @returns {{ ease_factor: number, interval_days: number, repetitions: number, lapsed: boolean, due_at: Date }}
+ */
+export const scheduleReview = (card, grade, now = new Date()) => {
+  const ease = card.ease_factor || 2.5;
+  const lapsed = grade < PASSING_GRADE;
+
+  let repetitions;
+  let interval;
+  if (lapsed) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions = (card.repetitions || 0) + 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round((card.interval_days || 1) * ease);
+  }
+
+  const easeFactor = Math.max(MIN_EASE, ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+  return {
+    ease_factor: Math.round(easeFactor * 100) / 100,
+    interval_days: interval,
+    repetitions,
+    lapsed,
+    due_at: new Date(now.getTime() + interval * DAY_MS),
+  };
+};
+
+// ======================= CARDS =======================
+
+export const getCard = async (cardId, user) => {
+  const card = await Flashcard.findOne({ _id: cardId, user_id: user._id });
+  if (!card) throw new NotFoundError('Flashcard');
+  return card;
+};
+
+// A card may only be filed under a material the user can open
+export const createManualCard = async (user, { front, back, material_id, tags }) => {
+  if (material_id) await materialService.getAccessibleMaterial(material_id, user);
+
+  return Flashcard.create({
+    user_id: user._id,
+    front,
+    back,
+    material_id: material_id || null,
+    tags: tags || [],
+    generated_by: 'manual',
+  });
+};
+
+/**
+ * Grade a review and reschedule the card
+ * @returns {Promise<{ card: object, review: object }>}
+ */
+export const gradeCard = async (cardId, user, grade, { durationMs = null, now = new Date() } = {}) => {
+  const card = await getCard(cardId, user);
+  if (card.suspended) throw new ValidationError('Card is suspended');
+
+  const previousInterval = card.interval_days;
+  const next = scheduleReview(card, grade, now);
+
+  // Only applies if no other review landed since the card was read, so a
+  // double submit cannot schedule from stale state or count twice
+  const updated = await Flashcard.findOneAndUpdate(
+    { _id: card._id, user_id: user._id, review_count: card.review_count, suspended: false },
+    {
+      $set: {
+        ease_factor: next.ease_factor,
+        interval_days: next.interval_days,
+        repetitions: next.repetitions,
+        due_at: next.due_at,
+        last_reviewed_at: now,
+        last_grade: grade,
+      },
+      $inc: { review_count: 1, lapses: next.lapsed ? 1 : 0 },
+    },
+    { new: true }
+  );
+  if (!updated) throw new ConflictError('Card was changed by another review, reload it and try again');
+
+  const review = await ReviewLog.create({
+    card_id: card._id,
+    user_id: user._id,
+    grade,
+    reviewed_at: now,
+    duration_ms: durationMs,
+    previous_interval_days: previousInterval,
+    interval_days: next.interval_days,
+    ease_factor: next.ease_factor,
+    due_at: next.due_at,
+  });
+
+  // Keep the highlight's own review counters in step
+  if (updated.source?.type === 'highlight' && updated.source.id) {
+    const highlight = await Highlight.findOne({ _id: updated.source.id, user_id: user._id });
+    if (highlight) await highlight.markReviewed();
+  }
+
+  return { card: updated, review };
+};
+
+/**
+ * Cards due for review now, most overdue first
+ */
+export const getDueCards = async (user, { limit = 20, materialId, now = new Date() } = {}) => {
+  const query = { user_id: user._id, suspended: false, due_at: { $lte: now } };
+  if (materialId) query.material_id = materialId;
+
+  const [cards, total] = await Promise.all([
+    Flashcard.find(query).sort({ due_at: 1 }).limit(limit),
+    Flashcard.countDocuments(query),
+  ]);
+  return { cards, total };
+};
+
+export const getCardHistory = async (cardId, user) => {
+  const card = await getCard(cardId, user);
+  const reviews = await ReviewLog.find({ card_id: card._id }).sort({ reviewed_at: -1 }).lean();
+  return { card, reviews };
+};
+
+export const deleteCardHistory = (cardId) => ReviewLog.deleteMany({ card_id: cardId });
+
+// ======================= CARDS FROM HIGHLIGHTS / ANNOTATIONS =======================
+
+const excerpt = (text, words) => {
+  const parts = text.trim().split(/\s+/);
+  return parts.length > words ? `${parts.slice(0, words).join(' ')}…` : parts.join(' ');
+};
+
+// "Osmosis is the movement of…" → { term: 'Osmosis', definition: 'the movement of…' }
+const splitDefinition = (text) => {
+  const match = text.match(/^(.{2,80}?)\s*(?:\s(?:is|are|refers to|means)\s|:\s|\s[-–—]\s)\s*([\s\S]+)$/i);
+  if (!match || match[1].split(/\s+/).length > 8) return null;
+  return { term: match[1].trim(), definition: match[2].trim() };
+};
+
+/**
+ * Source of a card, in the shape both the templates and the LLM work from
+ */
+const describeHighlight = (h) => ({
+  source: { type: 'highlight', id: h._id },
+  kind: h.category === 'formula' || h.ai_category === 'formula' ? 'formula' : 'definition',
+  text: h.text,
+  note: h.notes || '',
+  context: h.surrounding_text || '',
+  page_number: h.page_number,
+  material_id: h.material_id || null,
+  session_id: h.session_id,
+  tags: h.tags || [],
+});
+
+const describeAnnotation = (a) => ({
+  source: { type: 'annotation', id: a._id },
+  kind: a.type === 'question' ? 'question' : 'definition',
+  text: a.content,
+  note: '',
+  context: a.surrounding_text || '',
+  page_number: a.page_number,
+  material_id: a.material_id || null,
+  session_id: a.session_id,
+  tags: a.tags || [],
+});
+
+/**
+ * Front and back of a card without AI
+ */
+export const buildTemplateCard = (item) => {
+  const page = item.page_number ? ` (page ${item.page_number})` : '';
+
+  if (item.kind === 'question') {
+    return {
+      front: item.text,
+      back: item.context ? `From page ${item.page_number}: ${item.context}` : `Look for the answer on page ${item.page_number}.`,
+    };
+  }
+
+  if (item.kind === 'formula') {
+    return {
+      front: item.note ? `Write down the formula: ${item.note}` : `Write down the formula${page} that starts "${excerpt(item.text, 3)}"`,
+      back: item.text,
+    };
+  }
+
+  const parts = splitDefinition(item.text);
+  if (parts) return { front: `What is ${parts.term}?`, back: item.text };
+  return {
+    front: item.note ? `Define: ${item.note}` : `Recall the definition${page} that starts "${excerpt(item.text, 5)}"`,
+    back: item.text,
+  };
+};
+
+const validateGeneratedCards = (count) => (data) => {
+  const cards = Array.isArray(data) ? data : data?.cards;
+  if (!Array.isArray(cards)) throw new Error('expected { cards: [...] }');
+  return cards
+    .filter(c => Number.isInteger(c?.ref) && c.ref >= 0 && c.ref < count)
+    .map(c => {
+      if (typeof c.front !== 'string' || !c.front.trim() || typeof c.back !== 'string' || !c.back.trim()) {
+        throw new Error(`card ${c.ref} needs a front and a back`);
+      }
+      return { ref: c.ref, front: c.front.trim().slice(0, 1000), back: c.back.trim().slice(0, 5000) };
+    });
+};
+
+const CARD_PROMPT = `You write flashcards for a student from passages they highlighted or notes they took while studying.
+For each item write one card: a clear question on the front and a short, complete answer on the back.
+For "question" items the front is the student's question and the back answers it from the context.
+Never put the answer on the front. Reply with JSON: { "cards": [{ "ref": <item ref>, "front": "...", "back": "..." }] }`;
+
+/**
+ * AI-written cards for a batch of sources; items the model skipped get template cards
+ */
+const generateAICards = async (items) => {
+  const refs = items.map((item, ref) => ({
+    ref,
+    kind: item.kind,
+    text: item.text.slice(0, 1500),
+    note: item.note || undefined,
+    context: item.context ? item.context.slice(0, 600) : undefined,
+  }));
+
+  const { data } = await llmGateway.completeJSON(FEATURES.FLASHCARDS, [
+    { role: 'system', content: CARD_PROMPT },
+    { role: 'user', content: JSON.stringify({ items: refs }) },
+  ], {
+    maxTokens: 2000,
+    validate: validateGeneratedCards(items.length),
+    stub: { cards: items.map((item, ref) => ({ ref, ...buildTemplateCard(item) })) },
+  });
+
+  const byRef = new Map(data.map(c => [c.ref, c]));
+  return items.map((item, ref) => (byRef.has(ref)
+    ? { ...item, front: byRef.get(ref).front, back: byRef.get(ref).back, generated_by: 'ai' }
+    : { ...item, ...buildTemplateCard(item), generated_by: 'template' }));
+};
+
+const buildCards = async (items, useAI) => {
+  if (!useAI || !llmGateway.isAvailable(FEATURES.FLASHCARDS)) {
+    return items.map(item => ({ ...item, ...buildTemplateCard(item), generated_by: 'template' }));
+  }
+
+  const cards = [];
+  for (let i = 0; i < items.length; i += AI_BATCH_SIZE) {
+    const batch = items.slice(i, i + AI_BATCH_SIZE);
+    try {
+      cards.push(...await generateAICards(batch));
+    } catch (error) {
+      console.warn('⚠️ AI flashcard generation failed, using templates:', error.message);
+      cards.push(...batch.map(item => ({ ...item, ...buildTemplateCard(item), generated_by: 'template' })));
+    }
+  }
+  return cards;
+};
+
+/**
+ * Make cards from the user's highlights and annotations. Without explicit ids,
+ * every eligible highlight (definition/formula) and annotation (question/definition)
+ * of the session or material is used. Sources that already have a card are skipped.
+ * @returns {Promise<{ created: object[], skipped: number }>}
+ */
+export const createCardsFromSources = async (user, {
+  highlightIds, annotationIds, sessionId, materialId, useAI = false,
+} = {}) => {
+  const explicit = Boolean(highlightIds?.length || annotationIds?.length);
+  if (!explicit && !sessionId && !materialId) {
+    throw new ValidationError('Provide highlight_ids, annotation_ids, session_id or material_id');
+  }
+
+  const scope = { user_id: user._id };
+  if (sessionId) scope.session_id = sessionId;
+  if (materialId) scope.material_id = materialId;
+
+  const highlightQuery = explicit
+    ? { ...scope, _id: { $in: highlightIds || [] } }
+    : { ...scope, $or: [{ category: { $in: HIGHLIGHT_CARD_CATEGORIES } }, { ai_category: { $in: HIGHLIGHT_CARD_CATEGORIES } }] };
+  const annotationQuery = explicit
+    ? { ...scope, _id: { $in: annotationIds || [] } }
+    : { ...scope, type: { $in: ANNOTATION_CARD_TYPES } };
+
+  const [highlights, annotations] = await Promise.all([
+    Highlight.find(highlightQuery).sort({ created_at: 1 }).limit(MAX_SOURCES_PER_REQUEST).lean(),
+    Annotation.find(annotationQuery).sort({ createdAt: 1 }).limit(MAX_SOURCES_PER_REQUEST).lean(),
+  ]);
+
+  const sources = [...highlights.map(describeHighlight), ...annotations.map(describeAnnotation)]
+    .slice(0, MAX_SOURCES_PER_REQUEST);
+
+  const existing = await Flashcard.find({
+    user_id: user._id,
+    'source.id': { $in: sources.map(s => s.source.id) },
+  }).select('source').lean();
+  const existingKeys = new Set(existing.map(c => `${c.source.type}:${c.source.id}`));
+  const fresh = sources.filter(s => !existingKeys.has(`${s.source.type}:${s.source.id}`));
+
+  if (fresh.length === 0) return { created: [], skipped: sources.length };
+
+  const cards = await buildCards(fresh, useAI);
+  let created;
+  try {
+    created = await Flashcard.insertMany(cards.map(card => ({
+      user_id: user._id,
+      source: card.source,
+      material_id: card.material_id,
+      session_id: card.session_id,
+      page_number: card.page_number,
+      front: card.front,
+      back: card.back,
+      generated_by: card.generated_by,
+      tags: card.tags,
+    })), { ordered: false });
+  } catch (error) {
+    // A concurrent request made some of the same cards first
+    if (error.code !== 11000) throw error;
+    created = error.insertedDocs || [];
+  }
+
+  return { created, skipped: sources.length - created.length };
+};
+
+// ======================= STATS =======================
+
+/**
+ * Card counts, upcoming workload and retention over the last `days` days
+ */
+export const getReviewStats = async (user, { days = 30, now = new Date() } = {}) => {
+  const timeZone = await getUserTimeZone(user._id);
+  const today = getLocalParts(now, timeZone).dateKey;
+  const endOfToday = zonedTimeToUtc(addDaysToKey(today, 1), '00:00', timeZone);
+  const since = zonedTimeToUtc(addDaysToKey(today, -(days - 1)), '00:00', timeZone);
+
+  const [cards, reviews] = await Promise.all([
+    Flashcard.find({ user_id: user._id })
+      .select('suspended due_at review_count interval_days repetitions ease_factor')
+      .lean(),
+    ReviewLog.find({ user_id: user._id, reviewed_at: { $gte: since } })
+      .select('grade reviewed_at previous_interval_days duration_ms')
+      .lean(),
+  ]);
+
+  const active = cards.filter(c => !c.suspended);
+  const stages = { new: 0, learning: 0, young: 0, mature: 0 };
+  active.forEach(c => { stages[Flashcard.getStage(c)]++; });
+
+  const retention = (list) => (list.length
+    ? Math.round((list.filter(r => r.grade >= PASSING_GRADE).length / list.length) * 1000) / 10
+    : null);
+  const matureReviews = reviews.filter(r => r.previous_interval_days >= MATURE_INTERVAL_DAYS);
+
+  const daily = {};
+  for (let i = days - 1; i >= 0; i--) daily[addDaysToKey(today, -i)] = { reviews: 0, correct: 0 };
+  reviews.forEach(r => {
+    const day = daily[getLocalParts(r.reviewed_at, timeZone).dateKey];
+    if (!day) return;
+    day.reviews++;
+    if (r.grade >= PASSING_GRADE) day.correct++;
+  });
+
+  const timed = reviews.filter(r => r.duration_ms);
+  return {
+    timezone: timeZone,
+    days,
+    cards: {
+      total: cards.length,
+      suspended: cards.length - active.length,
+      ...stages,
+      due_now: active.filter(c => c.due_at <= now).length,
+      due_today: active.filter(c => c.due_at < endOfToday).length,
+      average_ease: active.length
+        ? Math.round((active.reduce((s, c) => s + c.ease_factor, 0) / active.length) * 100) / 100
+        : null,
+    },
+    reviews: {
+      total: reviews.length,
+      retention_rate: retention(reviews),
+      mature_retention_rate: retention(matureReviews),
+      average_seconds: timed.length
+        ? Math.round(timed.reduce((s, r) => s + r.duration_ms, 0) / timed.length / 100) / 10
+        : null,
+      daily: Object.entries(daily).map(([date, d]) => ({ date, ...d })),
+    },
+  };
+};
+
+const reviewService = {
+  PASSING_GRADE,
+  MATURE_INTERVAL_DAYS,
+  MAX_SOURCES_PER_REQUEST,
+  scheduleReview,
+  getCard,
+  createManualCard,
+  gradeCard,
+  getDueCards,
+  getCardHistory,
+  deleteCardHistory,
+  buildTemplateCard,
+  createCardsFromSources,
+  getReviewStats,
+};
+
+export default reviewService;
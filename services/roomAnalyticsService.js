@@ -0,0 +1,254 @@
+/**
+ * FILE PATH: backend/services/roomAnalyticsService.js
+ * Teacher dashboard for a room (GET /api/rooms/:id/dashboard).
+ *
+ * For every student of the room: study time and sessions, engagement,
+ * presence and distraction rates (from Metric), last activity, how much of
+ * the room's PDF they have opened, and their highlights / annotations — all
+ * within a date range. Students whose engagement fell from one week to the
+ * next are flagged as at risk.
+ */
+
+import Session from '../models/Session.js';
+import Metric from '../models/Metric.js';
+import Highlight from '../models/Highlight.js';
+import Annotation from '../models/Annotation.js';
+import Material from '../models/Material.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_RANGE_DAYS = 30;
+// Engagement drop (points, last 7 days vs the 7 before) that flags a student
+const AT_RISK_ENGAGEMENT_DROP = parseInt(process.env.AT_RISK_ENGAGEMENT_DROP) || 10;
+// Datapoints needed in each week before the trend is trusted
+const AT_RISK_MIN_DATAPOINTS = parseInt(process.env.AT_RISK_MIN_DATAPOINTS) || 20;
+
+export const SORT_FIELDS = {
+  name: s => s.name.toLowerCase(),
+  total_time: s => s.total_time_seconds,
+  sessions: s => s.session_count,
+  engagement: s => s.avg_engagement ?? -1,
+  presence: s => s.presence_rate ?? -1,
+  distraction: s => s.distraction_rate ?? -1,
+  last_active: s => (s.last_active_at ? s.last_active_at.getTime() : 0),
+  coverage: s => s.page_coverage ?? -1,
+  highlights: s => s.highlight_count,
+  annotations: s => s.annotation_count,
+  trend: s => s.engagement_trend?.change ?? 0,
+};
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const sessionSeconds = (session, now) => {
+  if (session.is_active) return Math.max(0, Math.floor((now - session.start_time) / 1000));
+  return session.duration_seconds || 0;
+};
+
+/**
+ * Pages a session opened: page changes (from / to / page) and pages highlighted
+ */
+const pagesOfSession = (session) => {
+  const pages = new Set();
+  (session.interactions || []).forEach(i => {
+    if (i.type !== 'page_change' && i.type !== 'page_turn') return;
+    [i.data?.page, i.data?.from, i.data?.to].forEach(value => {
+      const page = parseInt(value);
+      if (Number.isInteger(page) && page > 0) pages.add(page);
+    });
+  });
+  return pages;
+};
+
+// ======================= AGGREGATIONS =======================
+
+/**
+ * Engagement, presence and distraction per student over the given sessions
+ */
+const aggregateMetrics = (sessionIds, from, to) => Metric.aggregate([
+  { $match: { session_id: { $in: sessionIds }, timestamp: { $gte: from, $lte: to } } },
+  {
+    $group: {
+      _id: '$user_id',
+      avg_engagement: { $avg: '$engagement_score' },
+      present: { $sum: { $cond: ['$presence.detected', 1, 0] } },
+      distracted: { $sum: { $cond: ['$distraction.detected', 1, 0] } },
+      datapoints: { $sum: 1 },
+      last_metric_at: { $max: '$timestamp' }
+    }
+  }
+]);
+
+/**
+ * Average engagement per student in the 7 days before `to` and the 7 before that
+ */
+const aggregateWeeklyEngagement = (sessionIds, to) => {
+  const weekStart = new Date(to.getTime() - 7 * DAY_MS);
+  return Metric.aggregate([
+    { $match: { session_id: { $in: sessionIds }, timestamp: { $gte: new Date(to.getTime() - 14 * DAY_MS), $lte: to } } },
+    {
+      $group: {
+        _id: {
+          user_id: '$user_id',
+          week: { $cond: [{ $gte: ['$timestamp', weekStart] }, 'current', 'previous'] }
+        },
+        avg_engagement: { $avg: '$engagement_score' },
+        datapoints: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+const countByUser = (Model, sessionIds) => Model.aggregate([
+  { $match: { session_id: { $in: sessionIds } } },
+  { $group: { _id: '$user_id', count: { $sum: 1 }, pages: { $addToSet: '$page_number' } } }
+]);
+
+/**
+ * Week-over-week engagement of one student, and whether it flags them
+ */
+export const assessTrend = (current, previous) => {
+  if (!current || !previous) return { current: current?.avg_engagement ?? null, previous: previous?.avg_engagement ?? null, change: null, at_risk: false };
+
+  const change = current.avg_engagement - previous.avg_engagement;
+  const enoughData = current.datapoints >= AT_RISK_MIN_DATAPOINTS && previous.datapoints >= AT_RISK_MIN_DATAPOINTS;
+  return {
+    current: round(current.avg_engagement),
+    previous: round(previous.avg_engagement),
+    change: round(change),
+    at_risk: enoughData && change <= -AT_RISK_ENGAGEMENT_DROP
+  };
+};
+
+// ======================= DASHBOARD =======================
+
+/**
+ * Dashboard of a room between `from` and `to` (default: the last 30 days)
+ * @param {object} room Room document (allowed_students populated with name / email)
+ * @param {object} [options]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {string} [options.sort] One of SORT_FIELDS (default: name)
+ * @param {string} [options.order] asc | desc (default: asc for name, desc otherwise)
+ * @param {boolean} [options.atRiskOnly]
+ */
+export const getRoomDashboard = async (room, { from, to, sort = 'name', order, atRiskOnly = false } = {}) => {
+  const now = new Date();
+  to = to || now;
+  from = from || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  // Sessions of the range, plus the two weeks before `to` for the trend
+  const trendFrom = new Date(to.getTime() - 14 * DAY_MS);
+  const sessions = await Session.find({
+    room_id: room._id.toString(),
+    start_time: { $gte: trendFrom < from ? trendFrom : from, $lte: to }
+  })
+    .select('student_id start_time end_time duration_seconds is_active interactions.type interactions.data')
+    .lean();
+
+  const inRange = sessions.filter(s => s.start_time >= from);
+  const rangeIds = inRange.map(s => s._id);
+  const trendIds = sessions.filter(s => s.start_time >= trendFrom).map(s => s._id);
+
+  const [metrics, weekly, highlights, annotations, material] = await Promise.all([
+    aggregateMetrics(rangeIds, from, to),
+    aggregateWeeklyEngagement(trendIds, to),
+    countByUser(Highlight, rangeIds),
+    countByUser(Annotation, rangeIds),
+    room.material_id ? Material.findById(room.material_id).select('page_count').lean() : null
+  ]);
+  const pageCount = material?.page_count || null;
+
+  const byUser = (rows) => new Map(rows.map(row => [row._id.toString(), row]));
+  const metricsByUser = byUser(metrics);
+  const highlightsByUser = byUser(highlights);
+  const annotationsByUser = byUser(annotations);
+  const weeksByUser = new Map();
+  weekly.forEach(row => {
+    const id = row._id.user_id.toString();
+    weeksByUser.set(id, { ...weeksByUser.get(id), [row._id.week]: row });
+  });
+
+  let students = room.allowed_students.map(student => {
+    const id = student._id.toString();
+    const own = inRange.filter(s => s.student_id === id);
+    const m = metricsByUser.get(id);
+    const h = highlightsByUser.get(id);
+    const a = annotationsByUser.get(id);
+
+    const pages = new Set();
+    own.forEach(s => pagesOfSession(s).forEach(p => pages.add(p)));
+    (h?.pages || []).forEach(p => p && pages.add(p));
+    const pagesViewed = pageCount ? [...pages].filter(p => p <= pageCount).length : pages.size;
+
+    const lastActive = own.reduce((latest, s) => {
+      const at = s.is_active ? now : (s.end_time || s.start_time);
+      return !latest || at > latest ? at : latest;
+    }, null);
+
+    const weeks = weeksByUser.get(id) || {};
+    return {
+      student_id: id,
+      name: student.name,
+      email: student.email,
+      session_count: own.length,
+      total_time_seconds: own.reduce((sum, s) => sum + sessionSeconds(s, now), 0),
+      avg_engagement: m ? round(m.avg_engagement) : null,
+      presence_rate: m ? round((m.present / m.datapoints) * 100) : null,
+      distraction_rate: m ? round((m.distracted / m.datapoints) * 100) : null,
+      last_active_at: lastActive,
+      is_studying: own.some(s => s.is_active),
+      pages_viewed: pagesViewed,
+      page_coverage: pageCount ? round((pagesViewed / pageCount) * 100) : null,
+      highlight_count: h?.count || 0,
+      annotation_count: a?.count || 0,
+      engagement_trend: assessTrend(weeks.current, weeks.previous)
+    };
+  });
+
+  const summary = {
+    student_count: students.length,
+    active_students: students.filter(s => s.session_count > 0).length,
+    session_count: inRange.length,
+    total_time_seconds: students.reduce((sum, s) => sum + s.total_time_seconds, 0),
+    avg_session_seconds: inRange.length
+      ? Math.round(inRange.reduce((sum, s) => sum + sessionSeconds(s, now), 0) / inRange.length)
+      : 0,
+    avg_engagement: (() => {
+      const total = metrics.reduce((sum, m) => sum + m.datapoints, 0);
+      return total ? round(metrics.reduce((sum, m) => sum + m.avg_engagement * m.datapoints, 0) / total) : null;
+    })(),
+    avg_page_coverage: pageCount && students.length
+      ? round(students.reduce((sum, s) => sum + s.page_coverage, 0) / students.length)
+      : null,
+    at_risk_count: students.filter(s => s.engagement_trend.at_risk).length,
+    last_session_at: inRange.reduce((latest, s) => (!latest || s.start_time > latest ? s.start_time : latest), null)
+  };
+
+  if (atRiskOnly) students = students.filter(s => s.engagement_trend.at_risk);
+
+  const key = SORT_FIELDS[sort] || SORT_FIELDS.name;
+  const direction = (order || (sort === 'name' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+  students.sort((a, b) => {
+    const x = key(a);
+    const y = key(b);
+    return (x < y ? -1 : x > y ? 1 : 0) * direction;
+  });
+
+  return {
+    room: { id: room._id, title: room.title, subject: room.subject, page_count: pageCount },
+    range: { from, to },
+    summary,
+    students
+  };
+};
+
+const roomAnalyticsService = {
+  SORT_FIELDS,
+  DEFAULT_RANGE_DAYS,
+  assessTrend,
+  getRoomDashboard,
+};
+
+export default roomAnalyticsService;
@@ -0,0 +1,270 @@
+/**
+ * FILE PATH: backend/services/routineCreditService.js
+ * Routine progress from completed sessions.
+ *
+ * A session started for a routine subject (Session.routine_id / subject_id)
+ * credits only the time the student was actually present, measured from the
+ * session's presence samples (Metric documents and webcam interactions),
+ * minus breaks. Credit is written per study day (in the student's timezone)
+ * to the RoutineCredit ledger, and routine / subject totals are rebuilt from
+ * that ledger, so re-crediting or deleting a session reverses it exactly.
+ */
+
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import Routine from '../models/Routine.js';
+import Metric from '../models/Metric.js';
+import RoutineCredit from '../models/RoutineCredit.js';
+import UserPreferences from '../models/UserPreferences.js';
+import { getLocalParts } from '../utils/timezone.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+
+// A presence sample covers at most this long; longer gaps in the data are not credited
+const MAX_SAMPLE_GAP_MS = parseInt(process.env.ROUTINE_CREDIT_MAX_SAMPLE_GAP_MS) || 60 * 1000;
+// Without any presence data, credit the session length minus breaks instead of nothing
+const FALLBACK_TO_DURATION = process.env.ROUTINE_CREDIT_FALLBACK_TO_DURATION === 'true';
+
+const PRESENCE_INTERACTIONS = ['webcam', 'face_metric'];
+
+// ======================= MEASUREMENT =======================
+
+/**
+ * Break periods from break_start / break_end interactions.
+ * An unmatched break_start lasts until the session end.
+ */
+const getBreakIntervals = (session, end) => {
+  const events = session.interactions
+    .filter(i => i.type === 'break_start' || i.type === 'break_end')
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const breaks = [];
+  let openedAt = null;
+  events.forEach(event => {
+    if (event.type === 'break_start' && !openedAt) openedAt = event.timestamp.getTime();
+    if (event.type === 'break_end' && openedAt) {
+      breaks.push([openedAt, event.timestamp.getTime()]);
+      openedAt = null;
+    }
+  });
+  if (openedAt) breaks.push([openedAt, end]);
+  return breaks;
+};
+
+/**
+ * Presence samples ({ t, present }) from Metric documents and webcam interactions
+ */
+const getPresenceSamples = async (session) => {
+  const metrics = await Metric.find({ session_id: session._id })
+    .select('timestamp presence.detected')
+    .lean();
+
+  const samples = metrics.map(m => ({ t: new Date(m.timestamp).getTime(), present: !!m.presence?.detected }));
+
+  session.interactions
+    .filter(i => PRESENCE_INTERACTIONS.includes(i.type))
+    .forEach(i => {
+      const data = i.data || {};
+      samples.push({ t: i.timestamp.getTime(), present: !!(data.faceDetected ?? data.presence ?? true) });
+    });
+
+  return samples.sort((a, b) => a.t - b.t);
+};
+
+/**
+ * Cut the break periods out of [from, to]
+ */
+const subtractBreaks = ([from, to], breaks) => {
+  let pieces = [[from, to]];
+  breaks.forEach(([bStart, bEnd]) => {
+    pieces = pieces.flatMap(([a, b]) => {
+      if (bEnd <= a || bStart >= b) return [[a, b]];
+      const rest = [];
+      if (bStart > a) rest.push([a, bStart]);
+      if (bEnd < b) rest.push([bEnd, b]);
+      return rest;
+    });
+  });
+  return pieces;
+};
+
+/**
+ * Present, non-break time of an ended session, grouped by study day.
+ * @returns {Promise<{ source: 'metrics'|'duration', days: { date: string, seconds: number, studied_at: Date }[] }>}
+ */
+export const measureActiveTime = async (session, timeZone) => {
+  const start = session.start_time.getTime();
+  const end = (session.end_time || new Date(start + session.duration_seconds * 1000)).getTime();
+  const breaks = getBreakIntervals(session, end);
+  const samples = (await getPresenceSamples(session)).filter(s => s.t < end);
+
+  let source = 'metrics';
+  let intervals = [];
+
+  if (samples.length > 0) {
+    samples.forEach((sample, index) => {
+      if (!sample.present) return;
+      const next = samples[index + 1]?.t ?? end;
+      const from = Math.max(sample.t, start);
+      const to = Math.min(next, sample.t + MAX_SAMPLE_GAP_MS, end);
+      if (to > from) intervals.push([from, to]);
+    });
+  } else if (FALLBACK_TO_DURATION) {
+    source = 'duration';
+    // Chunked so each piece can be attributed to the day it started on
+    for (let from = start; from < end; from += MAX_SAMPLE_GAP_MS) {
+      intervals.push([from, Math.min(from + MAX_SAMPLE_GAP_MS, end)]);
+    }
+  }
+
+  const byDay = new Map();
+  intervals
+    .flatMap(interval => subtractBreaks(interval, breaks))
+    .forEach(([from, to]) => {
+      const date = getLocalParts(from, timeZone).dateKey;
+      const day = byDay.get(date) || { date, ms: 0, studied_at: 0 };
+      day.ms += to - from;
+      day.studied_at = Math.max(day.studied_at, to);
+      byDay.set(date, day);
+    });
+
+  const days = [...byDay.values()]
+    .map(day => ({ date: day.date, seconds: Math.round(day.ms / 1000), studied_at: new Date(day.studied_at) }))
+    .filter(day => day.seconds > 0);
+
+  return { source, days };
+};
+
+// ======================= LEDGER =======================
+
+/**
+ * Rebuild subject hours and session counts of a routine from the ledger
+ */
+export const recalculateRoutine = async (routineId) => {
+  const routine = await Routine.findById(routineId);
+  if (!routine) return null;
+
+  const [totals, totalSessions] = await Promise.all([
+    RoutineCredit.getSubjectTotals(routine._id),
+    Session.countDocuments({ routine_id: routine._id })
+  ]);
+
+  routine.applyCreditTotals(totals, totalSessions);
+  await routine.save();
+  return routine;
+};
+
+const recalculateRoutines = async (routineIds) => {
+  const unique = [...new Set(routineIds.filter(Boolean).map(id => id.toString()))];
+  for (const routineId of unique) {
+    await recalculateRoutine(routineId);
+  }
+};
+
+/**
+ * (Re)credit an ended session to its routine subject. Replaces any previous
+ * ledger entries of the session, so it is safe to run again after a fix.
+ * @returns {Promise<{ routine_id: object|null, subject_id: object|null, source?: string, seconds: number, days: object[] }>}
+ */
+export const creditSession = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  if (!session) return removeSessionCredit(sessionId);
+
+  const previousRoutines = await RoutineCredit.distinct('routine_id', { session_id: session._id });
+  await RoutineCredit.deleteMany({ session_id: session._id });
+
+  const result = { routine_id: session.routine_id, subject_id: session.subject_id, seconds: 0, days: [] };
+
+  const routine = !session.is_active && session.routine_id
+    ? await Routine.findOne({ _id: session.routine_id, student_id: session.student_id })
+    : null;
+  const subject = routine?.subjects.id(session.subject_id);
+
+  if (subject) {
+    const preferences = await UserPreferences.findOne({ user_id: session.student_id })
+      .select('localization.timezone')
+      .lean();
+    const { source, days } = await measureActiveTime(session, preferences?.localization?.timezone);
+
+    if (days.length > 0) {
+      await RoutineCredit.insertMany(days.map(day => ({
+        routine_id: routine._id,
+        subject_id: subject._id,
+        student_id: session.student_id,
+        session_id: session._id,
+        source,
+        ...day
+      })));
+    }
+
+    result.source = source;
+    result.days = days;
+    result.seconds = days.reduce((sum, day) => sum + day.seconds, 0);
+  }
+
+  await recalculateRoutines([...previousRoutines, session.routine_id]);
+  return result;
+};
+
+/**
+ * Remove all credit of a session (e.g. after it was deleted)
+ */
+export const removeSessionCredit = async (sessionId) => {
+  const routineIds = await RoutineCredit.distinct('routine_id', { session_id: sessionId });
+  await RoutineCredit.deleteMany({ session_id: sessionId });
+  await recalculateRoutines(routineIds);
+  return { routine_id: null, subject_id: null, seconds: 0, days: [] };
+};
+
+// ======================= SESSION LINKING =======================
+
+/**
+ * Work out which routine subject a new session studies.
+ *
+ * - routineId (+ subjectId or a materialId used by one of its subjects): that subject
+ * - only materialId: the subject of the student's active routines using that PDF, if exactly one
+ *
+ * @returns {Promise<{ routine: object, subject: object }|null>}
+ * @throws {ValidationError|NotFoundError}
+ */
+export const resolveRoutineSubject = async ({ studentId, routineId, subjectId, materialId }) => {
+  const { isValid } = mongoose.Types.ObjectId;
+
+  if (routineId) {
+    if (!isValid(routineId) || (subjectId && !isValid(subjectId))) {
+      throw new ValidationError('Invalid routine_id or subject_id');
+    }
+
+    const routine = await Routine.findOne({ _id: routineId, student_id: studentId });
+    if (!routine) throw new NotFoundError('Routine');
+
+    const subject = subjectId
+      ? routine.subjects.id(subjectId)
+      : materialId && routine.subjects.find(s => s.material_id?.toString() === materialId.toString());
+    if (!subject) throw new ValidationError('subject_id must name a subject of this routine');
+
+    return { routine, subject };
+  }
+
+  if (!materialId || !isValid(materialId)) return null;
+
+  const routines = await Routine.find({
+    student_id: studentId,
+    status: 'active',
+    'subjects.material_id': materialId
+  });
+  const matches = routines.flatMap(routine => routine.subjects
+    .filter(s => s.material_id?.toString() === materialId.toString())
+    .map(subject => ({ routine, subject })));
+
+  return matches.length === 1 ? matches[0] : null;
+};
+
+const routineCreditService = {
+  measureActiveTime,
+  recalculateRoutine,
+  creditSession,
+  removeSessionCredit,
+  resolveRoutineSubject,
+};
+
+export default routineCreditService;
@@ -0,0 +1,212 @@
+/**
+ * FILE PATH: backend/services/scheduleService.js
+ * Recurring routine scheduler.
+ *
+ * Expands routines (type, days_of_week, times, start/end dates) into concrete
+ * occurrences in the student's localization.timezone and matches them against
+ * the sessions actually studied, marking each slot attended, partial or missed.
+ *
+ * Recurrence by routine type:
+ * - daily:   every day
+ * - weekly / custom: the weekdays in days_of_week
+ * - monthly: the day of month of start_date (last day in shorter months)
+ */
+
+import Routine from '../models/Routine.js';
+import Session from '../models/Session.js';
+import UserPreferences from '../models/UserPreferences.js';
+import {
+  getLocalParts,
+  zonedTimeToUtc,
+  addDaysToKey,
+  getWeekdayOfKey,
+  daysInMonth,
+  resolveTimeZone
+} from '../utils/timezone.js';
+
+// Share of a slot that must be covered by sessions for it to count as attended
+const ATTENDED_RATIO = parseFloat(process.env.ROUTINE_ATTENDED_RATIO) || 0.8;
+// Less overlap than this is treated as not having studied in the slot at all
+const MIN_PARTIAL_SECONDS = 60;
+
+export const MAX_CALENDAR_DAYS = 92;
+
+// Routines in these states have no scheduled slots
+export const UNSCHEDULED_STATUSES = ['draft', 'paused', 'cancelled'];
+
+/**
+ * Does the routine recur on this local date?
+ */
+const occursOn = (routine, dateKey, timeZone) => {
+  switch (routine.type) {
+    case 'daily':
+      return true;
+    case 'monthly': {
+      const start = getLocalParts(routine.start_date, timeZone);
+      const [year, month, day] = dateKey.split('-').map(Number);
+      return day === Math.min(start.day, daysInMonth(year, month));
+    }
+    case 'weekly':
+    case 'custom':
+    default:
+      return (routine.days_of_week || []).includes(getWeekdayOfKey(dateKey));
+  }
+};
+
+/**
+ * Concrete slots of one routine between two local dates (inclusive)
+ * @param {object} routine
+ * @param {string} fromKey YYYY-MM-DD
+ * @param {string} toKey YYYY-MM-DD
+ * @param {string} timeZone
+ * @returns {{ routine_id: object, title: string, date: string, start: Date, end: Date, duration_minutes: number }[]}
+ */
+export const expandRoutine = (routine, fromKey, toKey, timeZone) => {
+  if (!routine.times?.start || !routine.times?.end) return [];
+
+  const startKey = getLocalParts(routine.start_date, timeZone).dateKey;
+  const endKey = getLocalParts(routine.end_date, timeZone).dateKey;
+  const first = fromKey > startKey ? fromKey : startKey;
+  const last = toKey < endKey ? toKey : endKey;
+
+  // Slots ending at or before their start time run past midnight
+  const overnight = routine.times.end <= routine.times.start;
+
+  const occurrences = [];
+  for (let dateKey = first; dateKey <= last; dateKey = addDaysToKey(dateKey, 1)) {
+    if (!occursOn(routine, dateKey, timeZone)) continue;
+
+    const start = zonedTimeToUtc(dateKey, routine.times.start, timeZone);
+    const end = zonedTimeToUtc(overnight ? addDaysToKey(dateKey, 1) : dateKey, routine.times.end, timeZone);
+
+    occurrences.push({
+      routine_id: routine._id,
+      title: routine.title,
+      date: dateKey,
+      start,
+      end,
+      duration_minutes: Math.round((end - start) / 60000)
+    });
+  }
+  return occurrences;
+};
+
+/**
+ * Seconds of [start, end] covered by the given sessions (overlaps counted once)
+ */
+const coveredSeconds = (start, end, sessions, now) => {
+  const intervals = sessions
+    .map(s => [
+      Math.max(start.getTime(), s.start_time.getTime()),
+      Math.min(end.getTime(), (s.end_time || now).getTime())
+    ])
+    .filter(([a, b]) => b > a)
+    .sort((x, y) => x[0] - y[0]);
+
+  let total = 0;
+  let reached = 0;
+  intervals.forEach(([a, b]) => {
+    const from = Math.max(a, reached);
+    if (b > from) total += b - from;
+    reached = Math.max(reached, b);
+  });
+  return Math.round(total / 1000);
+};
+
+/**
+ * Mark an occurrence as upcoming, in_progress, attended, partial or missed
+ */
+export const matchOccurrence = (occurrence, sessions, now = new Date()) => {
+  const { start, end } = occurrence;
+  const overlapping = sessions.filter(s => s.start_time < end && (s.end_time || now) > start);
+  const studiedSeconds = coveredSeconds(start, end, overlapping, now);
+  const slotSeconds = Math.max(1, (end - start) / 1000);
+
+  let status;
+  if (studiedSeconds >= slotSeconds * ATTENDED_RATIO) status = 'attended';
+  else if (now < start) status = 'upcoming';
+  else if (now < end) status = 'in_progress';
+  else if (studiedSeconds >= MIN_PARTIAL_SECONDS) status = 'partial';
+  else status = 'missed';
+
+  return {
+    ...occurrence,
+    status,
+    studied_minutes: Math.round(studiedSeconds / 60),
+    coverage: Math.min(1, Math.round((studiedSeconds / slotSeconds) * 100) / 100),
+    session_ids: overlapping.map(s => s._id)
+  };
+};
+
+/**
+ * Sessions belonging to a routine: linked to it, or studying one of its subject PDFs
+ */
+const sessionsForRoutine = (routine, sessions) => {
+  const materialIds = new Set(routine.subjects
+    .filter(s => s.material_id)
+    .map(s => s.material_id.toString()));
+
+  return sessions.filter(s => s.routine_id
+    ? s.routine_id.toString() === routine._id.toString()
+    : s.material_id && materialIds.has(s.material_id.toString()));
+};
+
+export const getUserTimeZone = async (userId) => {
+  const preferences = await UserPreferences.findOne({ user_id: userId })
+    .select('localization.timezone')
+    .lean();
+  return resolveTimeZone(preferences?.localization?.timezone);
+};
+
+/**
+ * All routine occurrences of a student between two local dates, with attendance
+ * @param {string} studentId
+ * @param {string} fromKey YYYY-MM-DD
+ * @param {string} toKey YYYY-MM-DD
+ */
+export const getCalendar = async (studentId, fromKey, toKey, now = new Date()) => {
+  const timeZone = await getUserTimeZone(studentId);
+  const rangeStart = zonedTimeToUtc(fromKey, '00:00', timeZone);
+  const rangeEnd = zonedTimeToUtc(addDaysToKey(toKey, 1), '00:00', timeZone);
+
+  // Routine dates are compared a day wide so a timezone shift cannot drop the edges
+  const routines = await Routine.find({
+    student_id: studentId,
+    status: { $nin: UNSCHEDULED_STATUSES },
+    start_date: { $lte: new Date(rangeEnd.getTime() + 86400000) },
+    end_date: { $gte: new Date(rangeStart.getTime() - 86400000) }
+  }).lean();
+
+  // Overnight slots on the last day can end after rangeEnd
+  const sessions = await Session.find({
+    student_id: studentId,
+    start_time: { $lt: new Date(rangeEnd.getTime() + 86400000) },
+    $or: [{ end_time: { $gt: rangeStart } }, { is_active: true }]
+  })
+    .select('start_time end_time is_active routine_id material_id')
+    .lean();
+
+  const occurrences = routines
+    .flatMap(routine => {
+      const routineSessions = sessionsForRoutine(routine, sessions);
+      return expandRoutine(routine, fromKey, toKey, timeZone)
+        .map(occurrence => matchOccurrence(occurrence, routineSessions, now));
+    })
+    .sort((a, b) => a.start - b.start);
+
+  const summary = { total: occurrences.length, attended: 0, partial: 0, missed: 0, upcoming: 0, in_progress: 0 };
+  occurrences.forEach(o => { summary[o.status]++; });
+
+  return { timezone: timeZone, from: fromKey, to: toKey, summary, occurrences };
+};
+
+const scheduleService = {
+  MAX_CALENDAR_DAYS,
+  UNSCHEDULED_STATUSES,
+  expandRoutine,
+  matchOccurrence,
+  getUserTimeZone,
+  getCalendar,
+};
+
+export default scheduleService;
@@ -0,0 +1,239 @@
+/**
+ * FILE PATH: backend/services/storageService.js
+ * Pluggable file storage for uploaded study materials.
+ *
+ * STORAGE_DRIVER=local (default) keeps files under backend/uploads and hands
+ * out HMAC-signed links to GET /api/materials/file.
+ * STORAGE_DRIVER=s3 talks to any S3-compatible endpoint (AWS, MinIO, R2...)
+ * and hands out presigned GET URLs.
+ *
+ * Every driver exposes the same async interface:
+ *   put(key, sourcePath, { contentType })  move a local (temp) file into storage
+ *   remove(key)                            delete, ignoring missing objects
+ *   exists(key)
+ *   createReadStream(key)
+ *   getSignedUrl(key, { expiresIn, filename })
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import contentDisposition from 'content-disposition';
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl as presign } from '@aws-sdk/s3-request-presigner';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Lifetime of download links
+export const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 5 * 60;
+
+const getUrlSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_ACCESS_SECRET;
+
+const normalizeKey = (key) => {
+  const normalized = path.posix.normalize(key.replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (normalized.startsWith('..')) throw new Error(`Invalid storage key: ${key}`);
+  return normalized;
+};
+
+/**
+ * `inline` Content-Disposition for a download. Names outside Latin-1 get an
+ * ASCII `filename` fallback plus `filename*` (RFC 5987), since a raw header
+ * value cannot carry them.
+ */
+export const inlineDisposition = (filename) => contentDisposition(filename.replace(/"/g, ''), { type: 'inline' });
+
+// =======================================
+// LOCAL DISK DRIVER
+// =======================================
+
+const signLocal = (key, expires) =>
+  crypto.createHmac('sha256', getUrlSecret()).update(`${key}:${expires}`).digest('hex');
+
+/**
+ * Check a local download link produced by getSignedUrl()
+ * @returns {boolean}
+ */
+export const verifyLocalSignature = (key, expires, signature) => {
+  if (!key || !expires || !signature) return false;
+  if (Number(expires) * 1000 < Date.now()) return false;
+
+  const expected = Buffer.from(signLocal(key, expires));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+export const createLocalDriver = ({ root = UPLOADS_DIR, baseUrl = process.env.API_URL || '' } = {}) => {
+  const resolve = (key) => path.join(root, normalizeKey(key));
+
+  return {
+    name: 'local',
+
+    async put(key, sourcePath) {
+      const target = resolve(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fsp.rename(sourcePath, target);
+      } catch (error) {
+        // Temp dir on another device
+        if (error.code !== 'EXDEV') throw error;
+        await fsp.copyFile(sourcePath, target);
+        await fsp.unlink(sourcePath);
+      }
+      return normalizeKey(key);
+    },
+
+    async remove(key) {
+      try {
+        await fsp.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await fsp.access(resolve(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async createReadStream(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async getSignedUrl(key, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) {
+      const normalized = normalizeKey(key);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ key: normalized, expires: String(expires), signature: signLocal(normalized, expires) });
+      return `${baseUrl}/api/materials/file?${params}`;
+    },
+  };
+};
+
+// =======================================
+// S3-COMPATIBLE DRIVER
+// =======================================
+
+export const createS3Driver = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  // MinIO and most self-hosted stores need path-style URLs
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE !== 'false',
+} = {}) => {
+  if (!bucket) throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+
+  // Outside AWS, only send checksums where S3 requires them: the SDK's default
+  // aws-chunked uploads with trailing checksums are not understood by every
+  // S3-compatible store, which then saves the chunk framing as file content
+  const checksums = endpoint ? 'WHEN_REQUIRED' : 'WHEN_SUPPORTED';
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    requestChecksumCalculation: checksums,
+    responseChecksumValidation: checksums,
+  });
+
+  return {
+    name: 's3',
+    client,
+
+    async put(key, sourcePath, { contentType = 'application/pdf' } = {}) {
+      const normalized = normalizeKey(key);
+      const { size } = await fsp.stat(sourcePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: normalized,
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType,
+      }));
+      await fsp.unlink(sourcePath);
+      return normalized;
+    },
+
+    async remove(key) {
+      // DeleteObject succeeds for missing keys
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: normalizeKey(key) }));
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: normalizeKey(key) }));
+        return true;
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 404) return false;
+        throw error;
+      }
+    },
+
+    async createReadStream(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: normalizeKey(key) }));
+      return Body;
+    },
+
+    async getSignedUrl(key, { expiresIn = SIGNED_URL_TTL_SECONDS, filename } = {}) {
+      return presign(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: normalizeKey(key),
+        ResponseContentDisposition: filename ? inlineDisposition(filename) : undefined,
+      }), { expiresIn });
+    },
+  };
+};
+
+// =======================================
+// DRIVER SELECTION
+// =======================================
+
+let storage = null;
+
+/**
+ * Return the configured storage driver (created on first use)
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    storage = driver === 's3' ? createS3Driver() : createLocalDriver();
+    console.log(`📦 Storage driver: ${storage.name}`);
+  }
+  return storage;
+};
+
+/**
+ * Replace the active driver (e.g. to point at a MinIO instance in a script)
+ */
+export const setStorage = (driver) => {
+  storage = driver;
+};
+
+const storageService = {
+  UPLOADS_DIR,
+  SIGNED_URL_TTL_SECONDS,
+  getStorage,
+  setStorage,
+  createLocalDriver,
+  createS3Driver,
+  verifyLocalSignature,
+  inlineDisposition,
+};
+
+export default storageService;
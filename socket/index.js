@@ -7,6 +7,10 @@
 import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Room from '../models/Room.js';
+import Session from '../models/Session.js';
+import monitoringService from '../services/monitoringService.js';
+import { isTokenSessionActive } from '../middleware/auth.js';
 
 // Define the function that sets up Socket.IO
 const initializeSocketIO = (server, app) => {
@@ -37,6 +41,9 @@ const initializeSocketIO = (server, app) => {
     try {
       // Use the same secret as JWT_ACCESS_SECRET
       const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+      if (!await isTokenSessionActive(decoded)) {
+        return next(new Error('Authentication failed: Session has been signed out'));
+      }
       
       const user = await User.findById(decoded.userId).select('-password');
 
@@ -76,6 +83,15 @@ const initializeSocketIO = (server, app) => {
 
       // Emit connection success to the client
       socket.emit('connection-status', { success: true, message: 'Connected to real-time metrics' });
+
+      // Let the teacher know the student is (back) online in an active room session
+      Session.findOne({ student_id: user._id, is_active: true, room_id: { $ne: null } })
+        .then(session => {
+          if (!session) return;
+          socket.data.roomSession = monitoringService.getSessionContext(session, { _id: user._id, name: user.name });
+          monitoringService.publishPresence(io, socket.data.roomSession, 'joined', 'connected');
+        })
+        .catch(err => console.error('❌ Presence lookup failed:', err.message));
     }
 
     // --- Teacher-Specific Logic ---
@@ -84,11 +100,27 @@ const initializeSocketIO = (server, app) => {
       console.log(`   --> Teacher ready to join monitoring rooms.`);
 
       // Handler for a teacher requesting to join a specific room for monitoring
-      socket.on('join-room', (roomId) => {
-        const roomChannel = `room:${roomId}`;
-        socket.join(roomChannel);
-        console.log(`   --> Teacher ${user.name} joined monitoring room: ${roomChannel}`);
-        socket.emit('room-joined', roomId);
+      // Only the teacher who owns the room may subscribe to its feed
+      socket.on('join-room', async (roomId) => {
+        try {
+          const room = await Room.findById(roomId).select('teacher_id');
+
+          if (!room) {
+            return socket.emit('room-join-error', { roomId, message: 'Room not found' });
+          }
+          if (room.teacher_id.toString() !== user._id) {
+            console.warn(`   --> Teacher ${user.name} denied monitoring room: ${roomId}`);
+            return socket.emit('room-join-error', { roomId, message: 'Access denied. You are not the teacher for this room.' });
+          }
+
+          const roomChannel = monitoringService.getRoomChannel(roomId);
+          socket.join(roomChannel);
+          console.log(`   --> Teacher ${user.name} joined monitoring room: ${roomChannel}`);
+          socket.emit('room-joined', roomId);
+        } catch (error) {
+          console.error('❌ join-room failed:', error.message);
+          socket.emit('room-join-error', { roomId, message: 'Failed to join room' });
+        }
       });
       
       // Handler for a teacher requesting to leave a room
@@ -106,6 +138,10 @@ const initializeSocketIO = (server, app) => {
     // 5. Disconnection Handler
     socket.on('disconnect', () => {
       console.log(`\n🔌 Socket disconnected: ${user.name} [ID: ${socket.id}]`);
+
+      if (socket.data.roomSession) {
+        monitoringService.publishPresence(io, socket.data.roomSession, 'left', 'disconnected');
+      }
     });
   });
 
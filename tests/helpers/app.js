@@ -0,0 +1,59 @@
+// Shared setup for route tests: an app with one router mounted, signed access
+// tokens and users served from memory instead of MongoDB.
+process.env.JWT_ACCESS_SECRET ||= 'test-access-secret';
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../../models/User.js';
+import { errorHandler } from '../../middleware/errorHandler.js';
+
+// A query that was not mocked fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Progress logs of the code under test would interleave with the test runner's
+// own output; errors still show
+if (!process.env.TEST_VERBOSE) console.log = () => {};
+
+/**
+ * Express app with a single router mounted, set up like server.js
+ */
+export const createApp = (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  app.use(errorHandler);
+  return app;
+};
+
+export const makeUser = (overrides = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  return {
+    _id,
+    id: _id.toString(),
+    name: 'Test User',
+    email: `${_id}@example.com`,
+    role: 'student',
+    is_active: true,
+    is_verified: true,
+    ...overrides
+  };
+};
+
+export const signAccessToken = (user) => jwt.sign(
+  { userId: user._id, email: user.email, role: user.role },
+  process.env.JWT_ACCESS_SECRET,
+  { expiresIn: '5m' }
+);
+
+export const bearer = (user) => `Bearer ${signAccessToken(user)}`;
+
+/**
+ * Serve `users` to authenticateToken
+ * @param {import('node:test').MockTracker} mock
+ */
+export const mockUsers = (mock, users) => {
+  mock.method(User, 'findById', (id) => ({
+    select: async () => users.find(u => u._id.toString() === id.toString()) || null
+  }));
+};
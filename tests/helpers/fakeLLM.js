@@ -0,0 +1,88 @@
+// A local OpenAI-compatible server for chat tests. It answers
+// POST /v1/chat/completions with a canned reply, as JSON or as SSE chunks, and
+// records every request body so tests can inspect the prompt.
+import http from 'http';
+import llmGateway from '../../services/llmGateway.js';
+import { createProviders } from '../../services/llmProviders.js';
+
+const chunk = (content) => ({
+  id: 'chatcmpl-test',
+  object: 'chat.completion.chunk',
+  created: 0,
+  model: 'fake-model',
+  choices: [{ index: 0, delta: content === null ? {} : { content }, finish_reason: content === null ? 'stop' : null }]
+});
+
+/**
+ * Start the server and route the gateway's openai provider to it.
+ *
+ * `server.reply` controls the next answers:
+ * - parts: text deltas (joined for non-streamed requests)
+ * - failAfter: stream this many parts, then drop the connection
+ * - status: answer with this HTTP error instead
+ */
+export const startFakeLLM = async () => {
+  const requests = [];
+  const defaults = { parts: ['Hello'], failAfter: null, status: null };
+  const state = { ...defaults };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (data) => { raw += data; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      requests.push({ path: req.url, body });
+
+      if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+        res.writeHead(404).end();
+        return;
+      }
+      if (state.status) {
+        res.writeHead(state.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Canned failure', type: 'invalid_request_error' } }));
+        return;
+      }
+
+      if (!body.stream) {
+        const content = state.parts.join('');
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'chatcmpl-test',
+          object: 'chat.completion',
+          created: 0,
+          model: 'fake-model',
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 }
+        }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const parts = state.failAfter === null ? state.parts : state.parts.slice(0, state.failAfter);
+      for (const part of parts) res.write(`data: ${JSON.stringify(chunk(part))}\n\n`);
+      if (state.failAfter !== null) {
+        // Give the client the first chunks before the connection drops
+        setTimeout(() => res.destroy(), 20);
+        return;
+      }
+      res.write(`data: ${JSON.stringify(chunk(null))}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+
+  return {
+    requests,
+    get reply() { return state; },
+    set reply(next) { Object.assign(state, defaults, next); },
+    // Fresh providers (and closed circuits) pointing at this server, default reply
+    connect() {
+      requests.length = 0;
+      Object.assign(state, defaults);
+      llmGateway.setProviders(createProviders({ OPENAI_API_KEY: 'test-key', OPENAI_BASE_URL: baseURL }));
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
@@ -0,0 +1,123 @@
+// POST /api/ai/chat against a local OpenAI-compatible server: JSON replies and
+// the server-sent event sequence (start, delta..., done or error).
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp, makeUser, bearer, mockUsers } from '../helpers/app.js';
+import { startFakeLLM } from '../helpers/fakeLLM.js';
+import Conversation from '../../models/Conversation.js';
+import aiRoutes from '../../routes/ai.js';
+
+const student = makeUser({ name: 'Student' });
+const app = createApp('/api/ai', aiRoutes);
+
+// Parse an SSE body into [{ event, data }]
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(Boolean)
+  .map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => {
+      const at = line.indexOf(': ');
+      return [line.slice(0, at), line.slice(at + 2)];
+    }));
+    return { event: fields.event, data: JSON.parse(fields.data) };
+  });
+
+let llm;
+
+before(async () => {
+  llm = await startFakeLLM();
+});
+
+after(() => llm.close());
+
+beforeEach(() => {
+  llm.connect();
+  mockUsers(mock, [student]);
+  mock.method(Conversation.prototype, 'save', async function() { return this; });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('POST /api/ai/chat', () => {
+  it('requires a token', async () => {
+    const res = await request(app).post('/api/ai/chat').send({ message: 'Hi' });
+    assert.equal(res.status, 401);
+  });
+
+  it('requires a message', async () => {
+    const res = await request(app).post('/api/ai/chat').set('Authorization', bearer(student)).send({});
+    assert.equal(res.status, 400);
+  });
+
+  it('answers with JSON by default', async () => {
+    llm.reply = { parts: ['Hello there'] };
+
+    const res = await request(app).post('/api/ai/chat').set('Authorization', bearer(student)).send({ message: 'Hi' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.response, 'Hello there');
+    assert.equal(res.body.grounding, null);
+    assert.ok(res.body.conversation_id);
+    assert.ok(res.body.message_id);
+    assert.equal(llm.requests[0].body.stream, undefined);
+  });
+
+  it('streams start, the deltas and done', async () => {
+    llm.reply = { parts: ['Photo', 'synthesis ', 'uses light.'] };
+
+    const res = await request(app)
+      .post('/api/ai/chat')
+      .set('Authorization', bearer(student))
+      .send({ message: 'What is photosynthesis?', stream: true });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/event-stream/);
+    const events = parseEvents(res.text);
+    assert.deepEqual(events.map(e => e.event), ['start', 'delta', 'delta', 'delta', 'done']);
+    assert.deepEqual(events.slice(1, 4).map(e => e.data.content), ['Photo', 'synthesis ', 'uses light.']);
+    assert.equal(events[0].data.conversation_id, events[4].data.conversation_id);
+    assert.equal(events[4].data.truncated, false);
+    assert.ok(events[4].data.message_id);
+  });
+
+  it('streams when the client asks for text/event-stream', async () => {
+    const res = await request(app)
+      .post('/api/ai/chat')
+      .set('Authorization', bearer(student))
+      .set('Accept', 'text/event-stream')
+      .send({ message: 'Hi' });
+
+    assert.deepEqual(parseEvents(res.text).map(e => e.event), ['start', 'delta', 'done']);
+  });
+
+  it('ends with an error event when the provider fails mid-stream', async () => {
+    mock.method(console, 'error', () => {});
+    llm.reply = { parts: ['Half ', 'an answer'], failAfter: 1 };
+
+    const res = await request(app)
+      .post('/api/ai/chat')
+      .set('Authorization', bearer(student))
+      .send({ message: 'Explain', stream: true });
+
+    const events = parseEvents(res.text);
+    assert.deepEqual(events.map(e => e.event), ['start', 'delta', 'error']);
+    assert.equal(events[1].data.content, 'Half ');
+    assert.equal(events[2].data.message, 'AI chat failed');
+  });
+
+  it('sends an error event when the provider refuses the request', async () => {
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+    llm.reply = { status: 400 };
+
+    const res = await request(app)
+      .post('/api/ai/chat')
+      .set('Authorization', bearer(student))
+      .send({ message: 'Explain', stream: true });
+
+    assert.deepEqual(parseEvents(res.text).map(e => e.event), ['start', 'error']);
+    // A 400 is not retried
+    assert.equal(llm.requests.length, 1);
+  });
+});
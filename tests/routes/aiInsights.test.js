@@ -0,0 +1,70 @@
+// GET /api/ai/insights/:sessionId: readable by the session's student and the
+// teacher of its room; only the student can force a regeneration, and not
+// more than once per cooldown.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp, makeUser, bearer, mockUsers } from '../helpers/app.js';
+import Session from '../../models/Session.js';
+import Room from '../../models/Room.js';
+import aiService from '../../services/aiService.js';
+import { generateSessionInsights } from '../../services/insightsService.js';
+import aiRoutes from '../../routes/ai.js';
+
+const student = makeUser({ name: 'Student' });
+const teacher = makeUser({ name: 'Teacher', role: 'teacher' });
+const otherTeacher = makeUser({ name: 'Other teacher', role: 'teacher' });
+
+const roomId = '64b000000000000000000001';
+const session = { _id: 'session-1', student_id: student.id, room_id: roomId, is_active: false };
+const app = createApp('/api/ai', aiRoutes);
+
+afterEach(() => mock.restoreAll());
+
+describe('GET /api/ai/insights/:sessionId', () => {
+  let generate;
+
+  beforeEach(() => {
+    mockUsers(mock, [student, teacher, otherTeacher]);
+    mock.method(Session, 'findById', async (id) => (id === session._id ? session : null));
+    mock.method(Room, 'exists', async ({ _id, teacher_id }) => (
+      _id === roomId && teacher_id === teacher.id ? { _id } : null
+    ));
+    generate = mock.method(aiService, 'generateSessionInsights', async () => ({ summary: 'Good focus' }));
+  });
+
+  it("lets the student regenerate their session's insights", async () => {
+    const res = await request(app).get('/api/ai/insights/session-1?refresh=true').set('Authorization', bearer(student));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.summary, 'Good focus');
+    assert.deepEqual(generate.mock.calls[0].arguments[1], { refresh: true });
+  });
+
+  it("gives the room's teacher the cached insights, even with ?refresh=true", async () => {
+    const res = await request(app).get('/api/ai/insights/session-1?refresh=true').set('Authorization', bearer(teacher));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(generate.mock.calls[0].arguments[1], { refresh: false });
+  });
+
+  it('rejects a teacher who does not own the room', async () => {
+    const res = await request(app).get('/api/ai/insights/session-1').set('Authorization', bearer(otherTeacher));
+
+    assert.equal(res.status, 403);
+    assert.equal(generate.mock.callCount(), 0);
+  });
+});
+
+describe('generateSessionInsights refresh', () => {
+  const cached = { summary: 'Cached', generated_at: new Date('2026-10-19T10:00:00Z') };
+
+  it('returns cached insights inside the refresh cooldown', async () => {
+    const result = await generateSessionInsights(
+      { _id: 'session-1', ai_insights: cached },
+      { refresh: true, now: new Date('2026-10-19T10:05:00Z') }
+    );
+
+    assert.equal(result, cached);
+  });
+});
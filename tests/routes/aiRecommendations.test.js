@@ -0,0 +1,72 @@
+// GET /api/ai/recommendations/:sessionId: the stored post-session summary once
+// the session.ai_summary job has run, 202 while it is still queued.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp, makeUser, bearer, mockUsers } from '../helpers/app.js';
+import Session from '../../models/Session.js';
+import Job from '../../models/Job.js';
+import aiRoutes from '../../routes/ai.js';
+
+const student = makeUser({ name: 'Student' });
+const app = createApp('/api/ai', aiRoutes);
+const url = '/api/ai/recommendations/session-1';
+
+// The session as the route first reads it, and its ai_summary when read again
+const mockSession = (fields, latestSummary = fields.ai_summary) => {
+  const session = { _id: 'session-1', student_id: student.id, is_active: false, ai_summary: '', ...fields };
+  mock.method(Session, 'findById', () => ({
+    ...session,
+    select: () => ({ lean: async () => ({ ai_summary: latestSummary }) })
+  }));
+};
+
+const mockJob = (job) => mock.method(Job, 'findOneAndUpdate', async () => ({ _id: 'job-1', ...job }));
+
+beforeEach(() => {
+  mockUsers(mock, [student]);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('GET /api/ai/recommendations/:sessionId', () => {
+  it('returns the stored summary', async () => {
+    mockSession({ ai_summary: 'Review chapter 3.' });
+
+    const res = await request(app).get(url).set('Authorization', bearer(student));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { status: 'completed', summary: 'Review chapter 3.' });
+  });
+
+  it('answers 202 while the job is queued', async () => {
+    mockSession({});
+    mockJob({ status: 'queued' });
+
+    const res = await request(app).get(url).set('Authorization', bearer(student));
+
+    assert.equal(res.status, 202);
+    assert.equal(res.body.status, 'queued');
+    assert.equal(res.body.job_id, 'job-1');
+  });
+
+  it('returns the summary of a job that finished after the session was read', async () => {
+    mockSession({}, 'Fresh summary');
+    mockJob({ status: 'completed', result: { summary_length: 13 } });
+
+    const res = await request(app).get(url).set('Authorization', bearer(student));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.summary, 'Fresh summary');
+  });
+
+  it('stops waiting once the job completed without a summary', async () => {
+    mockSession({});
+    mockJob({ status: 'completed', result: { skipped: true, reason: 'ai_disabled' } });
+
+    const res = await request(app).get(url).set('Authorization', bearer(student));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { status: 'completed', summary: null, reason: 'ai_disabled' });
+  });
+});
@@ -0,0 +1,58 @@
+// POST /api/ai/summarize with the stub provider: the summary feature's provider
+// chain is used and summaryType changes the prompt.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp, makeUser, bearer, mockUsers } from '../helpers/app.js';
+import llmGateway, { FEATURES } from '../../services/llmGateway.js';
+import { createProviders } from '../../services/llmProviders.js';
+import aiRoutes from '../../routes/ai.js';
+
+const student = makeUser({ name: 'Student' });
+const app = createApp('/api/ai', aiRoutes);
+const text = 'Osmosis is the movement of water across a semipermeable membrane from low to high solute concentration.';
+
+const summarize = (body) => request(app)
+  .post('/api/ai/summarize')
+  .set('Authorization', bearer(student))
+  .send(body);
+
+beforeEach(() => {
+  mockUsers(mock, [student]);
+  llmGateway.setProviders(createProviders({}));
+  // Only the summary feature has a provider, so a call under any other feature fails
+  process.env.LLM_FEATURE_SUMMARY = 'stub';
+});
+
+afterEach(() => {
+  delete process.env.LLM_FEATURE_SUMMARY;
+  mock.restoreAll();
+});
+
+describe('POST /api/ai/summarize', () => {
+  it('summarizes through the summary provider chain', async () => {
+    const complete = mock.method(llmGateway, 'complete');
+
+    const res = await summarize({ text, summaryType: 'bullet' });
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.summary, /^\[stub [0-9a-f]{12}\] Osmosis is the movement/);
+    assert.equal(res.body.summary_type, 'bullet');
+    assert.equal(complete.mock.calls[0].arguments[0], FEATURES.SUMMARY);
+    assert.match(complete.mock.calls[0].arguments[1][0].content, /bulleted list/);
+  });
+
+  it('asks for a different summary per summaryType', async () => {
+    const brief = await summarize({ text });
+    const detailed = await summarize({ text, summaryType: 'detailed' });
+
+    assert.equal(brief.body.summary_type, 'brief');
+    assert.notEqual(brief.body.summary, detailed.body.summary);
+    assert.equal((await summarize({ text })).body.summary, brief.body.summary);
+  });
+
+  it('rejects an unknown summaryType and short text', async () => {
+    assert.equal((await summarize({ text, summaryType: 'haiku' })).status, 400);
+    assert.equal((await summarize({ text: 'Too short' })).status, 400);
+  });
+});
@@ -0,0 +1,56 @@
+// Dashboard analytics routes: the range is read in the user's timezone and the
+// rank card is filled in from the leaderboards.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp, makeUser, bearer, mockUsers } from '../helpers/app.js';
+import UserPreferences from '../../models/UserPreferences.js';
+import analyticsService from '../../services/analyticsService.js';
+import leaderboardService from '../../services/leaderboardService.js';
+import analyticsRoutes from '../../routes/analytics.js';
+import interactionsRoutes from '../../routes/interactions.js';
+
+const student = makeUser({ name: 'Student' });
+const overview = { totalHours: 1.5, thisWeek: 1.5, avgEngagement: 60, completedSessions: 2, streak: 1, rank: 0 };
+
+let getOverview;
+
+beforeEach(() => {
+  mockUsers(mock, [student]);
+  mock.method(UserPreferences, 'findOne', () => ({
+    select() { return this; },
+    lean: async () => ({ localization: { timezone: 'America/New_York' } })
+  }));
+  getOverview = mock.method(analyticsService, 'getOverview', async () => overview);
+  mock.method(leaderboardService, 'getStudentRank', async () => 3);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('GET /api/analytics/analytics', () => {
+  const app = createApp('/api/analytics', analyticsRoutes);
+
+  it('fills in the rank and reads the dates as local days', async () => {
+    const res = await request(app)
+      .get('/api/analytics/analytics?startDate=2024-03-10&endDate=2024-03-14')
+      .set('Authorization', bearer(student));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ...overview, rank: 3 });
+    assert.deepEqual(getOverview.mock.calls[0].arguments[1], {
+      from: new Date('2024-03-10T05:00:00Z'),
+      to: new Date('2024-03-15T03:59:59.999Z')
+    });
+  });
+});
+
+describe('GET /api/interactions/analytics/overall', () => {
+  const app = createApp('/api/interactions', interactionsRoutes);
+
+  it('fills in the rank', async () => {
+    const res = await request(app).get('/api/interactions/analytics/overall').set('Authorization', bearer(student));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { success: true, analytics: { ...overview, rank: 3 } });
+  });
+});
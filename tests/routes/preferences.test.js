@@ -0,0 +1,62 @@
+// PUT /api/preferences/leaderboard: chosen pseudonyms are checked before saving
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp, makeUser, bearer, mockUsers } from '../helpers/app.js';
+import Room from '../../models/Room.js';
+import UserPreferences from '../../models/UserPreferences.js';
+import preferencesRoutes from '../../routes/preferences.js';
+
+const student = makeUser({ name: 'Ana' });
+const classmate = makeUser({ name: 'Ben' });
+const app = createApp('/api/preferences', preferencesRoutes);
+
+let update;
+
+beforeEach(() => {
+  mockUsers(mock, [student]);
+  mock.method(Room, 'find', () => ({
+    select() { return this; },
+    populate() { return this; },
+    lean: async () => [{ teacher_id: null, allowed_students: [student, classmate] }]
+  }));
+  update = mock.method(UserPreferences, 'findOneAndUpdate', async (filter, { $set }) => ({
+    analytics: {
+      leaderboard_visibility: $set['analytics.leaderboard_visibility'] || 'pseudonym',
+      leaderboard_pseudonym: $set['analytics.leaderboard_pseudonym'] ?? null,
+      compare_with_average: false
+    }
+  }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const put = (body) => request(app).put('/api/preferences/leaderboard').set('Authorization', bearer(student)).send(body);
+
+describe('PUT /api/preferences/leaderboard', () => {
+  it("rejects a classmate's name", async () => {
+    const res = await put({ visibility: 'pseudonym', pseudonym: 'ben' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('rejects a pseudonym that is not text', async () => {
+    assert.equal((await put({ pseudonym: { $gt: '' } })).status, 400);
+  });
+
+  it('saves a free pseudonym', async () => {
+    const res = await put({ visibility: 'pseudonym', pseudonym: 'Night Owl' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.pseudonym, 'Night Owl');
+  });
+
+  it('clears the pseudonym without checking it', async () => {
+    const res = await put({ pseudonym: '' });
+
+    assert.equal(res.status, 200);
+    assert.equal(update.mock.calls[0].arguments[1].$set['analytics.leaderboard_pseudonym'], null);
+  });
+});
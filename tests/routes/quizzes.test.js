@@ -0,0 +1,177 @@
+// Quiz attempts: room students do not get the answer key back until the
+// teacher releases it or the quiz is due, and have a limited number of attempts.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp, makeUser, bearer, mockUsers } from '../helpers/app.js';
+import Quiz from '../../models/Quiz.js';
+import QuizAttempt from '../../models/QuizAttempt.js';
+import Room from '../../models/Room.js';
+import quizzesRoutes from '../../routes/quizzes.js';
+
+const teacher = makeUser({ name: 'Teacher', role: 'teacher' });
+const student = makeUser({ name: 'Student' });
+const app = createApp('/api/quizzes', quizzesRoutes);
+
+const room = new Room({ title: 'Biology', teacher_id: teacher._id, allowed_students: [student._id] });
+
+let quiz;
+let previousAttempts;
+
+const makeQuiz = (overrides = {}) => new Quiz({
+  owner_id: teacher._id,
+  title: 'Cells',
+  source: { type: 'text' },
+  questions: [
+    { type: 'multiple_choice', prompt: 'Powerhouse?', options: ['Mitochondria', 'Nucleus'], correct_option: 0, explanation: 'Makes ATP' },
+    { type: 'short_answer', prompt: 'Charge of an electron?', answer: '-1', explanation: 'Negative' }
+  ],
+  room_id: room._id,
+  published_at: new Date(),
+  max_attempts: 2,
+  ...overrides
+});
+
+const answers = () => [
+  { question_id: quiz.questions[0]._id.toString(), response: 0 },
+  { question_id: quiz.questions[1]._id.toString(), response: '1' }
+];
+
+const submit = (user, body = { answers: answers() }) => request(app)
+  .post(`/api/quizzes/${quiz._id}/attempts`)
+  .set('Authorization', bearer(user))
+  .send(body);
+
+beforeEach(() => {
+  quiz = makeQuiz();
+  previousAttempts = [];
+  mockUsers(mock, [teacher, student]);
+  mock.method(console, 'error', () => {});
+  mock.method(Quiz, 'findById', async (id) => (id === quiz._id.toString() ? quiz : null));
+  mock.method(Quiz.prototype, 'save', async function() { return this; });
+  mock.method(Room, 'findById', () => ({ select: async () => room }));
+  mock.method(QuizAttempt, 'countDocuments', async () => previousAttempts.length);
+  mock.method(QuizAttempt, 'create', async (doc) => new QuizAttempt(doc));
+  mock.method(QuizAttempt, 'find', () => ({ sort: async () => previousAttempts }));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('POST /api/quizzes/:id/attempts', () => {
+  it('grades a student attempt without returning the answer key', async () => {
+    const res = await submit(student);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.message, 'Scored 1/2');
+    assert.equal(res.body.data.attempt.percentage, 50);
+    for (const answer of res.body.data.attempt.answers) {
+      assert.deepEqual(Object.keys(answer).sort(), ['question_id', 'response']);
+    }
+    for (const question of res.body.data.review) {
+      for (const key of ['correct_option', 'answer', 'explanation', 'correct', 'points_awarded', 'feedback']) {
+        assert.equal(key in question, false, key);
+      }
+    }
+    assert.deepEqual(res.body.data.review.map(q => q.response), [0, '1']);
+  });
+
+  it('returns the key once the teacher has released it', async () => {
+    quiz.answers_released_at = new Date();
+
+    const res = await submit(student);
+
+    const [first, second] = res.body.data.review;
+    assert.equal(first.correct_option, 0);
+    assert.equal(first.correct, true);
+    assert.equal(second.answer, '-1');
+    assert.equal(second.feedback, 'Expected: -1');
+  });
+
+  it('returns the key to the owner of a personal quiz', async () => {
+    quiz = makeQuiz({ owner_id: student._id, room_id: null, published_at: null, max_attempts: null });
+
+    const res = await submit(student);
+
+    assert.equal(res.body.data.review[0].explanation, 'Makes ATP');
+    assert.equal(res.body.data.attempt.answers[0].correct, true);
+  });
+
+  it('stops a student after max_attempts', async () => {
+    previousAttempts = [{}, {}];
+
+    const res = await submit(student);
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'ATTEMPT_LIMIT');
+  });
+
+  it('holds the limit for parallel submissions', async () => {
+    // All three count the attempts before any of them is stored
+    let release;
+    const allCounted = new Promise(resolve => { release = resolve; });
+    let counted = 0;
+    mock.method(QuizAttempt, 'countDocuments', async () => {
+      const count = previousAttempts.length;
+      if (++counted === 3) release();
+      if (counted <= 3) await allCounted;
+      return count;
+    });
+    // The unique { quiz_id, user_id, attempt_number } index
+    mock.method(QuizAttempt, 'create', async (doc) => {
+      if (previousAttempts.some(a => a.attempt_number === doc.attempt_number)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      previousAttempts.push(doc);
+      return new QuizAttempt(doc);
+    });
+
+    const results = await Promise.all([submit(student), submit(student), submit(student)]);
+
+    assert.deepEqual(results.map(r => r.status).sort(), [201, 201, 409]);
+    assert.equal(results.find(r => r.status === 409).body.code, 'ATTEMPT_LIMIT');
+    assert.deepEqual(previousAttempts.map(a => a.attempt_number), [1, 2]);
+  });
+
+  it('refuses option numbers that are not integers', async () => {
+    for (const response of [false, 0.5, { index: 0 }]) {
+      const body = { answers: [{ question_id: quiz.questions[0]._id.toString(), response }] };
+      assert.equal((await submit(student, body)).status, 400, JSON.stringify(response));
+    }
+  });
+});
+
+describe('GET /api/quizzes/:id/attempts', () => {
+  it('hides per-question results from students until the quiz is due', async () => {
+    previousAttempts = [new QuizAttempt({
+      quiz_id: quiz._id,
+      user_id: student._id,
+      answers: [{ question_id: quiz.questions[0]._id, response: 1, correct: false, feedback: 'Correct answer: Mitochondria' }],
+      score: 0,
+      max_score: 2
+    })];
+
+    const hidden = await request(app).get(`/api/quizzes/${quiz._id}/attempts`).set('Authorization', bearer(student));
+    assert.equal(hidden.status, 200);
+    assert.deepEqual(Object.keys(hidden.body.data[0].answers[0]).sort(), ['question_id', 'response']);
+    assert.equal(hidden.body.data[0].score, 0);
+
+    quiz.due_at = new Date(Date.now() - 1000);
+    const shown = await request(app).get(`/api/quizzes/${quiz._id}/attempts`).set('Authorization', bearer(student));
+    assert.equal(shown.body.data[0].answers[0].feedback, 'Correct answer: Mitochondria');
+  });
+});
+
+describe('POST /api/quizzes/:id/release', () => {
+  it('lets the owner release the answers', async () => {
+    const res = await request(app).post(`/api/quizzes/${quiz._id}/release`).set('Authorization', bearer(teacher));
+
+    assert.equal(res.status, 200);
+    assert.ok(quiz.answers_released_at);
+  });
+
+  it('is closed to students', async () => {
+    const res = await request(app).post(`/api/quizzes/${quiz._id}/release`).set('Authorization', bearer(student));
+    assert.equal(res.status, 403);
+    assert.equal(quiz.answers_released_at, null);
+  });
+});
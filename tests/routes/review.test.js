@@ -0,0 +1,104 @@
+// Flashcard routes: grading applies only on top of the state it was computed
+// from, and hand-written cards can only be filed under accessible materials.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { createApp, makeUser, bearer, mockUsers } from '../helpers/app.js';
+import Flashcard from '../../models/Flashcard.js';
+import ReviewLog from '../../models/ReviewLog.js';
+import Material from '../../models/Material.js';
+import Room from '../../models/Room.js';
+import Session from '../../models/Session.js';
+import reviewRoutes from '../../routes/review.js';
+
+const student = makeUser({ name: 'Student' });
+const app = createApp('/api/review', reviewRoutes);
+
+beforeEach(() => {
+  mockUsers(mock, [student]);
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('POST /api/review/:cardId/grade', () => {
+  const card = new Flashcard({ user_id: student._id, front: 'ATP?', back: 'Energy', review_count: 2, repetitions: 2, interval_days: 6 });
+  const url = `/api/review/${card._id}/grade`;
+  let update;
+
+  beforeEach(() => {
+    mock.method(Flashcard, 'findOne', async () => card);
+    mock.method(ReviewLog, 'create', async (doc) => doc);
+    update = mock.method(Flashcard, 'findOneAndUpdate', async (filter, changes) => ({
+      ...card.toObject(),
+      ...changes.$set,
+      review_count: card.review_count + changes.$inc.review_count
+    }));
+  });
+
+  it('updates the card only if its review count is still the one read', async () => {
+    const res = await request(app).post(url).set('Authorization', bearer(student)).send({ grade: 4 });
+
+    assert.equal(res.status, 200);
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: card._id, user_id: student._id, review_count: 2, suspended: false });
+    assert.deepEqual(changes.$inc, { review_count: 1, lapses: 0 });
+    assert.equal(changes.$set.interval_days, 15);
+    assert.equal(res.body.data.card.review_count, 3);
+    assert.equal(res.body.message, 'Next review in 15 days');
+  });
+
+  it('counts a lapse for a failed review', async () => {
+    await request(app).post(url).set('Authorization', bearer(student)).send({ grade: 1 });
+    assert.deepEqual(update.mock.calls[0].arguments[1].$inc, { review_count: 1, lapses: 1 });
+  });
+
+  it('answers 409 without logging a review when another grade got there first', async () => {
+    update.mock.mockImplementation(async () => null);
+    const create = mock.method(ReviewLog, 'create', async (doc) => doc);
+
+    const res = await request(app).post(url).set('Authorization', bearer(student)).send({ grade: 4 });
+
+    assert.equal(res.status, 409);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe('POST /api/review/cards', () => {
+  const ownMaterial = new Material({ owner_id: student._id, title: 'Mine', storage_key: 'pdfs/mine.pdf', checksum: 'a' });
+  const otherMaterial = new Material({ owner_id: new mongoose.Types.ObjectId(), title: 'Theirs', storage_key: 'pdfs/theirs.pdf', checksum: 'b' });
+  let created;
+
+  beforeEach(() => {
+    created = mock.method(Flashcard, 'create', async (doc) => doc);
+    mock.method(Material, 'findById', async (id) => [ownMaterial, otherMaterial].find(m => m._id.toString() === id) || null);
+    mock.method(Room, 'exists', async () => null);
+    mock.method(Session, 'exists', async () => null);
+  });
+
+  const create = (body) => request(app).post('/api/review/cards').set('Authorization', bearer(student)).send(body);
+
+  it('creates a card without a material', async () => {
+    const res = await create({ front: 'Q', back: 'A' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.material_id, null);
+  });
+
+  it('files a card under a material the user can open', async () => {
+    const res = await create({ front: 'Q', back: 'A', material_id: ownMaterial._id.toString() });
+    assert.equal(res.status, 201);
+    assert.equal(created.mock.calls[0].arguments[0].material_id, ownMaterial._id.toString());
+  });
+
+  it("refuses another user's material", async () => {
+    const res = await create({ front: 'Q', back: 'A', material_id: otherMaterial._id.toString() });
+    assert.equal(res.status, 403);
+    assert.equal(created.mock.callCount(), 0);
+  });
+
+  it('answers 404 for an unknown material', async () => {
+    const res = await create({ front: 'Q', back: 'A', material_id: new mongoose.Types.ObjectId().toString() });
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,215 @@
+// The session-scoped APIs mounted in server.js: reachable with a token, closed
+// without one, and limited to the session's student (and, where allowTeacher is
+// set, the teacher of its room).
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp, makeUser, bearer, mockUsers } from '../helpers/app.js';
+import Session from '../../models/Session.js';
+import Room from '../../models/Room.js';
+import Highlight from '../../models/Highlight.js';
+import Annotation from '../../models/Annotation.js';
+import Metric from '../../models/Metric.js';
+import UserPreferences from '../../models/UserPreferences.js';
+import highlightsRoutes from '../../routes/highlights.js';
+import annotationsRoutes from '../../routes/annotations.js';
+import metricsRoutes from '../../routes/metrics.js';
+import preferencesRoutes from '../../routes/preferences.js';
+
+const owner = makeUser({ name: 'Owner' });
+const otherStudent = makeUser({ name: 'Other student' });
+const teacher = makeUser({ name: 'Teacher', role: 'teacher' });
+const otherTeacher = makeUser({ name: 'Other teacher', role: 'teacher' });
+
+const roomId = '64b000000000000000000001';
+const materialId = '64b0000000000000000000aa';
+const session = {
+  _id: 'session-1',
+  student_id: owner.id,
+  room_id: roomId,
+  material_id: materialId,
+  start_time: new Date(),
+  is_active: true
+};
+
+beforeEach(() => {
+  mockUsers(mock, [owner, otherStudent, teacher, otherTeacher]);
+  mock.method(Session, 'findById', async (id) => (id === session._id ? session : null));
+  mock.method(Room, 'exists', async ({ _id, teacher_id }) => (
+    _id === roomId && teacher_id === teacher.id ? { _id } : null
+  ));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('GET /api/highlights/session/:sessionId', () => {
+  const app = createApp('/api/highlights', highlightsRoutes);
+  const url = `/api/highlights/session/${session._id}`;
+
+  beforeEach(() => {
+    mock.method(Highlight, 'find', () => ({ sort: async () => [] }));
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).get(url);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'TOKEN_MISSING');
+  });
+
+  it("rejects another student's session", async () => {
+    const res = await request(app).get(url).set('Authorization', bearer(otherStudent));
+    assert.equal(res.status, 403);
+    assert.equal(res.body.success, false);
+  });
+
+  it('is student-only, even for the teacher of the room', async () => {
+    const res = await request(app).get(url).set('Authorization', bearer(teacher));
+    assert.equal(res.status, 403);
+  });
+
+  it('returns the envelope to the owner', async () => {
+    const res = await request(app).get(url).set('Authorization', bearer(owner));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { success: true, count: 0, data: [] });
+  });
+
+  it('answers 404 for an unknown session', async () => {
+    const res = await request(app).get('/api/highlights/session/missing').set('Authorization', bearer(owner));
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('POST /api/highlights', () => {
+  const app = createApp('/api/highlights', highlightsRoutes);
+  const otherMaterialId = '64b0000000000000000000bb';
+
+  it("files highlights under the session's material, whatever the client sends", async () => {
+    const create = mock.method(Highlight, 'create', async (doc) => doc);
+
+    const res = await request(app)
+      .post('/api/highlights')
+      .set('Authorization', bearer(owner))
+      .send({ session_id: session._id, material_id: otherMaterialId, page_number: 1, text: 'ATP', position: { x: 0 } });
+
+    assert.equal(res.status, 201);
+    assert.equal(create.mock.calls[0].arguments[0].material_id, materialId);
+  });
+
+  it('does the same for batches', async () => {
+    mock.method(Session, 'countDocuments', async () => 1);
+    mock.method(Session, 'find', () => ({ select: () => ({ lean: async () => [session] }) }));
+    const insertMany = mock.method(Highlight, 'insertMany', async (docs) => docs);
+
+    const res = await request(app)
+      .post('/api/highlights/batch')
+      .set('Authorization', bearer(owner))
+      .send({ highlights: [{ session_id: session._id, material_id: otherMaterialId, page_number: 1, text: 'ATP' }] });
+
+    assert.equal(res.status, 201);
+    assert.equal(insertMany.mock.calls[0].arguments[0][0].material_id, materialId);
+  });
+});
+
+describe('GET /api/annotations/session/:sessionId', () => {
+  const app = createApp('/api/annotations', annotationsRoutes);
+  const url = `/api/annotations/session/${session._id}`;
+
+  beforeEach(() => {
+    mock.method(Annotation, 'find', () => ({
+      sort() { return this; },
+      populate: async () => []
+    }));
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).get(url);
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects another student's session", async () => {
+    const res = await request(app).get(url).set('Authorization', bearer(otherStudent));
+    assert.equal(res.status, 403);
+  });
+
+  it('returns the envelope to the owner', async () => {
+    const res = await request(app).get(url).set('Authorization', bearer(owner));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { success: true, count: 0, data: [] });
+  });
+});
+
+describe('GET /api/metrics/session/:sessionId/summary (allowTeacher)', () => {
+  const app = createApp('/api/metrics', metricsRoutes);
+  const url = `/api/metrics/session/${session._id}/summary`;
+  const summary = { total_datapoints: 3, avg_engagement: 72 };
+
+  beforeEach(() => {
+    mock.method(Metric, 'getSessionSummary', async () => summary);
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).get(url);
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects another student's session", async () => {
+    const res = await request(app).get(url).set('Authorization', bearer(otherStudent));
+    assert.equal(res.status, 403);
+  });
+
+  it('rejects a teacher who does not own the room', async () => {
+    const res = await request(app).get(url).set('Authorization', bearer(otherTeacher));
+    assert.equal(res.status, 403);
+  });
+
+  it('lets the owner through', async () => {
+    const res = await request(app).get(url).set('Authorization', bearer(owner));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { success: true, data: summary });
+  });
+
+  it("lets the room's teacher through", async () => {
+    const res = await request(app).get(url).set('Authorization', bearer(teacher));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, summary);
+  });
+});
+
+describe('POST /api/metrics (owner only)', () => {
+  const app = createApp('/api/metrics', metricsRoutes);
+
+  it("rejects writing to the room teacher's student session", async () => {
+    const res = await request(app)
+      .post('/api/metrics')
+      .set('Authorization', bearer(teacher))
+      .send({ session_id: session._id, engagement_score: 50 });
+    assert.equal(res.status, 403);
+  });
+
+  it('requires session_id', async () => {
+    const res = await request(app)
+      .post('/api/metrics')
+      .set('Authorization', bearer(owner))
+      .send({ engagement_score: 50 });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('GET /api/preferences', () => {
+  const app = createApp('/api/preferences', preferencesRoutes);
+
+  it('requires a token', async () => {
+    const res = await request(app).get('/api/preferences');
+    assert.equal(res.status, 401);
+  });
+
+  it("returns the caller's own preferences", async () => {
+    const getOrCreate = mock.method(UserPreferences, 'getOrCreate', async (userId) => ({ user_id: userId.toString() }));
+
+    const res = await request(app).get('/api/preferences').set('Authorization', bearer(owner));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.user_id, owner.id);
+    assert.equal(getOrCreate.mock.calls[0].arguments[0].toString(), owner.id);
+  });
+});
@@ -0,0 +1,311 @@
+// Student analytics on a fixed set of sessions for a New York user. The pure
+// functions and the query functions (with mocked models) always run; the
+// seeded-MongoDB suite runs when MONGODB_TEST_URI points at a MongoDB server
+// (a throwaway database is created on it and dropped afterwards).
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import '../helpers/app.js';
+import Session from '../../models/Session.js';
+import Metric from '../../models/Metric.js';
+import Highlight from '../../models/Highlight.js';
+import Annotation from '../../models/Annotation.js';
+import UserPreferences from '../../models/UserPreferences.js';
+import {
+  resolveRange,
+  summarizeSessions,
+  toOverview,
+  computeProductivityScore,
+  getOverview,
+  getStudyPatterns,
+  getMaterialAnalytics
+} from '../../services/analyticsService.js';
+
+const TIME_ZONE = 'America/New_York';
+const NOW = new Date('2024-03-15T12:00:00Z');
+const userId = new mongoose.Types.ObjectId();
+const materialId = new mongoose.Types.ObjectId();
+const material = { _id: materialId, title: 'Cell Biology', page_count: 20 };
+
+// New York is on EDT (UTC-4) from March 10, EST (UTC-5) before
+const SESSIONS = [
+  // Thursday March 14, 21:30 local (already Friday in UTC)
+  { _id: 's1', start_time: new Date('2024-03-15T01:30:00Z'), duration_seconds: 1800, material_id: materialId, metrics: { engagementScore: 80 } },
+  // Thursday March 14, 10:00 local
+  { _id: 's2', start_time: new Date('2024-03-14T14:00:00Z'), duration_seconds: 3600, material_id: materialId, metrics: { engagementScore: 60 } },
+  // Friday March 1, 10:00 local; no finalized engagement
+  { _id: 's3', start_time: new Date('2024-03-01T15:00:00Z'), duration_seconds: 5400, material_id: null, metrics: { engagementScore: 0 } }
+].map(s => ({ ...s, end_time: new Date(s.start_time.getTime() + s.duration_seconds * 1000) }));
+
+const STREAK_SETTINGS = { timeZone: TIME_ZONE, minMinutes: 10, freezesPerWeek: 0 };
+const PREFERENCES = { localization: { timezone: TIME_ZONE }, study: { streak_min_minutes: 10, streak_freezes_per_week: 0 } };
+
+// March 10 to March 14, New York days
+const MARCH_10_TO_14 = { from: new Date('2024-03-10T05:00:00Z'), to: new Date('2024-03-15T03:59:59.999Z') };
+
+describe('resolveRange', () => {
+  it('covers whole local days of the user', () => {
+    assert.deepEqual(resolveRange({ startDate: '2024-03-10', endDate: '2024-03-14' }, TIME_ZONE), MARCH_10_TO_14);
+    assert.deepEqual(resolveRange({ startDate: '2024-03-01', endDate: '2024-03-01' }, 'Asia/Kathmandu'), {
+      from: new Date('2024-02-29T18:15:00Z'),
+      to: new Date('2024-03-01T18:14:59.999Z')
+    });
+  });
+
+  it('defaults to UTC days', () => {
+    assert.deepEqual(resolveRange({ startDate: '2024-03-01', endDate: '2024-03-02' }), {
+      from: new Date('2024-03-01T00:00:00Z'),
+      to: new Date('2024-03-02T23:59:59.999Z')
+    });
+  });
+
+  it('takes the local day of full timestamps', () => {
+    // 02:00 UTC on the 15th is still the 14th in New York
+    const range = resolveRange({ startDate: '2024-03-10T12:00:00Z', endDate: '2024-03-15T02:00:00Z' }, TIME_ZONE);
+    assert.deepEqual(range, MARCH_10_TO_14);
+  });
+
+  it('falls back to the last `period` days', () => {
+    const day = 24 * 60 * 60 * 1000;
+    assert.deepEqual(resolveRange({ period: '7' }, TIME_ZONE, { now: NOW }), { from: new Date(NOW - 7 * day), to: NOW });
+    assert.deepEqual(resolveRange({}, TIME_ZONE, { now: NOW, defaultDays: 30 }), { from: new Date(NOW - 30 * day), to: NOW });
+    assert.deepEqual(resolveRange({ startDate: 'soon', endDate: '2024-03-14', period: '1' }, TIME_ZONE, { now: NOW }).to, NOW);
+  });
+});
+
+describe('summarizeSessions', () => {
+  it('totals time, this week and finalized engagement', () => {
+    assert.deepEqual(summarizeSessions(SESSIONS, NOW, STREAK_SETTINGS), {
+      session_count: 3,
+      total_seconds: 10800,
+      this_week_seconds: 5400,
+      avg_session_seconds: 3600,
+      avg_engagement: 70,
+      streak: 1
+    });
+  });
+
+  it('buckets the streak in the user timezone', () => {
+    // In UTC the 21:30 session falls on today (the 15th) and the streak is two days
+    assert.equal(summarizeSessions(SESSIONS, NOW, { ...STREAK_SETTINGS, timeZone: 'UTC' }).streak, 2);
+  });
+
+  it('is empty without sessions', () => {
+    assert.deepEqual(summarizeSessions([], NOW, STREAK_SETTINGS), {
+      session_count: 0,
+      total_seconds: 0,
+      this_week_seconds: 0,
+      avg_session_seconds: 0,
+      avg_engagement: null,
+      streak: 0
+    });
+  });
+});
+
+describe('toOverview', () => {
+  const summary = summarizeSessions(SESSIONS, NOW, STREAK_SETTINGS);
+
+  it('turns a summary into the dashboard cards', () => {
+    assert.deepEqual(toOverview(summary), {
+      totalHours: 3,
+      thisWeek: 1.5,
+      avgEngagement: 70,
+      completedSessions: 3,
+      streak: 1,
+      rank: 0
+    });
+  });
+
+  it('prefers Metric engagement and rounds hours to one decimal', () => {
+    const overview = toOverview({ ...summary, total_seconds: 4000, this_week_seconds: 100 }, 64.6);
+    assert.equal(overview.avgEngagement, 65);
+    assert.equal(overview.totalHours, 1.1);
+    assert.equal(overview.thisWeek, 0);
+    assert.equal(toOverview({ ...summary, avg_engagement: null }).avgEngagement, 0);
+  });
+});
+
+describe('computeProductivityScore', () => {
+  it('weighs the components of a period', () => {
+    const score = computeProductivityScore({
+      days: 7,
+      sessions: 7,
+      minutes: 210,
+      stats: { avg_engagement: 80, presence_rate: 0.9, distraction_rate: 0.2 },
+      activity: 14
+    });
+    // 20*0.15 + 50*0.2 + 80*0.25 + 90*0.15 + 80*0.15 + 10*0.1 = 59.5
+    assert.deepEqual(score, {
+      overall_score: 60,
+      grade: 'D',
+      components: { session_consistency: 20, study_time: 50, engagement: 80, presence: 90, focus: 80, activity: 10 }
+    });
+  });
+
+  it('caps components at 100 and grades the total', () => {
+    const score = computeProductivityScore({
+      days: 1,
+      sessions: 10,
+      minutes: 600,
+      stats: { avg_engagement: 100, presence_rate: 1, distraction_rate: 0 },
+      activity: 100
+    });
+    assert.equal(score.overall_score, 100);
+    assert.equal(score.grade, 'A+');
+    assert.equal(score.components.session_consistency, 100);
+  });
+
+  it('scores metric components 0 without metrics', () => {
+    const score = computeProductivityScore({ days: 7, sessions: 0, minutes: 0, stats: null, activity: 0 });
+    assert.deepEqual(score, {
+      overall_score: 0,
+      grade: 'D',
+      components: { session_consistency: 0, study_time: 0, engagement: 0, presence: 0, focus: 0, activity: 0 }
+    });
+  });
+});
+
+describe('queries (mocked models)', () => {
+  // find().select().sort().lean() and findOne().select().lean()
+  const chain = (rows) => ({ select() { return this; }, sort() { return this; }, lean: async () => rows });
+
+  beforeEach(() => {
+    mock.method(Session, 'find', () => chain(SESSIONS));
+    mock.method(UserPreferences, 'findOne', () => chain(PREFERENCES));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('getOverview totals the range and keeps this week and the streak overall', async () => {
+    const aggregate = mock.method(Metric, 'aggregate', async () => [{ _id: null, avg_engagement: 60, datapoints: 2 }]);
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    try {
+      const overview = await getOverview(userId, MARCH_10_TO_14);
+      assert.deepEqual(overview, { totalHours: 1.5, thisWeek: 1.5, avgEngagement: 60, completedSessions: 2, streak: 1, rank: 0 });
+    } finally {
+      mock.timers.reset();
+    }
+    assert.deepEqual(aggregate.mock.calls[0].arguments[0][0].$match.timestamp, { $gte: MARCH_10_TO_14.from, $lte: MARCH_10_TO_14.to });
+  });
+
+  it('getStudyPatterns groups in the user timezone', async () => {
+    const aggregate = mock.method(Session, 'aggregate', async (pipeline) => (
+      pipeline[1].$group._id.$dayOfWeek
+        ? [{ _id: 5, sessions: 2, total_time: 90 }, { _id: 6, sessions: 1, total_time: 90 }]
+        : [{ _id: 10, sessions: 2, total_time: 150.04 }]
+    ));
+
+    const patterns = await getStudyPatterns(userId, MARCH_10_TO_14);
+
+    const [pipeline] = aggregate.mock.calls[0].arguments;
+    assert.equal(pipeline[1].$group._id.$dayOfWeek.timezone, TIME_ZONE);
+    assert.equal(pipeline[0].$match.student_id, userId.toString());
+    assert.deepEqual(pipeline[0].$match.start_time, { $gte: MARCH_10_TO_14.from, $lte: MARCH_10_TO_14.to });
+    assert.deepEqual(patterns.by_day_of_week.map(d => d.day), ['thursday', 'friday']);
+    assert.deepEqual(patterns.by_hour, [{ _id: 10, sessions: 2, total_time: 150 }]);
+  });
+
+  it('getMaterialAnalytics totals the sessions on a material', async () => {
+    const find = mock.method(Session, 'find', () => chain(SESSIONS.slice(0, 2)));
+    mock.method(Metric, 'aggregate', async () => [{ _id: null, avg_engagement: 60 }]);
+    mock.method(Highlight, 'countDocuments', async () => 2);
+    mock.method(Annotation, 'countDocuments', async () => 1);
+
+    const data = await getMaterialAnalytics(userId, material, MARCH_10_TO_14);
+
+    assert.equal(find.mock.calls[0].arguments[0].material_id, materialId);
+    assert.deepEqual(data, {
+      material: { id: materialId, title: 'Cell Biology', page_count: 20 },
+      sessions: 2,
+      total_study_minutes: 90,
+      engagement: { avg_engagement: 60 },
+      highlights: 2,
+      annotations: 1
+    });
+  });
+
+  it('getMaterialAnalytics is null without sessions', async () => {
+    mock.method(Session, 'find', () => chain([]));
+    assert.equal(await getMaterialAnalytics(userId, material, MARCH_10_TO_14), null);
+  });
+});
+
+describe('queries (seeded MongoDB)', { skip: !process.env.MONGODB_TEST_URI && 'set MONGODB_TEST_URI to run' }, () => {
+  const metric = (sessionId, timestamp, engagement) => ({
+    session_id: sessionId,
+    user_id: userId,
+    timestamp,
+    engagement_score: engagement,
+    presence: { detected: true },
+    distraction: { detected: false }
+  });
+
+  before(async () => {
+    await mongoose.connect(process.env.MONGODB_TEST_URI, { dbName: `analytics-test-${process.pid}` });
+
+    await Session.collection.insertMany(SESSIONS.map(s => ({
+      ...s,
+      student_id: userId.toString(),
+      document_id: 'doc',
+      document_path: 'doc.pdf',
+      is_active: false
+    })));
+    // Another student's session and an unfinished one never count
+    await Session.collection.insertMany([
+      { ...SESSIONS[1], _id: 'other', student_id: new mongoose.Types.ObjectId().toString(), is_active: false },
+      { _id: 'active', student_id: userId.toString(), start_time: SESSIONS[1].start_time, duration_seconds: 600, is_active: true, end_time: null }
+    ]);
+    await Metric.collection.insertMany(SESSIONS.map((s, i) => metric(s._id, s.start_time, [70, 50, 90][i])));
+    await Highlight.collection.insertMany([
+      { user_id: userId, session_id: 's1', material_id: materialId, text: 'ATP', page_number: 1 },
+      { user_id: userId, session_id: 's2', material_id: materialId, text: 'ADP', page_number: 2 }
+    ]);
+    await Annotation.collection.insertOne({ user_id: userId, session_id: 's2', material_id: materialId, content: 'Why?', page_number: 2 });
+    await UserPreferences.collection.insertOne({ user_id: userId, ...PREFERENCES });
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  it('getOverview matches the fixture totals', async () => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    try {
+      assert.deepEqual(await getOverview(userId, MARCH_10_TO_14), {
+        totalHours: 1.5, thisWeek: 1.5, avgEngagement: 60, completedSessions: 2, streak: 1, rank: 0
+      });
+      assert.deepEqual(await getOverview(userId), {
+        totalHours: 3, thisWeek: 1.5, avgEngagement: 70, completedSessions: 3, streak: 1, rank: 0
+      });
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('getStudyPatterns buckets by local weekday and hour', async () => {
+    const patterns = await getStudyPatterns(userId, { from: new Date('2024-02-01T00:00:00Z'), to: NOW });
+
+    assert.equal(patterns.timezone, TIME_ZONE);
+    assert.deepEqual(patterns.by_day_of_week, [
+      { _id: 5, sessions: 2, total_time: 90, day: 'thursday' },
+      { _id: 6, sessions: 1, total_time: 90, day: 'friday' }
+    ]);
+    // 10:00 EDT and 10:00 EST share a bucket; UTC would have split them (14h, 15h)
+    assert.deepEqual(patterns.by_hour, [
+      { _id: 10, sessions: 2, total_time: 150 },
+      { _id: 21, sessions: 1, total_time: 30 }
+    ]);
+  });
+
+  it('getMaterialAnalytics counts the material sessions, notes and engagement', async () => {
+    assert.deepEqual(await getMaterialAnalytics(userId, material, { from: new Date('2024-02-01T00:00:00Z'), to: NOW }), {
+      material: { id: materialId, title: 'Cell Biology', page_count: 20 },
+      sessions: 2,
+      total_study_minutes: 90,
+      engagement: { avg_engagement: 60 },
+      highlights: 2,
+      annotations: 1
+    });
+  });
+});
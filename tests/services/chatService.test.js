@@ -0,0 +1,216 @@
+// Study assistant chat: history trimming, session grounding and replies from a
+// local OpenAI-compatible server.
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeUser } from '../helpers/app.js';
+import { startFakeLLM } from '../helpers/fakeLLM.js';
+import Conversation from '../../models/Conversation.js';
+import Session from '../../models/Session.js';
+import Material from '../../models/Material.js';
+import MaterialPage from '../../models/MaterialPage.js';
+import Highlight from '../../models/Highlight.js';
+import Annotation from '../../models/Annotation.js';
+import Metric from '../../models/Metric.js';
+import {
+  trimHistory,
+  estimateTokens,
+  buildSessionGrounding,
+  prepareChat,
+  reply,
+  streamReply
+} from '../../services/chatService.js';
+
+const student = makeUser({ name: 'Student' });
+const materialId = '64b0000000000000000000aa';
+
+const session = {
+  _id: 'session-1',
+  student_id: student.id,
+  material_id: materialId,
+  interactions: [
+    { type: 'page_change', data: { to: 3 } },
+    { type: 'click', data: {} },
+    { type: 'page_change', data: { to: 7 } }
+  ]
+};
+
+// A query chain (find().sort().limit().select().lean()) resolving to `rows`
+const chain = (rows) => ({
+  sort() { return this; },
+  limit() { return this; },
+  select() { return this; },
+  lean: async () => rows
+});
+
+const mockSessionData = ({ highlights = [], annotations = [], metrics = [], pageText = 'Mitochondria make ATP.' } = {}) => {
+  mock.method(Session, 'findById', async (id) => (id === session._id ? session : null));
+  mock.method(Material, 'findById', () => chain({
+    _id: materialId,
+    title: 'Cell Biology',
+    page_count: 20,
+    extraction: { status: 'completed' }
+  }));
+  const getRangeText = mock.method(MaterialPage, 'getRangeText', async () => pageText);
+  mock.method(Highlight, 'find', () => chain(highlights));
+  mock.method(Annotation, 'find', () => chain(annotations));
+  mock.method(Metric, 'getRecentMetrics', () => ({ lean: async () => metrics }));
+  return { getRangeText };
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('trimHistory', () => {
+  const messages = [
+    { role: 'user', content: 'a'.repeat(40) },
+    { role: 'assistant', content: 'b'.repeat(40), tokens: 30 },
+    { role: 'user', content: 'c'.repeat(20) }
+  ];
+
+  it('keeps the most recent messages that fit, oldest first', () => {
+    // 5 + 30 tokens fit in 40, the first message (10 more) does not
+    assert.deepEqual(trimHistory(messages, 40), messages.slice(1));
+    assert.deepEqual(trimHistory(messages, 45), messages);
+  });
+
+  it('prefers the stored token count over the estimate', () => {
+    assert.deepEqual(trimHistory(messages, 34), messages.slice(2));
+  });
+
+  it('stops at the first message that does not fit, without skipping it', () => {
+    assert.deepEqual(trimHistory(messages, 4), []);
+    assert.deepEqual(trimHistory([], 100), []);
+  });
+
+  it('estimates about four characters per token', () => {
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+    assert.equal(estimateTokens(), 0);
+  });
+});
+
+describe('buildSessionGrounding', () => {
+  it('grounds in the pages around the current page, notes and recent focus', async () => {
+    const { getRangeText } = mockSessionData({
+      highlights: [{ text: 'ATP synthase', notes: 'exam', page_number: 7 }],
+      annotations: [{ content: 'Review this', type: 'question', page_number: 6 }],
+      metrics: [
+        { engagement_score: 80, distraction: { detected: false }, health: { fatigue_level: 20 } },
+        { engagement_score: 60, distraction: { detected: true }, health: { fatigue_level: 40 } }
+      ]
+    });
+
+    const grounding = await buildSessionGrounding(session);
+
+    assert.deepEqual(getRangeText.mock.calls[0].arguments.slice(1), [6, 8]);
+    assert.deepEqual(grounding.sources, {
+      session_id: 'session-1',
+      material_id: materialId,
+      current_page: 7,
+      document: true,
+      highlights: 1,
+      annotations: 1,
+      metrics: true
+    });
+    assert.match(grounding.text, /^# Study context/);
+    assert.match(grounding.text, /average engagement 70\/100, distracted in 1 of 2 samples, fatigue 30\/100/);
+    assert.match(grounding.text, /- \[p\.7\] Highlighted: "ATP synthase" \(note: exam\)/);
+    assert.match(grounding.text, /- \[p\.6\] question: Review this/);
+    assert.match(grounding.text, /## Document: Cell Biology \(student is on page 7\)\nMitochondria make ATP\./);
+  });
+
+  it('starts at the beginning of the document when no page was recorded', async () => {
+    const { getRangeText } = mockSessionData();
+
+    const grounding = await buildSessionGrounding({ ...session, interactions: [] });
+
+    assert.deepEqual(getRangeText.mock.calls[0].arguments.slice(1), [1, 3]);
+    assert.equal(grounding.sources.current_page, null);
+    assert.match(grounding.text, /## Document: Cell Biology\n/);
+  });
+
+  it('keeps the document within the grounding budget', async () => {
+    mockSessionData({ pageText: 'x'.repeat(40000) });
+
+    const grounding = await buildSessionGrounding(session);
+
+    assert.ok(estimateTokens(grounding.text) <= 2500 + 20);
+    assert.match(grounding.text, /x…$/);
+  });
+
+  it('returns null when there is nothing to ground in', async () => {
+    mockSessionData();
+    assert.equal(await buildSessionGrounding({ ...session, material_id: null }), null);
+  });
+});
+
+describe('replies from an OpenAI-compatible server', () => {
+  let llm;
+
+  before(async () => {
+    llm = await startFakeLLM();
+  });
+
+  after(() => llm.close());
+
+  beforeEach(() => {
+    llm.connect();
+    mock.method(Conversation.prototype, 'save', async function() { return this; });
+  });
+
+  it('sends the grounded prompt and stores the exchange', async () => {
+    mockSessionData({ highlights: [{ text: 'ATP synthase', page_number: 7 }] });
+    llm.reply = { parts: ['ATP is made ', 'on page 7.'] };
+
+    const prepared = await prepareChat({ user: student, message: 'Where is ATP made?', sessionId: session._id });
+    const { message, usage } = await reply(prepared);
+
+    const [{ body }] = llm.requests;
+    assert.equal(body.messages[0].role, 'system');
+    assert.match(body.messages[0].content, /# Study context[\s\S]*ATP synthase/);
+    assert.deepEqual(body.messages.at(-1), { role: 'user', content: 'Where is ATP made?' });
+    assert.equal(message.content, 'ATP is made on page 7.');
+    assert.equal(usage.total_tokens, 12);
+    assert.equal(prepared.conversation.session_id, session._id);
+    assert.deepEqual(prepared.conversation.messages.map(m => m.role), ['user', 'assistant']);
+  });
+
+  it('includes the history that fits before the new message', async () => {
+    const conversation = new Conversation({ user_id: student._id });
+    conversation.addMessage({ role: 'user', content: 'old question', tokens: 100000 });
+    conversation.addMessage({ role: 'user', content: 'recent question' });
+    conversation.addMessage({ role: 'assistant', content: 'recent answer' });
+    mock.method(Conversation, 'findOne', async () => conversation);
+
+    const prepared = await prepareChat({ user: student, message: 'And now?', conversationId: conversation._id.toString() });
+    await reply(prepared);
+
+    assert.equal(prepared.history_messages, 2);
+    assert.deepEqual(llm.requests[0].body.messages.slice(1).map(m => m.content), ['recent question', 'recent answer', 'And now?']);
+  });
+
+  it('streams deltas in order and stores the whole reply', async () => {
+    llm.reply = { parts: ['One ', 'two ', 'three.'] };
+    const deltas = [];
+
+    const prepared = await prepareChat({ user: student, message: 'Count' });
+    const { message } = await streamReply(prepared, (delta) => deltas.push(delta));
+
+    assert.equal(llm.requests[0].body.stream, true);
+    assert.deepEqual(deltas, ['One ', 'two ', 'three.']);
+    assert.equal(message.content, 'One two three.');
+    assert.equal(message.truncated, false);
+  });
+
+  it('stores a reply cut short by the provider as truncated', async () => {
+    llm.reply = { parts: ['Partial ', 'answer'], failAfter: 1 };
+    const deltas = [];
+
+    const prepared = await prepareChat({ user: student, message: 'Explain' });
+    await assert.rejects(streamReply(prepared, (delta) => deltas.push(delta)));
+
+    assert.deepEqual(deltas, ['Partial ']);
+    const stored = prepared.conversation.messages.at(-1);
+    assert.equal(stored.content, 'Partial ');
+    assert.equal(stored.truncated, true);
+  });
+});
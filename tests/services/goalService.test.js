@@ -0,0 +1,152 @@
+// Daily summaries: pushed to connected students, held back through quiet hours
+// and sent once they end, skipped when turned off, never marked sent when
+// nothing reached the student.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import '../helpers/app.js';
+import Session from '../../models/Session.js';
+import StudyGoalPeriod from '../../models/StudyGoalPeriod.js';
+import User from '../../models/User.js';
+import UserPreferences from '../../models/UserPreferences.js';
+import { dispatchDailySummaries } from '../../services/goalService.js';
+
+const studentId = new mongoose.Types.ObjectId().toString();
+const student = { _id: studentId, name: 'Ana' };
+
+// New York is UTC-4 in October; the summary goes out from 21:00 local time
+const EVENING = new Date('2026-10-14T01:30:00Z'); // Tuesday 13th, 21:30
+const NEXT_MORNING = new Date('2026-10-14T11:30:00Z'); // Wednesday 14th, 07:30
+
+const sessions = [
+  // Tuesday 18:00-19:00
+  { start_time: new Date('2026-10-13T22:00:00Z'), end_time: new Date('2026-10-13T23:00:00Z'), duration_seconds: 3600 },
+  // Wednesday 07:00-07:20, after the day being summarized
+  { start_time: new Date('2026-10-14T11:00:00Z'), end_time: new Date('2026-10-14T11:20:00Z'), duration_seconds: 1200 }
+];
+
+const chain = (value) => ({ select() { return this; }, sort() { return this; }, lean: async () => value });
+
+const makePreferences = (notifications = {}) => new UserPreferences({
+  user_id: studentId,
+  localization: { timezone: 'America/New_York' },
+  notifications
+});
+
+// StudyGoalPeriod documents kept in memory, keyed by period_start
+let periods;
+
+const mockData = (preferences, user = student) => {
+  periods = new Map();
+  mock.method(Session, 'distinct', async () => [studentId]);
+  mock.method(Session, 'find', (query) => chain(sessions.filter(s => s.start_time >= query.start_time.$gte)));
+  mock.method(UserPreferences, 'find', async () => [preferences]);
+  mock.method(User, 'find', () => chain(user ? [user] : []));
+  mock.method(StudyGoalPeriod, 'find', ({ period_start }) => chain(
+    period_start.$in.filter(key => periods.has(key)).map(key => periods.get(key))
+  ));
+  mock.method(StudyGoalPeriod, 'findOneAndUpdate', ({ period_start }, { $set }) => {
+    const record = periods.get(period_start) || { _id: period_start, period_start, summary_status: null };
+    periods.set(period_start, Object.assign(record, $set));
+    return { lean: async () => ({ ...record }) };
+  });
+  mock.method(StudyGoalPeriod, 'updateOne', async ({ _id, summary_status }, { $set }) => {
+    const record = periods.get(_id);
+    const pending = summary_status === undefined
+      || (summary_status?.$in ? summary_status.$in.includes(record.summary_status) : record.summary_status === summary_status);
+    if (!pending) return { modifiedCount: 0 };
+    Object.assign(record, $set);
+    return { modifiedCount: 1 };
+  });
+};
+
+// A Socket.IO server with `connected` tabs in the student's channel
+const makeIo = (connected) => {
+  const emitted = [];
+  return {
+    emitted,
+    in: () => ({ fetchSockets: async () => Array.from({ length: connected }) }),
+    to: (channel) => ({ emit: (event, payload) => emitted.push({ channel, event, payload }) })
+  };
+};
+
+beforeEach(() => {
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('dispatchDailySummaries', () => {
+  it('pushes the summary to a connected student once', async () => {
+    mockData(makePreferences());
+    const io = makeIo(1);
+
+    assert.equal(await dispatchDailySummaries(io, EVENING), 1);
+    assert.equal(await dispatchDailySummaries(io, EVENING), 0);
+
+    assert.equal(io.emitted.length, 1);
+    const [{ channel, event, payload }] = io.emitted;
+    assert.equal(channel, `student:${studentId}`);
+    assert.equal(event, 'daily-summary');
+    assert.equal(payload.date, '2026-10-13');
+    assert.equal(payload.sessions, 1);
+    assert.equal(payload.daily.studied_minutes, 60);
+
+    const record = periods.get('2026-10-13');
+    assert.equal(record.summary_status, 'sent');
+    assert.deepEqual(record.summary_deliveries.map(d => [d.channel, d.status]), [['socket', 'sent']]);
+  });
+
+  it('does not send before the summary time', async () => {
+    mockData(makePreferences());
+    const io = makeIo(1);
+
+    assert.equal(await dispatchDailySummaries(io, new Date('2026-10-13T23:30:00Z')), 0);
+    assert.equal(io.emitted.length, 0);
+  });
+
+  it('marks it failed, not sent, when the student is offline and has no email', async () => {
+    mockData(makePreferences(), null);
+    const io = makeIo(0);
+
+    assert.equal(await dispatchDailySummaries(io, EVENING), 1);
+
+    const record = periods.get('2026-10-13');
+    assert.equal(record.summary_status, 'failed');
+    assert.equal(record.summary_sent_at, null);
+    assert.deepEqual(record.summary_deliveries.map(d => [d.channel, d.status]), [['socket', 'skipped'], ['email', 'skipped']]);
+    assert.equal(io.emitted.length, 0);
+  });
+
+  it('holds the summary through quiet hours and sends that day once they end', async () => {
+    mockData(makePreferences({ quiet_hours: { enabled: true, start_time: '20:00', end_time: '07:00' } }));
+    const io = makeIo(1);
+
+    assert.equal(await dispatchDailySummaries(io, EVENING), 0);
+    assert.equal(periods.get('2026-10-13').summary_status, 'deferred');
+    assert.equal(periods.get('2026-10-13').summary_skip_reason, 'quiet_hours');
+    assert.equal(await dispatchDailySummaries(io, new Date('2026-10-14T10:30:00Z')), 0);
+    assert.equal(io.emitted.length, 0);
+
+    assert.equal(await dispatchDailySummaries(io, NEXT_MORNING), 1);
+
+    const [{ payload }] = io.emitted;
+    assert.equal(payload.date, '2026-10-13');
+    // Wednesday morning's session belongs to the next summary
+    assert.equal(payload.daily.studied_minutes, 60);
+    assert.equal(payload.weekly.studied_minutes, 60);
+    assert.equal(periods.get('2026-10-13').summary_status, 'sent');
+    assert.equal(periods.has('2026-10-14'), false);
+  });
+
+  it('skips the summary when daily summaries are turned off', async () => {
+    mockData(makePreferences({ daily_summary: false }));
+    const io = makeIo(1);
+
+    assert.equal(await dispatchDailySummaries(io, EVENING), 1);
+
+    assert.equal(periods.get('2026-10-13').summary_status, 'skipped');
+    assert.equal(periods.get('2026-10-13').summary_skip_reason, 'category_disabled');
+    assert.equal(io.emitted.length, 0);
+  });
+});
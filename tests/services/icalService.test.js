@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalendar, buildTimeZoneComponent } from '../../services/icalService.js';
+import { zonedTimeToUtc } from '../../utils/timezone.js';
+
+const TZ = 'America/New_York';
+
+const routine = {
+  _id: 'r1',
+  title: 'Biology',
+  type: 'weekly',
+  days_of_week: ['monday', 'wednesday'],
+  start_date: zonedTimeToUtc('2026-01-05', '00:00', TZ),
+  end_date: zonedTimeToUtc('2026-06-30', '23:59', TZ),
+  times: { start: '18:00', end: '19:30' },
+  subjects: [{ name: 'Cells' }],
+  updatedAt: new Date('2026-01-01T00:00:00Z')
+};
+
+// Unfolded content lines of a VCALENDAR
+const contentLines = (ics) => ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+describe('buildCalendar', () => {
+  it('defines a VTIMEZONE for every TZID the events use', () => {
+    const lines = contentLines(buildCalendar([routine], { timeZone: TZ }));
+
+    const used = new Set(lines.flatMap(line => line.match(/;TZID=([^:;]+)/)?.[1] ?? []));
+    const defined = new Set(lines.filter(line => line.startsWith('TZID:')).map(line => line.slice(5)));
+
+    assert.deepEqual([...used], [TZ]);
+    assert.deepEqual([...defined], [TZ]);
+    assert.ok(lines.indexOf('BEGIN:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'));
+    assert.ok(lines.includes('DTSTART;TZID=America/New_York:20260105T180000'));
+  });
+
+  it('covers the DST changes the routine spans', () => {
+    const ics = buildCalendar([routine], { timeZone: TZ });
+    assert.match(ics, /BEGIN:DAYLIGHT\r\nDTSTART:20260308T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400\r\nEND:DAYLIGHT/);
+    assert.match(ics, /BEGIN:STANDARD\r\nDTSTART:20261101T020000\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500\r\nEND:STANDARD/);
+  });
+
+  it('leaves the VTIMEZONE out of an empty feed', () => {
+    assert.doesNotMatch(buildCalendar([], { timeZone: TZ }), /VTIMEZONE/);
+  });
+});
+
+describe('buildTimeZoneComponent', () => {
+  it('describes a zone without DST with one observance', () => {
+    const from = zonedTimeToUtc('2026-01-01', '00:00', 'Asia/Kathmandu');
+    const to = zonedTimeToUtc('2027-01-01', '00:00', 'Asia/Kathmandu');
+    assert.deepEqual(buildTimeZoneComponent('Asia/Kathmandu', from, to), [
+      'BEGIN:VTIMEZONE',
+      'TZID:Asia/Kathmandu',
+      'BEGIN:STANDARD',
+      'DTSTART:20260101T000000',
+      'TZOFFSETFROM:+0545',
+      'TZOFFSETTO:+0545',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ]);
+  });
+
+  it('starts southern-hemisphere zones in daylight time', () => {
+    const from = zonedTimeToUtc('2026-01-01', '00:00', 'Australia/Sydney');
+    const to = zonedTimeToUtc('2027-01-01', '00:00', 'Australia/Sydney');
+    const lines = buildTimeZoneComponent('Australia/Sydney', from, to);
+    assert.deepEqual(lines.slice(2, 6), ['BEGIN:DAYLIGHT', 'DTSTART:20260101T000000', 'TZOFFSETFROM:+1100', 'TZOFFSETTO:+1100']);
+    assert.ok(lines.includes('DTSTART:20260405T030000'));
+  });
+});
@@ -0,0 +1,96 @@
+// Leaderboard privacy: hidden students stay out of what other students see,
+// default pseudonyms differ per room and chosen ones cannot impersonate.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import '../helpers/app.js';
+import Room from '../../models/Room.js';
+import RoomLeaderboard from '../../models/RoomLeaderboard.js';
+import UserPreferences from '../../models/UserPreferences.js';
+import { getLeaderboard, getPseudonym, checkPseudonym } from '../../services/leaderboardService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const teacher = { _id: id(), name: 'Ms Rivera' };
+const viewer = { _id: id(), name: 'Ana' };
+const visible = { _id: id(), name: 'Ben' };
+const hidden = { _id: id(), name: 'Cleo' };
+
+const room = { _id: id(), title: 'Biology', teacher_id: teacher._id, allowed_students: [viewer, visible, hidden] };
+
+const entry = (student, focused, engagement) => ({
+  student_id: student._id,
+  sessions: 1,
+  study_minutes: focused,
+  focused_minutes: focused,
+  current_streak: 1,
+  avg_engagement: engagement
+});
+
+const chain = (value) => ({ select() { return this; }, populate() { return this; }, lean: async () => value });
+
+afterEach(() => mock.restoreAll());
+
+describe('getLeaderboard class average', () => {
+  beforeEach(() => {
+    mock.method(UserPreferences, 'findOne', () => chain(null));
+    mock.method(RoomLeaderboard, 'findOne', () => chain({
+      is_final: true,
+      computed_at: new Date(),
+      entries: [entry(viewer, 100, 80), entry(visible, 50, 60), entry(hidden, 300, 20)]
+    }));
+    mock.method(UserPreferences, 'find', () => chain([
+      { user_id: viewer._id, analytics: { compare_with_average: true } },
+      { user_id: hidden._id, analytics: { leaderboard_visibility: 'hidden' } }
+    ]));
+  });
+
+  it('leaves hidden students out of the average students see', async () => {
+    const board = await getLeaderboard(room, viewer);
+
+    assert.deepEqual(board.entries.map(e => e.focused_minutes), [100, 50]);
+    assert.equal(board.class_average.focused_minutes, 75);
+    assert.equal(board.class_average.avg_engagement, 70);
+  });
+
+  it('averages the whole class for the teacher', async () => {
+    const board = await getLeaderboard(room, teacher);
+
+    assert.equal(board.entries.length, 3);
+    assert.equal(board.class_average.focused_minutes, 150);
+  });
+});
+
+describe('getPseudonym', () => {
+  it('derives a different default per room', () => {
+    const first = getPseudonym(viewer._id, null, room._id);
+    const second = getPseudonym(viewer._id, null, id());
+
+    assert.match(first, /^Student [0-9A-F]{4}$/);
+    assert.equal(getPseudonym(viewer._id, {}, room._id), first);
+    assert.notEqual(first, second);
+  });
+
+  it('uses the chosen pseudonym everywhere', () => {
+    assert.equal(getPseudonym(viewer._id, { analytics: { leaderboard_pseudonym: 'Owl' } }, room._id), 'Owl');
+  });
+});
+
+describe('checkPseudonym', () => {
+  beforeEach(() => {
+    mock.method(Room, 'find', () => chain([{ ...room, teacher_id: teacher }]));
+  });
+
+  it("refuses the name of someone in the user's rooms", async () => {
+    assert.match(await checkPseudonym(viewer._id, '  ben '), /someone in one of your rooms/);
+    assert.match(await checkPseudonym(viewer._id, 'MS  RIVERA'), /someone in one of your rooms/);
+  });
+
+  it('refuses names that look like default pseudonyms', async () => {
+    assert.match(await checkPseudonym(viewer._id, 'Student 1A2B'), /reserved/);
+  });
+
+  it("accepts other names, and the user's own", async () => {
+    assert.equal(await checkPseudonym(viewer._id, 'Night Owl'), null);
+    assert.equal(await checkPseudonym(viewer._id, 'Ana'), null);
+  });
+});
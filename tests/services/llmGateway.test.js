@@ -0,0 +1,71 @@
+// The LLM gateway with the offline stub provider: provider chains per feature,
+// deterministic replies and JSON mode.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import '../helpers/app.js';
+import llmGateway, { FEATURES, LLMUnavailableError } from '../../services/llmGateway.js';
+import { createProviders } from '../../services/llmProviders.js';
+
+const messages = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'What   is\nosmosis?' }
+];
+
+beforeEach(() => {
+  // No API keys: only the stub is configured
+  llmGateway.setProviders(createProviders({}));
+  process.env.LLM_FEATURE_SUMMARY = 'stub';
+});
+
+afterEach(() => {
+  delete process.env.LLM_FEATURE_SUMMARY;
+  mock.restoreAll();
+});
+
+describe('llmGateway with the stub provider', () => {
+  it('lists only providers with an API key as configured', () => {
+    assert.deepEqual(llmGateway.getConfiguredProviders(), []);
+    llmGateway.setProviders(createProviders({ GROK_API_KEY: 'key' }));
+    assert.deepEqual(llmGateway.getConfiguredProviders(), ['grok']);
+  });
+
+  it('routes a feature to the stub only when its chain names it', async () => {
+    assert.deepEqual(llmGateway.getProviderChain(FEATURES.SUMMARY), [{ provider: 'stub', model: null }]);
+    assert.equal(llmGateway.isAvailable(FEATURES.CHAT), false);
+    await assert.rejects(llmGateway.complete(FEATURES.CHAT, messages), LLMUnavailableError);
+  });
+
+  it('answers the same messages with the same reply', async () => {
+    const first = await llmGateway.complete(FEATURES.SUMMARY, messages);
+    const again = await llmGateway.complete(FEATURES.SUMMARY, messages);
+    const other = await llmGateway.complete(FEATURES.SUMMARY, [{ role: 'system', content: 'Be long.' }, messages[1]]);
+
+    assert.match(first.content, /^\[stub [0-9a-f]{12}\] What is osmosis\?$/);
+    assert.equal(first.provider, 'stub');
+    assert.equal(again.content, first.content);
+    assert.notEqual(other.content, first.content);
+  });
+
+  it('streams the reply word by word', async () => {
+    const parts = [];
+    for await (const part of llmGateway.stream(FEATURES.SUMMARY, messages)) parts.push(part);
+
+    const { content } = await llmGateway.complete(FEATURES.SUMMARY, messages);
+    assert.ok(parts.length > 1);
+    assert.equal(parts.join(''), content);
+  });
+
+  it('returns the canned value in JSON mode and validates it', async () => {
+    mock.method(console, 'warn', () => {});
+    const { data } = await llmGateway.completeJSON(FEATURES.SUMMARY, messages, { stub: { ok: true } });
+    assert.deepEqual(data, { ok: true });
+
+    await assert.rejects(
+      llmGateway.completeJSON(FEATURES.SUMMARY, messages, {
+        stub: { ok: false },
+        validate: (value) => { if (!value.ok) throw new Error('not ok'); }
+      }),
+      LLMUnavailableError
+    );
+  });
+});
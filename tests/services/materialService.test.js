@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import '../helpers/app.js';
+import Material from '../../models/Material.js';
+import MaterialPage from '../../models/MaterialPage.js';
+import Session from '../../models/Session.js';
+import Highlight from '../../models/Highlight.js';
+import Annotation from '../../models/Annotation.js';
+import Flashcard from '../../models/Flashcard.js';
+import Quiz from '../../models/Quiz.js';
+import Conversation from '../../models/Conversation.js';
+import Room from '../../models/Room.js';
+import { detachMaterial, cleanupOrphanedMaterials, canAccessMaterial } from '../../services/materialService.js';
+
+const REFERENCING = [Session, Highlight, Annotation, Flashcard, Quiz, Conversation];
+
+const makeMaterial = () => new Material({
+  owner_id: new mongoose.Types.ObjectId(),
+  title: 'Cells',
+  storage_key: `pdfs/${new mongoose.Types.ObjectId()}.pdf`,
+  checksum: 'abc',
+  rooms: [],
+  routines: []
+});
+
+describe('material removal', () => {
+  let deletedPages;
+  let deletedMaterials;
+  let referencedBy;
+
+  beforeEach(() => {
+    deletedPages = [];
+    deletedMaterials = [];
+    referencedBy = null;
+    REFERENCING.forEach(Model => mock.method(Model, 'exists', async () => (Model === referencedBy ? { _id: 1 } : null)));
+    mock.method(MaterialPage, 'deleteMany', async (filter) => { deletedPages.push(filter.material_id); });
+    mock.method(Material, 'deleteOne', async (filter) => { deletedMaterials.push(filter._id); });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('deletes a detached material nothing refers to', async () => {
+    const material = makeMaterial();
+    mock.method(Material, 'findByIdAndUpdate', async () => material);
+
+    assert.equal(await detachMaterial(material._id, { roomId: 'r1' }), null);
+    assert.deepEqual(deletedMaterials, [material._id]);
+    assert.deepEqual(deletedPages, [material._id]);
+  });
+
+  for (const Model of REFERENCING) {
+    it(`keeps a detached material that a ${Model.modelName} refers to`, async () => {
+      const material = makeMaterial();
+      referencedBy = Model;
+      mock.method(Material, 'findByIdAndUpdate', async () => material);
+
+      assert.equal(await detachMaterial(material._id, { roomId: 'r1' }), material);
+      assert.deepEqual(deletedMaterials, []);
+      assert.deepEqual(deletedPages, []);
+    });
+  }
+
+  it('sweeps only orphans without history', async () => {
+    const kept = makeMaterial();
+    const swept = makeMaterial();
+    mock.method(Material, 'find', async () => [kept, swept]);
+    mock.method(Session, 'exists', async ({ material_id }) => (material_id === kept._id ? { _id: 1 } : null));
+
+    assert.equal(await cleanupOrphanedMaterials(0), 1);
+    assert.deepEqual(deletedMaterials, [swept._id]);
+  });
+});
+
+describe('canAccessMaterial', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('lets a student who studied it in a deleted room keep access', async () => {
+    const material = makeMaterial();
+    const student = { _id: new mongoose.Types.ObjectId() };
+    const roomExists = mock.method(Room, 'exists', async () => null);
+    mock.method(Session, 'exists', async (filter) => (filter.student_id === student._id.toString() ? { _id: 's1' } : null));
+
+    assert.equal(await canAccessMaterial(material, student), true);
+    assert.equal(await canAccessMaterial(material, { _id: new mongoose.Types.ObjectId() }), false);
+    assert.equal(roomExists.mock.callCount(), 0);
+  });
+});
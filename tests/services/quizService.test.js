@@ -0,0 +1,80 @@
+// Automatic grading of quiz answers
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../helpers/app.js';
+import { normalizeAnswer, parseNumber, gradeAnswer } from '../../services/quizService.js';
+
+const shortAnswer = (answer, accepted = []) => ({ type: 'short_answer', answer, accepted_answers: accepted, points: 2 });
+const multipleChoice = { type: 'multiple_choice', options: ['Mitochondria', 'Nucleus', 'Ribosome'], correct_option: 0, points: 1 };
+
+describe('normalizeAnswer', () => {
+  it('drops case, articles and punctuation', () => {
+    assert.equal(normalizeAnswer('The  Mitochondria!'), 'mitochondria');
+    assert.equal(normalizeAnswer('well-known'), 'well known');
+  });
+
+  it('keeps the sign and thousands separators of numbers', () => {
+    assert.equal(normalizeAnswer('-5'), '-5');
+    assert.equal(normalizeAnswer('−5 degrees'), '-5 degrees');
+    assert.equal(normalizeAnswer('1,000'), '1000');
+    assert.notEqual(normalizeAnswer('-5'), normalizeAnswer('5'));
+  });
+});
+
+describe('parseNumber', () => {
+  it('reads signed numbers with separators', () => {
+    assert.equal(parseNumber('-5'), -5);
+    assert.equal(parseNumber(' 1,250.5 '), 1250.5);
+    assert.equal(parseNumber('+3'), 3);
+  });
+
+  it('refuses anything else', () => {
+    for (const value of ['5 kg', '1,00', '0x10', '', null, '--5']) assert.equal(parseNumber(value), null, value);
+  });
+});
+
+describe('gradeAnswer', () => {
+  it('compares numbers by value, sign included', () => {
+    assert.equal(gradeAnswer(shortAnswer('-5'), '5').correct, false);
+    assert.equal(gradeAnswer(shortAnswer('-5'), '-5').correct, true);
+    assert.equal(gradeAnswer(shortAnswer('-5'), '-5.04').correct, true);
+    assert.equal(gradeAnswer(shortAnswer('1,000'), '1000').correct, true);
+    assert.equal(gradeAnswer(shortAnswer('1000'), '100').points_awarded, 0);
+  });
+
+  it('accepts the expected answer and its alternatives', () => {
+    assert.deepEqual(gradeAnswer(shortAnswer('mitochondria'), 'The mitochondria'), { correct: true, points_awarded: 2, feedback: 'Correct' });
+    assert.equal(gradeAnswer(shortAnswer('mitochondrion', ['mitochondria']), 'mitochondria').correct, true);
+  });
+
+  it('gives credit for the key words of the expected answer', () => {
+    const question = shortAnswer('light energy converted into chemical energy');
+    assert.equal(gradeAnswer(question, 'chemical energy from light energy being converted').correct, true);
+    assert.equal(gradeAnswer(question, 'light energy').points_awarded, 1);
+    assert.equal(gradeAnswer(question, 'water').points_awarded, 0);
+  });
+
+  it('scales the credit down for answers padded with extra terms', () => {
+    const question = shortAnswer('mitochondria');
+    assert.equal(gradeAnswer(question, 'mitochondria of the cell').correct, true);
+    assert.equal(gradeAnswer(question, 'nucleus ribosome golgi mitochondria lysosome membrane').points_awarded, 1);
+    assert.equal(
+      gradeAnswer(question, 'nucleus ribosome golgi mitochondria lysosome membrane vacuole chloroplast wall cytoplasm').points_awarded,
+      0
+    );
+  });
+
+  it('takes only an integer option for multiple choice', () => {
+    assert.equal(gradeAnswer(multipleChoice, 0).correct, true);
+    assert.equal(gradeAnswer(multipleChoice, '0').correct, true);
+    for (const response of [false, '0x0', 0.5, [0], '0.0', '-0']) {
+      assert.equal(gradeAnswer(multipleChoice, response).correct, false, JSON.stringify(response));
+    }
+    assert.equal(gradeAnswer(multipleChoice, 1).feedback, 'Correct answer: Mitochondria');
+  });
+
+  it('scores a blank answer as no answer', () => {
+    assert.deepEqual(gradeAnswer(shortAnswer('x'), '  '), { correct: false, points_awarded: 0, feedback: 'No answer' });
+    assert.equal(gradeAnswer(multipleChoice, null).feedback, 'No answer');
+  });
+});
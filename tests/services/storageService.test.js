@@ -0,0 +1,157 @@
+// Storage drivers. The S3 driver runs against s3rver, a local S3-compatible
+// server standing in for MinIO.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import S3rver from 's3rver';
+import '../helpers/app.js';
+import { createS3Driver, createLocalDriver, verifyLocalSignature, inlineDisposition } from '../../services/storageService.js';
+
+const BUCKET = 'materials';
+const PDF_BYTES = Buffer.from('%PDF-1.4\n% test document\n');
+
+const makeTempDir = (prefix) => fsp.mkdtemp(path.join(os.tmpdir(), prefix));
+
+const writeTempFile = async (dir, name = 'upload.pdf') => {
+  const file = path.join(dir, name);
+  await fsp.writeFile(file, PDF_BYTES);
+  return file;
+};
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe('S3 driver (s3rver)', () => {
+  let server;
+  let storageDir;
+  let uploadDir;
+  let storage;
+
+  before(async () => {
+    storageDir = await makeTempDir('s3rver-');
+    uploadDir = await makeTempDir('uploads-');
+    server = new S3rver({
+      port: 0,
+      address: '127.0.0.1',
+      silent: true,
+      directory: storageDir,
+      configureBuckets: [{ name: BUCKET }]
+    });
+    const { port } = await server.run();
+
+    storage = createS3Driver({
+      bucket: BUCKET,
+      endpoint: `http://127.0.0.1:${port}`,
+      accessKeyId: 'S3RVER',
+      secretAccessKey: 'S3RVER',
+      forcePathStyle: true
+    });
+  });
+
+  after(async () => {
+    storage?.client.destroy();
+    await server?.close();
+    await fsp.rm(storageDir, { recursive: true, force: true });
+    await fsp.rm(uploadDir, { recursive: true, force: true });
+  });
+
+  it('puts a file under a normalized key and removes the temp file', async () => {
+    const source = await writeTempFile(uploadDir);
+
+    const key = await storage.put('/pdfs//a.pdf', source, { contentType: 'application/pdf' });
+
+    assert.equal(key, 'pdfs/a.pdf');
+    assert.equal(fs.existsSync(source), false);
+    assert.equal(await storage.exists(key), true);
+  });
+
+  it('reads back what was stored', async () => {
+    const key = await storage.put('pdfs/b.pdf', await writeTempFile(uploadDir));
+    assert.deepEqual(await readStream(await storage.createReadStream(key)), PDF_BYTES);
+  });
+
+  it('hands out a presigned URL that downloads the file', async () => {
+    const key = await storage.put('pdfs/c.pdf', await writeTempFile(uploadDir));
+
+    const url = await storage.getSignedUrl(key, { expiresIn: 60, filename: 'Cell "Biology".pdf' });
+    assert.match(url, /X-Amz-Signature=/);
+    assert.match(url, /X-Amz-Expires=60/);
+
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-disposition'), 'inline; filename="Cell Biology.pdf"');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), PDF_BYTES);
+  });
+
+  it('keeps names outside Latin-1 in the download header', async () => {
+    const key = await storage.put('pdfs/e.pdf', await writeTempFile(uploadDir));
+
+    const res = await fetch(await storage.getSignedUrl(key, { filename: 'अध्याय 1.pdf' }));
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /filename\*=UTF-8''%E0%A4%85/);
+  });
+
+  it('removes objects, and ignores missing ones', async () => {
+    const key = await storage.put('pdfs/d.pdf', await writeTempFile(uploadDir));
+
+    await storage.remove(key);
+    assert.equal(await storage.exists(key), false);
+    await storage.remove(key);
+  });
+
+  it('refuses keys that escape the bucket prefix', async () => {
+    await assert.rejects(storage.remove('../outside.pdf'), /Invalid storage key/);
+  });
+});
+
+describe('local driver', () => {
+  let root;
+  let uploadDir;
+  let storage;
+
+  before(async () => {
+    root = await makeTempDir('local-storage-');
+    uploadDir = await makeTempDir('uploads-');
+    storage = createLocalDriver({ root, baseUrl: 'http://api.test' });
+  });
+
+  after(async () => {
+    await fsp.rm(root, { recursive: true, force: true });
+    await fsp.rm(uploadDir, { recursive: true, force: true });
+  });
+
+  it('stores, reads and removes files', async () => {
+    const key = await storage.put('pdfs/a.pdf', await writeTempFile(uploadDir));
+
+    assert.equal(await storage.exists(key), true);
+    assert.deepEqual(await readStream(await storage.createReadStream(key)), PDF_BYTES);
+    await storage.remove(key);
+    assert.equal(await storage.exists(key), false);
+  });
+
+  it('signs download links that verifyLocalSignature accepts until they expire', async () => {
+    const url = new URL(await storage.getSignedUrl('pdfs/a.pdf', { expiresIn: 60 }));
+    const { key, expires, signature } = Object.fromEntries(url.searchParams);
+
+    assert.equal(url.origin + url.pathname, 'http://api.test/api/materials/file');
+    assert.equal(verifyLocalSignature(key, expires, signature), true);
+    assert.equal(verifyLocalSignature('pdfs/other.pdf', expires, signature), false);
+    assert.equal(verifyLocalSignature(key, String(Math.floor(Date.now() / 1000) - 1), signature), false);
+  });
+});
+
+describe('inlineDisposition', () => {
+  it('adds an encoded filename* with an ASCII fallback for other scripts', () => {
+    assert.equal(
+      inlineDisposition('细胞.pdf'),
+      "inline; filename=\"??.pdf\"; filename*=UTF-8''%E7%BB%86%E8%83%9E.pdf"
+    );
+    assert.equal(inlineDisposition('Cell "Biology".pdf'), 'inline; filename="Cell Biology.pdf"');
+  });
+});
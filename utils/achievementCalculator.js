@@ -1,147 +1,142 @@
 // FILE PATH: backend/utils/achievementCalculator.js
-// ✅ COMPLETE Achievement Calculator System
+// Achievement catalog and tier evaluation. Unlocks are stored per user in
+// UserAchievement by services/achievementService.js.
 
-export const calculateAchievements = (sessions, metrics) => {
-  const achievements = [];
-  
-  const totalHours = sessions.reduce((sum, s) => 
-    sum + (s.duration_seconds || 0), 0
-  ) / 3600;
-  
-  const avgEngagement = sessions.length > 0
-    ? sessions.reduce((sum, s) => sum + (s.engagement_score || 0), 0) / sessions.length
-    : 0;
-  
-  const completedSessions = sessions.filter(s => s.status === 'completed').length;
-  
-  // Study Time Achievements
-  if (totalHours >= 100) {
-    achievements.push({
-      id: 'century_scholar',
-      icon: '🏆',
-      title: 'Century Scholar',
-      description: '100+ hours of focused study',
-      category: 'time',
-      level: 'gold',
-      unlockedAt: new Date()
-    });
-  } else if (totalHours >= 50) {
-    achievements.push({
-      id: 'dedicated_learner',
-      icon: '⭐',
-      title: 'Dedicated Learner',
-      description: '50+ hours of study time',
-      category: 'time',
-      level: 'silver',
-      unlockedAt: new Date()
-    });
-  } else if (totalHours >= 10) {
-    achievements.push({
-      id: 'getting_started',
-      icon: '📚',
-      title: 'Getting Started',
-      description: 'Completed 10 hours of study',
-      category: 'time',
-      level: 'bronze',
-      unlockedAt: new Date()
-    });
-  }
-  
-  // Engagement Achievements
-  if (avgEngagement >= 90) {
-    achievements.push({
-      id: 'excellence',
-      icon: '🔥',
-      title: 'Excellence',
-      description: '90%+ average engagement',
-      category: 'engagement',
-      level: 'gold',
-      unlockedAt: new Date()
-    });
-  } else if (avgEngagement >= 80) {
-    achievements.push({
-      id: 'high_performer',
-      icon: '💪',
-      title: 'High Performer',
-      description: '80%+ average engagement',
-      category: 'engagement',
-      level: 'silver',
-      unlockedAt: new Date()
-    });
-  }
-  
-  // Consistency Achievements
-  if (completedSessions >= 50) {
-    achievements.push({
-      id: 'consistency_king',
-      icon: '👑',
-      title: 'Consistency King',
-      description: '50+ sessions completed',
-      category: 'consistency',
-      level: 'gold',
-      unlockedAt: new Date()
-    });
-  } else if (completedSessions >= 20) {
-    achievements.push({
-      id: 'regular_student',
-      icon: '✅',
-      title: 'Regular Student',
-      description: '20+ sessions completed',
-      category: 'consistency',
-      level: 'silver',
-      unlockedAt: new Date()
-    });
-  }
-  
-  // Streak Achievement
-  const streak = calculateStreak(sessions);
-  if (streak >= 7) {
-    achievements.push({
-      id: 'weekly_warrior',
-      icon: '⚡',
-      title: `${streak}-Day Streak`,
-      description: 'Studied consistently every day',
-      category: 'streak',
-      level: streak >= 30 ? 'gold' : streak >= 14 ? 'silver' : 'bronze',
-      unlockedAt: new Date()
-    });
-  }
-  
-  // Focus Achievement (low distractions)
-  if (metrics && metrics.distraction_rate < 0.1) {
-    achievements.push({
-      id: 'laser_focus',
-      icon: '🎯',
-      title: 'Laser Focus',
-      description: 'Less than 10% distraction rate',
-      category: 'focus',
-      level: 'gold',
-      unlockedAt: new Date()
-    });
+import { calculateStreaks } from './streakEngine.js';
+
+export const TIER_LEVELS = ['bronze', 'silver', 'gold'];
+
+/**
+ * The catalog. Each achievement measures one stat; its tiers unlock in order
+ * once the stat reaches the threshold (and `minSessions` sessions are done,
+ * for averages that mean nothing after one session).
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'study_time',
+    icon: '📚',
+    category: 'time',
+    stat: 'total_hours',
+    unit: 'hours',
+    tiers: [
+      { level: 'bronze', threshold: 10, title: 'Getting Started', description: 'Completed 10 hours of study' },
+      { level: 'silver', threshold: 50, title: 'Dedicated Learner', description: '50+ hours of study time' },
+      { level: 'gold', threshold: 100, title: 'Century Scholar', description: '100+ hours of focused study' }
+    ]
+  },
+  {
+    id: 'sessions',
+    icon: '✅',
+    category: 'consistency',
+    stat: 'completed_sessions',
+    unit: 'sessions',
+    tiers: [
+      { level: 'bronze', threshold: 5, title: 'Warming Up', description: '5 sessions completed' },
+      { level: 'silver', threshold: 20, title: 'Regular Student', description: '20+ sessions completed' },
+      { level: 'gold', threshold: 50, title: 'Consistency King', description: '50+ sessions completed' }
+    ]
+  },
+  {
+    id: 'streak',
+    icon: '⚡',
+    category: 'streak',
+    stat: 'longest_streak',
+    unit: 'days',
+    tiers: [
+      { level: 'bronze', threshold: 7, title: 'Weekly Warrior', description: 'Studied 7 days in a row' },
+      { level: 'silver', threshold: 14, title: 'Fortnight Focus', description: 'Studied 14 days in a row' },
+      { level: 'gold', threshold: 30, title: 'Unstoppable', description: 'Studied 30 days in a row' }
+    ]
+  },
+  {
+    id: 'engagement',
+    icon: '🔥',
+    category: 'engagement',
+    stat: 'avg_engagement',
+    unit: '%',
+    minSessions: 5,
+    tiers: [
+      { level: 'bronze', threshold: 70, title: 'Engaged Learner', description: '70%+ average engagement' },
+      { level: 'silver', threshold: 80, title: 'High Performer', description: '80%+ average engagement' },
+      { level: 'gold', threshold: 90, title: 'Excellence', description: '90%+ average engagement' }
+    ]
+  },
+  {
+    id: 'focus',
+    icon: '🎯',
+    category: 'focus',
+    stat: 'focus_rate',
+    unit: '%',
+    minSessions: 3,
+    tiers: [
+      { level: 'bronze', threshold: 80, title: 'Steady Focus', description: 'Distracted less than 20% of the time' },
+      { level: 'silver', threshold: 85, title: 'Sharp Focus', description: 'Distracted less than 15% of the time' },
+      { level: 'gold', threshold: 90, title: 'Laser Focus', description: 'Distracted less than 10% of the time' }
+    ]
   }
-  
-  return achievements;
+];
+
+export const getAchievementDefinition = (id) => ACHIEVEMENTS.find(a => a.id === id) || null;
+
+/**
+ * The stats the catalog is measured on
+ * @param {object[]} sessions Completed sessions (start_time, end_time, duration_seconds, metrics)
+ * @param {object} [options]
+ * @param {object} [options.streakSettings] Timezone, minimum minutes and freezes (utils/streakEngine.js)
+ * @param {object} [options.metricStats] Metric averages (distraction_rate, 0-1)
+ */
+export const computeAchievementStats = (sessions, { streakSettings = {}, metricStats = null } = {}) => {
+  const engagementScores = sessions.map(s => s.metrics?.engagementScore).filter(score => score > 0);
+  const streaks = calculateStreaks(sessions, streakSettings);
+
+  return {
+    total_hours: sessions.reduce((sum, s) => sum + (s.duration_seconds || 0), 0) / 3600,
+    completed_sessions: sessions.length,
+    current_streak: streaks.current_streak,
+    longest_streak: streaks.longest_streak,
+    avg_engagement: engagementScores.length
+      ? engagementScores.reduce((a, b) => a + b, 0) / engagementScores.length
+      : 0,
+    focus_rate: metricStats?.datapoints ? (1 - metricStats.distraction_rate) * 100 : 0
+  };
 };
 
-const calculateStreak = (sessions) => {
-  const dates = [...new Set(sessions.map(s => 
-    new Date(s.start_time).toDateString()
-  ))].sort((a, b) => new Date(b) - new Date(a));
-  
-  let streak = 0;
-  const today = new Date().toDateString();
-  const yesterday = new Date(Date.now() - 86400000).toDateString();
-  
-  if (dates.length > 0 && (dates[0] === today || dates[0] === yesterday)) {
-    streak = 1;
-    for (let i = 1; i < dates.length; i++) {
-      const prevDate = new Date(dates[i - 1]);
-      const currDate = new Date(dates[i]);
-      const diffDays = Math.floor((prevDate - currDate) / 86400000);
-      if (diffDays === 1) streak++;
-      else break;
-    }
+/**
+ * Tier reached (-1 for none) and the value it was measured at
+ */
+export const evaluateAchievement = (definition, stats) => {
+  const value = Math.round((stats[definition.stat] || 0) * 10) / 10;
+  if (definition.minSessions && stats.completed_sessions < definition.minSessions) {
+    return { value, tier: -1 };
   }
-  
-  return streak;
-};
\ No newline at end of file
+
+  let tier = -1;
+  definition.tiers.forEach((t, i) => {
+    if (value >= t.threshold) tier = i;
+  });
+  return { value, tier };
+};
+
+/**
+ * How far a value is toward the next tier (null once the last tier is reached)
+ */
+export const getNextTierProgress = (definition, value, tier) => {
+  const next = definition.tiers[tier + 1];
+  if (!next) return null;
+  return {
+    level: next.level,
+    title: next.title,
+    threshold: next.threshold,
+    remaining: Math.max(0, Math.round((next.threshold - value) * 10) / 10),
+    percent: Math.min(100, Math.round((value / next.threshold) * 100))
+  };
+};
+
+export default {
+  TIER_LEVELS,
+  ACHIEVEMENTS,
+  getAchievementDefinition,
+  computeAchievementStats,
+  evaluateAchievement,
+  getNextTierProgress,
+};
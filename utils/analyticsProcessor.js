@@ -3,107 +3,6 @@
  * Processes session data and generates analytics/reports
  */
 
-/**
- * Generate overall analytics for dashboard
- * Used by: routes/interactions.js - GET /api/interactions/analytics/overall
- */
-export const generateOverallAnalytics = (completedSessions) => {
-  if (!completedSessions || completedSessions.length === 0) {
-    return {
-      totalHours: 0,
-      thisWeek: 0,
-      avgEngagement: 0,
-      completedSessions: 0,
-      streak: 0,
-      rank: 0,
-    };
-  }
-
-  // Calculate total study hours
-  const totalSeconds = completedSessions.reduce((sum, session) => {
-    return sum + (session.duration_seconds || 0);
-  }, 0);
-  const totalHours = Math.round((totalSeconds / 3600) * 10) / 10;
-
-  // Calculate this week's study time
-  const oneWeekAgo = new Date();
-  oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-  
-  const thisWeekSessions = completedSessions.filter(session => 
-    new Date(session.start_time) >= oneWeekAgo
-  );
-  
-  const thisWeekSeconds = thisWeekSessions.reduce((sum, session) => {
-    return sum + (session.duration_seconds || 0);
-  }, 0);
-  const thisWeekHours = Math.round((thisWeekSeconds / 3600) * 10) / 10;
-
-  // Calculate average engagement
-  const engagementScores = completedSessions
-    .map(s => s.metrics?.engagementScore || 0)
-    .filter(score => score > 0);
-  
-  const avgEngagement = engagementScores.length > 0
-    ? Math.round(engagementScores.reduce((a, b) => a + b, 0) / engagementScores.length)
-    : 0;
-
-  // Calculate study streak (consecutive days with at least one session)
-  const streak = calculateStudyStreak(completedSessions);
-
-  return {
-    totalHours,
-    thisWeek: thisWeekHours,
-    avgEngagement,
-    completedSessions: completedSessions.length,
-    streak,
-    rank: 0, // Implement leaderboard logic if needed
-  };
-};
-
-/**
- * Calculate consecutive study days streak
- */
-const calculateStudyStreak = (sessions) => {
-  if (!sessions || sessions.length === 0) return 0;
-
-  // Sort sessions by date (most recent first)
-  const sortedSessions = [...sessions].sort((a, b) => 
-    new Date(b.start_time) - new Date(a.start_time)
-  );
-
-  // Get unique study dates
-  const studyDates = [...new Set(
-    sortedSessions.map(s => new Date(s.start_time).toDateString())
-  )].sort((a, b) => new Date(b) - new Date(a));
-
-  if (studyDates.length === 0) return 0;
-
-  // Check if studied today or yesterday (to maintain streak)
-  const today = new Date().toDateString();
-  const yesterday = new Date(Date.now() - 86400000).toDateString();
-  
-  if (studyDates[0] !== today && studyDates[0] !== yesterday) {
-    return 0; // Streak broken
-  }
-
-  let streak = 0;
-  let expectedDate = new Date();
-
-  for (const dateStr of studyDates) {
-    const date = new Date(dateStr);
-    const expectedDateStr = expectedDate.toDateString();
-
-    if (dateStr === expectedDateStr) {
-      streak++;
-      expectedDate.setDate(expectedDate.getDate() - 1);
-    } else {
-      break; // Streak broken
-    }
-  }
-
-  return streak;
-};
-
 /**
  * Generate HTML report content for email
  * Used by: routes/interactions.js - POST /api/interactions/share-report
@@ -262,6 +161,5 @@ export const generateReportContent = (session, aiInsights = null) => {
 };
 
 export default {
-  generateOverallAnalytics,
   generateReportContent,
 };
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * FILE PATH: backend/utils/streakEngine.js
+ * Study days and streaks — the only streak calculation in the app
+ * (analytics dashboard, achievements, GET /api/analytics/streak).
+ *
+ * Sessions are bucketed into calendar days in the user's timezone (a session
+ * running past midnight is split between both days). A day counts once it
+ * reaches the minimum minutes. Missed days break the streak unless a freeze
+ * is left for that week (Sunday to Saturday); frozen days keep the streak
+ * alive but do not add to it. Today never breaks the streak — it is still
+ * in progress.
+ */
+
+import { getLocalParts, zonedTimeToUtc, addDaysToKey, getWeekdayOfKey, WEEKDAYS } from './timezone.js';
+
+export const DEFAULT_MIN_MINUTES = 10;
+export const DEFAULT_FREEZES_PER_WEEK = 0;
+
+const sessionEnd = (session) => {
+  if (session.end_time) return new Date(session.end_time);
+  return new Date(new Date(session.start_time).getTime() + (session.duration_seconds || 0) * 1000);
+};
+
+/**
+ * Minutes and sessions per local day
+ * @param {object[]} sessions Completed sessions (start_time, end_time, duration_seconds)
+ * @param {string} timeZone IANA timezone
+ * @returns {Map<string, { minutes: number, sessions: number }>} Keyed by YYYY-MM-DD
+ */
+export const buildStudyDays = (sessions, timeZone) => {
+  const days = new Map();
+  const add = (key, minutes, isStart) => {
+    const day = days.get(key) || { minutes: 0, sessions: 0 };
+    day.minutes += minutes;
+    if (isStart) day.sessions += 1;
+    days.set(key, day);
+  };
+
+  sessions.forEach(session => {
+    const start = new Date(session.start_time);
+    const end = sessionEnd(session);
+    const span = end - start;
+    // duration_seconds (time actually studied) is spread over the wall-clock span
+    const studiedMinutes = (session.duration_seconds ?? span / 1000) / 60;
+
+    let key = getLocalParts(start, timeZone).dateKey;
+    if (span <= 0) {
+      add(key, studiedMinutes, true);
+      return;
+    }
+
+    let cursor = start;
+    let isStart = true;
+    while (cursor < end) {
+      const nextMidnight = zonedTimeToUtc(addDaysToKey(key, 1), '00:00', timeZone);
+      const sliceEnd = nextMidnight < end ? nextMidnight : end;
+      add(key, studiedMinutes * ((sliceEnd - cursor) / span), isStart);
+      isStart = false;
+      cursor = sliceEnd;
+      key = addDaysToKey(key, 1);
+    }
+  });
+
+  return days;
+};
+
+const weekOf = (dateKey) => addDaysToKey(dateKey, -WEEKDAYS.indexOf(getWeekdayOfKey(dateKey)));
+
+/**
+ * Current and longest streak from study days
+ * @param {Map<string, { minutes: number }>} studyDays buildStudyDays result
+ * @param {object} options
+ * @param {string} options.todayKey Today's YYYY-MM-DD in the user's timezone
+ * @param {number} [options.minMinutes] Minutes a day needs to count
+ * @param {number} [options.freezesPerWeek] Missed days per week that do not break the streak
+ */
+export const computeStreaks = (studyDays, { todayKey, minMinutes = DEFAULT_MIN_MINUTES, freezesPerWeek = DEFAULT_FREEZES_PER_WEEK }) => {
+  const counted = [...studyDays.entries()]
+    .filter(([key, day]) => key <= todayKey && day.minutes >= minMinutes)
+    .map(([key]) => key)
+    .sort();
+  const countedSet = new Set(counted);
+
+  const freezesUsed = new Map();
+  let current = 0;
+  let currentStart = null;
+  let frozenDays = [];
+  let longest = 0;
+
+  if (counted.length > 0) {
+    for (let key = counted[0]; key <= todayKey; key = addDaysToKey(key, 1)) {
+      if (countedSet.has(key)) {
+        if (current === 0) currentStart = key;
+        current += 1;
+        longest = Math.max(longest, current);
+        continue;
+      }
+      if (key === todayKey || current === 0) continue;
+
+      const week = weekOf(key);
+      const used = freezesUsed.get(week) || 0;
+      if (used < freezesPerWeek) {
+        freezesUsed.set(week, used + 1);
+        frozenDays.push(key);
+      } else {
+        current = 0;
+        currentStart = null;
+        frozenDays = [];
+      }
+    }
+  }
+
+  const today = studyDays.get(todayKey);
+  return {
+    current_streak: current,
+    longest_streak: longest,
+    current_streak_start: currentStart,
+    frozen_days: frozenDays,
+    freezes_per_week: freezesPerWeek,
+    freezes_left_this_week: Math.max(0, freezesPerWeek - (freezesUsed.get(weekOf(todayKey)) || 0)),
+    min_minutes: minMinutes,
+    today_minutes: Math.round(today?.minutes || 0),
+    studied_today: countedSet.has(todayKey),
+    last_study_day: counted[counted.length - 1] || null,
+    study_days: counted.length
+  };
+};
+
+/**
+ * Streaks straight from sessions
+ * @param {object[]} sessions
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Default UTC
+ * @param {number} [options.minMinutes]
+ * @param {number} [options.freezesPerWeek]
+ * @param {Date} [options.now]
+ */
+export const calculateStreaks = (sessions, { timeZone = 'UTC', minMinutes, freezesPerWeek, now = new Date() } = {}) => ({
+  timezone: timeZone,
+  ...computeStreaks(buildStudyDays(sessions || [], timeZone), {
+    todayKey: getLocalParts(now, timeZone).dateKey,
+    minMinutes,
+    freezesPerWeek
+  })
+});
+
+export default {
+  DEFAULT_MIN_MINUTES,
+  DEFAULT_FREEZES_PER_WEEK,
+  buildStudyDays,
+  computeStreaks,
+  calculateStreaks,
+};
@@ -0,0 +1,165 @@
+/**
+ * FILE PATH: backend/utils/timezone.js
+ * Small timezone helpers built on Intl (no extra dependency).
+ * Used wherever "local time" must mean the user's localization.timezone
+ * instead of the server clock.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatterCache = new Map();
+
+/**
+ * Return a valid IANA timezone, falling back to UTC for unknown values
+ */
+export const resolveTimeZone = (timeZone) => {
+  if (!timeZone) return 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch {
+    return 'UTC';
+  }
+};
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'long',
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Break a Date into wall-clock parts in the given timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: string, time: string, dateKey: string }}
+ */
+export const getLocalParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(resolveTimeZone(timeZone)).formatToParts(new Date(date)).forEach(p => {
+    parts[p.type] = p.value;
+  });
+
+  const result = {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: parts.weekday.toLowerCase(),
+  };
+  result.time = `${parts.hour}:${parts.minute}`;
+  result.dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+  return result;
+};
+
+/**
+ * Offset of the timezone from UTC at the given instant, in ms (e.g. +05:45 -> 20700000)
+ */
+export const getTimeZoneOffsetMs = (date, timeZone) => {
+  const instant = new Date(date);
+  const p = getLocalParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (instant.getTime() - instant.getMilliseconds());
+};
+
+/**
+ * Instants between `from` and `to` at which the timezone's UTC offset changes (DST etc.)
+ * @returns {{ at: Date, offsetFrom: number, offsetTo: number }[]} Offsets in ms
+ */
+export const getOffsetTransitions = (timeZone, from, to) => {
+  const transitions = [];
+  const end = new Date(to).getTime();
+  let previous = new Date(from).getTime();
+  let previousOffset = getTimeZoneOffsetMs(previous, timeZone);
+
+  // Offsets never change twice in a day, so daily steps and a bisection find every change
+  for (let cursor = previous + 86400000; previous < end; cursor += 86400000) {
+    const offset = getTimeZoneOffsetMs(cursor, timeZone);
+    if (offset !== previousOffset) {
+      let lo = previous;
+      let hi = cursor;
+      while (hi - lo > 1000) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (getTimeZoneOffsetMs(mid, timeZone) === previousOffset) lo = mid;
+        else hi = mid;
+      }
+      transitions.push({ at: new Date(Math.floor(hi / 1000) * 1000), offsetFrom: previousOffset, offsetTo: offset });
+    }
+    previous = cursor;
+    previousOffset = offset;
+  }
+
+  return transitions;
+};
+
+/**
+ * The instant at which the wall clock in `timeZone` shows `dateKey` `time`
+ * @param {string} dateKey YYYY-MM-DD
+ * @param {string} time HH:MM
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (dateKey, time, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Second pass corrects the offset when the first guess lands across a DST change
+  const first = wallClock - getTimeZoneOffsetMs(wallClock, timeZone);
+  return new Date(wallClock - getTimeZoneOffsetMs(first, timeZone));
+};
+
+/**
+ * Calendar arithmetic on YYYY-MM-DD keys (timezone independent)
+ */
+export const addDaysToKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+export const getWeekdayOfKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * The week (Sunday start) containing `date` in a timezone
+ * @returns {{ startKey: string, endKey: string, start: Date, end: Date }} end is exclusive
+ */
+export const getWeek = (date, timeZone) => {
+  const key = getLocalParts(date, timeZone).dateKey;
+  const startKey = addDaysToKey(key, -WEEKDAYS.indexOf(getWeekdayOfKey(key)));
+  return {
+    startKey,
+    endKey: addDaysToKey(startKey, 6),
+    start: zonedTimeToUtc(startKey, '00:00', timeZone),
+    end: zonedTimeToUtc(addDaysToKey(startKey, 7), '00:00', timeZone)
+  };
+};
+
+export const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+export { WEEKDAYS };
+
+export default {
+  WEEKDAYS,
+  resolveTimeZone,
+  getLocalParts,
+  getTimeZoneOffsetMs,
+  getOffsetTransitions,
+  zonedTimeToUtc,
+  addDaysToKey,
+  getWeekdayOfKey,
+  getWeek,
+  daysInMonth,
+};